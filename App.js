@@ -7,6 +7,7 @@ import { createStackNavigator } from '@react-navigation/stack';
 import { SafeAreaProvider, useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { CollectionProvider } from './src/context/CollectionContext';
+import UndoSnackbar from './src/components/UndoSnackbar';
 
 // Screens
 import CollectionScreen from './src/screens/CollectionScreen';
@@ -14,6 +15,13 @@ import SearchScreen from './src/screens/SearchScreen';
 import ScannerScreen from './src/screens/ScannerScreen';
 import DecksScreen from './src/screens/DecksScreen';
 import ImportScreen from './src/screens/ImportScreen';
+import CardDetailScreen from './src/screens/CardDetailScreen';
+import CsvImportScreen from './src/screens/CsvImportScreen';
+import RestoreScreen from './src/screens/RestoreScreen';
+import ActivityScreen from './src/screens/ActivityScreen';
+import LedgerScreen from './src/screens/LedgerScreen';
+import DeckBuilderScreen from './src/screens/DeckBuilderScreen';
+import EdhrecScreen from './src/screens/EdhrecScreen';
 
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
@@ -110,8 +118,16 @@ const App = () => {
                 presentation: 'modal',
               }}
             />
+            <Stack.Screen name="CardDetail" component={CardDetailScreen} />
+            <Stack.Screen name="CsvImport" component={CsvImportScreen} />
+            <Stack.Screen name="Restore" component={RestoreScreen} />
+            <Stack.Screen name="Activity" component={ActivityScreen} />
+            <Stack.Screen name="Ledger" component={LedgerScreen} />
+            <Stack.Screen name="DeckBuilder" component={DeckBuilderScreen} />
+            <Stack.Screen name="Edhrec" component={EdhrecScreen} />
           </Stack.Navigator>
         </NavigationContainer>
+        <UndoSnackbar />
       </CollectionProvider>
     </SafeAreaProvider>
   );
@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { LANGUAGES } from '../services/scryfallApi';
+import { CONDITIONS, FINISHES } from '../services/storageService';
+import { LEDGER_SOURCES } from '../services/ledgerService';
+
+// Finish, condition, language and quantity of the copies being added.
+// The collection keeps one stack per combination. Copies received in a
+// trade are logged with that source in the ledger.
+const AddCardOptionsModal = ({ visible, card, onConfirm, onClose }) => {
+  const insets = useSafeAreaInsets();
+  const [quantity, setQuantity] = useState(1);
+  const [finish, setFinish] = useState('nonfoil');
+  const [condition, setCondition] = useState('NM');
+  const [lang, setLang] = useState('en');
+  const [fromTrade, setFromTrade] = useState(false);
+
+  // Only offer the finishes this printing exists in
+  const finishes = card?.finishes?.length
+    ? FINISHES.filter(f => card.finishes.includes(f.code))
+    : FINISHES;
+
+  useEffect(() => {
+    if (visible && card) {
+      setQuantity(1);
+      setFinish(finishes[0]?.code || 'nonfoil');
+      setCondition('NM');
+      setLang(card.lang || 'en');
+      setFromTrade(false);
+    }
+  }, [visible, card?.id]);
+
+  if (!card) return null;
+
+  const languages = LANGUAGES[lang]
+    ? Object.values(LANGUAGES)
+    : [...Object.values(LANGUAGES), { code: lang, name: lang, flag: '🌐' }];
+
+  const renderChips = (options, selected, onSelect, getLabel) => (
+    <View style={styles.chipRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.code}
+          style={[styles.chip, selected === option.code && styles.chipActive]}
+          onPress={() => onSelect(option.code)}
+        >
+          <Text style={[styles.chipText, selected === option.code && styles.chipTextActive]}>
+            {getLabel(option)}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={[styles.modal, { paddingBottom: insets.bottom + 20 }]}>
+          <Text style={styles.title} numberOfLines={1}>
+            {card.printed_name || card.name}
+          </Text>
+          <Text style={styles.subtitle}>
+            {card.set_name} · #{card.collector_number}
+          </Text>
+
+          <ScrollView showsVerticalScrollIndicator={false}>
+            <Text style={styles.label}>Quantité</Text>
+            <View style={styles.quantityRow}>
+              <TouchableOpacity
+                style={styles.quantityButton}
+                onPress={() => setQuantity(Math.max(1, quantity - 1))}
+              >
+                <Ionicons name="remove" size={20} color="#FFF" />
+              </TouchableOpacity>
+              <Text style={styles.quantityValue}>{quantity}</Text>
+              <TouchableOpacity
+                style={styles.quantityButton}
+                onPress={() => setQuantity(quantity + 1)}
+              >
+                <Ionicons name="add" size={20} color="#FFF" />
+              </TouchableOpacity>
+            </View>
+
+            <Text style={styles.label}>Finition</Text>
+            {renderChips(finishes, finish, setFinish, f => f.name)}
+
+            <Text style={styles.label}>État</Text>
+            {renderChips(CONDITIONS, condition, setCondition, c => c.code)}
+
+            <Text style={styles.label}>Langue</Text>
+            {renderChips(languages, lang, setLang, l => `${l.flag} ${l.code.toUpperCase()}`)}
+
+            <TouchableOpacity style={styles.toggleRow} onPress={() => setFromTrade(!fromTrade)}>
+              <Ionicons
+                name={fromTrade ? 'checkbox' : 'square-outline'}
+                size={20}
+                color={fromTrade ? '#6B4FA2' : '#888'}
+              />
+              <Text style={styles.toggleText}>Reçue lors d'un échange</Text>
+            </TouchableOpacity>
+          </ScrollView>
+
+          <TouchableOpacity
+            style={styles.confirmButton}
+            onPress={() => onConfirm(quantity, {
+              finish,
+              condition,
+              lang,
+              ...(fromTrade && { source: LEDGER_SOURCES.trade.code }),
+            })}
+          >
+            <Ionicons name="add-circle" size={22} color="#FFF" />
+            <Text style={styles.confirmText}>Ajouter à la collection</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+            <Text style={styles.cancelText}>Annuler</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.8)',
+    justifyContent: 'flex-end',
+  },
+  modal: {
+    backgroundColor: '#1E1E1E',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 20,
+    maxHeight: '85%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#FFF',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#888',
+    textAlign: 'center',
+    marginTop: 4,
+    marginBottom: 16,
+  },
+  label: {
+    color: '#AAA',
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  quantityRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  quantityButton: {
+    backgroundColor: '#2A2A2A',
+    borderRadius: 8,
+    padding: 8,
+  },
+  quantityValue: {
+    color: '#FFF',
+    fontSize: 18,
+    fontWeight: 'bold',
+    minWidth: 48,
+    textAlign: 'center',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  chip: {
+    backgroundColor: '#2A2A2A',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  chipActive: {
+    backgroundColor: '#6B4FA2',
+  },
+  chipText: {
+    color: '#888',
+    fontSize: 13,
+  },
+  chipTextActive: {
+    color: '#FFF',
+    fontWeight: '600',
+  },
+  toggleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  toggleText: {
+    color: '#CCC',
+    fontSize: 14,
+    marginLeft: 8,
+  },
+  confirmButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#4CAF50',
+    borderRadius: 12,
+    padding: 14,
+    marginTop: 8,
+  },
+  confirmText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  cancelButton: {
+    alignItems: 'center',
+    padding: 12,
+  },
+  cancelText: {
+    color: '#888',
+    fontSize: 14,
+  },
+});
+
+export default AddCardOptionsModal;
@@ -10,9 +10,22 @@ import {
   Dimensions,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { useCollection } from '../context/CollectionContext';
+import ManaSymbols, { ManaText } from './ManaSymbols';
+import { formatPrice } from '../services/priceService';
 
 const { width: screenWidth } = Dimensions.get('window');
 
+// Raw Scryfall prices listed in the detail modal
+const PRICE_LABELS = [
+  { field: 'usd', currency: 'usd', label: 'USD' },
+  { field: 'usd_foil', currency: 'usd', label: 'USD Foil' },
+  { field: 'usd_etched', currency: 'usd', label: 'USD Etched' },
+  { field: 'eur', currency: 'eur', label: 'EUR' },
+  { field: 'eur_foil', currency: 'eur', label: 'EUR Foil' },
+  { field: 'tix', currency: 'tix', label: 'MTGO' },
+];
+
 const CardItem = ({ 
   card, 
   onPress, 
@@ -24,6 +37,17 @@ const CardItem = ({
 }) => {
   const [modalVisible, setModalVisible] = useState(false);
   const [imageError, setImageError] = useState(false);
+  const { formatCardPrice } = useCollection();
+  const priceText = formatCardPrice(card);
+
+  // Collection entries are stacks: show what sets this one apart
+  const stackLabel = card.scryfallId && card.condition
+    ? [
+        card.finish && card.finish !== 'nonfoil' ? card.finish.charAt(0).toUpperCase() + card.finish.slice(1) : null,
+        card.condition,
+        card.lang ? card.lang.toUpperCase() : null,
+      ].filter(Boolean).join(' · ')
+    : null;
 
   const imageUrl = card.imageUrl || 
     card.image_uris?.normal || 
@@ -39,47 +63,6 @@ const CardItem = ({
     }
   };
 
-  const renderManaSymbols = (manaCost) => {
-    if (!manaCost) return null;
-    
-    const symbols = manaCost.match(/\{[^}]+\}/g) || [];
-    const colorMap = {
-      'W': '#F8E7B9',
-      'U': '#0E68AB',
-      'B': '#150B00',
-      'R': '#D3202A',
-      'G': '#00733E',
-      'C': '#CAC5C0',
-    };
-
-    return (
-      <View style={styles.manaContainer}>
-        {symbols.map((symbol, index) => {
-          const inner = symbol.replace(/[{}]/g, '');
-          const isNumeric = /^\d+$/.test(inner);
-          const color = colorMap[inner] || '#888';
-          
-          return (
-            <View 
-              key={index} 
-              style={[
-                styles.manaSymbol, 
-                { backgroundColor: isNumeric ? '#CAC5C0' : color }
-              ]}
-            >
-              <Text style={[
-                styles.manaText,
-                { color: inner === 'B' ? '#FFF' : '#000' }
-              ]}>
-                {inner}
-              </Text>
-            </View>
-          );
-        })}
-      </View>
-    );
-  };
-
   const getRarityColor = (rarity) => {
     switch (rarity) {
       case 'common': return '#1A1718';
@@ -139,7 +122,7 @@ const CardItem = ({
                 ({card.name})
               </Text>
             )}
-            {renderManaSymbols(card.manaCost || card.mana_cost)}
+            <ManaSymbols manaCost={card.manaCost || card.mana_cost} />
             <Text style={styles.typeLine} numberOfLines={1}>
               {card.typeLine || card.type_line}
             </Text>
@@ -151,13 +134,16 @@ const CardItem = ({
                 {card.setName || card.set_name}
               </Text>
             </View>
-            {card.prices?.usd && (
-              <Text style={styles.price}>${card.prices.usd}</Text>
+            {priceText && (
+              <Text style={styles.price}>{priceText}</Text>
             )}
             {showQuantity && (
               <View style={styles.quantityContainer}>
                 <Text style={styles.quantityLabel}>Owned: </Text>
                 <Text style={styles.quantityValue}>{quantity}</Text>
+                {stackLabel && (
+                  <Text style={styles.stackLabel}>{stackLabel}</Text>
+                )}
               </View>
             )}
           </View>
@@ -211,14 +197,15 @@ const CardItem = ({
               {card.printed_name && card.printed_name !== card.name && (
                 <Text style={styles.modalTitleOriginal}>({card.name})</Text>
               )}
-              {renderManaSymbols(card.manaCost || card.mana_cost)}
+              <ManaSymbols manaCost={card.manaCost || card.mana_cost} />
               <Text style={styles.modalType}>
                 {card.typeLine || card.type_line}
               </Text>
               {(card.oracleText || card.oracle_text) && (
-                <Text style={styles.modalOracle}>
-                  {card.oracleText || card.oracle_text}
-                </Text>
+                <ManaText
+                  style={styles.modalOracle}
+                  text={card.oracleText || card.oracle_text}
+                />
               )}
               <View style={styles.modalMeta}>
                 <Text style={styles.modalMetaItem}>
@@ -227,20 +214,13 @@ const CardItem = ({
                 <Text style={styles.modalMetaItem}>
                   Rarity: {card.rarity}
                 </Text>
-                {card.prices && (
-                  <>
-                    {card.prices.usd && (
-                      <Text style={styles.modalMetaItem}>
-                        USD: ${card.prices.usd}
-                      </Text>
-                    )}
-                    {card.prices.usd_foil && (
-                      <Text style={styles.modalMetaItem}>
-                        Foil: ${card.prices.usd_foil}
-                      </Text>
-                    )}
-                  </>
-                )}
+                {card.prices && PRICE_LABELS
+                  .filter(({ field }) => card.prices[field])
+                  .map(({ field, currency, label }) => (
+                    <Text key={field} style={styles.modalMetaItem}>
+                      {label}: {formatPrice(parseFloat(card.prices[field]), currency)}
+                    </Text>
+                  ))}
               </View>
               <View style={styles.modalActions}>
                 {onAddToCollection && (
@@ -310,24 +290,6 @@ const styles = StyleSheet.create({
     marginBottom: 4,
     fontStyle: 'italic',
   },
-  manaContainer: {
-    flexDirection: 'row',
-    marginVertical: 4,
-    flexWrap: 'wrap',
-  },
-  manaSymbol: {
-    width: 20,
-    height: 20,
-    borderRadius: 10,
-    justifyContent: 'center',
-    alignItems: 'center',
-    marginRight: 2,
-    marginBottom: 2,
-  },
-  manaText: {
-    fontSize: 11,
-    fontWeight: 'bold',
-  },
   typeLine: {
     fontSize: 12,
     color: '#AAA',
@@ -367,6 +329,11 @@ const styles = StyleSheet.create({
     color: '#FFF',
     fontWeight: 'bold',
   },
+  stackLabel: {
+    fontSize: 12,
+    color: '#6B4FA2',
+    marginLeft: 8,
+  },
   cardActions: {
     justifyContent: 'center',
     paddingHorizontal: 8,
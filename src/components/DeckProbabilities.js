@@ -0,0 +1,275 @@
+import React, { useMemo, useState } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getMainDeckCards } from '../services/deckCards';
+import {
+  CATEGORY_KINDS,
+  COMPARISONS,
+  MANA_VALUE_MAX,
+  TYPE_CATEGORIES,
+  getCategoryLabel,
+  getDeckTags,
+  countCategory,
+  getProbabilityTable,
+} from '../services/deckProbability';
+import { getTagLabel } from '../services/cardTags';
+
+// More columns do not fit the table on a phone
+const MAX_CONDITIONS = 3;
+const MAX_TURNS = 10;
+
+const formatPercent = (probability) => `${(probability * 100).toFixed(1)} %`;
+
+// Exact odds of drawing categories of cards, turn by turn
+const DeckProbabilities = ({ deck }) => {
+  const [conditions, setConditions] = useState([
+    { category: { kind: CATEGORY_KINDS.type.code, code: 'land' }, comparison: COMPARISONS.atLeast.code, count: 2 },
+  ]);
+  const [turns, setTurns] = useState(4);
+  const [onThePlay, setOnThePlay] = useState(true);
+  const [showPicker, setShowPicker] = useState(false);
+  const [pickedNames, setPickedNames] = useState([]);
+
+  const cardNames = useMemo(
+    () => [...new Set(getMainDeckCards(deck).map(card => card.name))].sort((a, b) => a.localeCompare(b)),
+    [deck.cards, deck.commander, deck.partner]
+  );
+  const tags = useMemo(() => getDeckTags(deck), [deck.cards, deck.commander, deck.partner]);
+  const table = useMemo(
+    () => getProbabilityTable(deck, conditions, { turns, onThePlay }),
+    [deck.cards, deck.commander, deck.partner, conditions, turns, onThePlay]
+  );
+
+  const addCondition = (category) => {
+    setConditions([...conditions, { category, comparison: COMPARISONS.atLeast.code, count: 1 }]);
+    setShowPicker(false);
+    setPickedNames([]);
+  };
+
+  const updateCondition = (index, updates) => {
+    setConditions(conditions.map((condition, i) => (i === index ? { ...condition, ...updates } : condition)));
+  };
+
+  const removeCondition = (index) => {
+    setConditions(conditions.filter((_, i) => i !== index));
+  };
+
+  const togglePicked = (name) => {
+    setPickedNames(pickedNames.includes(name)
+      ? pickedNames.filter(n => n !== name)
+      : [...pickedNames, name]);
+  };
+
+  if (cardNames.length === 0) {
+    return <Text style={styles.empty}>Ajoutez des cartes pour calculer les probabilités</Text>;
+  }
+
+  return (
+    <View>
+      <Text style={styles.title}>Conditions</Text>
+      {conditions.map((condition, index) => {
+        const available = countCategory(deck, condition.category);
+        return (
+          <View key={index} style={styles.condition}>
+            <View style={styles.conditionHeader}>
+              <Text style={styles.conditionName} numberOfLines={1}>{getCategoryLabel(condition.category)}</Text>
+              <Text style={styles.conditionCount}>{available} dans le deck</Text>
+              <TouchableOpacity onPress={() => removeCondition(index)}>
+                <Ionicons name="close" size={18} color="#888" />
+              </TouchableOpacity>
+            </View>
+            <View style={styles.row}>
+              {Object.values(COMPARISONS).map(comparison => (
+                <TouchableOpacity
+                  key={comparison.code}
+                  style={[styles.chip, condition.comparison === comparison.code && styles.chipActive]}
+                  onPress={() => updateCondition(index, { comparison: comparison.code })}
+                >
+                  <Text style={[styles.chipText, condition.comparison === comparison.code && styles.chipTextActive]}>
+                    {comparison.name}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+              <TouchableOpacity onPress={() => updateCondition(index, { count: Math.max(0, condition.count - 1) })}>
+                <Ionicons name="remove-circle-outline" size={24} color="#6B4FA2" />
+              </TouchableOpacity>
+              <Text style={styles.stepperValue}>{condition.count}</Text>
+              <TouchableOpacity onPress={() => updateCondition(index, { count: Math.min(available, condition.count + 1) })}>
+                <Ionicons name="add-circle-outline" size={24} color="#6B4FA2" />
+              </TouchableOpacity>
+            </View>
+          </View>
+        );
+      })}
+
+      {conditions.length < MAX_CONDITIONS && (
+        <TouchableOpacity style={styles.addButton} onPress={() => setShowPicker(!showPicker)}>
+          <Ionicons name={showPicker ? 'chevron-up' : 'add'} size={18} color="#6B4FA2" />
+          <Text style={styles.addButtonText}>Ajouter une catégorie</Text>
+        </TouchableOpacity>
+      )}
+
+      {showPicker && (
+        <View style={styles.picker}>
+          <Text style={styles.pickerLabel}>{CATEGORY_KINDS.type.name}</Text>
+          <View style={styles.chips}>
+            {TYPE_CATEGORIES.map(type => (
+              <TouchableOpacity
+                key={type.code}
+                style={styles.chip}
+                onPress={() => addCondition({ kind: CATEGORY_KINDS.type.code, code: type.code })}
+              >
+                <Text style={styles.chipText}>{type.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.pickerLabel}>{CATEGORY_KINDS.manaValue.name} (hors terrains)</Text>
+          <View style={styles.chips}>
+            {Array.from({ length: MANA_VALUE_MAX + 1 }, (_, value) => (
+              <TouchableOpacity
+                key={value}
+                style={styles.chip}
+                onPress={() => addCondition({ kind: CATEGORY_KINDS.manaValue.code, value })}
+              >
+                <Text style={styles.chipText}>{value === MANA_VALUE_MAX ? `${value}+` : value}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.pickerLabel}>{CATEGORY_KINDS.tag.name}s</Text>
+          {tags.length === 0 ? (
+            <Text style={styles.pickerHint}>Aucune carte du deck n'a de tag</Text>
+          ) : (
+            <View style={styles.chips}>
+              {tags.map(tag => (
+                <TouchableOpacity
+                  key={tag}
+                  style={styles.chip}
+                  onPress={() => addCondition({ kind: CATEGORY_KINDS.tag.code, tag })}
+                >
+                  <Text style={styles.chipText}>{getTagLabel(tag)}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          <Text style={styles.pickerLabel}>{CATEGORY_KINDS.cards.name}</Text>
+          <ScrollView style={styles.cardList} nestedScrollEnabled>
+            {cardNames.map(name => (
+              <TouchableOpacity key={name} style={styles.cardRow} onPress={() => togglePicked(name)}>
+                <Ionicons
+                  name={pickedNames.includes(name) ? 'checkbox' : 'square-outline'}
+                  size={18}
+                  color={pickedNames.includes(name) ? '#6B4FA2' : '#666'}
+                />
+                <Text style={styles.cardRowText}>{name}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+          <TouchableOpacity
+            style={[styles.pickButton, pickedNames.length === 0 && styles.pickButtonDisabled]}
+            onPress={() => addCondition({ kind: CATEGORY_KINDS.cards.code, names: pickedNames })}
+            disabled={pickedNames.length === 0}
+          >
+            <Text style={styles.pickButtonText}>
+              Ajouter la sélection{pickedNames.length > 0 ? ` (${pickedNames.length})` : ''}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <View style={styles.settings}>
+        {[true, false].map(play => (
+          <TouchableOpacity
+            key={String(play)}
+            style={[styles.chip, onThePlay === play && styles.chipActive]}
+            onPress={() => setOnThePlay(play)}
+          >
+            <Text style={[styles.chipText, onThePlay === play && styles.chipTextActive]}>
+              {play ? 'Je commence' : 'Je pioche'}
+            </Text>
+          </TouchableOpacity>
+        ))}
+        <Text style={styles.settingsLabel}>Tours</Text>
+        <TouchableOpacity onPress={() => setTurns(Math.max(1, turns - 1))}>
+          <Ionicons name="remove-circle-outline" size={24} color="#6B4FA2" />
+        </TouchableOpacity>
+        <Text style={styles.stepperValue}>{turns}</Text>
+        <TouchableOpacity onPress={() => setTurns(Math.min(MAX_TURNS, turns + 1))}>
+          <Ionicons name="add-circle-outline" size={24} color="#6B4FA2" />
+        </TouchableOpacity>
+      </View>
+
+      {conditions.length > 0 && (
+        <View style={styles.table}>
+          <View style={[styles.tableRow, styles.tableHeader]}>
+            <Text style={[styles.tableTurn, styles.tableHeaderText]}>Tour</Text>
+            {conditions.map((condition, index) => (
+              <Text key={index} style={[styles.tableCell, styles.tableHeaderText]} numberOfLines={2}>
+                {COMPARISONS[condition.comparison].symbol}{condition.count} {getCategoryLabel(condition.category)}
+              </Text>
+            ))}
+            {conditions.length > 1 && (
+              <Text style={[styles.tableCell, styles.tableHeaderText, styles.tableAll]}>Toutes</Text>
+            )}
+          </View>
+          {table.map(row => (
+            <View key={row.turn} style={styles.tableRow}>
+              <View style={styles.tableTurn}>
+                <Text style={styles.tableTurnText}>{row.turn === 0 ? 'Main' : `T${row.turn}`}</Text>
+                <Text style={styles.tableCards}>{row.cards} cartes</Text>
+              </View>
+              {row.conditions.map((probability, index) => (
+                <Text key={index} style={styles.tableCell}>{formatPercent(probability)}</Text>
+              ))}
+              {conditions.length > 1 && (
+                <Text style={[styles.tableCell, styles.tableAll]}>{formatPercent(row.all)}</Text>
+              )}
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  empty: { color: '#666', fontSize: 13, textAlign: 'center', marginVertical: 24 },
+  title: { color: '#FFF', fontSize: 14, fontWeight: '600', marginTop: 8, marginBottom: 8 },
+  row: { flexDirection: 'row', alignItems: 'center', flexWrap: 'wrap' },
+  chips: { flexDirection: 'row', flexWrap: 'wrap' },
+  chip: { backgroundColor: '#2A2A2A', borderRadius: 16, paddingHorizontal: 10, paddingVertical: 5, marginRight: 6, marginBottom: 6 },
+  chipActive: { backgroundColor: '#6B4FA2' },
+  chipText: { color: '#888', fontSize: 12 },
+  chipTextActive: { color: '#FFF', fontWeight: '600' },
+  condition: { backgroundColor: '#252525', borderRadius: 10, padding: 10, marginBottom: 8 },
+  conditionHeader: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
+  conditionName: { color: '#FFF', fontSize: 14, fontWeight: '600', flex: 1 },
+  conditionCount: { color: '#888', fontSize: 12, marginRight: 8 },
+  stepperValue: { color: '#FFF', fontSize: 16, fontWeight: 'bold', width: 28, textAlign: 'center' },
+  addButton: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8 },
+  addButtonText: { color: '#6B4FA2', fontSize: 14, marginLeft: 6 },
+  picker: { backgroundColor: '#252525', borderRadius: 10, padding: 10, marginBottom: 8 },
+  pickerLabel: { color: '#AAA', fontSize: 12, marginTop: 6, marginBottom: 6 },
+  pickerHint: { color: '#666', fontSize: 12 },
+  cardList: { maxHeight: 180 },
+  cardRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 6 },
+  cardRowText: { color: '#FFF', fontSize: 13, marginLeft: 8 },
+  pickButton: { backgroundColor: '#6B4FA2', borderRadius: 8, paddingVertical: 8, alignItems: 'center', marginTop: 8 },
+  pickButtonDisabled: { opacity: 0.4 },
+  pickButtonText: { color: '#FFF', fontSize: 13, fontWeight: '600' },
+  settings: { flexDirection: 'row', alignItems: 'center', marginTop: 8 },
+  settingsLabel: { color: '#CCC', fontSize: 13, marginLeft: 8, marginRight: 4, marginBottom: 6 },
+  table: { marginTop: 8, backgroundColor: '#252525', borderRadius: 10, overflow: 'hidden' },
+  tableHeader: { backgroundColor: '#2A2A2A' },
+  tableHeaderText: { color: '#AAA', fontSize: 11, fontWeight: '600' },
+  tableRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 6, paddingHorizontal: 8, borderBottomWidth: 1, borderBottomColor: '#2A2A2A' },
+  tableTurn: { width: 64 },
+  tableTurnText: { color: '#FFF', fontSize: 13 },
+  tableCards: { color: '#666', fontSize: 10 },
+  tableCell: { flex: 1, color: '#FFF', fontSize: 13, textAlign: 'right' },
+  tableAll: { color: '#6B4FA2', fontWeight: 'bold' },
+});
+
+export default DeckProbabilities;
@@ -0,0 +1,352 @@
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  StyleSheet,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { CARD_TYPES, getCardType } from '../services/deckStats';
+import {
+  SIMULATION_ITERATIONS,
+  buildLibrary,
+  startGame,
+  getBottomCount,
+  canMulligan,
+  mulligan,
+  keepHand,
+  drawCards,
+  nextTurn,
+  getTargetLabel,
+  simulateDraws,
+  simulateOpeningLands,
+} from '../services/deckSimulator';
+
+const MAX_TURNS = 10;
+
+const formatPercent = (probability) => `${(probability * 100).toFixed(1)} %`;
+
+// Goldfish games and Monte Carlo odds for a deck
+const DeckSimulator = ({ deck }) => {
+  const [onThePlay, setOnThePlay] = useState(true);
+  const [game, setGame] = useState(() => startGame(deck, { onThePlay: true }));
+  const [bottomKeys, setBottomKeys] = useState([]);
+
+  const [target, setTarget] = useState({ type: 'category', code: 'land' });
+  const [showCardTargets, setShowCardTargets] = useState(false);
+  const [turns, setTurns] = useState(4);
+  const [atLeast, setAtLeast] = useState(1);
+  const [results, setResults] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const library = useMemo(() => buildLibrary(deck), [deck.cards, deck.commander, deck.partner]);
+  const categories = useMemo(() => {
+    const present = new Set(library.map(getCardType));
+    return CARD_TYPES.filter(type => present.has(type.code));
+  }, [library]);
+  const cardNames = useMemo(
+    () => [...new Set(library.map(card => card.name))].sort((a, b) => a.localeCompare(b)),
+    [library]
+  );
+
+  const bottomCount = getBottomCount(game);
+
+  const newGame = (play = onThePlay) => {
+    setGame(startGame(deck, { onThePlay: play }));
+    setBottomKeys([]);
+  };
+
+  const handleMulligan = () => {
+    setGame(mulligan(game));
+    setBottomKeys([]);
+  };
+
+  const handleKeep = () => {
+    setGame(keepHand(game, bottomKeys));
+    setBottomKeys([]);
+  };
+
+  const toggleBottom = (card) => {
+    if (game.kept || bottomCount === 0) return;
+    if (bottomKeys.includes(card.key)) {
+      setBottomKeys(bottomKeys.filter(key => key !== card.key));
+    } else if (bottomKeys.length < bottomCount) {
+      setBottomKeys([...bottomKeys, card.key]);
+    }
+  };
+
+  const changeTarget = (next) => {
+    setTarget(next);
+    setResults(null);
+  };
+
+  // Runs after the spinner has rendered: 10 000 shuffles block the JS thread
+  const runSimulation = () => {
+    setRunning(true);
+    setTimeout(() => {
+      setResults({
+        draws: simulateDraws(deck, target, { turns, atLeast, onThePlay }),
+        lands: simulateOpeningLands(deck),
+        label: getTargetLabel(target),
+        atLeast,
+        onThePlay,
+      });
+      setRunning(false);
+    }, 50);
+  };
+
+  if (library.length === 0) {
+    return <Text style={styles.empty}>Ajoutez des cartes pour tester le deck</Text>;
+  }
+
+  const gameStatus = game.kept
+    ? `Tour ${game.turn} · ${game.hand.length} en main · ${game.library.length} en bibliothèque`
+    : game.mulligans === 0
+      ? 'Main de départ'
+      : `Mulligan ${game.mulligans}${bottomCount > 0 ? ` · ${bottomKeys.length}/${bottomCount} à placer en dessous` : ' (gratuit)'}`;
+  const landsMax = results ? Math.max(...results.lands.map(row => row.probability)) : 0;
+
+  return (
+    <View>
+      <Text style={styles.title}>Partie d'essai</Text>
+      <View style={styles.row}>
+        {[true, false].map(play => (
+          <TouchableOpacity
+            key={String(play)}
+            style={[styles.chip, onThePlay === play && styles.chipActive]}
+            onPress={() => {
+              setOnThePlay(play);
+              setResults(null);
+              newGame(play);
+            }}
+          >
+            <Text style={[styles.chipText, onThePlay === play && styles.chipTextActive]}>
+              {play ? 'Je commence' : 'Je pioche'}
+            </Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity style={styles.iconButton} onPress={() => newGame()}>
+          <Ionicons name="shuffle" size={18} color="#FFF" />
+        </TouchableOpacity>
+      </View>
+
+      {game.commandZone.length > 0 && (
+        <View style={styles.commandZone}>
+          <Text style={styles.zoneLabel}>Zone de commandement</Text>
+          <View style={styles.row}>
+            {game.commandZone.map(card => (
+              <Image key={card.id} source={{ uri: card.imageUrl }} style={styles.commandCard} />
+            ))}
+          </View>
+        </View>
+      )}
+
+      <Text style={styles.status}>{gameStatus}</Text>
+      <View style={styles.hand}>
+        {game.hand.map(card => {
+          const selected = bottomKeys.includes(card.key);
+          return (
+            <TouchableOpacity
+              key={card.key}
+              onPress={() => toggleBottom(card)}
+              activeOpacity={game.kept || bottomCount === 0 ? 1 : 0.7}
+            >
+              {card.imageUrl ? (
+                <Image source={{ uri: card.imageUrl }} style={[styles.handCard, selected && styles.handCardSelected]} />
+              ) : (
+                <View style={[styles.handCard, styles.handCardText, selected && styles.handCardSelected]}>
+                  <Text style={styles.handCardName} numberOfLines={4}>{card.name}</Text>
+                </View>
+              )}
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <View style={styles.row}>
+        {!game.kept ? (
+          <>
+            <TouchableOpacity
+              style={[styles.button, !canMulligan(game) && styles.buttonDisabled]}
+              onPress={handleMulligan}
+              disabled={!canMulligan(game)}
+            >
+              <Text style={styles.buttonText}>Mulligan</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.buttonPrimary, bottomKeys.length !== bottomCount && styles.buttonDisabled]}
+              onPress={handleKeep}
+              disabled={bottomKeys.length !== bottomCount}
+            >
+              <Text style={styles.buttonText}>Garder</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <>
+            <TouchableOpacity
+              style={[styles.button, game.library.length === 0 && styles.buttonDisabled]}
+              onPress={() => setGame(drawCards(game))}
+              disabled={game.library.length === 0}
+            >
+              <Text style={styles.buttonText}>Piocher</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.buttonPrimary]}
+              onPress={() => setGame(nextTurn(game))}
+            >
+              <Text style={styles.buttonText}>Tour suivant</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+
+      <Text style={styles.title}>Probabilités</Text>
+      <Text style={styles.hint}>
+        {SIMULATION_ITERATIONS.toLocaleString('fr-FR')} mains mélangées, sans mulligan
+      </Text>
+      <View style={styles.chips}>
+        {categories.map(type => {
+          const active = target.type === 'category' && target.code === type.code;
+          return (
+            <TouchableOpacity
+              key={type.code}
+              style={[styles.chip, active && styles.chipActive]}
+              onPress={() => changeTarget({ type: 'category', code: type.code })}
+            >
+              <Text style={[styles.chipText, active && styles.chipTextActive]}>{type.name}</Text>
+            </TouchableOpacity>
+          );
+        })}
+        <TouchableOpacity
+          style={[styles.chip, target.type === 'card' && styles.chipActive]}
+          onPress={() => setShowCardTargets(!showCardTargets)}
+        >
+          <Text style={[styles.chipText, target.type === 'card' && styles.chipTextActive]}>
+            {target.type === 'card' ? target.name : 'Carte…'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+      {showCardTargets && (
+        <ScrollView style={styles.cardTargets} nestedScrollEnabled>
+          {cardNames.map(name => (
+            <TouchableOpacity
+              key={name}
+              style={styles.cardTarget}
+              onPress={() => {
+                changeTarget({ type: 'card', name });
+                setShowCardTargets(false);
+              }}
+            >
+              <Text style={styles.cardTargetText}>{name}</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      <View style={styles.stepperRow}>
+        <Text style={styles.stepperLabel}>Au moins</Text>
+        <TouchableOpacity onPress={() => { setAtLeast(Math.max(1, atLeast - 1)); setResults(null); }}>
+          <Ionicons name="remove-circle-outline" size={24} color="#6B4FA2" />
+        </TouchableOpacity>
+        <Text style={styles.stepperValue}>{atLeast}</Text>
+        <TouchableOpacity onPress={() => { setAtLeast(Math.min(7, atLeast + 1)); setResults(null); }}>
+          <Ionicons name="add-circle-outline" size={24} color="#6B4FA2" />
+        </TouchableOpacity>
+        <Text style={[styles.stepperLabel, styles.stepperSpacer]}>Jusqu'au tour</Text>
+        <TouchableOpacity onPress={() => { setTurns(Math.max(1, turns - 1)); setResults(null); }}>
+          <Ionicons name="remove-circle-outline" size={24} color="#6B4FA2" />
+        </TouchableOpacity>
+        <Text style={styles.stepperValue}>{turns}</Text>
+        <TouchableOpacity onPress={() => { setTurns(Math.min(MAX_TURNS, turns + 1)); setResults(null); }}>
+          <Ionicons name="add-circle-outline" size={24} color="#6B4FA2" />
+        </TouchableOpacity>
+      </View>
+
+      <TouchableOpacity
+        style={[styles.button, styles.buttonPrimary, styles.runButton]}
+        onPress={runSimulation}
+        disabled={running}
+      >
+        {running ? (
+          <ActivityIndicator size="small" color="#FFF" />
+        ) : (
+          <Text style={styles.buttonText}>Lancer la simulation</Text>
+        )}
+      </TouchableOpacity>
+
+      {results && (
+        <>
+          <Text style={styles.resultTitle}>
+            {results.atLeast > 1 ? `Au moins ${results.atLeast} × ` : ''}{results.label}
+            {results.onThePlay ? ' (je commence)' : ' (je pioche)'}
+          </Text>
+          {results.draws.map(row => (
+            <View key={row.turn} style={styles.tableRow}>
+              <Text style={styles.tableLabel}>{row.turn === 0 ? 'Main de départ' : `Tour ${row.turn}`}</Text>
+              <Text style={styles.tableCards}>{row.cards} cartes vues</Text>
+              <Text style={styles.tableValue}>{formatPercent(row.probability)}</Text>
+            </View>
+          ))}
+
+          <Text style={styles.resultTitle}>Terrains dans la main de départ</Text>
+          {results.lands.map(row => (
+            <View key={row.lands} style={styles.tableRow}>
+              <Text style={styles.landsLabel}>{row.lands}</Text>
+              <View style={styles.barTrack}>
+                <View style={[styles.barFill, { width: `${landsMax > 0 ? (row.probability / landsMax) * 100 : 0}%` }]} />
+              </View>
+              <Text style={styles.tableValue}>{formatPercent(row.probability)}</Text>
+            </View>
+          ))}
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  empty: { color: '#666', fontSize: 13, textAlign: 'center', marginVertical: 24 },
+  title: { color: '#FFF', fontSize: 14, fontWeight: '600', marginTop: 16, marginBottom: 8 },
+  hint: { color: '#666', fontSize: 11, marginBottom: 8 },
+  status: { color: '#AAA', fontSize: 12, marginVertical: 8 },
+  row: { flexDirection: 'row', alignItems: 'center' },
+  chips: { flexDirection: 'row', flexWrap: 'wrap' },
+  chip: { backgroundColor: '#2A2A2A', borderRadius: 16, paddingHorizontal: 12, paddingVertical: 6, marginRight: 8, marginBottom: 8 },
+  chipActive: { backgroundColor: '#6B4FA2' },
+  chipText: { color: '#888', fontSize: 13 },
+  chipTextActive: { color: '#FFF', fontWeight: '600' },
+  iconButton: { backgroundColor: '#2A2A2A', borderRadius: 16, padding: 6, marginBottom: 8 },
+  commandZone: { backgroundColor: '#252525', borderRadius: 10, padding: 8, marginTop: 4 },
+  zoneLabel: { color: '#888', fontSize: 11, marginBottom: 6 },
+  commandCard: { width: 50, height: 70, borderRadius: 4, marginRight: 6 },
+  hand: { flexDirection: 'row', flexWrap: 'wrap' },
+  handCard: { width: 72, height: 100, borderRadius: 5, marginRight: 6, marginBottom: 6, borderWidth: 2, borderColor: 'transparent' },
+  handCardSelected: { borderColor: '#FF9800', opacity: 0.5 },
+  handCardText: { backgroundColor: '#2A2A2A', padding: 4, justifyContent: 'center' },
+  handCardName: { color: '#FFF', fontSize: 10, textAlign: 'center' },
+  button: { flex: 1, backgroundColor: '#2A2A2A', borderRadius: 8, paddingVertical: 10, alignItems: 'center', marginRight: 8, marginTop: 4 },
+  buttonPrimary: { backgroundColor: '#6B4FA2' },
+  buttonDisabled: { opacity: 0.4 },
+  buttonText: { color: '#FFF', fontSize: 14, fontWeight: '600' },
+  runButton: { marginRight: 0, marginTop: 8 },
+  cardTargets: { maxHeight: 180, backgroundColor: '#252525', borderRadius: 8, marginBottom: 8 },
+  cardTarget: { paddingVertical: 8, paddingHorizontal: 12, borderBottomWidth: 1, borderBottomColor: '#2A2A2A' },
+  cardTargetText: { color: '#FFF', fontSize: 13 },
+  stepperRow: { flexDirection: 'row', alignItems: 'center', marginTop: 4 },
+  stepperLabel: { color: '#CCC', fontSize: 13, marginRight: 6 },
+  stepperSpacer: { marginLeft: 16 },
+  stepperValue: { color: '#FFF', fontSize: 16, fontWeight: 'bold', width: 28, textAlign: 'center' },
+  resultTitle: { color: '#FFF', fontSize: 13, fontWeight: '600', marginTop: 16, marginBottom: 6 },
+  tableRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 5, borderBottomWidth: 1, borderBottomColor: '#2A2A2A' },
+  tableLabel: { color: '#CCC', fontSize: 13, flex: 1 },
+  tableCards: { color: '#666', fontSize: 11, marginRight: 12 },
+  tableValue: { color: '#FFF', fontSize: 13, width: 64, textAlign: 'right' },
+  landsLabel: { color: '#CCC', fontSize: 13, width: 20 },
+  barTrack: { flex: 1, height: 8, backgroundColor: '#2A2A2A', borderRadius: 4, overflow: 'hidden', marginHorizontal: 8 },
+  barFill: { height: 8, backgroundColor: '#6B4FA2', borderRadius: 4 },
+});
+
+export default DeckSimulator;
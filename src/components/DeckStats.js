@@ -0,0 +1,145 @@
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { MANA_COLORS, getDeckStats } from '../services/deckStats';
+
+const CURVE_HEIGHT = 90;
+
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 100) : 0);
+
+// Mana curve, pips against land sources, type split and land count of a deck.
+// Recomputed whenever the deck's cards change.
+const DeckStats = ({ deck }) => {
+  const stats = useMemo(() => getDeckStats(deck), [deck.cards]);
+
+  if (stats.totalCards === 0) {
+    return <Text style={styles.empty}>Ajoutez des cartes pour voir les statistiques</Text>;
+  }
+
+  const curveMax = Math.max(1, ...stats.curve.map(bucket => bucket.count));
+  const totalPips = MANA_COLORS.reduce((sum, c) => sum + stats.pips[c.code], 0);
+  const colors = MANA_COLORS.filter(c => stats.pips[c.code] > 0 || stats.sources[c.code] > 0);
+  const landGap = stats.recommendedLands - stats.landCount;
+
+  return (
+    <View>
+      <View style={styles.summaryRow}>
+        <View style={styles.summary}>
+          <Text style={styles.summaryValue}>{stats.averageCmc.toFixed(2)}</Text>
+          <Text style={styles.summaryLabel}>CMC moyen</Text>
+        </View>
+        <View style={styles.summary}>
+          <Text style={styles.summaryValue}>{stats.averageCmcNonLand.toFixed(2)}</Text>
+          <Text style={styles.summaryLabel}>Hors terrains</Text>
+        </View>
+        <View style={styles.summary}>
+          <Text style={styles.summaryValue}>
+            {stats.landCount}
+            <Text style={styles.summaryTarget}>/{stats.recommendedLands}</Text>
+          </Text>
+          <Text style={styles.summaryLabel}>Terrains / conseillés</Text>
+        </View>
+      </View>
+      {landGap !== 0 && (
+        <Text style={styles.hint}>
+          {landGap > 0
+            ? `Il manque environ ${landGap} terrain${landGap > 1 ? 's' : ''} pour cette courbe.`
+            : `Environ ${-landGap} terrain${landGap < -1 ? 's' : ''} de trop pour cette courbe.`}
+        </Text>
+      )}
+
+      <Text style={styles.title}>Courbe de mana</Text>
+      <View style={[styles.curve, { height: CURVE_HEIGHT + 16 }]}>
+        {stats.curve.map(bucket => (
+          <View key={bucket.label} style={styles.curveColumn}>
+            <Text style={styles.curveCount}>{bucket.count > 0 ? bucket.count : ''}</Text>
+            <View style={[styles.curveBar, { height: Math.max(2, (bucket.count / curveMax) * CURVE_HEIGHT) }]} />
+          </View>
+        ))}
+      </View>
+      <View style={styles.curveLabels}>
+        {stats.curve.map(bucket => (
+          <Text key={bucket.label} style={styles.curveLabel}>{bucket.label}</Text>
+        ))}
+      </View>
+
+      {colors.length > 0 && (
+        <>
+          <Text style={styles.title}>Symboles de mana / sources</Text>
+          {colors.map(color => (
+            <View key={color.code} style={styles.colorRow}>
+              <View style={[styles.colorDot, { backgroundColor: color.color }]} />
+              <View style={styles.colorBars}>
+                <View style={styles.barTrack}>
+                  <View style={[styles.barFill, {
+                    width: `${percent(stats.pips[color.code], totalPips)}%`,
+                    backgroundColor: color.color,
+                  }]} />
+                </View>
+                <View style={styles.barTrack}>
+                  <View style={[styles.barFill, styles.sourceFill, {
+                    width: `${percent(stats.sources[color.code], stats.landCount)}%`,
+                    backgroundColor: color.color,
+                  }]} />
+                </View>
+              </View>
+              <Text style={styles.colorText}>
+                {stats.pips[color.code]} ({percent(stats.pips[color.code], totalPips)} %){'\n'}
+                {stats.sources[color.code]} source{stats.sources[color.code] > 1 ? 's' : ''}
+              </Text>
+            </View>
+          ))}
+          <Text style={styles.legend}>Barre pleine : symboles dans les coûts · barre claire : terrains produisant la couleur</Text>
+        </>
+      )}
+
+      <Text style={styles.title}>Types</Text>
+      {stats.types.map(type => (
+        <View key={type.code} style={styles.typeRow}>
+          <Text style={styles.typeName}>{type.name}</Text>
+          <View style={[styles.barTrack, styles.typeTrack]}>
+            <View style={[styles.barFill, { width: `${percent(type.count, stats.totalCards)}%` }]} />
+          </View>
+          <Text style={styles.typeCount}>{type.count}</Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  empty: { color: '#666', fontSize: 13, textAlign: 'center', marginVertical: 24 },
+  title: { color: '#FFF', fontSize: 14, fontWeight: '600', marginTop: 16, marginBottom: 8 },
+  hint: { color: '#FF9800', fontSize: 12, marginTop: 8 },
+  summaryRow: { flexDirection: 'row' },
+  summary: {
+    flex: 1,
+    backgroundColor: '#2A2A2A',
+    borderRadius: 10,
+    padding: 10,
+    marginRight: 8,
+    alignItems: 'center',
+  },
+  summaryValue: { color: '#FFF', fontSize: 20, fontWeight: 'bold' },
+  summaryTarget: { color: '#888', fontSize: 14, fontWeight: 'normal' },
+  summaryLabel: { color: '#888', fontSize: 11, marginTop: 4, textAlign: 'center' },
+  curve: { flexDirection: 'row', alignItems: 'flex-end', borderBottomWidth: 1, borderBottomColor: '#3A3A3A' },
+  curveColumn: { flex: 1, alignItems: 'center', justifyContent: 'flex-end' },
+  curveCount: { color: '#AAA', fontSize: 11, marginBottom: 2 },
+  curveBar: { width: '70%', backgroundColor: '#6B4FA2', borderTopLeftRadius: 3, borderTopRightRadius: 3 },
+  curveLabels: { flexDirection: 'row', marginTop: 4 },
+  curveLabel: { flex: 1, color: '#888', fontSize: 11, textAlign: 'center' },
+  colorRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
+  colorDot: { width: 14, height: 14, borderRadius: 7, marginRight: 8 },
+  colorBars: { flex: 1 },
+  colorText: { color: '#AAA', fontSize: 11, width: 86, textAlign: 'right' },
+  barTrack: { height: 6, backgroundColor: '#2A2A2A', borderRadius: 3, marginVertical: 2, overflow: 'hidden' },
+  barFill: { height: 6, backgroundColor: '#6B4FA2', borderRadius: 3 },
+  sourceFill: { opacity: 0.5 },
+  legend: { color: '#666', fontSize: 11 },
+  typeRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 6 },
+  typeName: { color: '#CCC', fontSize: 13, width: 110 },
+  typeTrack: { flex: 1, marginHorizontal: 8 },
+  typeCount: { color: '#FFF', fontSize: 13, width: 28, textAlign: 'right' },
+});
+
+export default DeckStats;
@@ -0,0 +1,94 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+const COLOR_MAP = {
+  'W': '#F8E7B9',
+  'U': '#0E68AB',
+  'B': '#150B00',
+  'R': '#D3202A',
+  'G': '#00733E',
+  'C': '#CAC5C0',
+};
+
+const SYMBOL_PATTERN = /\{[^}]+\}/g;
+
+// One symbol such as {2}, {U}, {W/U} or {T}
+export const ManaSymbol = ({ symbol, size = 20 }) => {
+  const inner = symbol.replace(/[{}]/g, '');
+  const isNumeric = /^\d+$/.test(inner);
+  // Hybrid and phyrexian symbols take the colour of their first coloured half
+  const colorKey = inner.split('/').find(part => COLOR_MAP[part]);
+  const color = isNumeric ? '#CAC5C0' : COLOR_MAP[colorKey] || '#888';
+  const textColor = colorKey === 'B' ? '#FFF' : '#000';
+
+  return (
+    <View
+      style={[
+        styles.manaSymbol,
+        { width: size, height: size, borderRadius: size / 2, backgroundColor: color },
+      ]}
+    >
+      <Text style={[styles.manaText, { color: textColor, fontSize: size * 0.55 }]}>
+        {inner.length > 2 ? inner.replace('/', '') : inner}
+      </Text>
+    </View>
+  );
+};
+
+// Mana cost rendered as a row of symbols
+const ManaSymbols = ({ manaCost, size = 20, style }) => {
+  if (!manaCost) return null;
+
+  const symbols = manaCost.match(SYMBOL_PATTERN) || [];
+
+  return (
+    <View style={[styles.manaContainer, style]}>
+      {symbols.map((symbol, index) => (
+        <ManaSymbol key={index} symbol={symbol} size={size} />
+      ))}
+    </View>
+  );
+};
+
+// Rules text with its {X} symbols rendered inline
+export const ManaText = ({ text, style, symbolSize = 16 }) => {
+  if (!text) return null;
+
+  const parts = text.split(/(\{[^}]+\})/g).filter(Boolean);
+
+  return (
+    <Text style={style}>
+      {parts.map((part, index) =>
+        /^\{[^}]+\}$/.test(part) ? (
+          <View key={index} style={styles.inlineSymbol}>
+            <ManaSymbol symbol={part} size={symbolSize} />
+          </View>
+        ) : (
+          part
+        )
+      )}
+    </Text>
+  );
+};
+
+const styles = StyleSheet.create({
+  manaContainer: {
+    flexDirection: 'row',
+    marginVertical: 4,
+    flexWrap: 'wrap',
+  },
+  manaSymbol: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 2,
+    marginBottom: 2,
+  },
+  manaText: {
+    fontWeight: 'bold',
+  },
+  inlineSymbol: {
+    marginBottom: -3,
+  },
+});
+
+export default ManaSymbols;
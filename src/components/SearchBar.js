@@ -10,6 +10,7 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { getAutocomplete } from '../services/scryfallApi';
+import { isAbortError } from '../services/requestQueue';
 
 const SearchBar = ({ 
   onSearch, 
@@ -42,10 +43,12 @@ const SearchBar = ({
       
       debounceTimeout.current = setTimeout(async () => {
         try {
-          const result = await getAutocomplete(text);
+          // A newer keystroke aborts the previous autocomplete call
+          const result = await getAutocomplete(text, { supersede: 'autocomplete' });
           setSuggestions(result.data || []);
           setShowSuggestions(true);
         } catch (error) {
+          if (isAbortError(error)) return;
           console.error('Autocomplete error:', error);
           setSuggestions([]);
         }
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getTagLabel, normalizeTag } from '../services/cardTags';
+
+// Tags of a card: tap a tag to remove it, a suggestion to add it, or type a new one
+const TagEditor = ({ tags = [], onChange, suggestions = [] }) => {
+  const [text, setText] = useState('');
+
+  const addTag = (tag) => {
+    const normalized = normalizeTag(tag);
+    if (normalized && !tags.includes(normalized)) {
+      onChange([...tags, normalized]);
+    }
+    setText('');
+  };
+
+  const removeTag = (tag) => {
+    onChange(tags.filter(t => t !== tag));
+  };
+
+  const pending = suggestions.filter(tag => !tags.includes(tag));
+
+  return (
+    <View>
+      <View style={styles.tags}>
+        {tags.map(tag => (
+          <TouchableOpacity key={tag} style={styles.tag} onPress={() => removeTag(tag)}>
+            <Text style={styles.tagText}>{getTagLabel(tag)}</Text>
+            <Ionicons name="close" size={14} color="#FFF" />
+          </TouchableOpacity>
+        ))}
+        {pending.map(tag => (
+          <TouchableOpacity key={tag} style={styles.suggestion} onPress={() => addTag(tag)}>
+            <Ionicons name="add" size={14} color="#6B4FA2" />
+            <Text style={styles.suggestionText}>{getTagLabel(tag)}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <TextInput
+        style={styles.input}
+        value={text}
+        onChangeText={setText}
+        onSubmitEditing={() => addTag(text)}
+        placeholder="Nouveau tag (ex. : combo, finisher)"
+        placeholderTextColor="#666"
+        autoCapitalize="none"
+        returnKeyType="done"
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  tags: { flexDirection: 'row', flexWrap: 'wrap' },
+  tag: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#6B4FA2',
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  tagText: { color: '#FFF', fontSize: 12, marginRight: 4 },
+  suggestion: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#6B4FA2',
+    borderStyle: 'dashed',
+    borderRadius: 12,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  suggestionText: { color: '#6B4FA2', fontSize: 12, marginLeft: 2 },
+  input: {
+    backgroundColor: '#2A2A2A',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    color: '#FFF',
+    fontSize: 14,
+    marginTop: 4,
+  },
+});
+
+export default TagEditor;
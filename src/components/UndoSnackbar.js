@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Animated } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useCollection, OPERATION_TYPES } from '../context/CollectionContext';
+
+// How long the snackbar stays up
+const VISIBLE_MS = 5000;
+// Above the tab bar
+const BOTTOM_OFFSET = 72;
+
+// "Undo" bar shown after every destructive operation of the collection context
+const UndoSnackbar = () => {
+  const insets = useSafeAreaInsets();
+  const { lastOperation, undo } = useCollection();
+  const [operation, setOperation] = useState(null);
+  const opacity = useRef(new Animated.Value(0)).current;
+  const hideTimer = useRef(null);
+
+  const hide = () => {
+    clearTimeout(hideTimer.current);
+    Animated.timing(opacity, { toValue: 0, duration: 200, useNativeDriver: true })
+      .start(() => setOperation(null));
+  };
+
+  useEffect(() => {
+    if (!lastOperation || !OPERATION_TYPES[lastOperation.type]?.destructive) return;
+    setOperation(lastOperation);
+    Animated.timing(opacity, { toValue: 1, duration: 200, useNativeDriver: true }).start();
+    clearTimeout(hideTimer.current);
+    hideTimer.current = setTimeout(hide, VISIBLE_MS);
+  }, [lastOperation]);
+
+  useEffect(() => () => clearTimeout(hideTimer.current), []);
+
+  if (!operation) return null;
+
+  const handleUndo = async () => {
+    hide();
+    await undo();
+  };
+
+  return (
+    <Animated.View
+      style={[styles.container, { bottom: insets.bottom + BOTTOM_OFFSET, opacity }]}
+    >
+      <View style={styles.info}>
+        <Text style={styles.type}>{OPERATION_TYPES[operation.type].name}</Text>
+        <Text style={styles.description} numberOfLines={1}>{operation.description}</Text>
+      </View>
+      <TouchableOpacity style={styles.undoButton} onPress={handleUndo}>
+        <Ionicons name="arrow-undo" size={16} color="#B39DDB" />
+        <Text style={styles.undoText}>Annuler</Text>
+      </TouchableOpacity>
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2A2A2A',
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingLeft: 16,
+    paddingRight: 8,
+    elevation: 6,
+    shadowColor: '#000',
+    shadowOpacity: 0.4,
+    shadowRadius: 8,
+    shadowOffset: { width: 0, height: 2 },
+  },
+  info: {
+    flex: 1,
+    marginRight: 8,
+  },
+  type: {
+    color: '#AAA',
+    fontSize: 12,
+  },
+  description: {
+    color: '#FFF',
+    fontSize: 14,
+  },
+  undoButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  undoText: {
+    color: '#B39DDB',
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+});
+
+export default UndoSnackbar;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+// Last points shown, one bar per snapshot
+const MAX_POINTS = 60;
+
+const formatShortDate = (date) => {
+  const [, month, day] = date.split('-');
+  return `${day}/${month}`;
+};
+
+const ValueChart = ({
+  points = [],
+  height = 80,
+  formatValue = (value) => value.toFixed(2),
+  color = '#6B4FA2',
+}) => {
+  const visible = points.slice(-MAX_POINTS);
+
+  if (visible.length < 2) {
+    return (
+      <View style={[styles.empty, { height }]}>
+        <Text style={styles.emptyText}>
+          Not enough price history yet. Prices are recorded once a day.
+        </Text>
+      </View>
+    );
+  }
+
+  const values = visible.map(p => p.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min;
+
+  // Bars start at 10% so the lowest point stays visible
+  const barHeight = (value) => {
+    const ratio = range > 0 ? (value - min) / range : 1;
+    return Math.max(2, height * (0.1 + ratio * 0.9));
+  };
+
+  const first = visible[0];
+  const last = visible[visible.length - 1];
+  const trendColor = last.value >= first.value ? '#4CAF50' : '#F44336';
+
+  return (
+    <View>
+      <View style={styles.axisRow}>
+        <Text style={styles.axisText}>{formatValue(max)}</Text>
+      </View>
+      <View style={[styles.chart, { height }]}>
+        {visible.map((point, index) => (
+          <View
+            key={point.date}
+            style={[
+              styles.bar,
+              {
+                height: barHeight(point.value),
+                backgroundColor: index === visible.length - 1 ? trendColor : color,
+              },
+            ]}
+          />
+        ))}
+      </View>
+      <View style={styles.axisRow}>
+        <Text style={styles.axisText}>{formatValue(min)}</Text>
+      </View>
+      <View style={styles.dateRow}>
+        <Text style={styles.axisText}>{formatShortDate(first.date)}</Text>
+        <Text style={styles.axisText}>{formatShortDate(last.date)}</Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    borderBottomWidth: 1,
+    borderBottomColor: '#3A3A3A',
+  },
+  bar: {
+    flex: 1,
+    marginHorizontal: 1,
+    borderTopLeftRadius: 2,
+    borderTopRightRadius: 2,
+  },
+  axisRow: {
+    alignItems: 'flex-end',
+  },
+  axisText: {
+    color: '#666',
+    fontSize: 10,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  empty: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+  },
+  emptyText: {
+    color: '#666',
+    fontSize: 12,
+    textAlign: 'center',
+  },
+});
+
+export default ValueChart;
@@ -1,20 +1,85 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import {
   loadCollection,
-  saveCollection,
   addCardToCollection as addCard,
+  addCardsToCollection as addCards,
   removeCardFromCollection as removeCard,
   updateCardInCollection as updateCard,
+  splitCollectionEntry,
+  mergeCollectionEntries,
+  restoreCollectionEntries,
   loadDecks,
-  saveDecks,
   createDeck,
   updateDeck,
   deleteDeck,
   addCardToDeck,
+  removeCardFromDeck,
+  updateCardInDeck,
+  setDeckCardTags,
+  restoreDecks,
+  loadSettings,
+  saveSettings,
+  runMigrations,
+  DEFAULT_SETTINGS,
 } from '../services/storageService';
+import { filterCards } from '../services/cardQuery';
+import { scheduleAutoBackup } from '../services/backupService';
+import {
+  loadPriceHistory,
+  isPriceRefreshDue,
+  refreshCollectionPrices,
+  getValueSeries,
+  getBiggestMovers as findBiggestMovers,
+} from '../services/priceHistoryService';
+import { getTotalValue, formatPrice, formatCardPrice, getCardPriceValue } from '../services/priceService';
 
 const CollectionContext = createContext();
 
+// Patch the in-memory collection with { upserted, removed } from a storage write,
+// keeping entries in place and appending new stacks
+const applyCollectionChanges = (collection, { upserted = [], removed = [] }) => {
+  const updates = new Map(upserted.map(entry => [entry.id, entry]));
+  const removedIds = new Set(removed);
+  const next = collection
+    .filter(entry => !removedIds.has(entry.id))
+    .map(entry => {
+      const updated = updates.get(entry.id);
+      if (updated) updates.delete(entry.id);
+      return updated || entry;
+    });
+  return [...next, ...updates.values()];
+};
+
+// Operations kept for undo
+const MAX_HISTORY = 50;
+
+// Operations that lose data get an undo snackbar
+export const OPERATION_TYPES = {
+  add: { code: 'add', name: 'Ajout', icon: 'add-circle-outline', destructive: false },
+  remove: { code: 'remove', name: 'Retrait', icon: 'remove-circle-outline', destructive: true },
+  update: { code: 'update', name: 'Modification', icon: 'create-outline', destructive: true },
+  split: { code: 'split', name: 'Séparation', icon: 'git-branch-outline', destructive: false },
+  merge: { code: 'merge', name: 'Fusion', icon: 'git-merge-outline', destructive: true },
+  createDeck: { code: 'createDeck', name: 'Nouveau deck', icon: 'albums-outline', destructive: false },
+  updateDeck: { code: 'updateDeck', name: 'Deck modifié', icon: 'albums-outline', destructive: true },
+  deleteDeck: { code: 'deleteDeck', name: 'Deck supprimé', icon: 'trash-outline', destructive: true },
+  addToDeck: { code: 'addToDeck', name: 'Ajout au deck', icon: 'add-circle-outline', destructive: false },
+  removeFromDeck: { code: 'removeFromDeck', name: 'Retrait du deck', icon: 'remove-circle-outline', destructive: true },
+};
+
+// Stack states after a write, in the shape restoreCollectionEntries takes
+const getChangedStates = ({ upserted = [], removed = [] }) => [
+  ...upserted.map(entry => ({ id: entry.id, entry })),
+  ...removed.map(id => ({ id, entry: null })),
+];
+
+// Name of the first stack a write touched, for the activity list
+const getChangedName = ({ upserted = [], previous = [] }) => {
+  return upserted[0]?.name || previous.find(state => state.entry)?.entry.name || '';
+};
+
+let nextOperationId = 1;
+
 export const useCollection = () => {
   const context = useContext(CollectionContext);
   if (!context) {
@@ -28,35 +93,205 @@ export const CollectionProvider = ({ children }) => {
   const [decks, setDecks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [priceHistory, setPriceHistory] = useState(null);
+  const [refreshingPrices, setRefreshingPrices] = useState(false);
+  const refreshingPricesRef = useRef(false);
+  // Undo history: past is newest first, future holds undone operations.
+  // The ref is the source of truth so two quick taps never undo the same operation.
+  const historyRef = useRef({ past: [], future: [] });
+  const [history, setHistory] = useState(historyRef.current);
+  const [lastOperation, setLastOperation] = useState(null);
 
   // Load data on mount
   useEffect(() => {
-    loadData();
+    loadData().then(({ collection: loadedCollection, history }) => {
+      // Daily price refresh in the background
+      if (loadedCollection.length > 0 && isPriceRefreshDue(history)) {
+        refreshPrices();
+      }
+    });
   }, []);
 
+  // Local backup once the collection or decks change (throttled in the service)
+  useEffect(() => {
+    if (!loading) {
+      scheduleAutoBackup();
+    }
+  }, [collection, decks, loading]);
+
   const loadData = async () => {
     setLoading(true);
     try {
-      const [loadedCollection, loadedDecks] = await Promise.all([
+      // Stored data from older versions is upgraded before anything reads it
+      await runMigrations();
+      const [loadedCollection, loadedDecks, loadedHistory, loadedSettings] = await Promise.all([
         loadCollection(),
         loadDecks(),
+        loadPriceHistory(),
+        loadSettings(),
       ]);
       setCollection(loadedCollection);
       setDecks(loadedDecks);
+      setSettings(loadedSettings);
+      setPriceHistory(loadedHistory);
+      // The stored data may have been replaced wholesale (restore, import)
+      updateHistory({ past: [], future: [] });
       setError(null);
+      return { collection: loadedCollection, history: loadedHistory };
     } catch (err) {
       setError('Failed to load collection data');
       console.error(err);
+      return { collection: [], history: null };
     } finally {
       setLoading(false);
     }
   };
 
-  const addCardToCollection = useCallback(async (card, quantity = 1) => {
+  const updateHistory = (next) => {
+    historyRef.current = next;
+    setHistory(next);
+  };
+
+  // operation: { type, description, collection?: { before, after }, decks?: { before, after } }
+  // where before/after are the states restoreCollectionEntries / restoreDecks take
+  const recordOperation = (operation) => {
+    const recorded = {
+      ...operation,
+      id: nextOperationId++,
+      createdAt: new Date().toISOString(),
+    };
+    updateHistory({
+      past: [recorded, ...historyRef.current.past].slice(0, MAX_HISTORY),
+      future: [],
+    });
+    setLastOperation(recorded);
+  };
+
+  const recordCollectionChange = (type, description, changes) => {
+    if (!changes.previous || getChangedStates(changes).length === 0) return;
+    recordOperation({
+      type,
+      description,
+      collection: { before: changes.previous, after: getChangedStates(changes) },
+    });
+  };
+
+  const recordDeckChange = (type, description, before, after) => {
+    const id = (before || after).id;
+    recordOperation({
+      type,
+      description,
+      decks: { before: [{ id, deck: before }], after: [{ id, deck: after }] },
+    });
+  };
+
+  // Write one side ('before' or 'after') of an operation back to storage
+  const applyOperationSide = async (operation, side) => {
+    if (operation.collection) {
+      const changes = await restoreCollectionEntries(operation.collection[side]);
+      if (!changes) return false;
+      setCollection(prev => applyCollectionChanges(prev, changes));
+    }
+    if (operation.decks) {
+      const restoredDecks = await restoreDecks(operation.decks[side]);
+      if (!restoredDecks) return false;
+      setDecks(restoredDecks);
+    }
+    return true;
+  };
+
+  // Resolve with the undone operation, or null when there is nothing to undo
+  const undo = useCallback(async () => {
+    const { past, future } = historyRef.current;
+    const [operation, ...rest] = past;
+    if (!operation) return null;
+    updateHistory({ past: rest, future: [operation, ...future] });
+
+    const success = await applyOperationSide(operation, 'before');
+    if (!success) {
+      updateHistory({ past, future });
+      setError('Failed to undo');
+      return null;
+    }
+    return operation;
+  }, []);
+
+  const redo = useCallback(async () => {
+    const { past, future } = historyRef.current;
+    const [operation, ...rest] = future;
+    if (!operation) return null;
+    updateHistory({ past: [operation, ...past], future: rest });
+
+    const success = await applyOperationSide(operation, 'after');
+    if (!success) {
+      updateHistory({ past, future });
+      setError('Failed to redo');
+      return null;
+    }
+    return operation;
+  }, []);
+
+  const findStoredDeck = async (deckId) => {
+    const stored = await loadDecks();
+    return stored.find(d => d.id === deckId) || null;
+  };
+
+  // Re-fetch prices for every owned printing and record a snapshot
+  const refreshPrices = useCallback(async (onProgress) => {
+    if (refreshingPricesRef.current) return null;
+    refreshingPricesRef.current = true;
+    setRefreshingPrices(true);
     try {
-      const updatedCollection = await addCard(card, quantity);
-      if (updatedCollection) {
-        setCollection(updatedCollection);
+      const result = await refreshCollectionPrices(onProgress);
+      // Patch prices into the current state rather than replacing it, so
+      // stacks changed during the refresh keep their quantities
+      setCollection(prev => prev.map(entry => {
+        const prices = result.prices[entry.scryfallId || entry.id];
+        return prices ? { ...entry, prices, pricesUpdatedAt: result.pricesUpdatedAt } : entry;
+      }));
+      setPriceHistory(result.history);
+      return result;
+    } catch (err) {
+      console.error('Error refreshing prices:', err);
+      setError('Failed to refresh prices');
+      return null;
+    } finally {
+      refreshingPricesRef.current = false;
+      setRefreshingPrices(false);
+    }
+  }, []);
+
+  const updateSettings = useCallback(async (updates) => {
+    const updated = { ...(await loadSettings()), ...updates };
+    const success = await saveSettings(updated);
+    if (success) {
+      setSettings(updated);
+    }
+    return success;
+  }, []);
+
+  // Price helpers bound to the currency and exchange rates from the settings
+  const getPrice = useCallback((card) => {
+    return getCardPriceValue(card, settings.currency, settings.exchangeRates);
+  }, [settings]);
+
+  const formatCardPriceForSettings = useCallback((card) => {
+    return formatCardPrice(card, settings.currency, settings.exchangeRates);
+  }, [settings]);
+
+  const formatAmount = useCallback((value) => {
+    return formatPrice(value, settings.currency);
+  }, [settings]);
+
+  // options: { finish, condition, lang } of the stack receiving the copies,
+  // plus the ledger source (LEDGER_SOURCES) the copies come from
+  const addCardToCollection = useCallback(async (card, quantity = 1, options = {}) => {
+    try {
+      const changes = await addCard(card, quantity, options);
+      if (changes) {
+        setCollection(prev => applyCollectionChanges(prev, changes));
+        recordCollectionChange('add', `${quantity}x ${card.printed_name || card.name}`, changes);
         return true;
       }
       return false;
@@ -66,11 +301,12 @@ export const CollectionProvider = ({ children }) => {
     }
   }, []);
 
-  const removeCardFromCollection = useCallback(async (cardId, quantity = 1) => {
+  const removeCardFromCollection = useCallback(async (cardId, quantity = 1, source) => {
     try {
-      const updatedCollection = await removeCard(cardId, quantity);
-      if (updatedCollection) {
-        setCollection(updatedCollection);
+      const changes = await removeCard(cardId, quantity, source);
+      if (changes) {
+        setCollection(prev => applyCollectionChanges(prev, changes));
+        recordCollectionChange('remove', `${quantity}x ${getChangedName(changes)}`, changes);
         return true;
       }
       return false;
@@ -80,11 +316,12 @@ export const CollectionProvider = ({ children }) => {
     }
   }, []);
 
-  const updateCardInCollection = useCallback(async (cardId, updates) => {
+  const updateCardInCollection = useCallback(async (cardId, updates, source) => {
     try {
-      const updatedCollection = await updateCard(cardId, updates);
-      if (updatedCollection) {
-        setCollection(updatedCollection);
+      const changes = await updateCard(cardId, updates, source);
+      if (changes) {
+        setCollection(prev => applyCollectionChanges(prev, changes));
+        recordCollectionChange('update', getChangedName(changes), changes);
         return true;
       }
       return false;
@@ -94,59 +331,59 @@ export const CollectionProvider = ({ children }) => {
     }
   }, []);
 
-  const addCardsToCollection = useCallback(async (cards) => {
+  // cards: [{ card, quantity, options }], saved in one transaction
+  const addCardsToCollection = useCallback(async (cards, source) => {
     try {
-      let updatedCollection = [...collection];
-      
-      for (const { card, quantity } of cards) {
-        const existingIndex = updatedCollection.findIndex(
-          c => c.id === card.id || c.scryfallId === card.id
-        );
-        
-        if (existingIndex >= 0) {
-          updatedCollection[existingIndex].quantity += quantity;
-        } else {
-          updatedCollection.push({
-            id: card.id,
-            scryfallId: card.id,
-            name: card.name,
-            setCode: card.set,
-            setName: card.set_name,
-            collectorNumber: card.collector_number,
-            rarity: card.rarity,
-            colors: card.colors || [],
-            colorIdentity: card.color_identity || [],
-            manaCost: card.mana_cost,
-            cmc: card.cmc,
-            typeLine: card.type_line,
-            oracleText: card.oracle_text,
-            imageUrl: card.image_uris?.normal || card.card_faces?.[0]?.image_uris?.normal,
-            imageUrlSmall: card.image_uris?.small || card.card_faces?.[0]?.image_uris?.small,
-            prices: card.prices,
-            legalities: card.legalities,
-            quantity: quantity,
-            addedAt: new Date().toISOString(),
-            foil: false,
-            condition: 'NM',
-            notes: '',
-          });
-        }
+      const changes = await addCards(cards, source);
+      if (changes) {
+        setCollection(prev => applyCollectionChanges(prev, changes));
+        const copies = cards.reduce((sum, item) => sum + (item.quantity || 1), 0);
+        recordCollectionChange('add', `${copies} cartes`, changes);
+        return true;
       }
-      
-      await saveCollection(updatedCollection);
-      setCollection(updatedCollection);
-      return true;
+      return false;
     } catch (err) {
       setError('Failed to add cards');
       return false;
     }
-  }, [collection]);
+  }, []);
+
+  const splitEntry = useCallback(async (entryId, quantity, attributes) => {
+    try {
+      const changes = await splitCollectionEntry(entryId, quantity, attributes);
+      if (changes) {
+        setCollection(prev => applyCollectionChanges(prev, changes));
+        recordCollectionChange('split', `${quantity}x ${getChangedName(changes)}`, changes);
+        return true;
+      }
+      return false;
+    } catch (err) {
+      setError('Failed to split stack');
+      return false;
+    }
+  }, []);
+
+  const mergeEntries = useCallback(async (sourceId, targetId) => {
+    try {
+      const changes = await mergeCollectionEntries(sourceId, targetId);
+      if (changes) {
+        setCollection(prev => applyCollectionChanges(prev, changes));
+        recordCollectionChange('merge', getChangedName(changes), changes);
+        return true;
+      }
+      return false;
+    } catch (err) {
+      setError('Failed to merge stacks');
+      return false;
+    }
+  }, []);
 
   const createNewDeck = useCallback(async (deckData) => {
     try {
       const newDeck = await createDeck(deckData);
       if (newDeck) {
         setDecks(prev => [...prev, newDeck]);
+        recordDeckChange('createDeck', newDeck.name, null, newDeck);
         return newDeck;
       }
       return null;
@@ -158,9 +395,11 @@ export const CollectionProvider = ({ children }) => {
 
   const updateExistingDeck = useCallback(async (deckId, updates) => {
     try {
+      const before = await findStoredDeck(deckId);
       const updatedDeck = await updateDeck(deckId, updates);
       if (updatedDeck) {
         setDecks(prev => prev.map(d => d.id === deckId ? updatedDeck : d));
+        recordDeckChange('updateDeck', updatedDeck.name, before, updatedDeck);
         return updatedDeck;
       }
       return null;
@@ -172,9 +411,11 @@ export const CollectionProvider = ({ children }) => {
 
   const deleteExistingDeck = useCallback(async (deckId) => {
     try {
+      const before = await findStoredDeck(deckId);
       const success = await deleteDeck(deckId);
       if (success) {
         setDecks(prev => prev.filter(d => d.id !== deckId));
+        if (before) recordDeckChange('deleteDeck', before.name, before, null);
         return true;
       }
       return false;
@@ -186,9 +427,11 @@ export const CollectionProvider = ({ children }) => {
 
   const addCardToExistingDeck = useCallback(async (deckId, card, quantity = 1) => {
     try {
+      const before = await findStoredDeck(deckId);
       const updatedDeck = await addCardToDeck(deckId, card, quantity);
       if (updatedDeck) {
         setDecks(prev => prev.map(d => d.id === deckId ? updatedDeck : d));
+        recordDeckChange('addToDeck', `${quantity}x ${card.name} · ${updatedDeck.name}`, before, updatedDeck);
         return updatedDeck;
       }
       return null;
@@ -198,13 +441,65 @@ export const CollectionProvider = ({ children }) => {
     }
   }, []);
 
+  const removeCardFromExistingDeck = useCallback(async (deckId, card, quantity = 1) => {
+    try {
+      const before = await findStoredDeck(deckId);
+      const updatedDeck = await removeCardFromDeck(deckId, card.id, quantity);
+      if (updatedDeck) {
+        setDecks(prev => prev.map(d => d.id === deckId ? updatedDeck : d));
+        recordDeckChange('removeFromDeck', `${quantity}x ${card.name} · ${updatedDeck.name}`, before, updatedDeck);
+        return updatedDeck;
+      }
+      return null;
+    } catch (err) {
+      setError('Failed to remove card from deck');
+      return null;
+    }
+  }, []);
+
+  // A quantity of 0 removes the card
+  const updateCardInExistingDeck = useCallback(async (deckId, card, quantity) => {
+    try {
+      const before = await findStoredDeck(deckId);
+      const updatedDeck = await updateCardInDeck(deckId, card.id, quantity);
+      if (updatedDeck) {
+        setDecks(prev => prev.map(d => d.id === deckId ? updatedDeck : d));
+        recordDeckChange(
+          quantity > 0 ? 'updateDeck' : 'removeFromDeck',
+          `${card.name} : ${card.quantity} → ${quantity} · ${updatedDeck.name}`,
+          before,
+          updatedDeck
+        );
+        return updatedDeck;
+      }
+      return null;
+    } catch (err) {
+      setError('Failed to update card in deck');
+      return null;
+    }
+  }, []);
+
+  // tagsByCardId: { cardId: [tags] }; description names the change in the activity list
+  const tagCardsInExistingDeck = useCallback(async (deckId, tagsByCardId, description) => {
+    try {
+      const before = await findStoredDeck(deckId);
+      const updatedDeck = await setDeckCardTags(deckId, tagsByCardId);
+      if (updatedDeck) {
+        setDecks(prev => prev.map(d => d.id === deckId ? updatedDeck : d));
+        recordDeckChange('updateDeck', `${description} · ${updatedDeck.name}`, before, updatedDeck);
+        return updatedDeck;
+      }
+      return null;
+    } catch (err) {
+      setError('Failed to tag deck cards');
+      return null;
+    }
+  }, []);
+
   const getCollectionStats = useCallback(() => {
     const totalCards = collection.reduce((sum, c) => sum + c.quantity, 0);
     const uniqueCards = collection.length;
-    const totalValue = collection.reduce((sum, c) => {
-      const price = parseFloat(c.prices?.usd || 0);
-      return sum + (price * c.quantity);
-    }, 0);
+    const totalValue = getTotalValue(collection, settings.currency, settings.exchangeRates);
     
     const byColor = {};
     const byRarity = {};
@@ -234,23 +529,19 @@ export const CollectionProvider = ({ children }) => {
       totalCards,
       uniqueCards,
       totalValue: totalValue.toFixed(2),
+      currency: settings.currency,
       byColor,
       byRarity,
       bySet,
     };
-  }, [collection]);
+  }, [collection, settings]);
 
   const searchCollection = useCallback((query, filters = {}) => {
     let results = [...collection];
     
-    // Text search
+    // Scryfall-style query (t:instant c<=u cmc<=2, OR, -, parentheses)
     if (query) {
-      const lowerQuery = query.toLowerCase();
-      results = results.filter(card => 
-        card.name?.toLowerCase().includes(lowerQuery) ||
-        card.typeLine?.toLowerCase().includes(lowerQuery) ||
-        card.oracleText?.toLowerCase().includes(lowerQuery)
-      );
+      results = filterCards(results, query);
     }
     
     // Filter by color
@@ -282,33 +573,76 @@ export const CollectionProvider = ({ children }) => {
     return results;
   }, [collection]);
 
-  const isCardInCollection = useCallback((cardId) => {
-    return collection.some(c => c.id === cardId || c.scryfallId === cardId);
+  // By printing, stack or card name (lists such as EDHREC's only give names)
+  const isCardInCollection = useCallback((cardIdOrName) => {
+    return collection.some(c => c.id === cardIdOrName || c.scryfallId === cardIdOrName || c.name === cardIdOrName);
   }, [collection]);
 
+  // Copies owned across every stack of a printing (or of one stack, given its id)
   const getCardQuantity = useCallback((cardId) => {
-    const card = collection.find(c => c.id === cardId || c.scryfallId === cardId);
-    return card?.quantity || 0;
+    return collection
+      .filter(c => c.id === cardId || c.scryfallId === cardId)
+      .reduce((sum, c) => sum + (c.quantity || 0), 0);
   }, [collection]);
 
+  // All stacks of a printing
+  const getCardStacks = useCallback((scryfallId) => {
+    return collection.filter(c => c.scryfallId === scryfallId);
+  }, [collection]);
+
+  const getCollectionValueHistory = useCallback((currency = settings.currency) => {
+    return getValueSeries(priceHistory, currency);
+  }, [priceHistory, settings]);
+
+  const getBiggestMovers = useCallback((options = {}) => {
+    return findBiggestMovers(priceHistory, collection, {
+      currency: settings.currency,
+      exchangeRates: settings.exchangeRates,
+      ...options,
+    });
+  }, [priceHistory, collection, settings]);
+
   const value = {
     collection,
     decks,
     loading,
     error,
+    settings,
+    priceHistory,
+    refreshingPrices,
     refresh: loadData,
+    updateSettings,
+    getPrice,
+    formatCardPrice: formatCardPriceForSettings,
+    formatAmount,
+    refreshPrices,
+    getCollectionValueHistory,
+    getBiggestMovers,
     addCardToCollection,
     removeCardFromCollection,
     updateCardInCollection,
     addCardsToCollection,
+    splitEntry,
+    mergeEntries,
     createNewDeck,
     updateExistingDeck,
     deleteExistingDeck,
     addCardToExistingDeck,
+    removeCardFromExistingDeck,
+    updateCardInExistingDeck,
+    tagCardsInExistingDeck,
+    activity: history.past,
+    undoneActivity: history.future,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    lastOperation,
+    undo,
+    redo,
     getCollectionStats,
     searchCollection,
     isCardInCollection,
     getCardQuantity,
+    getCardStacks,
   };
 
   return (
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  SectionList,
+  Alert,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useCollection, OPERATION_TYPES } from '../context/CollectionContext';
+
+const formatTime = (date) => new Date(date).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+
+// Recent collection and deck operations of this session, with undo and redo.
+// Undone operations stay listed until a new operation replaces them.
+const ActivityScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const { activity, undoneActivity, canUndo, canRedo, undo, redo } = useCollection();
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action, count = 1) => {
+    setBusy(true);
+    for (let i = 0; i < count; i++) {
+      if (!(await action())) {
+        Alert.alert('Erreur', 'Impossible d\'appliquer ce changement');
+        break;
+      }
+    }
+    setBusy(false);
+  };
+
+  // Undo everything down to this operation, or redo everything up to it
+  const handlePress = (operation, undone) => {
+    const list = undone ? undoneActivity : activity;
+    const count = list.findIndex(op => op.id === operation.id) + 1;
+    const verb = undone ? 'Rétablir' : 'Annuler';
+    if (count === 1) {
+      run(undone ? redo : undo);
+      return;
+    }
+    Alert.alert(
+      `${verb} ${count} opérations`,
+      `${verb} jusqu'à « ${operation.description} » ?`,
+      [
+        { text: 'Non', style: 'cancel' },
+        { text: verb, onPress: () => run(undone ? redo : undo, count) },
+      ]
+    );
+  };
+
+  // Newest first: undone operations are the most recent ones
+  const sections = [
+    { title: 'Annulées', undone: true, data: [...undoneActivity].reverse() },
+    { title: 'Récentes', undone: false, data: activity },
+  ].filter(section => section.data.length > 0);
+
+  const renderItem = ({ item, section }) => {
+    const type = OPERATION_TYPES[item.type] || {};
+    return (
+      <TouchableOpacity
+        style={[styles.row, section.undone && styles.rowUndone]}
+        onPress={() => handlePress(item, section.undone)}
+        disabled={busy}
+      >
+        <Ionicons name={type.icon || 'ellipse-outline'} size={20} color={section.undone ? '#666' : '#6B4FA2'} />
+        <View style={styles.rowInfo}>
+          <Text style={[styles.rowTitle, section.undone && styles.textUndone]} numberOfLines={1}>
+            {item.description}
+          </Text>
+          <Text style={styles.rowMeta}>{type.name} · {formatTime(item.createdAt)}</Text>
+        </View>
+        <Ionicons name={section.undone ? 'arrow-redo' : 'arrow-undo'} size={18} color="#666" />
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top, paddingBottom: insets.bottom }]}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#FFF" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Activité</Text>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.navigate('Ledger')}>
+          <Ionicons name="journal-outline" size={24} color="#FFF" />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => run(undo)}
+          disabled={!canUndo || busy}
+        >
+          <Ionicons name="arrow-undo" size={24} color={canUndo ? '#FFF' : '#444'} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => run(redo)}
+          disabled={!canRedo || busy}
+        >
+          <Ionicons name="arrow-redo" size={24} color={canRedo ? '#FFF' : '#444'} />
+        </TouchableOpacity>
+      </View>
+
+      <SectionList
+        sections={sections}
+        keyExtractor={item => String(item.id)}
+        renderItem={renderItem}
+        renderSectionHeader={({ section }) => (
+          <Text style={styles.sectionTitle}>{section.title}</Text>
+        )}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Ionicons name="time-outline" size={64} color="#444" />
+            <Text style={styles.emptyText}>Aucune opération depuis l'ouverture de l'app</Text>
+          </View>
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#121212',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 16,
+    paddingBottom: 8,
+  },
+  backButton: {
+    padding: 4,
+    marginRight: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#FFF',
+  },
+  headerButton: {
+    padding: 4,
+    marginLeft: 12,
+  },
+  list: {
+    paddingHorizontal: 16,
+    paddingBottom: 40,
+  },
+  sectionTitle: {
+    color: '#888',
+    fontSize: 13,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1E1E1E',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  rowUndone: {
+    backgroundColor: '#181818',
+  },
+  rowInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  rowTitle: {
+    color: '#FFF',
+    fontSize: 14,
+  },
+  textUndone: {
+    color: '#777',
+    textDecorationLine: 'line-through',
+  },
+  rowMeta: {
+    color: '#888',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    marginTop: 80,
+  },
+  emptyText: {
+    color: '#666',
+    fontSize: 14,
+    marginTop: 12,
+  },
+});
+
+export default ActivityScreen;
@@ -0,0 +1,917 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Image,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+  Dimensions,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useCollection } from '../context/CollectionContext';
+import ManaSymbols, { ManaText } from '../components/ManaSymbols';
+import TagEditor from '../components/TagEditor';
+import {
+  LANGUAGES,
+  getCardById,
+  getCardRulings,
+  getCardPrintings,
+} from '../services/scryfallApi';
+import { buildEntryId, CONDITIONS, FINISHES } from '../services/storageService';
+import { getDeckCommanders, getOffIdentityColors } from '../services/commanderRules';
+import { getDeckFormat } from '../services/deckValidator';
+import { suggestTags } from '../services/cardTags';
+
+const { width: screenWidth } = Dimensions.get('window');
+
+const LEGALITY_FORMATS = [
+  { id: 'standard', name: 'Standard' },
+  { id: 'pioneer', name: 'Pioneer' },
+  { id: 'modern', name: 'Modern' },
+  { id: 'legacy', name: 'Legacy' },
+  { id: 'vintage', name: 'Vintage' },
+  { id: 'commander', name: 'Commander' },
+  { id: 'brawl', name: 'Brawl' },
+  { id: 'pauper', name: 'Pauper' },
+  { id: 'historic', name: 'Historic' },
+  { id: 'timeless', name: 'Timeless' },
+  { id: 'oathbreaker', name: 'Oathbreaker' },
+  { id: 'penny', name: 'Penny' },
+];
+
+const LEGALITY_STYLES = {
+  legal: { label: 'Légal', color: '#4CAF50' },
+  restricted: { label: 'Restreint', color: '#FF9800' },
+  banned: { label: 'Banni', color: '#F44336' },
+  not_legal: { label: 'Non légal', color: '#555' },
+};
+
+// Faces of a Scryfall card; single-faced cards have one face: the card itself
+const getFaces = (card) => {
+  if (card.card_faces?.length > 1) {
+    return card.card_faces.map(face => ({
+      ...face,
+      image_uris: face.image_uris || card.image_uris,
+    }));
+  }
+  return [card];
+};
+
+// "Foil · LP · FR"
+const describeStack = (stack) => {
+  const finish = FINISHES.find(f => f.code === (stack.finish || 'nonfoil'));
+  return [finish?.name, stack.condition || 'NM', (stack.lang || 'en').toUpperCase()].join(' · ');
+};
+
+const CardDetailScreen = ({ route, navigation }) => {
+  const insets = useSafeAreaInsets();
+  const { card: initialCard } = route.params;
+  const {
+    collection,
+    decks,
+    addCardToExistingDeck,
+    updateCardInCollection,
+    splitEntry,
+    mergeEntries,
+    getCardStacks,
+    formatCardPrice,
+  } = useCollection();
+
+  const scryfallId = initialCard.scryfallId || initialCard.id;
+
+  // Latest version of the collection entry, the params may be stale after an edit
+  const entry = useMemo(
+    () => collection.find(c => c.id === initialCard.id) ||
+      collection.find(c => c.scryfallId === scryfallId),
+    [collection, initialCard.id, scryfallId]
+  );
+
+  // Collection entries only keep a subset of the card: fetch the full object
+  const [card, setCard] = useState(initialCard.oracle_id ? initialCard : null);
+  const [printings, setPrintings] = useState([]);
+  const [rulings, setRulings] = useState([]);
+  const [showDeckPicker, setShowDeckPicker] = useState(false);
+  const [loadingCard, setLoadingCard] = useState(!initialCard.oracle_id);
+  const [loadingPrintings, setLoadingPrintings] = useState(true);
+  const [loadingRulings, setLoadingRulings] = useState(true);
+
+  // Editable fields of the current stack
+  const [finish, setFinish] = useState(entry?.finish || 'nonfoil');
+  const [condition, setCondition] = useState(entry?.condition || 'NM');
+  const [lang, setLang] = useState(entry?.lang || initialCard.lang || 'en');
+  const [notes, setNotes] = useState(entry?.notes || '');
+  const [tags, setTags] = useState(entry?.tags || []);
+  // Copies the changes apply to: fewer than the stack splits it
+  const [applyCount, setApplyCount] = useState(entry?.quantity || 1);
+  const [saving, setSaving] = useState(false);
+
+  // Reset the form when another stack is shown
+  useEffect(() => {
+    if (!entry) return;
+    setFinish(entry.finish || 'nonfoil');
+    setCondition(entry.condition || 'NM');
+    setLang(entry.lang || 'en');
+    setNotes(entry.notes || '');
+    setTags(entry.tags || []);
+    setApplyCount(entry.quantity);
+  }, [entry?.id, entry?.quantity]);
+
+  useEffect(() => {
+    if (!card) {
+      getCardById(scryfallId)
+        .then(setCard)
+        .catch(error => {
+          console.error('Error loading card:', error);
+        })
+        .finally(() => setLoadingCard(false));
+    }
+
+    getCardRulings(scryfallId)
+      .then(setRulings)
+      .catch(error => {
+        console.error('Error loading rulings:', error);
+      })
+      .finally(() => setLoadingRulings(false));
+  }, [scryfallId]);
+
+  useEffect(() => {
+    if (!card?.oracle_id) {
+      if (!loadingCard) setLoadingPrintings(false);
+      return;
+    }
+    getCardPrintings(card.oracle_id)
+      .then(setPrintings)
+      .catch(error => {
+        console.error('Error loading printings:', error);
+      })
+      .finally(() => setLoadingPrintings(false));
+  }, [card?.oracle_id, loadingCard]);
+
+  const displayCard = card || initialCard;
+  const name = displayCard.name || initialCard.name;
+  const legalities = displayCard.legalities || initialCard.legalities || {};
+
+  // Owned copies per printing
+  const ownedByPrinting = useMemo(() => {
+    const owned = {};
+    for (const c of collection) {
+      const id = c.scryfallId || c.id;
+      owned[id] = (owned[id] || 0) + (c.quantity || 0);
+    }
+    return owned;
+  }, [collection]);
+
+  const totalOwned = printings.length > 0
+    ? printings.reduce((sum, p) => sum + (ownedByPrinting[p.id] || 0), 0)
+    : ownedByPrinting[scryfallId] || 0;
+
+  // Decks with this card in the main deck or as commander
+  const decksUsingCard = useMemo(() => {
+    return decks
+      .map(deck => {
+        const inDeck = (deck.cards || []).filter(c => c.name === name);
+        const quantity = inDeck.reduce((sum, c) => sum + (c.quantity || 1), 0);
+        const isCommander = getDeckCommanders(deck).some(c => c.name === name);
+        return { deck, quantity, isCommander };
+      })
+      .filter(d => d.quantity > 0 || d.isCommander);
+  }, [decks, name]);
+
+  const stacks = entry ? getCardStacks(entry.scryfallId) : [];
+
+  // Only the finishes this printing exists in
+  const finishes = card?.finishes?.length
+    ? FINISHES.filter(f => card.finishes.includes(f.code) || f.code === entry?.finish)
+    : FINISHES;
+
+  const hasChanges = entry && (
+    finish !== (entry.finish || 'nonfoil') ||
+    condition !== (entry.condition || 'NM') ||
+    lang !== (entry.lang || 'en') ||
+    notes !== (entry.notes || '') ||
+    tags.join('|') !== (entry.tags || []).join('|')
+  );
+
+  const isSplit = applyCount < entry?.quantity;
+
+  const showStack = (stack) => {
+    navigation.setParams({ card: stack });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const attributes = { finish, condition, lang };
+    const targetId = buildEntryId({ scryfallId: entry.scryfallId, ...attributes });
+    const success = isSplit
+      ? await splitEntry(entry.id, applyCount, { ...attributes, notes, tags })
+      : await updateCardInCollection(entry.id, { ...attributes, notes, tags });
+    setSaving(false);
+    if (!success) {
+      Alert.alert('Erreur', 'Impossible d\'enregistrer les modifications');
+    } else if (!isSplit) {
+      // The stack id follows its attributes
+      showStack({ ...entry, id: targetId });
+    }
+  };
+
+  const handleMerge = (stack) => {
+    Alert.alert(
+      'Fusionner',
+      `Ajouter ${stack.quantity} exemplaire${stack.quantity > 1 ? 's' : ''} (${describeStack(stack)}) à cette pile ?`,
+      [
+        { text: 'Annuler', style: 'cancel' },
+        { text: 'Fusionner', onPress: () => mergeEntries(stack.id, entry.id) },
+      ]
+    );
+  };
+
+  const renderFace = (face, index) => {
+    const imageUrl = face.image_uris?.normal || face.image_uris?.large;
+    return (
+      <View key={index} style={styles.face}>
+        {imageUrl ? (
+          <Image source={{ uri: imageUrl }} style={styles.faceImage} resizeMode="contain" />
+        ) : (
+          <View style={[styles.faceImage, styles.placeholderImage]}>
+            <Ionicons name="image-outline" size={48} color="#666" />
+          </View>
+        )}
+        <View style={styles.faceHeader}>
+          <Text style={styles.faceName}>{face.printed_name || face.name}</Text>
+          <ManaSymbols manaCost={face.mana_cost ?? face.manaCost} />
+        </View>
+        {face.printed_name && face.printed_name !== face.name && (
+          <Text style={styles.faceNameOriginal}>({face.name})</Text>
+        )}
+        <Text style={styles.faceType}>{face.printed_type_line || face.type_line || face.typeLine}</Text>
+        <ManaText
+          style={styles.oracleText}
+          text={face.oracle_text ?? face.oracleText}
+        />
+        {face.flavor_text && (
+          <Text style={styles.flavorText}>{face.flavor_text}</Text>
+        )}
+        {(face.power || face.loyalty) && (
+          <Text style={styles.stats}>
+            {face.power ? `${face.power}/${face.toughness}` : `Loyauté : ${face.loyalty}`}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderLegalities = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Légalités</Text>
+      <View style={styles.legalityGrid}>
+        {LEGALITY_FORMATS.filter(f => legalities[f.id]).map(format => {
+          const status = LEGALITY_STYLES[legalities[format.id]] || LEGALITY_STYLES.not_legal;
+          return (
+            <View key={format.id} style={styles.legalityItem}>
+              <View style={[styles.legalityBadge, { backgroundColor: status.color }]}>
+                <Text style={styles.legalityBadgeText}>{status.label}</Text>
+              </View>
+              <Text style={styles.legalityFormat}>{format.name}</Text>
+            </View>
+          );
+        })}
+      </View>
+    </View>
+  );
+
+  const renderPrintings = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>
+        Impressions {printings.length > 0 && `(${printings.length})`} · {totalOwned} possédée{totalOwned > 1 ? 's' : ''}
+      </Text>
+      {loadingPrintings ? (
+        <ActivityIndicator color="#6B4FA2" />
+      ) : printings.length === 0 ? (
+        <Text style={styles.emptyText}>Impressions indisponibles hors ligne</Text>
+      ) : (
+        printings.map(printing => {
+          const owned = ownedByPrinting[printing.id] || 0;
+          const isCurrent = printing.id === scryfallId;
+          return (
+            <View key={printing.id} style={[styles.printingRow, isCurrent && styles.printingRowCurrent]}>
+              <Text style={styles.printingSet} numberOfLines={1}>
+                {printing.set_name}
+              </Text>
+              <Text style={styles.printingCode}>
+                {printing.set?.toUpperCase()} #{printing.collector_number}
+              </Text>
+              <Text style={styles.printingPrice}>{formatCardPrice(printing) || '—'}</Text>
+              <View style={[styles.ownedBadge, owned === 0 && styles.ownedBadgeEmpty]}>
+                <Text style={styles.ownedBadgeText}>{owned}</Text>
+              </View>
+            </View>
+          );
+        })
+      )}
+    </View>
+  );
+
+  const renderRulings = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Règles</Text>
+      {loadingRulings ? (
+        <ActivityIndicator color="#6B4FA2" />
+      ) : rulings.length === 0 ? (
+        <Text style={styles.emptyText}>Aucune règle particulière</Text>
+      ) : (
+        rulings.map((ruling, index) => (
+          <View key={index} style={styles.ruling}>
+            <Text style={styles.rulingDate}>
+              {new Date(ruling.published_at).toLocaleDateString('fr-FR')}
+            </Text>
+            <ManaText style={styles.rulingText} text={ruling.comment} />
+          </View>
+        ))
+      )}
+    </View>
+  );
+
+  const addToDeck = async (deck) => {
+    const updated = await addCardToExistingDeck(deck.id, entry || displayCard, 1);
+    if (updated) {
+      setShowDeckPicker(false);
+    } else {
+      Alert.alert('Erreur', 'Impossible d\'ajouter la carte au deck');
+    }
+  };
+
+  // Commander decks only take cards within their commanders' color identity
+  const handleAddToDeck = (deck) => {
+    const offColors = getDeckFormat(deck.format).commander
+      ? getOffIdentityColors(deck, entry || displayCard)
+      : [];
+    if (offColors.length === 0) {
+      addToDeck(deck);
+      return;
+    }
+    Alert.alert(
+      'Hors identité couleur',
+      `${name} (${offColors.join('')}) sort de l'identité couleur du commandant de « ${deck.name} ». Le deck ne sera pas légal.`,
+      [
+        { text: 'Annuler', style: 'cancel' },
+        { text: 'Ajouter quand même', style: 'destructive', onPress: () => addToDeck(deck) },
+      ]
+    );
+  };
+
+  const renderDecks = () => (
+    <View style={styles.section}>
+      <View style={styles.sectionHeader}>
+        <Text style={styles.sectionTitle}>Decks</Text>
+        {decks.length > 0 && (
+          <TouchableOpacity onPress={() => setShowDeckPicker(!showDeckPicker)}>
+            <Ionicons name={showDeckPicker ? 'close' : 'add-circle-outline'} size={22} color="#6B4FA2" />
+          </TouchableOpacity>
+        )}
+      </View>
+      {showDeckPicker && (
+        <View style={styles.deckPicker}>
+          <Text style={styles.fieldLabel}>Ajouter un exemplaire à :</Text>
+          {decks.map(deck => {
+            const offIdentity = getDeckFormat(deck.format).commander &&
+              getOffIdentityColors(deck, entry || displayCard).length > 0;
+            return (
+              <TouchableOpacity key={deck.id} style={styles.deckRow} onPress={() => handleAddToDeck(deck)}>
+                <Ionicons name="add" size={16} color="#6B4FA2" />
+                <Text style={styles.deckName} numberOfLines={1}>{deck.name}</Text>
+                {offIdentity && <Ionicons name="warning-outline" size={16} color="#FF9800" />}
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
+      {decksUsingCard.length === 0 ? (
+        <Text style={styles.emptyText}>Cette carte n'est dans aucun deck</Text>
+      ) : (
+        decksUsingCard.map(({ deck, quantity, isCommander }) => (
+          <View key={deck.id} style={styles.deckRow}>
+            <Ionicons name={isCommander ? 'star' : 'layers'} size={16} color="#6B4FA2" />
+            <Text style={styles.deckName} numberOfLines={1}>{deck.name}</Text>
+            <Text style={styles.deckQuantity}>
+              {isCommander ? 'Commandant' : `${quantity}x`}
+            </Text>
+          </View>
+        ))
+      )}
+    </View>
+  );
+
+  const renderCopyEditor = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>
+        Ma pile · {entry.quantity}x · {describeStack(entry)}
+      </Text>
+
+      <Text style={styles.fieldLabel}>Finition</Text>
+      <View style={styles.chipRow}>
+        {finishes.map(f => (
+          <TouchableOpacity
+            key={f.code}
+            style={[styles.chip, finish === f.code && styles.chipActive]}
+            onPress={() => setFinish(f.code)}
+          >
+            <Text style={[styles.chipText, finish === f.code && styles.chipTextActive]}>
+              {f.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Text style={styles.fieldLabel}>État</Text>
+      <View style={styles.chipRow}>
+        {CONDITIONS.map(c => (
+          <TouchableOpacity
+            key={c.code}
+            style={[styles.chip, condition === c.code && styles.chipActive]}
+            onPress={() => setCondition(c.code)}
+          >
+            <Text style={[styles.chipText, condition === c.code && styles.chipTextActive]}>
+              {c.code}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Text style={styles.fieldLabel}>Langue</Text>
+      <View style={styles.chipRow}>
+        {Object.values(LANGUAGES).map(l => (
+          <TouchableOpacity
+            key={l.code}
+            style={[styles.chip, lang === l.code && styles.chipActive]}
+            onPress={() => setLang(l.code)}
+          >
+            <Text style={[styles.chipText, lang === l.code && styles.chipTextActive]}>
+              {l.flag} {l.code.toUpperCase()}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Text style={styles.fieldLabel}>Notes</Text>
+      <TextInput
+        style={styles.notesInput}
+        value={notes}
+        onChangeText={setNotes}
+        placeholder="Emplacement, provenance..."
+        placeholderTextColor="#666"
+        multiline
+      />
+
+      <Text style={styles.fieldLabel}>Tags</Text>
+      <View style={styles.tagEditor}>
+        <TagEditor tags={tags} onChange={setTags} suggestions={suggestTags(entry)} />
+      </View>
+
+      {entry.quantity > 1 && (
+        <View style={styles.fieldRow}>
+          <Text style={styles.fieldLabel}>Appliquer à</Text>
+          <View style={styles.stepper}>
+            <TouchableOpacity
+              style={styles.stepperButton}
+              onPress={() => setApplyCount(Math.max(1, applyCount - 1))}
+            >
+              <Ionicons name="remove" size={18} color="#FFF" />
+            </TouchableOpacity>
+            <Text style={styles.stepperValue}>{applyCount} / {entry.quantity}</Text>
+            <TouchableOpacity
+              style={styles.stepperButton}
+              onPress={() => setApplyCount(Math.min(entry.quantity, applyCount + 1))}
+            >
+              <Ionicons name="add" size={18} color="#FFF" />
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      <TouchableOpacity
+        style={[styles.saveButton, (!hasChanges || saving) && styles.disabled]}
+        onPress={handleSave}
+        disabled={!hasChanges || saving}
+      >
+        {saving ? (
+          <ActivityIndicator color="#FFF" size="small" />
+        ) : (
+          <Text style={styles.saveButtonText}>
+            {isSplit ? `Séparer ${applyCount} exemplaire${applyCount > 1 ? 's' : ''}` : 'Enregistrer'}
+          </Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+
+  // Other stacks of the same printing, to switch to or merge into this one
+  const renderStacks = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Autres piles de cette impression</Text>
+      {stacks.filter(stack => stack.id !== entry.id).map(stack => (
+        <View key={stack.id} style={styles.stackRow}>
+          <TouchableOpacity style={styles.stackInfo} onPress={() => showStack(stack)}>
+            <Text style={styles.stackQuantity}>{stack.quantity}x</Text>
+            <Text style={styles.stackLabel}>{describeStack(stack)}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.mergeButton} onPress={() => handleMerge(stack)}>
+            <Ionicons name="git-merge-outline" size={16} color="#FFF" />
+            <Text style={styles.mergeButtonText}>Fusionner</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top }]}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#FFF" />
+        </TouchableOpacity>
+        <Text style={styles.title} numberOfLines={1}>{name}</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={[styles.scroll, { paddingBottom: 40 + insets.bottom }]}>
+        {loadingCard ? (
+          <ActivityIndicator color="#6B4FA2" style={styles.loader} />
+        ) : (
+          <ScrollView
+            horizontal
+            pagingEnabled
+            showsHorizontalScrollIndicator={false}
+          >
+            {getFaces(displayCard).map(renderFace)}
+          </ScrollView>
+        )}
+
+        <View style={styles.metaRow}>
+          <Text style={styles.metaText}>
+            {displayCard.set_name || initialCard.setName} · {displayCard.rarity}
+          </Text>
+          {formatCardPrice(entry || displayCard) && (
+            <Text style={styles.price}>{formatCardPrice(entry || displayCard)}</Text>
+          )}
+        </View>
+
+        {entry && renderCopyEditor()}
+        {entry && stacks.length > 1 && renderStacks()}
+        {renderLegalities()}
+        {renderPrintings()}
+        {renderRulings()}
+        {renderDecks()}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#121212',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 16,
+    paddingBottom: 8,
+  },
+  backButton: {
+    padding: 4,
+    marginRight: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#FFF',
+  },
+  scroll: {
+    paddingVertical: 8,
+  },
+  loader: {
+    marginVertical: 40,
+  },
+  face: {
+    width: screenWidth,
+    paddingHorizontal: 16,
+  },
+  faceImage: {
+    width: '100%',
+    height: (screenWidth - 32) * 1.4,
+    borderRadius: 16,
+    marginBottom: 12,
+  },
+  placeholderImage: {
+    backgroundColor: '#2A2A2A',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  faceHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  faceName: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#FFF',
+    marginRight: 8,
+  },
+  faceNameOriginal: {
+    fontSize: 13,
+    color: '#888',
+    fontStyle: 'italic',
+  },
+  faceType: {
+    fontSize: 14,
+    color: '#AAA',
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  oracleText: {
+    fontSize: 14,
+    color: '#DDD',
+    lineHeight: 22,
+  },
+  flavorText: {
+    fontSize: 13,
+    color: '#888',
+    fontStyle: 'italic',
+    marginTop: 8,
+  },
+  stats: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#FFF',
+    textAlign: 'right',
+    marginTop: 8,
+  },
+  metaRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  metaText: {
+    color: '#888',
+    fontSize: 13,
+    textTransform: 'capitalize',
+  },
+  price: {
+    color: '#4CAF50',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  section: {
+    backgroundColor: '#1E1E1E',
+    borderRadius: 16,
+    padding: 16,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFF',
+    marginBottom: 12,
+  },
+  emptyText: {
+    color: '#666',
+    fontSize: 13,
+  },
+  legalityGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  legalityItem: {
+    width: '50%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  legalityBadge: {
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    minWidth: 70,
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  legalityBadgeText: {
+    color: '#FFF',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  legalityFormat: {
+    color: '#DDD',
+    fontSize: 13,
+  },
+  printingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#2A2A2A',
+  },
+  printingRowCurrent: {
+    backgroundColor: '#2A2A2A',
+    borderRadius: 8,
+    paddingHorizontal: 6,
+  },
+  printingSet: {
+    flex: 1,
+    color: '#FFF',
+    fontSize: 13,
+  },
+  printingCode: {
+    color: '#888',
+    fontSize: 12,
+    marginHorizontal: 8,
+  },
+  printingPrice: {
+    color: '#4CAF50',
+    fontSize: 12,
+    minWidth: 56,
+    textAlign: 'right',
+  },
+  ownedBadge: {
+    backgroundColor: '#6B4FA2',
+    borderRadius: 10,
+    minWidth: 24,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  ownedBadgeEmpty: {
+    backgroundColor: '#333',
+  },
+  ownedBadgeText: {
+    color: '#FFF',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  ruling: {
+    marginBottom: 12,
+  },
+  rulingDate: {
+    color: '#888',
+    fontSize: 11,
+    marginBottom: 2,
+  },
+  rulingText: {
+    color: '#DDD',
+    fontSize: 13,
+    lineHeight: 19,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+  },
+  deckPicker: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#2A2A2A',
+    paddingBottom: 8,
+    marginBottom: 8,
+  },
+  deckRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  deckName: {
+    flex: 1,
+    color: '#FFF',
+    fontSize: 14,
+    marginLeft: 8,
+  },
+  deckQuantity: {
+    color: '#888',
+    fontSize: 13,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  fieldLabel: {
+    color: '#AAA',
+    fontSize: 13,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  chip: {
+    backgroundColor: '#2A2A2A',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  chipActive: {
+    backgroundColor: '#6B4FA2',
+  },
+  chipText: {
+    color: '#888',
+    fontSize: 13,
+  },
+  chipTextActive: {
+    color: '#FFF',
+    fontWeight: '600',
+  },
+  tagEditor: {
+    marginBottom: 12,
+  },
+  notesInput: {
+    backgroundColor: '#2A2A2A',
+    borderRadius: 10,
+    padding: 12,
+    color: '#FFF',
+    fontSize: 14,
+    minHeight: 70,
+    textAlignVertical: 'top',
+    marginBottom: 12,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepperButton: {
+    backgroundColor: '#2A2A2A',
+    borderRadius: 8,
+    padding: 6,
+  },
+  stepperValue: {
+    color: '#FFF',
+    fontSize: 14,
+    fontWeight: '600',
+    minWidth: 64,
+    textAlign: 'center',
+  },
+  stackRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#2A2A2A',
+  },
+  stackInfo: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stackQuantity: {
+    color: '#6B4FA2',
+    fontSize: 14,
+    fontWeight: 'bold',
+    width: 36,
+  },
+  stackLabel: {
+    color: '#FFF',
+    fontSize: 14,
+  },
+  mergeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2A2A2A',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  mergeButtonText: {
+    color: '#FFF',
+    fontSize: 12,
+    marginLeft: 4,
+  },
+  saveButton: {
+    backgroundColor: '#6B4FA2',
+    borderRadius: 10,
+    padding: 14,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    color: '#FFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
+
+export default CardDetailScreen;
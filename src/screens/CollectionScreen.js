@@ -13,6 +13,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { useCollection } from '../context/CollectionContext';
 import CardItem from '../components/CardItem';
 import SearchBar from '../components/SearchBar';
+import ValueChart from '../components/ValueChart';
 
 const CollectionScreen = ({ navigation }) => {
   const insets = useSafeAreaInsets();
@@ -23,14 +24,26 @@ const CollectionScreen = ({ navigation }) => {
     removeCardFromCollection,
     getCollectionStats,
     searchCollection,
+    priceHistory,
+    refreshingPrices,
+    refreshPrices,
+    getCollectionValueHistory,
+    getBiggestMovers,
+    settings,
+    getPrice,
+    formatAmount,
   } = useCollection();
   
   const [searchQuery, setSearchQuery] = useState('');
   const [viewMode, setViewMode] = useState('list'); // 'list' or 'grid'
   const [sortBy, setSortBy] = useState('name'); // 'name', 'color', 'cmc', 'rarity', 'date'
   const [filterMenuVisible, setFilterMenuVisible] = useState(false);
+  const [showValueDetails, setShowValueDetails] = useState(false);
+  const [priceProgress, setPriceProgress] = useState(null);
 
   const stats = useMemo(() => getCollectionStats(), [collection]);
+  const valueHistory = useMemo(() => getCollectionValueHistory(), [priceHistory, settings]);
+  const movers = useMemo(() => getBiggestMovers({ days: 7, limit: 5 }), [priceHistory, collection, settings]);
 
   const filteredAndSorted = useMemo(() => {
     let result = searchQuery 
@@ -50,14 +63,14 @@ const CollectionScreen = ({ navigation }) => {
         case 'date':
           return new Date(b.addedAt || 0) - new Date(a.addedAt || 0);
         case 'price':
-          return (parseFloat(b.prices?.usd) || 0) - (parseFloat(a.prices?.usd) || 0);
+          return getPrice(b) - getPrice(a);
         default:
           return 0;
       }
     });
     
     return result;
-  }, [collection, searchQuery, sortBy, searchCollection]);
+  }, [collection, searchQuery, sortBy, searchCollection, getPrice]);
 
   const handleRemoveCard = (cardId) => {
     Alert.alert(
@@ -74,21 +87,107 @@ const CollectionScreen = ({ navigation }) => {
     );
   };
 
-  const renderHeader = () => (
-    <View style={styles.statsContainer}>
-      <View style={styles.statCard}>
-        <Text style={styles.statValue}>{stats.totalCards}</Text>
-        <Text style={styles.statLabel}>Total Cards</Text>
-      </View>
-      <View style={styles.statCard}>
-        <Text style={styles.statValue}>{stats.uniqueCards}</Text>
-        <Text style={styles.statLabel}>Unique</Text>
+  const handleRefreshPrices = async () => {
+    setPriceProgress({ done: 0, total: 0 });
+    const result = await refreshPrices((done, total) => setPriceProgress({ done, total }));
+    setPriceProgress(null);
+    if (!result) {
+      Alert.alert('Error', 'Could not refresh prices. Check your connection and try again.');
+    } else if (result.failedBatches > 0) {
+      Alert.alert('Prices Updated', `${result.updated} cards updated, some prices could not be fetched.`);
+    }
+  };
+
+  const formatChange = (value) => `${value >= 0 ? '+' : '-'}${formatAmount(Math.abs(value))}`;
+
+  const renderValueDetails = () => {
+    const first = valueHistory[0];
+    const last = valueHistory[valueHistory.length - 1];
+    const change = first && last ? last.value - first.value : 0;
+    const lastRefresh = priceHistory?.lastRefresh
+      ? new Date(priceHistory.lastRefresh).toLocaleDateString()
+      : 'never';
+
+    return (
+      <View style={styles.valuePanel}>
+        <View style={styles.valuePanelHeader}>
+          <View>
+            <Text style={styles.valuePanelTitle}>Value Over Time</Text>
+            <Text style={styles.valuePanelSubtitle}>
+              {priceProgress && priceProgress.total > 0
+                ? `Updating prices ${priceProgress.done}/${priceProgress.total}...`
+                : `Prices updated: ${lastRefresh}`}
+            </Text>
+          </View>
+          <TouchableOpacity
+            style={styles.refreshPricesButton}
+            onPress={handleRefreshPrices}
+            disabled={refreshingPrices}
+          >
+            <Ionicons name="refresh" size={18} color={refreshingPrices ? '#666' : '#FFF'} />
+          </TouchableOpacity>
+        </View>
+
+        <ValueChart
+          points={valueHistory}
+          formatValue={formatAmount}
+        />
+
+        {valueHistory.length >= 2 && (
+          <Text style={[styles.valueChange, { color: change >= 0 ? '#4CAF50' : '#F44336' }]}>
+            {formatChange(change)} since {first.date}
+          </Text>
+        )}
+
+        {movers.length > 0 && (
+          <View style={styles.moversContainer}>
+            <Text style={styles.valuePanelTitle}>Biggest Movers (7 days)</Text>
+            {movers.map(mover => (
+              <View key={mover.card.id} style={styles.moverRow}>
+                <Text style={styles.moverName} numberOfLines={1}>
+                  {mover.card.quantity > 1 ? `${mover.card.quantity}x ` : ''}{mover.card.name}
+                </Text>
+                <Text style={styles.moverPrice}>
+                  {formatAmount(mover.from)} → {formatAmount(mover.to)}
+                </Text>
+                <Text style={[styles.moverChange, { color: mover.change >= 0 ? '#4CAF50' : '#F44336' }]}>
+                  {mover.percent != null
+                    ? `${mover.percent >= 0 ? '+' : ''}${mover.percent.toFixed(0)}%`
+                    : formatChange(mover.change)}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
       </View>
-      <View style={styles.statCard}>
-        <Text style={styles.statValue}>${stats.totalValue}</Text>
-        <Text style={styles.statLabel}>Value</Text>
+    );
+  };
+
+  const renderHeader = () => (
+    <>
+      <View style={styles.statsContainer}>
+        <View style={styles.statCard}>
+          <Text style={styles.statValue}>{stats.totalCards}</Text>
+          <Text style={styles.statLabel}>Total Cards</Text>
+        </View>
+        <View style={styles.statCard}>
+          <Text style={styles.statValue}>{stats.uniqueCards}</Text>
+          <Text style={styles.statLabel}>Unique</Text>
+        </View>
+        <TouchableOpacity
+          style={[styles.statCard, showValueDetails && styles.statCardActive]}
+          onPress={() => setShowValueDetails(!showValueDetails)}
+        >
+          <Text style={styles.statValue} numberOfLines={1} adjustsFontSizeToFit>
+            {formatAmount(parseFloat(stats.totalValue))}
+          </Text>
+          <Text style={styles.statLabel}>
+            Value <Ionicons name={showValueDetails ? 'chevron-up' : 'chevron-down'} size={10} />
+          </Text>
+        </TouchableOpacity>
       </View>
-    </View>
+      {showValueDetails && renderValueDetails()}
+    </>
   );
 
   const renderControls = () => (
@@ -156,16 +255,24 @@ const CollectionScreen = ({ navigation }) => {
     <View style={[styles.container, { paddingTop: insets.top }]}>
       <View style={styles.header}>
         <Text style={styles.title}>My Collection</Text>
-        <TouchableOpacity 
-          style={styles.headerButton}
-          onPress={() => navigation.navigate('Import')}
-        >
-          <Ionicons name="add-circle" size={28} color="#6B4FA2" />
-        </TouchableOpacity>
+        <View style={styles.headerActions}>
+          <TouchableOpacity
+            style={styles.headerButton}
+            onPress={() => navigation.navigate('Activity')}
+          >
+            <Ionicons name="time-outline" size={26} color="#6B4FA2" />
+          </TouchableOpacity>
+          <TouchableOpacity 
+            style={styles.headerButton}
+            onPress={() => navigation.navigate('Import')}
+          >
+            <Ionicons name="add-circle" size={28} color="#6B4FA2" />
+          </TouchableOpacity>
+        </View>
       </View>
 
       <SearchBar
-        placeholder="Search collection..."
+        placeholder="Search collection (t:instant c<=u cmc<=2)..."
         value={searchQuery}
         onChangeText={setSearchQuery}
         onSearch={setSearchQuery}
@@ -236,8 +343,13 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#FFF',
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   headerButton: {
     padding: 4,
+    marginLeft: 8,
   },
   statsContainer: {
     flexDirection: 'row',
@@ -253,6 +365,10 @@ const styles = StyleSheet.create({
     flex: 1,
     marginHorizontal: 4,
   },
+  statCardActive: {
+    borderWidth: 1,
+    borderColor: '#6B4FA2',
+  },
   statValue: {
     fontSize: 24,
     fontWeight: 'bold',
@@ -263,6 +379,66 @@ const styles = StyleSheet.create({
     color: '#888',
     marginTop: 4,
   },
+  valuePanel: {
+    backgroundColor: '#2A2A2A',
+    borderRadius: 12,
+    marginHorizontal: 20,
+    marginBottom: 8,
+    padding: 12,
+  },
+  valuePanelHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  valuePanelTitle: {
+    color: '#FFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  valuePanelSubtitle: {
+    color: '#888',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  refreshPricesButton: {
+    backgroundColor: '#6B4FA2',
+    borderRadius: 8,
+    padding: 6,
+  },
+  valueChange: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 8,
+  },
+  moversContainer: {
+    marginTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#3A3A3A',
+    paddingTop: 8,
+  },
+  moverRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  moverName: {
+    flex: 1,
+    color: '#FFF',
+    fontSize: 13,
+  },
+  moverPrice: {
+    color: '#888',
+    fontSize: 12,
+    marginHorizontal: 8,
+  },
+  moverChange: {
+    fontSize: 13,
+    fontWeight: '600',
+    minWidth: 48,
+    textAlign: 'right',
+  },
   controlsContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
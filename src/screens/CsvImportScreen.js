@@ -0,0 +1,506 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  FlatList,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import * as Clipboard from 'expo-clipboard';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system/legacy';
+import {
+  CSV_FIELDS,
+  CSV_FORMATS,
+  parseCsv,
+  detectCsvFormat,
+  getColumnMapping,
+  mapCsvRows,
+  resolveCsvRows,
+} from '../services/csvImport';
+import { FINISHES } from '../services/storageService';
+import { useCollection } from '../context/CollectionContext';
+
+// Steps: pick a file -> map columns (unknown layouts) -> resolve -> preview -> import
+const CsvImportScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const { addCardsToCollection } = useCollection();
+  const [step, setStep] = useState('pick');
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [format, setFormat] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [result, setResult] = useState({ matched: [], unmatched: [] });
+  const [previewTab, setPreviewTab] = useState('matched');
+  const [importing, setImporting] = useState(false);
+
+  const headers = rows[0] || [];
+  const sampleRow = rows[1] || [];
+
+  const resolveRows = async (csvRows, columnMapping) => {
+    setStep('resolving');
+    const items = mapCsvRows(csvRows, columnMapping);
+    setProgress({ done: 0, total: items.length });
+    try {
+      const resolved = await resolveCsvRows(items, (done, total) => setProgress({ done, total }));
+      setResult(resolved);
+      setPreviewTab(resolved.matched.length > 0 ? 'matched' : 'unmatched');
+      setStep('preview');
+    } catch (error) {
+      Alert.alert('Erreur', 'Impossible de contacter Scryfall');
+      setStep('mapping');
+    }
+  };
+
+  const handlePickFile = async () => {
+    try {
+      const picked = await DocumentPicker.getDocumentAsync({
+        type: ['text/*', 'application/vnd.ms-excel', 'application/octet-stream'],
+        copyToCacheDirectory: true,
+      });
+      if (picked.canceled || !picked.assets?.[0]) return;
+
+      const text = await FileSystem.readAsStringAsync(picked.assets[0].uri);
+      const csvRows = parseCsv(text);
+      if (csvRows.length < 2) {
+        Alert.alert('Fichier vide', 'Aucune ligne de carte trouvée dans ce fichier');
+        return;
+      }
+
+      const detected = detectCsvFormat(csvRows[0]);
+      const columnMapping = getColumnMapping(csvRows[0], detected);
+      setFileName(picked.assets[0].name);
+      setRows(csvRows);
+      setFormat(detected);
+      setMapping(columnMapping);
+
+      // Known layouts go straight to the preview; the mapping stays editable from there
+      if (detected) {
+        await resolveRows(csvRows, columnMapping);
+      } else {
+        setStep('mapping');
+      }
+    } catch (error) {
+      Alert.alert('Erreur', 'Impossible de lire le fichier');
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    const success = await addCardsToCollection(result.matched.map(row => ({
+      card: row.cardData,
+      quantity: row.quantity,
+      options: {
+        finish: row.finish,
+        condition: row.condition,
+        lang: row.lang,
+      },
+    })));
+    setImporting(false);
+
+    if (success) {
+      const copies = result.matched.reduce((sum, row) => sum + row.quantity, 0);
+      Alert.alert('Importé !', `${copies} cartes ajoutées à la collection.`, [
+        { text: 'OK', onPress: () => navigation.goBack() },
+      ]);
+    } else {
+      Alert.alert('Erreur', 'Impossible d\'importer');
+    }
+  };
+
+  // Unmatched rows as "qty name (SET) number", to fix them by hand
+  const handleCopyUnmatched = async () => {
+    const lines = result.unmatched.map(row => [
+      `${row.quantity} ${row.name}`,
+      row.setCode && `(${row.setCode.toUpperCase()})`,
+      row.collectorNumber,
+    ].filter(Boolean).join(' '));
+    await Clipboard.setStringAsync(lines.join('\n'));
+    Alert.alert('Copié !', 'Lignes non trouvées copiées dans le presse-papier');
+  };
+
+  const renderPick = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Fichier CSV</Text>
+      <Text style={styles.hint}>
+        Exports reconnus automatiquement : {CSV_FORMATS.map(f => f.name).join(', ')}.
+        Les autres fichiers passent par une étape de correspondance des colonnes.
+      </Text>
+      <TouchableOpacity style={styles.primaryButton} onPress={handlePickFile}>
+        <Ionicons name="document-attach" size={20} color="#FFF" />
+        <Text style={styles.primaryButtonText}>Choisir un fichier</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderMapping = () => {
+    const canResolve = mapping.name >= 0;
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Colonnes · {fileName}</Text>
+        <Text style={styles.hint}>
+          {format
+            ? `Format ${format.name} détecté. Vous pouvez corriger les colonnes.`
+            : 'Format inconnu : indiquez la colonne de chaque information.'}
+        </Text>
+
+        {CSV_FIELDS.map(field => (
+          <View key={field.key} style={styles.mappingField}>
+            <Text style={styles.mappingLabel}>
+              {field.name}{field.required ? ' *' : ''}
+              {mapping[field.key] >= 0 && sampleRow[mapping[field.key]]
+                ? <Text style={styles.mappingSample}>  ex. : {sampleRow[mapping[field.key]]}</Text>
+                : null}
+            </Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {[-1, ...headers.map((_, index) => index)].map(index => (
+                <TouchableOpacity
+                  key={index}
+                  style={[styles.chip, mapping[field.key] === index && styles.chipActive]}
+                  onPress={() => setMapping(prev => ({ ...prev, [field.key]: index }))}
+                >
+                  <Text style={[styles.chipText, mapping[field.key] === index && styles.chipTextActive]}>
+                    {index < 0 ? '—' : headers[index] || `Colonne ${index + 1}`}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          </View>
+        ))}
+
+        <TouchableOpacity
+          style={[styles.primaryButton, !canResolve && styles.disabled]}
+          onPress={() => resolveRows(rows, mapping)}
+          disabled={!canResolve}
+        >
+          <Ionicons name="search" size={20} color="#FFF" />
+          <Text style={styles.primaryButtonText}>Analyser {rows.length - 1} lignes</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderResolving = () => (
+    <View style={[styles.section, styles.centered]}>
+      <ActivityIndicator size="large" color="#6B4FA2" />
+      <Text style={styles.progressText}>
+        Recherche des impressions… {progress.done} / {progress.total}
+      </Text>
+    </View>
+  );
+
+  const renderRow = ({ item }) => {
+    const finish = FINISHES.find(f => f.code === item.finish);
+    const card = item.cardData;
+    return (
+      <View style={styles.row}>
+        <Text style={styles.rowQuantity}>{item.quantity}x</Text>
+        <View style={styles.rowInfo}>
+          <Text style={styles.rowName} numberOfLines={1}>{card?.name || item.name}</Text>
+          <Text style={styles.rowMeta} numberOfLines={1}>
+            {card
+              ? `${card.set.toUpperCase()} #${card.collector_number}`
+              : `Ligne ${item.row} · ${[item.setCode?.toUpperCase() || item.setName, item.collectorNumber && `#${item.collectorNumber}`].filter(Boolean).join(' ') || 'édition inconnue'}`}
+            {' · '}{finish?.name} · {item.condition} · {item.lang.toUpperCase()}
+          </Text>
+        </View>
+        <Ionicons
+          name={card ? 'checkmark-circle' : 'close-circle'}
+          size={18}
+          color={card ? '#4CAF50' : '#F44336'}
+        />
+      </View>
+    );
+  };
+
+  const renderPreview = () => {
+    const copies = result.matched.reduce((sum, row) => sum + row.quantity, 0);
+    const data = previewTab === 'matched' ? result.matched : result.unmatched;
+    return (
+      <View style={[styles.section, styles.previewSection]}>
+        <View style={styles.statsRow}>
+          <View style={[styles.stat, { backgroundColor: '#1B3D1B' }]}>
+            <Text style={styles.statValue}>{result.matched.length}</Text>
+            <Text style={styles.statLabel}>Trouvées</Text>
+          </View>
+          <View style={[styles.stat, { backgroundColor: '#3D1B1B' }]}>
+            <Text style={styles.statValue}>{result.unmatched.length}</Text>
+            <Text style={styles.statLabel}>Non trouvées</Text>
+          </View>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>{copies}</Text>
+            <Text style={styles.statLabel}>Cartes</Text>
+          </View>
+        </View>
+
+        <View style={styles.tabs}>
+          {[
+            { id: 'matched', label: `Trouvées (${result.matched.length})` },
+            { id: 'unmatched', label: `Non trouvées (${result.unmatched.length})` },
+          ].map(tab => (
+            <TouchableOpacity
+              key={tab.id}
+              style={[styles.chip, styles.tab, previewTab === tab.id && styles.chipActive]}
+              onPress={() => setPreviewTab(tab.id)}
+            >
+              <Text style={[styles.chipText, previewTab === tab.id && styles.chipTextActive]}>
+                {tab.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <FlatList
+          data={data}
+          keyExtractor={item => String(item.row)}
+          renderItem={renderRow}
+          style={styles.list}
+          ListEmptyComponent={<Text style={styles.emptyText}>Aucune ligne</Text>}
+        />
+
+        {previewTab === 'unmatched' && result.unmatched.length > 0 && (
+          <TouchableOpacity style={styles.secondaryButton} onPress={handleCopyUnmatched}>
+            <Ionicons name="copy-outline" size={18} color="#6B4FA2" />
+            <Text style={styles.secondaryButtonText}>Copier les lignes non trouvées</Text>
+          </TouchableOpacity>
+        )}
+
+        <TouchableOpacity
+          style={[styles.primaryButton, (importing || copies === 0) && styles.disabled]}
+          onPress={handleImport}
+          disabled={importing || copies === 0}
+        >
+          {importing ? <ActivityIndicator color="#FFF" size="small" /> : (
+            <>
+              <Ionicons name="add-circle" size={20} color="#FFF" />
+              <Text style={styles.primaryButtonText}>Importer {copies} cartes</Text>
+            </>
+          )}
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.linkButton} onPress={() => setStep('mapping')}>
+          <Text style={styles.linkButtonText}>Modifier les colonnes</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top, paddingBottom: insets.bottom }]}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#FFF" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Import CSV</Text>
+      </View>
+
+      {step === 'preview' ? renderPreview() : (
+        <ScrollView contentContainerStyle={styles.scroll}>
+          {step === 'pick' && renderPick()}
+          {step === 'mapping' && renderMapping()}
+          {step === 'resolving' && renderResolving()}
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#121212',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 16,
+    paddingBottom: 8,
+  },
+  backButton: {
+    padding: 4,
+    marginRight: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#FFF',
+  },
+  scroll: {
+    paddingTop: 8,
+    paddingBottom: 40,
+  },
+  section: {
+    backgroundColor: '#1E1E1E',
+    borderRadius: 16,
+    padding: 16,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  previewSection: {
+    flex: 1,
+    marginTop: 8,
+  },
+  centered: {
+    alignItems: 'center',
+    paddingVertical: 32,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFF',
+    marginBottom: 8,
+  },
+  hint: {
+    color: '#888',
+    fontSize: 13,
+    marginBottom: 16,
+  },
+  mappingField: {
+    marginBottom: 12,
+  },
+  mappingLabel: {
+    color: '#AAA',
+    fontSize: 13,
+    marginBottom: 6,
+  },
+  mappingSample: {
+    color: '#666',
+    fontSize: 12,
+  },
+  chip: {
+    backgroundColor: '#2A2A2A',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 6,
+  },
+  chipActive: {
+    backgroundColor: '#6B4FA2',
+  },
+  chipText: {
+    color: '#888',
+    fontSize: 13,
+  },
+  chipTextActive: {
+    color: '#FFF',
+    fontWeight: '600',
+  },
+  progressText: {
+    color: '#AAA',
+    fontSize: 14,
+    marginTop: 16,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: '#252525',
+    borderRadius: 10,
+    paddingVertical: 10,
+    marginHorizontal: 4,
+  },
+  statValue: {
+    color: '#FFF',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  statLabel: {
+    color: '#AAA',
+    fontSize: 12,
+  },
+  tabs: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  tab: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  list: {
+    flex: 1,
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#2A2A2A',
+  },
+  rowQuantity: {
+    color: '#6B4FA2',
+    fontSize: 14,
+    fontWeight: 'bold',
+    width: 40,
+  },
+  rowInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  rowName: {
+    color: '#FFF',
+    fontSize: 14,
+  },
+  rowMeta: {
+    color: '#888',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  emptyText: {
+    color: '#666',
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#6B4FA2',
+    borderRadius: 12,
+    padding: 14,
+  },
+  primaryButtonText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#252525',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  secondaryButtonText: {
+    color: '#6B4FA2',
+    fontSize: 14,
+    marginLeft: 6,
+  },
+  linkButton: {
+    alignItems: 'center',
+    padding: 12,
+  },
+  linkButtonText: {
+    color: '#888',
+    fontSize: 14,
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
+
+export default CsvImportScreen;
@@ -0,0 +1,431 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  ScrollView,
+  TextInput,
+  Image,
+  Alert,
+  Share,
+  ActivityIndicator,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useCollection } from '../context/CollectionContext';
+import { getCommandersFromCollection } from '../services/storageService';
+import { getDeckFormat } from '../services/deckValidator';
+import { PAIRING_TYPES, canBeCommander, canPair, toCommanderReference } from '../services/commanderRules';
+import { BUY_GROUPS, buildDeckFromCollection } from '../services/deckBuilder';
+
+const COMMANDER_FORMAT = getDeckFormat('commander');
+
+const getColorIdentityDisplay = (colors) => {
+  if (!colors || colors.length === 0) return '⚪';
+  const colorMap = { W: '⚪', U: '🔵', B: '⚫', R: '🔴', G: '🟢' };
+  return colors.map(c => colorMap[c] || c).join('');
+};
+
+// Builds a commander deck from EDHREC recommendations, owned cards first,
+// and lists the cards to buy for the slots the collection cannot fill
+const DeckBuilderScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const { collection, settings, formatAmount, createNewDeck } = useCollection();
+  const [commanders, setCommanders] = useState([]);
+  const [loadingCommanders, setLoadingCommanders] = useState(true);
+  // Set once a commander that can take a partner is picked
+  const [firstCommander, setFirstCommander] = useState(null);
+  const [chosen, setChosen] = useState([]);
+  const [building, setBuilding] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [deckName, setDeckName] = useState('');
+  const [includeToBuy, setIncludeToBuy] = useState(true);
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    getCommandersFromCollection()
+      .then(setCommanders)
+      .finally(() => setLoadingCommanders(false));
+  }, []);
+
+  const chooseCommanders = (cards) => {
+    setChosen(cards);
+    setFirstCommander(null);
+    setPlan(null);
+    setDeckName(cards.map(c => c.name.split(',')[0]).join(' + '));
+  };
+
+  // Same two steps as the new deck flow: a commander that can take a partner
+  // asks for the second one when the collection holds one
+  const handlePickCommander = (item) => {
+    if (firstCommander) {
+      chooseCommanders([firstCommander, item]);
+    } else if (item.pairing && commanders.some(c => canPair(item, c))) {
+      setFirstCommander(item);
+    } else {
+      chooseCommanders([item]);
+    }
+  };
+
+  const handleBuild = async () => {
+    setBuilding(true);
+    const result = await buildDeckFromCollection(chosen, collection, {
+      currency: settings.currency,
+      rates: settings.exchangeRates,
+    });
+    setBuilding(false);
+    if (!result) {
+      Alert.alert('Erreur', 'Aucune recommandation EDHREC pour ce commandant');
+      return;
+    }
+    setPlan(result);
+  };
+
+  // Buy list by group, most needed first: [{ code, name, total, items }]
+  const buyGroups = plan
+    ? Object.values(BUY_GROUPS)
+      .map(group => ({
+        ...group,
+        total: plan.buyTotals[group.code] || 0,
+        items: plan.buyList.filter(item => item.group === group.code),
+      }))
+      .filter(group => group.items.length > 0)
+    : [];
+
+  const handleShareBuyList = async () => {
+    const lines = buyGroups.flatMap(group => [
+      `// ${group.name} (${formatAmount(group.total)})`,
+      ...group.items.map(item => `1 ${item.name}`),
+      '',
+    ]);
+    lines.push(`// Total : ${formatAmount(plan.buyTotal)}`);
+    try {
+      await Share.share({
+        message: lines.join('\n'),
+        title: `${deckName || 'Deck'} - Cartes à acheter`,
+      });
+    } catch (error) {
+      Alert.alert('Erreur', 'Impossible de partager la liste');
+    }
+  };
+
+  const handleCreateDeck = async () => {
+    if (!deckName.trim()) {
+      Alert.alert('Erreur', 'Veuillez entrer un nom pour le deck');
+      return;
+    }
+    const toBuy = new Set(plan.buyList.map(item => item.card.id));
+    const cards = includeToBuy ? plan.cards : plan.cards.filter(card => !toBuy.has(card.id));
+
+    setCreating(true);
+    const newDeck = await createNewDeck({
+      name: deckName.trim(),
+      format: COMMANDER_FORMAT.code,
+      commander: toCommanderReference(chosen[0]),
+      partner: chosen[1] ? toCommanderReference(chosen[1]) : null,
+      cards,
+    });
+    setCreating(false);
+    if (!newDeck) {
+      Alert.alert('Erreur', 'Impossible de créer le deck');
+      return;
+    }
+    Alert.alert('Succès', `Deck "${newDeck.name}" créé !`);
+    navigation.goBack();
+  };
+
+  const commanderChoices = firstCommander
+    ? commanders.filter(c => canPair(firstCommander, c))
+    : commanders.filter(c => canBeCommander(c, COMMANDER_FORMAT));
+
+  const renderCommanderItem = ({ item }) => (
+    <TouchableOpacity style={styles.commanderItem} onPress={() => handlePickCommander(item)}>
+      <Image source={{ uri: item.imageUrlSmall || item.imageUrl }} style={styles.commanderImage} resizeMode="cover" />
+      <View style={styles.commanderInfo}>
+        <Text style={styles.commanderName} numberOfLines={1}>{item.name}</Text>
+        <Text style={styles.commanderType} numberOfLines={1}>{item.typeLine}</Text>
+        <Text style={styles.commanderColors}>
+          {getColorIdentityDisplay(item.colorIdentity)}
+          {item.pairing && (
+            <Text style={styles.commanderPairing}>
+              {'  '}{PAIRING_TYPES[item.pairing.type].name}
+              {item.pairing.partnerName ? ` ${item.pairing.partnerName}` : ''}
+            </Text>
+          )}
+        </Text>
+      </View>
+      <Ionicons name="chevron-forward" size={24} color="#666" />
+    </TouchableOpacity>
+  );
+
+  const renderCommanderPicker = () => (
+    <View style={styles.pickerContainer}>
+      <Text style={styles.subtitle}>
+        {firstCommander
+          ? `Second commandant pour ${firstCommander.name}`
+          : 'Choisissez un commandant de votre collection'}
+      </Text>
+      {loadingCommanders ? (
+        <ActivityIndicator size="large" color="#6B4FA2" style={styles.loader} />
+      ) : (
+        <FlatList
+          data={commanderChoices}
+          keyExtractor={(item) => item.id}
+          renderItem={renderCommanderItem}
+          contentContainerStyle={styles.list}
+          ListEmptyComponent={
+            <View style={styles.emptyContainer}>
+              <Ionicons name="person-outline" size={64} color="#444" />
+              <Text style={styles.emptyText}>Aucun commandant dans votre collection</Text>
+            </View>
+          }
+          ListFooterComponent={firstCommander && (
+            <TouchableOpacity style={styles.skipButton} onPress={() => chooseCommanders([firstCommander])}>
+              <Text style={styles.skipButtonText}>Continuer sans second commandant</Text>
+            </TouchableOpacity>
+          )}
+        />
+      )}
+    </View>
+  );
+
+  const renderPlan = () => (
+    <>
+      <View style={styles.summary}>
+        <View style={styles.summaryBox}>
+          <Text style={styles.summaryValue}>{plan.owned}</Text>
+          <Text style={styles.summaryLabel}>Possédées</Text>
+        </View>
+        <View style={styles.summaryBox}>
+          <Text style={styles.summaryValue}>{plan.toBuy}</Text>
+          <Text style={styles.summaryLabel}>À acheter</Text>
+        </View>
+        <View style={styles.summaryBox}>
+          <Text style={styles.summaryValue}>{plan.basicCards.reduce((sum, c) => sum + c.quantity, 0)}</Text>
+          <Text style={styles.summaryLabel}>Terrains de base</Text>
+        </View>
+      </View>
+      {plan.missing > 0 && (
+        <Text style={styles.warning}>
+          Pas assez de recommandations : {plan.missing} emplacement(s) de sort complété(s) par des terrains de base
+        </Text>
+      )}
+
+      <Text style={styles.sectionTitle}>Équilibre</Text>
+      <View style={styles.card}>
+        {plan.balance.map(row => (
+          <View key={row.code} style={styles.balanceRow}>
+            <Text style={styles.balanceName}>{row.name}</Text>
+            <Text style={[styles.balanceCount, row.count < row.target && styles.balanceShort]}>
+              {row.count}/{row.target}
+            </Text>
+          </View>
+        ))}
+      </View>
+
+      <View style={styles.sectionHeader}>
+        <Text style={styles.sectionTitle}>Cartes à acheter</Text>
+        {plan.buyList.length > 0 && (
+          <TouchableOpacity onPress={handleShareBuyList}>
+            <Ionicons name="share-outline" size={20} color="#6B4FA2" />
+          </TouchableOpacity>
+        )}
+      </View>
+      {buyGroups.length === 0 ? (
+        <Text style={styles.emptyText}>Votre collection suffit pour ce deck</Text>
+      ) : (
+        <View style={styles.card}>
+          {buyGroups.map(group => (
+            <View key={group.code} style={styles.buyGroup}>
+              <View style={styles.buyGroupHeader}>
+                <Text style={styles.buyGroupName}>{group.name}</Text>
+                <Text style={styles.buyGroupTotal}>{formatAmount(group.total)}</Text>
+              </View>
+              {group.items.map(item => (
+                <View key={item.name} style={styles.buyRow}>
+                  <Text style={styles.buyName} numberOfLines={1}>{item.name}</Text>
+                  <Text style={styles.buySynergy}>{Math.round((item.synergy || 0) * 100)}%</Text>
+                  <Text style={styles.buyPrice}>{item.price ? formatAmount(item.price) : '—'}</Text>
+                </View>
+              ))}
+            </View>
+          ))}
+          <View style={styles.buyTotalRow}>
+            <Text style={styles.buyTotalLabel}>Total</Text>
+            <Text style={styles.buyTotalValue}>{formatAmount(plan.buyTotal)}</Text>
+          </View>
+        </View>
+      )}
+
+      <Text style={styles.sectionTitle}>Nouveau deck</Text>
+      <TextInput
+        style={styles.textInput}
+        value={deckName}
+        onChangeText={setDeckName}
+        placeholder="Nom du deck"
+        placeholderTextColor="#666"
+      />
+      {plan.toBuy > 0 && (
+        <TouchableOpacity style={styles.option} onPress={() => setIncludeToBuy(!includeToBuy)}>
+          <Ionicons name={includeToBuy ? 'checkbox' : 'square-outline'} size={22} color="#6B4FA2" />
+          <Text style={styles.optionText}>Inclure les cartes à acheter</Text>
+        </TouchableOpacity>
+      )}
+      <TouchableOpacity style={styles.primaryButton} onPress={handleCreateDeck} disabled={creating}>
+        {creating ? (
+          <ActivityIndicator color="#FFF" />
+        ) : (
+          <>
+            <Text style={styles.primaryButtonText}>Créer le deck</Text>
+            <Ionicons name="checkmark" size={20} color="#FFF" />
+          </>
+        )}
+      </TouchableOpacity>
+    </>
+  );
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top }]}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#FFF" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Construire depuis ma collection</Text>
+      </View>
+
+      {chosen.length === 0 ? (
+        renderCommanderPicker()
+      ) : (
+        <ScrollView contentContainerStyle={[styles.list, { paddingBottom: 40 + insets.bottom }]}>
+          <View style={styles.commanderBanner}>
+            <View style={styles.commanderInfo}>
+              <Text style={styles.commanderName}>{chosen.map(c => c.name).join(' + ')}</Text>
+              <Text style={styles.commanderColors}>
+                {getColorIdentityDisplay([...new Set(chosen.flatMap(c => c.colorIdentity || []))])}
+              </Text>
+            </View>
+            <TouchableOpacity onPress={() => chooseCommanders([])}>
+              <Text style={styles.changeText}>Changer</Text>
+            </TouchableOpacity>
+          </View>
+
+          {!plan && (
+            <TouchableOpacity style={styles.primaryButton} onPress={handleBuild} disabled={building}>
+              {building ? (
+                <ActivityIndicator color="#FFF" />
+              ) : (
+                <>
+                  <Text style={styles.primaryButtonText}>Générer</Text>
+                  <Ionicons name="hammer" size={20} color="#FFF" />
+                </>
+              )}
+            </TouchableOpacity>
+          )}
+          {plan && renderPlan()}
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#121212' },
+  header: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 16, paddingTop: 16, paddingBottom: 8 },
+  backButton: { padding: 4, marginRight: 8 },
+  title: { flex: 1, fontSize: 22, fontWeight: 'bold', color: '#FFF' },
+  list: { paddingHorizontal: 16, paddingBottom: 40 },
+  loader: { marginTop: 40 },
+
+  // Commander picker
+  pickerContainer: { flex: 1 },
+  subtitle: { fontSize: 14, color: '#888', marginHorizontal: 16, marginBottom: 12 },
+  commanderItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1E1E1E',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 10,
+  },
+  commanderImage: { width: 50, height: 70, borderRadius: 6, marginRight: 12 },
+  commanderInfo: { flex: 1 },
+  commanderName: { fontSize: 15, fontWeight: '500', color: '#FFF', marginBottom: 2 },
+  commanderType: { fontSize: 12, color: '#888', marginBottom: 4 },
+  commanderColors: { fontSize: 14 },
+  commanderPairing: { fontSize: 12, color: '#B39DDB' },
+  skipButton: { alignItems: 'center', padding: 16 },
+  skipButtonText: { color: '#6B4FA2', fontSize: 14 },
+  emptyContainer: { alignItems: 'center', marginTop: 80 },
+  emptyText: { color: '#666', fontSize: 14, marginTop: 12, textAlign: 'center' },
+
+  // Plan
+  commanderBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1E1E1E',
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 8,
+  },
+  changeText: { color: '#6B4FA2', fontSize: 14, fontWeight: '600' },
+  summary: { flexDirection: 'row', marginTop: 16 },
+  summaryBox: {
+    flex: 1,
+    backgroundColor: '#1E1E1E',
+    borderRadius: 12,
+    padding: 12,
+    alignItems: 'center',
+    marginHorizontal: 4,
+  },
+  summaryValue: { fontSize: 22, fontWeight: 'bold', color: '#FFF' },
+  summaryLabel: { fontSize: 12, color: '#888', marginTop: 4 },
+  warning: { color: '#FFB74D', fontSize: 13, marginTop: 12 },
+  sectionHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+  sectionTitle: {
+    color: '#888',
+    fontSize: 13,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  card: { backgroundColor: '#1E1E1E', borderRadius: 12, padding: 12 },
+  balanceRow: { flexDirection: 'row', justifyContent: 'space-between', paddingVertical: 4 },
+  balanceName: { color: '#FFF', fontSize: 14 },
+  balanceCount: { color: '#4CAF50', fontSize: 14, fontWeight: '600' },
+  balanceShort: { color: '#FFB74D' },
+  buyGroup: { marginBottom: 12 },
+  buyGroupHeader: { flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 },
+  buyGroupName: { color: '#B39DDB', fontSize: 13, fontWeight: '600' },
+  buyGroupTotal: { color: '#B39DDB', fontSize: 13 },
+  buyRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 3 },
+  buyName: { flex: 1, color: '#FFF', fontSize: 14 },
+  buySynergy: { color: '#888', fontSize: 12, width: 44, textAlign: 'right' },
+  buyPrice: { color: '#AAA', fontSize: 13, width: 72, textAlign: 'right' },
+  buyTotalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    borderTopWidth: 1,
+    borderTopColor: '#2A2A2A',
+    paddingTop: 8,
+  },
+  buyTotalLabel: { color: '#FFF', fontSize: 15, fontWeight: '600' },
+  buyTotalValue: { color: '#FFF', fontSize: 15, fontWeight: '600' },
+  textInput: { backgroundColor: '#2A2A2A', borderRadius: 12, padding: 14, color: '#FFF', fontSize: 16 },
+  option: { flexDirection: 'row', alignItems: 'center', marginTop: 12 },
+  optionText: { color: '#FFF', fontSize: 14, marginLeft: 8 },
+  primaryButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#6B4FA2',
+    borderRadius: 12,
+    padding: 16,
+    marginTop: 20,
+  },
+  primaryButtonText: { color: '#FFF', fontSize: 16, fontWeight: '600', marginRight: 8 },
+});
+
+export default DeckBuilderScreen;
@@ -1,9 +1,10 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   FlatList,
+  SectionList,
   TouchableOpacity,
   ActivityIndicator,
   Alert,
@@ -14,43 +15,65 @@ import {
   Share,
 } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
-import { useFocusEffect } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import {
-  loadDecks,
-  createDeck,
-  updateDeck,
-  deleteDeck,
-  addCardToDeck,
-  removeCardFromDeck,
-  updateCardInDeck,
+  createDeckCard,
   exportDeckToDecklist,
+  DECK_EXPORT_FORMATS,
   getCommandersFromCollection,
 } from '../services/storageService';
-import { getCommanderSuggestions } from '../services/edhrecApi';
-
-const FORMATS = [
-  { id: 'commander', name: 'Commander / EDH', maxCards: 100, singleton: true },
-  { id: 'standard', name: 'Standard', maxCards: 60, singleton: false },
-  { id: 'modern', name: 'Modern', maxCards: 60, singleton: false },
-  { id: 'legacy', name: 'Legacy', maxCards: 60, singleton: false },
-  { id: 'pioneer', name: 'Pioneer', maxCards: 60, singleton: false },
-  { id: 'pauper', name: 'Pauper', maxCards: 60, singleton: false },
-  { id: 'vintage', name: 'Vintage', maxCards: 60, singleton: false },
-  { id: 'brawl', name: 'Brawl', maxCards: 60, singleton: true },
-  { id: 'other', name: 'Autre', maxCards: null, singleton: false },
-];
+import { useCollection } from '../context/CollectionContext';
+import UndoSnackbar from '../components/UndoSnackbar';
+import DeckStats from '../components/DeckStats';
+import DeckSimulator from '../components/DeckSimulator';
+import DeckProbabilities from '../components/DeckProbabilities';
+import TagEditor from '../components/TagEditor';
+import { DECK_FORMATS, ISSUE_LEVELS, getDeckFormat, validateDeck } from '../services/deckValidator';
+import {
+  PAIRING_TYPES,
+  canBeCommander,
+  canPair,
+  getDeckCommanders,
+  getCommanderIdentity,
+  toCommanderReference,
+} from '../services/commanderRules';
+import {
+  getTagLabel,
+  suggestTags,
+  groupCardsByTag,
+  getTagShortfalls,
+  getAutoTagUpdates,
+} from '../services/cardTags';
+
+// Views of the deck detail modal
+const DETAIL_TABS = {
+  cards: { code: 'cards', name: 'Cartes' },
+  stats: { code: 'stats', name: 'Stats' },
+  simulator: { code: 'simulator', name: 'Essai' },
+  probabilities: { code: 'probabilities', name: 'Probas' },
+};
 
 const DecksScreen = ({ navigation }) => {
   const insets = useSafeAreaInsets();
-  const [decks, setDecks] = useState([]);
-  const [loading, setLoading] = useState(true);
+  // Deck changes go through the context so they can be undone
+  const {
+    decks,
+    loading,
+    createNewDeck,
+    deleteExistingDeck,
+    updateCardInExistingDeck,
+    removeCardFromExistingDeck,
+    tagCardsInExistingDeck,
+  } = useCollection();
   const [showNewDeckModal, setShowNewDeckModal] = useState(false);
   const [showCommanderModal, setShowCommanderModal] = useState(false);
   const [showDeckDetailModal, setShowDeckDetailModal] = useState(false);
   const [showEditCardModal, setShowEditCardModal] = useState(false);
-  const [selectedDeck, setSelectedDeck] = useState(null);
+  const [selectedDeckId, setSelectedDeckId] = useState(null);
   const [selectedCard, setSelectedCard] = useState(null);
+  const [showIssues, setShowIssues] = useState(false);
+  const [detailTab, setDetailTab] = useState(DETAIL_TABS.cards.code);
+  const [groupByTag, setGroupByTag] = useState(false);
   
   // New deck form
   const [newDeckName, setNewDeckName] = useState('');
@@ -59,25 +82,13 @@ const DecksScreen = ({ navigation }) => {
   // Commanders from collection
   const [commanders, setCommanders] = useState([]);
   const [loadingCommanders, setLoadingCommanders] = useState(false);
-  const [commanderSuggestions, setCommanderSuggestions] = useState([]);
-
-  const loadData = async () => {
-    setLoading(true);
-    try {
-      const loadedDecks = await loadDecks();
-      setDecks(loadedDecks);
-    } catch (error) {
-      console.error('Error loading decks:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Set once a commander that can take a partner is picked
+  const [firstCommander, setFirstCommander] = useState(null);
 
-  useFocusEffect(
-    useCallback(() => {
-      loadData();
-    }, [])
-  );
+  // Follows undo/redo; null once the deck is gone
+  const selectedDeck = decks.find(d => d.id === selectedDeckId) || null;
+  const validation = selectedDeck ? validateDeck(selectedDeck) : null;
+  const tagShortfalls = selectedDeck ? getTagShortfalls(selectedDeck) : [];
 
   // Load commanders when modal opens
   const loadCommanders = async () => {
@@ -92,38 +103,25 @@ const DecksScreen = ({ navigation }) => {
     }
   };
 
-  const handleCreateDeck = async (commander = null) => {
+  const handleCreateDeck = async (commander = null, partner = null) => {
     if (!newDeckName.trim()) {
       Alert.alert('Erreur', 'Veuillez entrer un nom pour le deck');
       return;
     }
 
     try {
-      const newDeck = await createDeck({
+      const newDeck = await createNewDeck({
         name: newDeckName.trim(),
         format: newDeckFormat,
-        commander: commander ? {
-          id: commander.id,
-          name: commander.name,
-          imageUrl: commander.imageUrl || commander.imageUrlSmall,
-          colorIdentity: commander.colorIdentity,
-          typeLine: commander.typeLine,
-        } : null,
-        cards: commander ? [{
-          id: commander.id,
-          scryfallId: commander.id,
-          name: commander.name,
-          imageUrl: commander.imageUrl || commander.imageUrlSmall,
-          manaCost: commander.manaCost,
-          typeLine: commander.typeLine,
-          quantity: 1,
-        }] : [],
+        commander: commander ? toCommanderReference(commander) : null,
+        partner: partner ? toCommanderReference(partner) : null,
+        cards: [commander, partner].filter(Boolean).map(card => createDeckCard(card, 1)),
       });
 
       if (newDeck) {
-        setDecks(prev => [...prev, newDeck]);
         setShowNewDeckModal(false);
         setShowCommanderModal(false);
+        setFirstCommander(null);
         setNewDeckName('');
         setNewDeckFormat('commander');
         Alert.alert('Succès', `Deck "${newDeck.name}" créé !`);
@@ -143,11 +141,10 @@ const DecksScreen = ({ navigation }) => {
           text: 'Supprimer',
           style: 'destructive',
           onPress: async () => {
-            const success = await deleteDeck(deck.id);
+            const success = await deleteExistingDeck(deck.id);
             if (success) {
-              setDecks(prev => prev.filter(d => d.id !== deck.id));
               setShowDeckDetailModal(false);
-              setSelectedDeck(null);
+              setSelectedDeckId(null);
             }
           },
         },
@@ -155,13 +152,13 @@ const DecksScreen = ({ navigation }) => {
     );
   };
 
-  const handleExportDeck = async (deck) => {
+  const shareDeck = async (deck, format) => {
     try {
-      const decklist = await exportDeckToDecklist(deck.id);
+      const decklist = await exportDeckToDecklist(deck.id, format.code);
       if (decklist) {
         await Share.share({
           message: decklist,
-          title: `${deck.name} - Decklist`,
+          title: `${deck.name} - ${format.name}`,
         });
       }
     } catch (error) {
@@ -169,14 +166,32 @@ const DecksScreen = ({ navigation }) => {
     }
   };
 
+  // The deck detail is a modal: close it so the EDHREC screen shows on top
+  const openEdhrec = (deck) => {
+    setShowDeckDetailModal(false);
+    navigation.navigate('Edhrec', {
+      commanderNames: getDeckCommanders(deck).map(c => c.name),
+      deckId: deck.id,
+    });
+  };
+
+  // Android shows at most three buttons: one per format, tap outside to cancel
+  const handleExportDeck = (deck) => {
+    Alert.alert(
+      'Exporter le deck',
+      'Choisissez le format',
+      Object.values(DECK_EXPORT_FORMATS).map(format => ({
+        text: format.name,
+        onPress: () => shareDeck(deck, format),
+      })),
+      { cancelable: true }
+    );
+  };
+
   const handleUpdateCardQuantity = async (card, newQuantity) => {
     if (!selectedDeck) return;
     
-    const updatedDeck = await updateCardInDeck(selectedDeck.id, card.id, newQuantity);
-    if (updatedDeck) {
-      setSelectedDeck(updatedDeck);
-      setDecks(prev => prev.map(d => d.id === updatedDeck.id ? updatedDeck : d));
-    }
+    await updateCardInExistingDeck(selectedDeck.id, card, newQuantity);
     setShowEditCardModal(false);
     setSelectedCard(null);
   };
@@ -192,20 +207,45 @@ const DecksScreen = ({ navigation }) => {
         {
           text: 'Retirer',
           style: 'destructive',
-          onPress: async () => {
-            const updatedDeck = await removeCardFromDeck(selectedDeck.id, card.id, card.quantity);
-            if (updatedDeck) {
-              setSelectedDeck(updatedDeck);
-              setDecks(prev => prev.map(d => d.id === updatedDeck.id ? updatedDeck : d));
-            }
-          },
+          onPress: () => removeCardFromExistingDeck(selectedDeck.id, card, card.quantity),
         },
       ]
     );
   };
 
+  // Saved right away, like quantity changes
+  const handleCardTagsChange = async (card, tags) => {
+    if (!selectedDeck) return;
+    setSelectedCard({ ...card, tags });
+    await tagCardsInExistingDeck(selectedDeck.id, { [card.id]: tags }, `Tags de ${card.name}`);
+  };
+
+  const handleAutoTag = () => {
+    if (!selectedDeck) return;
+    const updates = getAutoTagUpdates([
+      ...(selectedDeck.cards || []),
+      ...(selectedDeck.sideboard || []),
+      ...(selectedDeck.maybeboard || []),
+    ]);
+    const count = Object.keys(updates).length;
+    if (count === 0) {
+      Alert.alert('Tags automatiques', 'Aucune suggestion pour les cartes sans tag de ce deck.');
+      return;
+    }
+    Alert.alert(
+      'Tags automatiques',
+      `Ajouter les tags suggérés à ${count} carte${count > 1 ? 's' : ''} sans tag ? Les cartes déjà taguées ne changent pas.`,
+      [
+        { text: 'Annuler', style: 'cancel' },
+        { text: 'Taguer', onPress: () => tagCardsInExistingDeck(selectedDeck.id, updates, 'Tags automatiques') },
+      ]
+    );
+  };
+
   const openDeckDetail = (deck) => {
-    setSelectedDeck(deck);
+    setSelectedDeckId(deck.id);
+    setShowIssues(false);
+    setDetailTab(DETAIL_TABS.cards.code);
     setShowDeckDetailModal(true);
   };
 
@@ -222,6 +262,7 @@ const DecksScreen = ({ navigation }) => {
     }
     
     if (newDeckFormat === 'commander' || newDeckFormat === 'brawl') {
+      setFirstCommander(null);
       loadCommanders();
       setShowNewDeckModal(false);
       setShowCommanderModal(true);
@@ -242,7 +283,8 @@ const DecksScreen = ({ navigation }) => {
 
   const renderDeckItem = ({ item }) => {
     const totalCards = getTotalCards(item);
-    const formatInfo = FORMATS.find(f => f.id === item.format) || FORMATS[0];
+    const formatInfo = getDeckFormat(item.format);
+    const { valid } = validateDeck(item);
     
     return (
       <TouchableOpacity 
@@ -263,14 +305,23 @@ const DecksScreen = ({ navigation }) => {
           <Text style={styles.deckName} numberOfLines={1}>{item.name}</Text>
           {item.commander && (
             <Text style={styles.deckCommander} numberOfLines={1}>
-              {getColorIdentityDisplay(item.commander.colorIdentity)} {item.commander.name}
+              {getColorIdentityDisplay(getCommanderIdentity(item))}{' '}
+              {getDeckCommanders(item).map(c => c.name).join(' + ')}
             </Text>
           )}
           <View style={styles.deckMeta}>
             <Text style={styles.deckFormat}>{formatInfo.name}</Text>
             <Text style={styles.deckCount}>
-              {totalCards}{formatInfo.maxCards ? `/${formatInfo.maxCards}` : ''} cartes
+              {totalCards}{formatInfo.minCards ? `/${formatInfo.minCards}` : ''} cartes
             </Text>
+            {formatInfo.legality && (
+              <Ionicons
+                name={valid ? 'checkmark-circle' : 'alert-circle'}
+                size={14}
+                color={valid ? '#4CAF50' : ISSUE_LEVELS.error.color}
+                style={styles.deckValidIcon}
+              />
+            )}
           </View>
         </View>
         
@@ -279,10 +330,27 @@ const DecksScreen = ({ navigation }) => {
     );
   };
 
+  // Commanders that can take a partner go through a second step, when the
+  // collection holds a card they can pair with
+  const handlePickCommander = (item) => {
+    if (firstCommander) {
+      handleCreateDeck(firstCommander, item);
+    } else if (item.pairing && commanders.some(c => canPair(item, c))) {
+      setFirstCommander(item);
+    } else {
+      handleCreateDeck(item);
+    }
+  };
+
+  const commanderFormat = getDeckFormat(newDeckFormat);
+  const commanderChoices = firstCommander
+    ? commanders.filter(c => canPair(firstCommander, c))
+    : commanders.filter(c => canBeCommander(c, commanderFormat));
+
   const renderCommanderItem = ({ item }) => (
     <TouchableOpacity 
       style={styles.commanderItem}
-      onPress={() => handleCreateDeck(item)}
+      onPress={() => handlePickCommander(item)}
     >
       <Image 
         source={{ uri: item.imageUrlSmall || item.imageUrl }} 
@@ -294,6 +362,12 @@ const DecksScreen = ({ navigation }) => {
         <Text style={styles.commanderType} numberOfLines={1}>{item.typeLine}</Text>
         <Text style={styles.commanderColors}>
           {getColorIdentityDisplay(item.colorIdentity)}
+          {item.pairing && (
+            <Text style={styles.commanderPairing}>
+              {'  '}{PAIRING_TYPES[item.pairing.type].name}
+              {item.pairing.partnerName ? ` ${item.pairing.partnerName}` : ''}
+            </Text>
+          )}
         </Text>
       </View>
       <Ionicons name="add-circle" size={28} color="#6B4FA2" />
@@ -315,6 +389,9 @@ const DecksScreen = ({ navigation }) => {
       <View style={styles.deckCardInfo}>
         <Text style={styles.deckCardName} numberOfLines={1}>{item.name}</Text>
         <Text style={styles.deckCardType} numberOfLines={1}>{item.typeLine}</Text>
+        {item.tags?.length > 0 && (
+          <Text style={styles.deckCardTags} numberOfLines={1}>{item.tags.map(getTagLabel).join(' · ')}</Text>
+        )}
       </View>
       {item.manaCost && (
         <Text style={styles.deckCardMana}>{item.manaCost}</Text>
@@ -340,9 +417,14 @@ const DecksScreen = ({ navigation }) => {
     <View style={[styles.container, { paddingTop: insets.top }]}>
       <View style={styles.header}>
         <Text style={styles.title}>Mes Decks</Text>
-        <TouchableOpacity style={styles.addButton} onPress={openNewDeckModal}>
-          <Ionicons name="add-circle" size={32} color="#6B4FA2" />
-        </TouchableOpacity>
+        <View style={styles.headerActions}>
+          <TouchableOpacity style={styles.addButton} onPress={() => navigation.navigate('DeckBuilder')}>
+            <Ionicons name="hammer-outline" size={28} color="#6B4FA2" />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.addButton} onPress={openNewDeckModal}>
+            <Ionicons name="add-circle" size={32} color="#6B4FA2" />
+          </TouchableOpacity>
+        </View>
       </View>
 
       {loading ? (
@@ -391,7 +473,7 @@ const DecksScreen = ({ navigation }) => {
               showsHorizontalScrollIndicator={false}
               style={styles.formatList}
             >
-              {FORMATS.map(format => (
+              {DECK_FORMATS.map(format => (
                 <TouchableOpacity
                   key={format.id}
                   style={[
@@ -433,22 +515,30 @@ const DecksScreen = ({ navigation }) => {
         <View style={styles.modalOverlay}>
           <View style={[styles.modalContentFull, { paddingBottom: insets.bottom + 20, paddingTop: insets.top + 20 }]}>
             <View style={styles.modalHeader}>
-              <Text style={styles.modalTitle}>Choisir un commandant</Text>
+              <Text style={styles.modalTitle}>
+                {firstCommander ? 'Second commandant' : 'Choisir un commandant'}
+              </Text>
               <TouchableOpacity onPress={() => {
+                if (firstCommander) {
+                  setFirstCommander(null);
+                  return;
+                }
                 setShowCommanderModal(false);
                 setShowNewDeckModal(true);
               }}>
-                <Ionicons name="close" size={28} color="#FFF" />
+                <Ionicons name={firstCommander ? 'arrow-back' : 'close'} size={28} color="#FFF" />
               </TouchableOpacity>
             </View>
 
             <Text style={styles.modalSubtitle}>
-              Créatures légendaires dans votre collection
+              {firstCommander
+                ? `Cartes de votre collection pouvant accompagner ${firstCommander.name}`
+                : 'Créatures légendaires dans votre collection'}
             </Text>
 
             {loadingCommanders ? (
               <ActivityIndicator size="large" color="#6B4FA2" style={{ marginTop: 40 }} />
-            ) : commanders.length === 0 ? (
+            ) : commanderChoices.length === 0 ? (
               <View style={styles.noCommandersContainer}>
                 <Ionicons name="alert-circle-outline" size={60} color="#666" />
                 <Text style={styles.noCommandersText}>
@@ -466,7 +556,7 @@ const DecksScreen = ({ navigation }) => {
               </View>
             ) : (
               <FlatList
-                data={commanders}
+                data={commanderChoices}
                 keyExtractor={(item) => item.id}
                 renderItem={renderCommanderItem}
                 contentContainerStyle={styles.commanderList}
@@ -475,9 +565,11 @@ const DecksScreen = ({ navigation }) => {
 
             <TouchableOpacity 
               style={styles.skipButton}
-              onPress={() => handleCreateDeck(null)}
+              onPress={() => handleCreateDeck(firstCommander)}
             >
-              <Text style={styles.skipButtonText}>Créer sans commandant</Text>
+              <Text style={styles.skipButtonText}>
+                {firstCommander ? 'Continuer sans second commandant' : 'Créer sans commandant'}
+              </Text>
             </TouchableOpacity>
           </View>
         </View>
@@ -485,12 +577,12 @@ const DecksScreen = ({ navigation }) => {
 
       {/* Deck Detail Modal */}
       <Modal
-        visible={showDeckDetailModal}
+        visible={showDeckDetailModal && !!selectedDeck}
         animationType="slide"
         transparent={true}
         onRequestClose={() => {
           setShowDeckDetailModal(false);
-          setSelectedDeck(null);
+          setSelectedDeckId(null);
         }}
       >
         <View style={styles.modalOverlay}>
@@ -501,12 +593,12 @@ const DecksScreen = ({ navigation }) => {
                   <View style={styles.deckDetailHeader}>
                     <Text style={styles.modalTitle} numberOfLines={1}>{selectedDeck.name}</Text>
                     <Text style={styles.deckDetailFormat}>
-                      {FORMATS.find(f => f.id === selectedDeck.format)?.name || selectedDeck.format}
+                      {getDeckFormat(selectedDeck.format).name}
                     </Text>
                   </View>
                   <TouchableOpacity onPress={() => {
                     setShowDeckDetailModal(false);
-                    setSelectedDeck(null);
+                    setSelectedDeckId(null);
                   }}>
                     <Ionicons name="close" size={28} color="#FFF" />
                   </TouchableOpacity>
@@ -514,15 +606,22 @@ const DecksScreen = ({ navigation }) => {
 
                 {selectedDeck.commander && (
                   <View style={styles.commanderBanner}>
-                    <Image 
-                      source={{ uri: selectedDeck.commander.imageUrl }} 
-                      style={styles.commanderBannerImage}
-                    />
+                    {getDeckCommanders(selectedDeck).map(commander => (
+                      <Image 
+                        key={commander.id}
+                        source={{ uri: commander.imageUrl }} 
+                        style={styles.commanderBannerImage}
+                      />
+                    ))}
                     <View style={styles.commanderBannerInfo}>
-                      <Text style={styles.commanderBannerLabel}>Commandant</Text>
-                      <Text style={styles.commanderBannerName}>{selectedDeck.commander.name}</Text>
+                      <Text style={styles.commanderBannerLabel}>
+                        {selectedDeck.partner ? 'Commandants' : 'Commandant'}
+                      </Text>
+                      <Text style={styles.commanderBannerName}>
+                        {getDeckCommanders(selectedDeck).map(c => c.name).join(' + ')}
+                      </Text>
                       <Text style={styles.commanderBannerColors}>
-                        {getColorIdentityDisplay(selectedDeck.commander.colorIdentity)}
+                        {getColorIdentityDisplay(getCommanderIdentity(selectedDeck))}
                       </Text>
                     </View>
                   </View>
@@ -537,8 +636,79 @@ const DecksScreen = ({ navigation }) => {
                     <Text style={styles.deckStatValue}>{selectedDeck.cards?.length || 0}</Text>
                     <Text style={styles.deckStatLabel}>Uniques</Text>
                   </View>
+                  {selectedDeck.sideboard?.length > 0 && (
+                    <View style={styles.deckStat}>
+                      <Text style={styles.deckStatValue}>
+                        {selectedDeck.sideboard.reduce((sum, c) => sum + (c.quantity || 1), 0)}
+                      </Text>
+                      <Text style={styles.deckStatLabel}>Réserve</Text>
+                    </View>
+                  )}
+                  {selectedDeck.maybeboard?.length > 0 && (
+                    <View style={styles.deckStat}>
+                      <Text style={styles.deckStatValue}>
+                        {selectedDeck.maybeboard.reduce((sum, c) => sum + (c.quantity || 1), 0)}
+                      </Text>
+                      <Text style={styles.deckStatLabel}>Peut-être</Text>
+                    </View>
+                  )}
                 </View>
 
+                {validation.format.legality && (
+                  <View style={styles.validation}>
+                    <TouchableOpacity
+                      style={styles.validationHeader}
+                      onPress={() => setShowIssues(!showIssues)}
+                      disabled={validation.issues.length === 0}
+                    >
+                      <View style={[styles.validationBadge, {
+                        backgroundColor: validation.errors > 0
+                          ? ISSUE_LEVELS.error.color
+                          : validation.warnings > 0 ? ISSUE_LEVELS.warning.color : '#4CAF50',
+                      }]}>
+                        <Ionicons
+                          name={validation.errors > 0 ? 'close-circle' : validation.warnings > 0 ? 'alert-circle' : 'checkmark-circle'}
+                          size={16}
+                          color="#FFF"
+                        />
+                        <Text style={styles.validationBadgeText}>
+                          {validation.valid ? `Légal en ${validation.format.name}` : `Non légal en ${validation.format.name}`}
+                        </Text>
+                      </View>
+                      {validation.issues.length > 0 && (
+                        <>
+                          <Text style={styles.validationCount}>
+                            {[
+                              validation.errors > 0 && `${validation.errors} erreur${validation.errors > 1 ? 's' : ''}`,
+                              validation.warnings > 0 && `${validation.warnings} avertissement${validation.warnings > 1 ? 's' : ''}`,
+                            ].filter(Boolean).join(', ')}
+                          </Text>
+                          <Ionicons name={showIssues ? 'chevron-up' : 'chevron-down'} size={18} color="#888" />
+                        </>
+                      )}
+                    </TouchableOpacity>
+                    {showIssues && (
+                      <ScrollView style={styles.issueList} nestedScrollEnabled>
+                        {validation.issues.map((item, index) => (
+                          <View key={index} style={styles.issue}>
+                            <Ionicons
+                              name={item.level === ISSUE_LEVELS.error.code ? 'close-circle-outline' : 'alert-circle-outline'}
+                              size={16}
+                              color={ISSUE_LEVELS[item.level].color}
+                            />
+                            <View style={styles.issueInfo}>
+                              <Text style={styles.issueText}>{item.message}</Text>
+                              {item.cards.length > 0 && (
+                                <Text style={styles.issueCards}>{item.cards.join(', ')}</Text>
+                              )}
+                            </View>
+                          </View>
+                        ))}
+                      </ScrollView>
+                    )}
+                  </View>
+                )}
+
                 <View style={styles.deckActions}>
                   <TouchableOpacity 
                     style={styles.deckActionButton}
@@ -547,6 +717,15 @@ const DecksScreen = ({ navigation }) => {
                     <Ionicons name="share-outline" size={20} color="#6B4FA2" />
                     <Text style={styles.deckActionText}>Exporter</Text>
                   </TouchableOpacity>
+                  {selectedDeck.commander && (
+                    <TouchableOpacity
+                      style={styles.deckActionButton}
+                      onPress={() => openEdhrec(selectedDeck)}
+                    >
+                      <Ionicons name="bulb-outline" size={20} color="#6B4FA2" />
+                      <Text style={styles.deckActionText}>EDHREC</Text>
+                    </TouchableOpacity>
+                  )}
                   <TouchableOpacity 
                     style={[styles.deckActionButton, styles.deckActionButtonDanger]}
                     onPress={() => handleDeleteDeck(selectedDeck)}
@@ -556,9 +735,33 @@ const DecksScreen = ({ navigation }) => {
                   </TouchableOpacity>
                 </View>
 
-                <Text style={styles.sectionTitle}>Cartes du deck</Text>
-                
-                {(!selectedDeck.cards || selectedDeck.cards.length === 0) ? (
+                <View style={styles.detailTabs}>
+                  {Object.values(DETAIL_TABS).map(tab => (
+                    <TouchableOpacity
+                      key={tab.code}
+                      style={[styles.detailTab, detailTab === tab.code && styles.detailTabActive]}
+                      onPress={() => setDetailTab(tab.code)}
+                    >
+                      <Text style={[styles.detailTabText, detailTab === tab.code && styles.detailTabTextActive]}>
+                        {tab.name}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                {detailTab === DETAIL_TABS.stats.code ? (
+                  <ScrollView contentContainerStyle={styles.deckCardsList}>
+                    <DeckStats deck={selectedDeck} />
+                  </ScrollView>
+                ) : detailTab === DETAIL_TABS.simulator.code ? (
+                  <ScrollView contentContainerStyle={styles.deckCardsList}>
+                    <DeckSimulator deck={selectedDeck} />
+                  </ScrollView>
+                ) : detailTab === DETAIL_TABS.probabilities.code ? (
+                  <ScrollView contentContainerStyle={styles.deckCardsList}>
+                    <DeckProbabilities deck={selectedDeck} />
+                  </ScrollView>
+                ) : (!selectedDeck.cards || selectedDeck.cards.length === 0) ? (
                   <View style={styles.emptyDeckCards}>
                     <Text style={styles.emptyDeckCardsText}>Aucune carte dans ce deck</Text>
                     <Text style={styles.emptyDeckCardsHint}>
@@ -566,16 +769,59 @@ const DecksScreen = ({ navigation }) => {
                     </Text>
                   </View>
                 ) : (
-                  <FlatList
-                    data={selectedDeck.cards}
-                    keyExtractor={(item, index) => `${item.id}-${index}`}
-                    renderItem={renderDeckCard}
-                    contentContainerStyle={styles.deckCardsList}
-                  />
+                  <>
+                    <View style={styles.cardsToolbar}>
+                      <TouchableOpacity style={styles.cardsToolbarButton} onPress={() => setGroupByTag(!groupByTag)}>
+                        <Ionicons name={groupByTag ? 'list-outline' : 'pricetags-outline'} size={16} color="#6B4FA2" />
+                        <Text style={styles.cardsToolbarText}>{groupByTag ? 'Liste' : 'Par tag'}</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity style={styles.cardsToolbarButton} onPress={handleAutoTag}>
+                        <Ionicons name="sparkles-outline" size={16} color="#6B4FA2" />
+                        <Text style={styles.cardsToolbarText}>Tags auto</Text>
+                      </TouchableOpacity>
+                    </View>
+                    {tagShortfalls.length > 0 && (
+                      <View style={styles.shortfalls}>
+                        <Ionicons name="flag-outline" size={16} color={ISSUE_LEVELS.warning.color} />
+                        <Text style={styles.shortfallsText}>
+                          {tagShortfalls.map(({ label, count, target }) => `${label} ${count}/${target}`).join(' · ')}
+                        </Text>
+                      </View>
+                    )}
+                    {groupByTag ? (
+                      <SectionList
+                        sections={groupCardsByTag(selectedDeck.cards).map(group => ({
+                          key: group.tag,
+                          title: group.label,
+                          count: group.count,
+                          data: group.cards,
+                        }))}
+                        keyExtractor={(item, index) => `${item.id}-${index}`}
+                        renderItem={renderDeckCard}
+                        renderSectionHeader={({ section }) => (
+                          <View style={styles.tagHeader}>
+                            <Text style={styles.tagHeaderTitle}>{section.title}</Text>
+                            <Text style={styles.tagHeaderCount}>{section.count}</Text>
+                          </View>
+                        )}
+                        stickySectionHeadersEnabled={false}
+                        contentContainerStyle={styles.deckCardsList}
+                      />
+                    ) : (
+                      <FlatList
+                        data={selectedDeck.cards}
+                        keyExtractor={(item, index) => `${item.id}-${index}`}
+                        renderItem={renderDeckCard}
+                        contentContainerStyle={styles.deckCardsList}
+                      />
+                    )}
+                  </>
                 )}
               </>
             )}
           </View>
+          {/* The app-wide snackbar is hidden behind the modal */}
+          <UndoSnackbar />
         </View>
       </Modal>
 
@@ -620,6 +866,15 @@ const DecksScreen = ({ navigation }) => {
                   </TouchableOpacity>
                 </View>
 
+                <Text style={styles.editModalSubtitle}>Tags</Text>
+                <View style={styles.editTags}>
+                  <TagEditor
+                    tags={selectedCard.tags || []}
+                    onChange={(tags) => handleCardTagsChange(selectedCard, tags)}
+                    suggestions={suggestTags(selectedCard)}
+                  />
+                </View>
+
                 <TouchableOpacity 
                   style={styles.removeCardButton}
                   onPress={() => {
@@ -659,7 +914,8 @@ const styles = StyleSheet.create({
     paddingVertical: 16,
   },
   title: { fontSize: 28, fontWeight: 'bold', color: '#FFF' },
-  addButton: { padding: 4 },
+  headerActions: { flexDirection: 'row', alignItems: 'center' },
+  addButton: { padding: 4, marginLeft: 8 },
   loadingContainer: { flex: 1, justifyContent: 'center', alignItems: 'center' },
   listContent: { paddingHorizontal: 16 },
   
@@ -688,6 +944,7 @@ const styles = StyleSheet.create({
   deckMeta: { flexDirection: 'row', alignItems: 'center' },
   deckFormat: { fontSize: 12, color: '#6B4FA2', marginRight: 12 },
   deckCount: { fontSize: 12, color: '#666' },
+  deckValidIcon: { marginLeft: 6 },
   
   // Empty State
   emptyContainer: { flex: 1, justifyContent: 'center', alignItems: 'center', paddingHorizontal: 40 },
@@ -758,6 +1015,7 @@ const styles = StyleSheet.create({
   commanderName: { fontSize: 15, fontWeight: '500', color: '#FFF', marginBottom: 2 },
   commanderType: { fontSize: 12, color: '#888', marginBottom: 4 },
   commanderColors: { fontSize: 14 },
+  commanderPairing: { fontSize: 12, color: '#B39DDB' },
   
   noCommandersContainer: { flex: 1, justifyContent: 'center', alignItems: 'center', paddingHorizontal: 32 },
   noCommandersText: { fontSize: 16, color: '#888', textAlign: 'center', marginTop: 16 },
@@ -786,8 +1044,8 @@ const styles = StyleSheet.create({
     padding: 12,
     marginBottom: 16,
   },
-  commanderBannerImage: { width: 60, height: 84, borderRadius: 6 },
-  commanderBannerInfo: { flex: 1, marginLeft: 12, justifyContent: 'center' },
+  commanderBannerImage: { width: 60, height: 84, borderRadius: 6, marginRight: 6 },
+  commanderBannerInfo: { flex: 1, marginLeft: 6, justifyContent: 'center' },
   commanderBannerLabel: { fontSize: 11, color: '#888', marginBottom: 4 },
   commanderBannerName: { fontSize: 16, fontWeight: '600', color: '#FFF', marginBottom: 4 },
   commanderBannerColors: { fontSize: 16 },
@@ -804,6 +1062,23 @@ const styles = StyleSheet.create({
   deckStatValue: { fontSize: 24, fontWeight: 'bold', color: '#FFF' },
   deckStatLabel: { fontSize: 12, color: '#888', marginTop: 4 },
   
+  validation: { backgroundColor: '#2A2A2A', borderRadius: 10, padding: 10, marginBottom: 16 },
+  validationHeader: { flexDirection: 'row', alignItems: 'center' },
+  validationBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  validationBadgeText: { color: '#FFF', fontSize: 12, fontWeight: '600', marginLeft: 4 },
+  validationCount: { flex: 1, color: '#AAA', fontSize: 12, marginLeft: 10 },
+  issueList: { maxHeight: 180, marginTop: 10 },
+  issue: { flexDirection: 'row', marginBottom: 8 },
+  issueInfo: { flex: 1, marginLeft: 8 },
+  issueText: { color: '#FFF', fontSize: 13 },
+  issueCards: { color: '#888', fontSize: 12, marginTop: 2 },
+
   deckActions: { flexDirection: 'row', marginBottom: 16 },
   deckActionButton: {
     flex: 1,
@@ -819,7 +1094,11 @@ const styles = StyleSheet.create({
   deckActionText: { color: '#6B4FA2', fontSize: 14, marginLeft: 6 },
   deckActionTextDanger: { color: '#F44336' },
   
-  sectionTitle: { fontSize: 16, fontWeight: '600', color: '#FFF', marginBottom: 12 },
+  detailTabs: { flexDirection: 'row', backgroundColor: '#2A2A2A', borderRadius: 10, padding: 4, marginBottom: 12 },
+  detailTab: { flex: 1, alignItems: 'center', paddingVertical: 8, borderRadius: 8 },
+  detailTabActive: { backgroundColor: '#6B4FA2' },
+  detailTabText: { color: '#888', fontSize: 14 },
+  detailTabTextActive: { color: '#FFF', fontWeight: '600' },
   
   deckCardsList: { paddingBottom: 20 },
   deckCardItem: {
@@ -841,6 +1120,15 @@ const styles = StyleSheet.create({
   deckCardInfo: { flex: 1 },
   deckCardName: { color: '#FFF', fontSize: 14, fontWeight: '500' },
   deckCardType: { color: '#888', fontSize: 11, marginTop: 2 },
+  deckCardTags: { color: '#6B4FA2', fontSize: 11, marginTop: 2 },
+  cardsToolbar: { flexDirection: 'row', justifyContent: 'flex-end', marginBottom: 8 },
+  cardsToolbarButton: { flexDirection: 'row', alignItems: 'center', marginLeft: 16 },
+  cardsToolbarText: { color: '#6B4FA2', fontSize: 13, marginLeft: 4 },
+  shortfalls: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#2A2A2A', borderRadius: 10, padding: 10, marginBottom: 8 },
+  shortfallsText: { color: '#FF9800', fontSize: 12, marginLeft: 8, flex: 1 },
+  tagHeader: { flexDirection: 'row', justifyContent: 'space-between', paddingVertical: 6, marginTop: 8 },
+  tagHeaderTitle: { color: '#FFF', fontSize: 14, fontWeight: '600' },
+  tagHeaderCount: { color: '#888', fontSize: 13 },
   deckCardMana: { color: '#AAA', fontSize: 12 },
   
   emptyDeckCards: { alignItems: 'center', paddingVertical: 40 },
@@ -852,6 +1140,7 @@ const styles = StyleSheet.create({
   editModalContent: { backgroundColor: '#1E1E1E', borderRadius: 20, padding: 24, width: '80%', alignItems: 'center' },
   editModalTitle: { fontSize: 18, fontWeight: '600', color: '#FFF', textAlign: 'center', marginBottom: 8 },
   editModalSubtitle: { fontSize: 13, color: '#888', marginBottom: 16 },
+  editTags: { alignSelf: 'stretch', marginBottom: 16 },
   
   quantityControls: { flexDirection: 'row', alignItems: 'center', marginBottom: 24 },
   quantityButton: {
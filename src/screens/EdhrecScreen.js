@@ -0,0 +1,357 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  SectionList,
+  ScrollView,
+  FlatList,
+  Modal,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useCollection } from '../context/CollectionContext';
+import {
+  BUDGET_VARIANTS,
+  getCommanderPageName,
+  getCommanderRecommendations,
+  getCommanderThemes,
+  getInclusionRate,
+  parseRecommendations,
+} from '../services/edhrecApi';
+import { getCardByExactName } from '../services/scryfallApi';
+import { getOffIdentityColors } from '../services/commanderRules';
+import { getDeckFormat } from '../services/deckValidator';
+
+// Card lists of a commander page, in EDHREC's order
+const RECOMMENDATION_SECTIONS = [
+  { key: 'highSynergy', title: 'Haute synergie' },
+  { key: 'topCards', title: 'Cartes populaires' },
+  { key: 'newCards', title: 'Nouveautés' },
+  { key: 'creatures', title: 'Créatures' },
+  { key: 'instants', title: 'Éphémères' },
+  { key: 'sorceries', title: 'Rituels' },
+  { key: 'artifacts', title: 'Artefacts' },
+  { key: 'enchantments', title: 'Enchantements' },
+  { key: 'lands', title: 'Terrains' },
+];
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+// EDHREC recommendations for a commander (or a pair), by theme and budget,
+// with the cards already owned marked and an add button toward a deck.
+// Params: commanderNames, deckId (deck the cards go to by default)
+const EdhrecScreen = ({ navigation, route }) => {
+  const insets = useSafeAreaInsets();
+  const { commanderNames, deckId = null } = route.params;
+  const { decks, isCardInCollection, addCardToExistingDeck } = useCollection();
+  const [theme, setTheme] = useState(null);
+  const [budget, setBudget] = useState(BUDGET_VARIANTS.all.code);
+  const [themes, setThemes] = useState([]);
+  const [recommendations, setRecommendations] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [targetDeckId, setTargetDeckId] = useState(deckId);
+  const [showDeckPicker, setShowDeckPicker] = useState(false);
+  // Card waiting for a deck to be picked
+  const [pendingName, setPendingName] = useState(null);
+  const [addingName, setAddingName] = useState(null);
+
+  const pageName = getCommanderPageName(commanderNames);
+  const targetDeck = decks.find(d => d.id === targetDeckId) || null;
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    getCommanderRecommendations(pageName, { theme, budget }).then(data => {
+      if (cancelled) return;
+      setRecommendations(data ? parseRecommendations(data) : null);
+      // Theme pages do not list the other themes: keep the commander page's
+      if (data && !theme) setThemes(getCommanderThemes(data));
+      setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [pageName, theme, budget]);
+
+  const sections = recommendations
+    ? RECOMMENDATION_SECTIONS
+      .map(section => ({ ...section, data: recommendations[section.key] }))
+      .filter(section => section.data.length > 0)
+    : [];
+
+  const addCard = async (deck, card) => {
+    const updated = await addCardToExistingDeck(deck.id, card, 1);
+    if (!updated) {
+      Alert.alert('Erreur', 'Impossible d\'ajouter la carte au deck');
+    }
+  };
+
+  // Commander decks only take cards within their commanders' color identity
+  const handleAdd = async (deck, name) => {
+    setAddingName(name);
+    let card = null;
+    try {
+      card = await getCardByExactName(name);
+    } catch (error) {
+      console.error('Error fetching card:', error);
+    }
+    setAddingName(null);
+    if (!card) {
+      Alert.alert('Erreur', `Carte « ${name} » introuvable sur Scryfall`);
+      return;
+    }
+
+    const offColors = getDeckFormat(deck.format).commander ? getOffIdentityColors(deck, card) : [];
+    if (offColors.length === 0) {
+      addCard(deck, card);
+      return;
+    }
+    Alert.alert(
+      'Hors identité couleur',
+      `${name} (${offColors.join('')}) sort de l'identité couleur du commandant de « ${deck.name} ». Le deck ne sera pas légal.`,
+      [
+        { text: 'Annuler', style: 'cancel' },
+        { text: 'Ajouter quand même', style: 'destructive', onPress: () => addCard(deck, card) },
+      ]
+    );
+  };
+
+  const handleAddPress = (name) => {
+    if (targetDeck) {
+      handleAdd(targetDeck, name);
+    } else {
+      setPendingName(name);
+      setShowDeckPicker(true);
+    }
+  };
+
+  const handlePickDeck = (deck) => {
+    setTargetDeckId(deck.id);
+    setShowDeckPicker(false);
+    if (pendingName) {
+      handleAdd(deck, pendingName);
+      setPendingName(null);
+    }
+  };
+
+  const renderCard = ({ item }) => {
+    const owned = isCardInCollection(item.name);
+    const inDeck = targetDeck?.cards.some(c => c.name === item.name);
+    const inclusionRate = getInclusionRate(item);
+    return (
+      <View style={styles.row}>
+        <View style={styles.rowInfo}>
+          <View style={styles.rowTitleLine}>
+            <Text style={styles.rowTitle} numberOfLines={1}>{item.name}</Text>
+            {owned && (
+              <View style={styles.ownedBadge}>
+                <Text style={styles.ownedBadgeText}>Possédée</Text>
+              </View>
+            )}
+          </View>
+          <Text style={styles.rowMeta}>
+            {[
+              item.synergy != null && `Synergie ${item.synergy > 0 ? '+' : ''}${formatPercent(item.synergy)}`,
+              inclusionRate != null && `${formatPercent(inclusionRate)} des decks`,
+              `${(item.numDecks ?? item.inclusion ?? 0).toLocaleString('fr-FR')} decks`,
+            ].filter(Boolean).join(' · ')}
+          </Text>
+        </View>
+        {addingName === item.name ? (
+          <ActivityIndicator size="small" color="#6B4FA2" />
+        ) : (
+          <TouchableOpacity onPress={() => handleAddPress(item.name)} disabled={Boolean(addingName)}>
+            <Ionicons
+              name={inDeck ? 'checkmark-circle' : 'add-circle-outline'}
+              size={26}
+              color={inDeck ? '#4CAF50' : '#6B4FA2'}
+            />
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top }]}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#FFF" />
+        </TouchableOpacity>
+        <View style={styles.headerInfo}>
+          <Text style={styles.title}>EDHREC</Text>
+          <Text style={styles.subtitle} numberOfLines={1}>{commanderNames.join(' + ')}</Text>
+        </View>
+      </View>
+
+      <View style={styles.filters}>
+        <View style={styles.chips}>
+          {Object.values(BUDGET_VARIANTS).map(variant => (
+            <TouchableOpacity
+              key={variant.code}
+              style={[styles.chip, budget === variant.code && styles.chipActive]}
+              onPress={() => setBudget(variant.code)}
+            >
+              <Text style={[styles.chipText, budget === variant.code && styles.chipTextActive]}>{variant.name}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {themes.length > 0 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.themes}>
+            {[{ name: 'Tous les thèmes', slug: null }, ...themes].map(item => (
+              <TouchableOpacity
+                key={item.slug || 'all'}
+                style={[styles.chip, theme === item.slug && styles.chipActive]}
+                onPress={() => setTheme(item.slug)}
+              >
+                <Text style={[styles.chipText, theme === item.slug && styles.chipTextActive]}>
+                  {item.name}{item.count ? ` (${item.count})` : ''}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
+        <TouchableOpacity style={styles.targetDeck} onPress={() => setShowDeckPicker(true)}>
+          <Ionicons name="layers-outline" size={16} color="#888" />
+          <Text style={styles.targetDeckText} numberOfLines={1}>
+            Ajouter à : <Text style={styles.targetDeckName}>{targetDeck ? targetDeck.name : 'choisir un deck'}</Text>
+          </Text>
+          <Ionicons name="chevron-down" size={16} color="#888" />
+        </TouchableOpacity>
+      </View>
+
+      {loading ? (
+        <ActivityIndicator size="large" color="#6B4FA2" style={styles.loader} />
+      ) : (
+        <SectionList
+          sections={sections}
+          keyExtractor={(item, index) => `${item.name}-${index}`}
+          renderItem={renderCard}
+          renderSectionHeader={({ section }) => (
+            <Text style={styles.sectionTitle}>{section.title} ({section.data.length})</Text>
+          )}
+          stickySectionHeadersEnabled={false}
+          contentContainerStyle={[styles.list, { paddingBottom: 40 + insets.bottom }]}
+          ListEmptyComponent={
+            <View style={styles.emptyContainer}>
+              <Ionicons name="cloud-offline-outline" size={64} color="#444" />
+              <Text style={styles.emptyText}>Aucune recommandation EDHREC pour cette page</Text>
+            </View>
+          }
+        />
+      )}
+
+      <Modal
+        visible={showDeckPicker}
+        animationType="slide"
+        transparent
+        onRequestClose={() => { setShowDeckPicker(false); setPendingName(null); }}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Ajouter à quel deck ?</Text>
+              <TouchableOpacity onPress={() => { setShowDeckPicker(false); setPendingName(null); }}>
+                <Ionicons name="close" size={28} color="#FFF" />
+              </TouchableOpacity>
+            </View>
+            <FlatList
+              data={decks}
+              keyExtractor={(item) => item.id}
+              renderItem={({ item }) => (
+                <TouchableOpacity style={styles.deckRow} onPress={() => handlePickDeck(item)}>
+                  <Ionicons
+                    name={item.id === targetDeckId ? 'radio-button-on' : 'radio-button-off'}
+                    size={20}
+                    color="#6B4FA2"
+                  />
+                  <Text style={styles.deckName} numberOfLines={1}>{item.name}</Text>
+                  <Text style={styles.deckFormat}>{getDeckFormat(item.format).name}</Text>
+                </TouchableOpacity>
+              )}
+              ListEmptyComponent={<Text style={styles.emptyText}>Aucun deck</Text>}
+            />
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#121212' },
+  header: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 16, paddingTop: 16, paddingBottom: 8 },
+  backButton: { padding: 4, marginRight: 8 },
+  headerInfo: { flex: 1 },
+  title: { fontSize: 22, fontWeight: 'bold', color: '#FFF' },
+  subtitle: { fontSize: 13, color: '#888', marginTop: 2 },
+  loader: { marginTop: 40 },
+
+  filters: { paddingHorizontal: 16 },
+  chips: { flexDirection: 'row' },
+  themes: { marginTop: 8, flexGrow: 0 },
+  chip: {
+    backgroundColor: '#2A2A2A',
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  chipActive: { backgroundColor: '#6B4FA2' },
+  chipText: { color: '#AAA', fontSize: 13 },
+  chipTextActive: { color: '#FFF', fontWeight: '600' },
+  targetDeck: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1E1E1E',
+    borderRadius: 10,
+    padding: 10,
+    marginTop: 10,
+  },
+  targetDeckText: { flex: 1, color: '#888', fontSize: 13, marginHorizontal: 8 },
+  targetDeckName: { color: '#FFF', fontWeight: '600' },
+
+  list: { paddingHorizontal: 16 },
+  sectionTitle: {
+    color: '#888',
+    fontSize: 13,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1E1E1E',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  rowInfo: { flex: 1, marginRight: 12 },
+  rowTitleLine: { flexDirection: 'row', alignItems: 'center' },
+  rowTitle: { flexShrink: 1, color: '#FFF', fontSize: 14 },
+  ownedBadge: { backgroundColor: '#2E7D32', borderRadius: 8, paddingHorizontal: 6, paddingVertical: 1, marginLeft: 8 },
+  ownedBadgeText: { color: '#FFF', fontSize: 10, fontWeight: '600' },
+  rowMeta: { color: '#888', fontSize: 12, marginTop: 2 },
+  emptyContainer: { alignItems: 'center', marginTop: 80 },
+  emptyText: { color: '#666', fontSize: 14, marginTop: 12, textAlign: 'center' },
+
+  modalOverlay: { flex: 1, backgroundColor: 'rgba(0,0,0,0.9)', justifyContent: 'flex-end' },
+  modalContent: {
+    maxHeight: '70%',
+    backgroundColor: '#1E1E1E',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 20,
+  },
+  modalHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 },
+  modalTitle: { fontSize: 20, fontWeight: 'bold', color: '#FFF', flex: 1 },
+  deckRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 12 },
+  deckName: { flex: 1, color: '#FFF', fontSize: 15, marginHorizontal: 10 },
+  deckFormat: { color: '#6B4FA2', fontSize: 12 },
+});
+
+export default EdhrecScreen;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -14,7 +14,18 @@ import {
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import * as Clipboard from 'expo-clipboard';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system/legacy';
 import { parseDeckList } from '../services/scryfallApi';
+import { SECTIONS } from '../services/decklistParser';
+import {
+  BULK_TYPES,
+  getLocalDatabaseInfo,
+  refreshLocalDatabase,
+  deleteLocalDatabase,
+} from '../services/cardDatabase';
+import { getHttpCacheStats, clearHttpCache } from '../services/httpCache';
+import { CURRENCIES } from '../services/priceService';
 import {
   exportCollectionToJSON,
   exportCollectionToCSV,
@@ -22,6 +33,7 @@ import {
   addDecklistToCollection,
   createDeckFromDecklist,
 } from '../services/storageService';
+import { LEDGER_SOURCES } from '../services/ledgerService';
 import { useCollection } from '../context/CollectionContext';
 
 const ImportScreen = ({ navigation }) => {
@@ -33,8 +45,22 @@ const ImportScreen = ({ navigation }) => {
   const [importing, setImporting] = useState(false);
   const [showImportOptions, setShowImportOptions] = useState(false);
   const [deckName, setDeckName] = useState('');
+  const [databaseInfo, setDatabaseInfo] = useState({});
+  const [downloadingType, setDownloadingType] = useState(null);
+  const [downloadProgress, setDownloadProgress] = useState(0);
+  const [cacheStats, setCacheStats] = useState(null);
   
-  const { refreshCollection } = useCollection();
+  const { refresh, settings, updateSettings } = useCollection();
+  const [eurRate, setEurRate] = useState(String(settings.exchangeRates?.eur ?? ''));
+
+  useEffect(() => {
+    setEurRate(String(settings.exchangeRates?.eur ?? ''));
+  }, [settings.exchangeRates?.eur]);
+
+  useEffect(() => {
+    getLocalDatabaseInfo().then(setDatabaseInfo);
+    getHttpCacheStats().then(setCacheStats);
+  }, []);
 
   const handleParseDeckList = async () => {
     if (!decklistText.trim()) {
@@ -58,7 +84,7 @@ const ImportScreen = ({ navigation }) => {
     setImporting(true);
     try {
       await addDecklistToCollection(parsedCards);
-      await refreshCollection();
+      await refresh();
       Alert.alert('Importé !', `${parsedCards.filter(c => c.found).length} cartes ajoutées.`);
       resetForm();
     } catch (error) {
@@ -76,9 +102,9 @@ const ImportScreen = ({ navigation }) => {
     }
     setImporting(true);
     try {
-      await addDecklistToCollection(parsedCards);
+      await addDecklistToCollection(parsedCards, LEDGER_SOURCES.deck.code);
       await createDeckFromDecklist(deckName.trim(), 'commander', parsedCards);
-      await refreshCollection();
+      await refresh();
       Alert.alert('Importé !', `Deck "${deckName}" créé. Cartes ajoutées à la collection.`);
       resetForm();
     } catch (error) {
@@ -97,6 +123,7 @@ const ImportScreen = ({ navigation }) => {
     setImporting(true);
     try {
       await createDeckFromDecklist(deckName.trim(), 'commander', parsedCards);
+      await refresh();
       Alert.alert('Deck créé !', `Deck "${deckName}" créé (sans ajout à la collection).`);
       resetForm();
     } catch (error) {
@@ -119,6 +146,21 @@ const ImportScreen = ({ navigation }) => {
     if (text) setDecklistText(text);
   };
 
+  // Decklist file: MTGO .dek, Arena or plain text export
+  const handlePickFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['text/*', 'application/xml', 'application/octet-stream'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || !result.assets?.[0]) return;
+      const text = await FileSystem.readAsStringAsync(result.assets[0].uri);
+      setDecklistText(text);
+    } catch (error) {
+      Alert.alert('Erreur', 'Impossible de lire le fichier');
+    }
+  };
+
   const handleExport = async (type) => {
     try {
       let data;
@@ -134,6 +176,53 @@ const ImportScreen = ({ navigation }) => {
     }
   };
 
+  const handleRefreshDatabase = async (type) => {
+    setDownloadingType(type);
+    setDownloadProgress(0);
+    try {
+      await refreshLocalDatabase(type, setDownloadProgress);
+      setDatabaseInfo(await getLocalDatabaseInfo());
+      Alert.alert('Base à jour', `${BULK_TYPES[type].name} disponible hors ligne.`);
+    } catch (error) {
+      Alert.alert('Erreur', 'Téléchargement impossible');
+    } finally {
+      setDownloadingType(null);
+    }
+  };
+
+  const handleDeleteDatabase = () => {
+    Alert.alert(
+      'Supprimer la base',
+      'Les recherches passeront de nouveau par Scryfall.',
+      [
+        { text: 'Annuler', style: 'cancel' },
+        {
+          text: 'Supprimer',
+          style: 'destructive',
+          onPress: async () => {
+            await deleteLocalDatabase();
+            setDatabaseInfo({});
+          },
+        },
+      ]
+    );
+  };
+
+  const handleClearCache = async () => {
+    await clearHttpCache();
+    setCacheStats(await getHttpCacheStats());
+  };
+
+  const handleSaveEurRate = async () => {
+    const rate = parseFloat(eurRate.replace(',', '.'));
+    if (Number.isNaN(rate) || rate <= 0) {
+      Alert.alert('Erreur', 'Taux de change invalide');
+      setEurRate(String(settings.exchangeRates?.eur ?? ''));
+      return;
+    }
+    await updateSettings({ exchangeRates: { ...settings.exchangeRates, eur: rate } });
+  };
+
   const handleCopyDecklist = async () => {
     const decklist = await exportCollectionToDecklist();
     if (decklist) {
@@ -148,6 +237,16 @@ const ImportScreen = ({ navigation }) => {
     total: parsedCards.reduce((s, c) => s + c.quantity, 0),
   };
 
+  // "Commandant 1 · Deck 99 · Réserve 10", only when the list has sections
+  const sectionSummary = Object.values(SECTIONS)
+    .map(section => ({
+      ...section,
+      count: parsedCards
+        .filter(c => c.section === section.code)
+        .reduce((s, c) => s + c.quantity, 0),
+    }))
+    .filter(section => section.count > 0);
+
   return (
     <View style={[styles.container, { paddingTop: insets.top }]}>
       <ScrollView contentContainerStyle={[styles.scroll, { paddingBottom: 100 + insets.bottom }]}>
@@ -158,7 +257,9 @@ const ImportScreen = ({ navigation }) => {
           <Text style={styles.sectionTitle}>
             <Ionicons name="download-outline" size={18} color="#6B4FA2" /> Importer
           </Text>
-          <Text style={styles.hint}>Format: "4 Lightning Bolt" ou "4x Éclair"</Text>
+          <Text style={styles.hint}>
+            Format: "4 Lightning Bolt", "4x Éclair", Arena "4 Lightning Bolt (STA) 42 *F*" ou fichier MTGO .dek
+          </Text>
 
           <TextInput
             style={styles.input}
@@ -175,6 +276,10 @@ const ImportScreen = ({ navigation }) => {
               <Ionicons name="clipboard" size={18} color="#6B4FA2" />
               <Text style={styles.btnSecondaryText}>Coller</Text>
             </TouchableOpacity>
+            <TouchableOpacity style={styles.btnSecondary} onPress={handlePickFile}>
+              <Ionicons name="document-attach" size={18} color="#6B4FA2" />
+              <Text style={styles.btnSecondaryText}>Fichier</Text>
+            </TouchableOpacity>
             <TouchableOpacity 
               style={[styles.btnPrimary, parsing && styles.disabled]} 
               onPress={handleParseDeckList}
@@ -188,6 +293,15 @@ const ImportScreen = ({ navigation }) => {
               )}
             </TouchableOpacity>
           </View>
+
+          <TouchableOpacity style={styles.exportBtn} onPress={() => navigation.navigate('CsvImport')}>
+            <Ionicons name="grid" size={22} color="#6B4FA2" />
+            <View style={styles.exportInfo}>
+              <Text style={styles.exportTitle}>Importer un CSV</Text>
+              <Text style={styles.exportDesc}>Moxfield, Archidekt, Deckbox, ManaBox, TCGplayer...</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="#666" />
+          </TouchableOpacity>
         </View>
 
         {/* Results */}
@@ -209,6 +323,12 @@ const ImportScreen = ({ navigation }) => {
               </View>
             </View>
 
+            {(sectionSummary.length > 1 || sectionSummary[0]?.code !== 'mainboard') && (
+              <Text style={styles.sectionSummary}>
+                {sectionSummary.map(section => `${section.name} ${section.count}`).join(' · ')}
+              </Text>
+            )}
+
             <View style={styles.preview}>
               {parsedCards.slice(0, 8).map((c, i) => (
                 <View key={i} style={[styles.previewItem, !c.found && styles.previewNotFound]}>
@@ -216,6 +336,9 @@ const ImportScreen = ({ navigation }) => {
                   <Text style={styles.previewName} numberOfLines={1}>
                     {c.cardData?.name || c.name}
                   </Text>
+                  {c.section !== 'mainboard' && SECTIONS[c.section] && (
+                    <Text style={styles.previewSection}>{SECTIONS[c.section].name}</Text>
+                  )}
                   <Ionicons 
                     name={c.found ? "checkmark-circle" : "close-circle"} 
                     size={16} 
@@ -279,6 +402,114 @@ const ImportScreen = ({ navigation }) => {
             </View>
             <Ionicons name="share-outline" size={20} color="#666" />
           </TouchableOpacity>
+
+          <TouchableOpacity style={styles.exportBtn} onPress={() => navigation.navigate('Restore')}>
+            <Ionicons name="cloud-download" size={22} color="#6B4FA2" />
+            <View style={styles.exportInfo}>
+              <Text style={styles.exportTitle}>Restaurer une sauvegarde</Text>
+              <Text style={styles.exportDesc}>Remplacer, fusionner ou ajouter, avec aperçu</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="#666" />
+          </TouchableOpacity>
+        </View>
+
+        {/* Prices Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>
+            <Ionicons name="pricetag-outline" size={18} color="#6B4FA2" /> Prix
+          </Text>
+          <Text style={styles.hint}>
+            Devise utilisée pour les prix, totaux et exports
+          </Text>
+
+          <View style={styles.row}>
+            {Object.values(CURRENCIES).map(currency => (
+              <TouchableOpacity
+                key={currency.code}
+                style={[styles.chip, settings.currency === currency.code && styles.chipActive]}
+                onPress={() => updateSettings({ currency: currency.code })}
+              >
+                <Text style={[styles.chipText, settings.currency === currency.code && styles.chipTextActive]}>
+                  {currency.symbol} {currency.name}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.rateRow}>
+            <Text style={styles.rateLabel}>Taux de change : 1 $ =</Text>
+            <TextInput
+              style={styles.rateInput}
+              value={eurRate}
+              onChangeText={setEurRate}
+              onEndEditing={handleSaveEurRate}
+              keyboardType="decimal-pad"
+              placeholderTextColor="#666"
+            />
+            <Text style={styles.rateLabel}>€</Text>
+          </View>
+          <Text style={styles.hint}>
+            Utilisé quand une carte n'a pas de prix dans la devise choisie (prix précédé de ~)
+          </Text>
+        </View>
+
+        {/* Offline Database Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>
+            <Ionicons name="cloud-offline-outline" size={18} color="#6B4FA2" /> Base hors ligne
+          </Text>
+          <Text style={styles.hint}>
+            Données Scryfall stockées sur l'appareil pour chercher sans réseau
+          </Text>
+
+          {Object.values(BULK_TYPES).map(bulk => {
+            const info = databaseInfo[bulk.type];
+            const isDownloading = downloadingType === bulk.type;
+            return (
+              <TouchableOpacity
+                key={bulk.type}
+                style={[styles.exportBtn, downloadingType && !isDownloading && styles.disabled]}
+                onPress={() => handleRefreshDatabase(bulk.type)}
+                disabled={!!downloadingType}
+              >
+                <Ionicons name="server" size={22} color="#6B4FA2" />
+                <View style={styles.exportInfo}>
+                  <Text style={styles.exportTitle}>{bulk.name}</Text>
+                  <Text style={styles.exportDesc}>
+                    {isDownloading
+                      ? `Téléchargement... ${downloadProgress}%`
+                      : info
+                        ? `${info.cardCount} cartes · mise à jour le ${new Date(info.refreshedAt).toLocaleString('fr-FR')}`
+                        : bulk.description}
+                  </Text>
+                </View>
+                {isDownloading ? (
+                  <ActivityIndicator color="#6B4FA2" size="small" />
+                ) : (
+                  <Ionicons name={info ? 'refresh' : 'download-outline'} size={20} color="#666" />
+                )}
+              </TouchableOpacity>
+            );
+          })}
+
+          {cacheStats && (
+            <TouchableOpacity style={styles.exportBtn} onPress={handleClearCache}>
+              <Ionicons name="file-tray-full" size={22} color="#6B4FA2" />
+              <View style={styles.exportInfo}>
+                <Text style={styles.exportTitle}>Cache Scryfall / EDHREC</Text>
+                <Text style={styles.exportDesc}>
+                  {cacheStats.entries} réponses · {(cacheStats.bytes / 1024 / 1024).toFixed(1)} / {Math.round(cacheStats.maxBytes / 1024 / 1024)} Mo
+                </Text>
+              </View>
+              <Ionicons name="trash-outline" size={20} color="#666" />
+            </TouchableOpacity>
+          )}
+
+          {Object.keys(databaseInfo).length > 0 && (
+            <TouchableOpacity style={styles.btnCancel} onPress={handleDeleteDatabase}>
+              <Text style={styles.btnDangerText}>Supprimer la base locale</Text>
+            </TouchableOpacity>
+          )}
         </View>
       </ScrollView>
 
@@ -356,8 +587,18 @@ const styles = StyleSheet.create({
   previewQty: { color: '#6B4FA2', fontSize: 13, fontWeight: '600', width: 30 },
   previewName: { flex: 1, color: '#FFF', fontSize: 13 },
   more: { color: '#666', fontSize: 12, textAlign: 'center', marginTop: 8 },
+  sectionSummary: { color: '#AAA', fontSize: 12, textAlign: 'center', marginBottom: 12 },
+  previewSection: { color: '#6B4FA2', fontSize: 11, marginRight: 6 },
   btnCancel: { alignItems: 'center', padding: 12, marginTop: 8 },
   btnCancelText: { color: '#888', fontSize: 14 },
+  btnDangerText: { color: '#F44336', fontSize: 14 },
+  chip: { flex: 1, alignItems: 'center', backgroundColor: '#252525', borderRadius: 10, paddingVertical: 10 },
+  chipActive: { backgroundColor: '#6B4FA2' },
+  chipText: { color: '#888', fontSize: 13 },
+  chipTextActive: { color: '#FFF', fontWeight: '600' },
+  rateRow: { flexDirection: 'row', alignItems: 'center', gap: 8, marginTop: 12, marginBottom: 4 },
+  rateLabel: { color: '#FFF', fontSize: 14 },
+  rateInput: { backgroundColor: '#252525', borderRadius: 8, paddingHorizontal: 10, paddingVertical: 6, color: '#FFF', fontSize: 14, minWidth: 70, textAlign: 'center' },
   exportBtn: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#252525', borderRadius: 12, padding: 14, marginBottom: 10 },
   exportInfo: { flex: 1, marginLeft: 12 },
   exportTitle: { color: '#FFF', fontSize: 15, fontWeight: '500' },
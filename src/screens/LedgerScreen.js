@@ -0,0 +1,438 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  ScrollView,
+  TextInput,
+  ActivityIndicator,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  LEDGER_ACTIONS,
+  LEDGER_SOURCES,
+  loadLedger,
+  getCollectionAt,
+} from '../services/ledgerService';
+import { useCollection } from '../context/CollectionContext';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIODS = [
+  { code: 'week', name: '7 jours', days: 7 },
+  { code: 'month', name: '30 jours', days: 30 },
+  { code: 'year', name: '1 an', days: 365 },
+  { code: 'all', name: 'Tout', days: null },
+];
+
+const VIEWS = {
+  ledger: { code: 'ledger', name: 'Journal' },
+  snapshot: { code: 'snapshot', name: 'Collection au…' },
+};
+
+// Rows shown per page of the journal
+const PAGE_SIZE = 200;
+
+const formatDate = (date) => new Date(date).toLocaleString('fr-FR', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+// YYYY-MM-DD of a date, in local time
+const toDay = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const isValidDay = (day) => /^\d{4}-\d{2}-\d{2}$/.test(day) && !isNaN(Date.parse(day));
+
+// Every quantity change of the collection, filtered by period and source,
+// and the collection rebuilt from the ledger as it stood on a given day
+const LedgerScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const { collection } = useCollection();
+  const [view, setView] = useState(VIEWS.ledger.code);
+  const [period, setPeriod] = useState('month');
+  const [source, setSource] = useState(null);
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const [rows, setRows] = useState([]);
+  const [day, setDay] = useState(toDay(new Date()));
+  const [snapshot, setSnapshot] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Reload when the collection changes so new rows show up
+  useEffect(() => {
+    if (view !== VIEWS.ledger.code) return;
+    const days = PERIODS.find(p => p.code === period).days;
+    setLoading(true);
+    loadLedger({
+      from: days ? new Date(Date.now() - days * DAY_MS) : null,
+      source,
+      limit,
+    }).then(result => {
+      setRows(result);
+      setLoading(false);
+    });
+  }, [view, period, source, limit, collection]);
+
+  // A new filter starts again from the first page
+  const selectPeriod = (code) => {
+    setPeriod(code);
+    setLimit(PAGE_SIZE);
+  };
+
+  const selectSource = (code) => {
+    setSource(code);
+    setLimit(PAGE_SIZE);
+  };
+
+  const showSnapshot = async () => {
+    if (!isValidDay(day)) return;
+    setLoading(true);
+    const entries = await getCollectionAt(day);
+    setSnapshot({ day, entries });
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    if (view === VIEWS.snapshot.code && !snapshot) showSnapshot();
+  }, [view]);
+
+  const renderChips = (options, selected, onSelect) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.code ?? 'all'}
+          style={[styles.chip, selected === option.code && styles.chipActive]}
+          onPress={() => onSelect(option.code)}
+        >
+          <Text style={[styles.chipText, selected === option.code && styles.chipTextActive]}>
+            {option.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  const renderLedgerRow = ({ item }) => {
+    const positive = item.delta > 0;
+    return (
+      <View style={styles.row}>
+        <View style={styles.rowInfo}>
+          <Text style={styles.rowTitle} numberOfLines={1}>{item.name}</Text>
+          <Text style={styles.rowMeta} numberOfLines={1}>
+            {LEDGER_ACTIONS[item.action]?.name || item.action}
+            {' · '}
+            {LEDGER_SOURCES[item.source]?.name || item.source}
+            {' · '}
+            {formatDate(item.createdAt)}
+          </Text>
+          <Text style={styles.rowMeta} numberOfLines={1}>
+            {item.entry.setCode?.toUpperCase()} #{item.entry.collectorNumber} · {item.entry.finish} · {item.entry.condition}
+          </Text>
+        </View>
+        <View style={styles.rowQuantity}>
+          <Text style={[styles.delta, { color: item.delta === 0 ? '#888' : positive ? '#4CAF50' : '#F44336' }]}>
+            {positive ? '+' : ''}{item.delta}
+          </Text>
+          <Text style={styles.rowMeta}>→ {item.quantity}</Text>
+        </View>
+      </View>
+    );
+  };
+
+  const renderEntry = ({ item }) => (
+    <View style={styles.row}>
+      <View style={styles.rowInfo}>
+        <Text style={styles.rowTitle} numberOfLines={1}>{item.name}</Text>
+        <Text style={styles.rowMeta} numberOfLines={1}>
+          {item.setCode?.toUpperCase()} #{item.collectorNumber} · {item.finish} · {item.condition}
+        </Text>
+      </View>
+      <Text style={styles.quantity}>×{item.quantity}</Text>
+    </View>
+  );
+
+  const ledgerHeader = (
+    <View>
+      {renderChips(PERIODS, period, selectPeriod)}
+      {renderChips([{ code: null, name: 'Toutes' }, ...Object.values(LEDGER_SOURCES)], source, selectSource)}
+      {loading && <ActivityIndicator color="#6B4FA2" style={styles.loader} />}
+    </View>
+  );
+
+  const snapshotHeader = (
+    <View>
+      <Text style={styles.hint}>
+        Reconstitue la collection à la fin du jour choisi à partir du journal.
+      </Text>
+      <View style={styles.dateRow}>
+        <TextInput
+          style={[styles.dateInput, !isValidDay(day) && styles.dateInvalid]}
+          value={day}
+          onChangeText={setDay}
+          placeholder="AAAA-MM-JJ"
+          placeholderTextColor="#666"
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        <TouchableOpacity
+          style={[styles.primaryButton, !isValidDay(day) && styles.disabled]}
+          onPress={showSnapshot}
+          disabled={!isValidDay(day) || loading}
+        >
+          <Text style={styles.primaryButtonText}>Afficher</Text>
+        </TouchableOpacity>
+      </View>
+      {loading && <ActivityIndicator color="#6B4FA2" style={styles.loader} />}
+      {snapshot && !loading && (
+        <View style={styles.statsRow}>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>{snapshot.entries.length}</Text>
+            <Text style={styles.statLabel}>piles</Text>
+          </View>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>
+              {snapshot.entries.reduce((sum, entry) => sum + entry.quantity, 0)}
+            </Text>
+            <Text style={styles.statLabel}>exemplaires</Text>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+
+  const isLedger = view === VIEWS.ledger.code;
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top, paddingBottom: insets.bottom }]}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#FFF" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Historique</Text>
+      </View>
+
+      <View style={styles.tabs}>
+        {Object.values(VIEWS).map(option => (
+          <TouchableOpacity
+            key={option.code}
+            style={[styles.tab, view === option.code && styles.tabActive]}
+            onPress={() => setView(option.code)}
+          >
+            <Text style={[styles.tabText, view === option.code && styles.tabTextActive]}>
+              {option.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <FlatList
+        key={view}
+        data={isLedger ? rows : (snapshot?.entries || [])}
+        keyExtractor={item => String(item.id)}
+        renderItem={isLedger ? renderLedgerRow : renderEntry}
+        ListHeaderComponent={isLedger ? ledgerHeader : snapshotHeader}
+        contentContainerStyle={styles.list}
+        onEndReached={() => {
+          if (isLedger && !loading && rows.length === limit) setLimit(limit + PAGE_SIZE);
+        }}
+        ListEmptyComponent={!loading && (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="journal-outline" size={64} color="#444" />
+            <Text style={styles.emptyText}>
+              {isLedger ? 'Aucun changement sur cette période' : 'La collection était vide à cette date'}
+            </Text>
+          </View>
+        )}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#121212',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 16,
+    paddingBottom: 8,
+  },
+  backButton: {
+    padding: 4,
+    marginRight: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#FFF',
+  },
+  tabs: {
+    flexDirection: 'row',
+    marginHorizontal: 16,
+    marginBottom: 8,
+    backgroundColor: '#1E1E1E',
+    borderRadius: 10,
+    padding: 4,
+  },
+  tab: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  tabActive: {
+    backgroundColor: '#6B4FA2',
+  },
+  tabText: {
+    color: '#888',
+    fontSize: 14,
+  },
+  tabTextActive: {
+    color: '#FFF',
+    fontWeight: '600',
+  },
+  list: {
+    paddingHorizontal: 16,
+    paddingBottom: 40,
+  },
+  chipRow: {
+    marginBottom: 8,
+  },
+  chip: {
+    backgroundColor: '#2A2A2A',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginRight: 6,
+  },
+  chipActive: {
+    backgroundColor: '#6B4FA2',
+  },
+  chipText: {
+    color: '#888',
+    fontSize: 13,
+  },
+  chipTextActive: {
+    color: '#FFF',
+    fontWeight: '600',
+  },
+  loader: {
+    marginVertical: 12,
+  },
+  hint: {
+    color: '#888',
+    fontSize: 13,
+    marginVertical: 8,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  dateInput: {
+    flex: 1,
+    backgroundColor: '#1E1E1E',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#1E1E1E',
+    color: '#FFF',
+    fontSize: 15,
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+    marginRight: 8,
+  },
+  dateInvalid: {
+    borderColor: '#F44336',
+  },
+  primaryButton: {
+    backgroundColor: '#6B4FA2',
+    borderRadius: 12,
+    paddingHorizontal: 18,
+    paddingVertical: 13,
+  },
+  primaryButtonText: {
+    color: '#FFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: '#1E1E1E',
+    borderRadius: 10,
+    paddingVertical: 10,
+    marginHorizontal: 4,
+  },
+  statValue: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  statLabel: {
+    color: '#AAA',
+    fontSize: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1E1E1E',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  rowInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  rowTitle: {
+    color: '#FFF',
+    fontSize: 14,
+  },
+  rowMeta: {
+    color: '#888',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  rowQuantity: {
+    alignItems: 'flex-end',
+  },
+  delta: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  quantity: {
+    color: '#FFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    marginTop: 80,
+  },
+  emptyText: {
+    color: '#666',
+    fontSize: 14,
+    marginTop: 12,
+  },
+});
+
+export default LedgerScreen;
@@ -0,0 +1,557 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system/legacy';
+import {
+  RESTORE_MODES,
+  readBackup,
+  previewRestore,
+  hasRestoreChanges,
+  applyRestore,
+  createBackup,
+  getRestoreSnapshot,
+  rollbackRestore,
+} from '../services/backupService';
+import { BACKUP_REASONS, listBackups, readBackupFile } from '../services/backupStore';
+import { useCollection } from '../context/CollectionContext';
+
+// Changed items listed per group before "et N autres"
+const MAX_LISTED = 20;
+
+const countCopies = (entries) => entries.reduce((sum, entry) => sum + (entry.quantity || 0), 0);
+
+const formatDate = (date) => date ? new Date(date).toLocaleString('fr-FR') : 'date inconnue';
+
+// Steps: pick a backup (a file or a local backup) -> choose a mode and check
+// the changes -> restore. The last restore can be undone from the backup taken before it.
+const RestoreScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const { refresh } = useCollection();
+  const [fileName, setFileName] = useState('');
+  const [backup, setBackup] = useState(null);
+  const [mode, setMode] = useState(RESTORE_MODES.merge.code);
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [snapshot, setSnapshot] = useState(null);
+  const [backups, setBackups] = useState([]);
+
+  const loadBackups = async () => {
+    const [latestSnapshot, localBackups] = await Promise.all([getRestoreSnapshot(), listBackups()]);
+    setSnapshot(latestSnapshot);
+    setBackups(localBackups);
+  };
+
+  useEffect(() => {
+    loadBackups();
+  }, []);
+
+  useEffect(() => {
+    if (!backup?.valid) {
+      setPlan(null);
+      return;
+    }
+    let cancelled = false;
+    previewRestore(backup, mode).then(result => {
+      if (!cancelled) setPlan(result);
+    }).catch(() => {
+      if (!cancelled) Alert.alert('Erreur', 'Impossible de lire les données actuelles');
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [backup, mode]);
+
+  const handlePickFile = async () => {
+    try {
+      const picked = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'text/*', 'application/octet-stream'],
+        copyToCacheDirectory: true,
+      });
+      if (picked.canceled || !picked.assets?.[0]) return;
+
+      const text = await FileSystem.readAsStringAsync(picked.assets[0].uri);
+      setFileName(picked.assets[0].name);
+      setBackup(readBackup(text));
+    } catch (error) {
+      Alert.alert('Erreur', 'Impossible de lire le fichier');
+    }
+  };
+
+  const handlePickBackup = async (localBackup) => {
+    try {
+      const text = await readBackupFile(localBackup.file);
+      setFileName(`Sauvegarde ${BACKUP_REASONS[localBackup.reason]?.name.toLowerCase() || ''} du ${formatDate(localBackup.createdAt)}`);
+      setBackup(readBackup(text));
+    } catch (error) {
+      Alert.alert('Erreur', 'Impossible de lire la sauvegarde');
+    }
+  };
+
+  const handleBackupNow = async () => {
+    setLoading(true);
+    try {
+      await createBackup();
+      await loadBackups();
+    } catch (error) {
+      Alert.alert('Erreur', 'Sauvegarde impossible');
+    }
+    setLoading(false);
+  };
+
+  const runRestore = async () => {
+    setLoading(true);
+    const result = await applyRestore(plan);
+    if (result.success) {
+      await refresh();
+      await loadBackups();
+      setBackup(null);
+      setFileName('');
+      Alert.alert('Restauré !', 'Vos données précédentes restent récupérables avec « Annuler la restauration ».');
+    } else {
+      Alert.alert('Erreur', result.error || 'Restauration impossible');
+    }
+    setLoading(false);
+  };
+
+  const handleRestore = () => {
+    const removed = plan.changes.cards.removed.length + plan.changes.decks.removed.length;
+    Alert.alert(
+      'Restaurer la sauvegarde',
+      removed > 0
+        ? `${plan.changes.cards.removed.length} piles et ${plan.changes.decks.removed.length} decks seront supprimés. Continuer ?`
+        : 'Appliquer les changements affichés ?',
+      [
+        { text: 'Annuler', style: 'cancel' },
+        { text: 'Restaurer', style: removed > 0 ? 'destructive' : 'default', onPress: runRestore },
+      ]
+    );
+  };
+
+  const handleRollback = () => {
+    Alert.alert(
+      'Annuler la restauration',
+      `Revenir à vos données du ${formatDate(snapshot.createdAt)} ? Les changements faits depuis seront perdus.`,
+      [
+        { text: 'Non', style: 'cancel' },
+        {
+          text: 'Revenir',
+          style: 'destructive',
+          onPress: async () => {
+            setLoading(true);
+            const success = await rollbackRestore();
+            if (success) {
+              await refresh();
+              await loadBackups();
+              setBackup(null);
+              Alert.alert('Annulé', 'Les données d\'avant la restauration sont revenues.');
+            } else {
+              Alert.alert('Erreur', 'Impossible d\'annuler la restauration');
+            }
+            setLoading(false);
+          },
+        },
+      ]
+    );
+  };
+
+  const renderSnapshot = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Dernière restauration</Text>
+      <Text style={styles.hint}>
+        Avant la restauration du {formatDate(snapshot.createdAt)} ({RESTORE_MODES[snapshot.mode]?.name || snapshot.mode}) :
+        {' '}{snapshot.cards} cartes, {snapshot.decks} decks.
+      </Text>
+      <TouchableOpacity style={styles.secondaryButton} onPress={handleRollback} disabled={loading}>
+        <Ionicons name="arrow-undo" size={18} color="#6B4FA2" />
+        <Text style={styles.secondaryButtonText}>Annuler la restauration</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderBackups = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Sauvegardes locales</Text>
+      <Text style={styles.hint}>
+        Une sauvegarde est faite automatiquement après vos modifications (au plus une par heure),
+        et avant chaque restauration ou effacement. Elles sont supprimées avec l'app.
+      </Text>
+      {backups.length === 0 && <Text style={styles.emptyText}>Aucune sauvegarde pour le moment</Text>}
+      {backups.map(localBackup => (
+        <TouchableOpacity
+          key={localBackup.file}
+          style={styles.backupRow}
+          onPress={() => handlePickBackup(localBackup)}
+          disabled={loading}
+        >
+          <Ionicons
+            name={localBackup.reason === BACKUP_REASONS.auto.code ? 'time-outline' : 'shield-checkmark-outline'}
+            size={20}
+            color="#6B4FA2"
+          />
+          <View style={styles.backupInfo}>
+            <Text style={styles.backupTitle}>{formatDate(localBackup.createdAt)}</Text>
+            <Text style={styles.backupMeta}>
+              {BACKUP_REASONS[localBackup.reason]?.name || localBackup.reason} · {localBackup.cards} cartes · {localBackup.decks} decks
+            </Text>
+          </View>
+          <Ionicons name="chevron-forward" size={18} color="#666" />
+        </TouchableOpacity>
+      ))}
+      <TouchableOpacity style={[styles.secondaryButton, styles.backupNow]} onPress={handleBackupNow} disabled={loading}>
+        <Ionicons name="save-outline" size={18} color="#6B4FA2" />
+        <Text style={styles.secondaryButtonText}>Sauvegarder maintenant</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderChangeGroup = (title, items, color, describe) => {
+    if (items.length === 0) return null;
+    return (
+      <View style={styles.changeGroup}>
+        <Text style={[styles.changeTitle, { color }]}>{title} ({items.length})</Text>
+        {items.slice(0, MAX_LISTED).map((item, index) => (
+          <Text key={index} style={styles.changeLine} numberOfLines={1}>{describe(item)}</Text>
+        ))}
+        {items.length > MAX_LISTED && (
+          <Text style={styles.changeMore}>… et {items.length - MAX_LISTED} autres</Text>
+        )}
+      </View>
+    );
+  };
+
+  const describeEntry = (entry) => {
+    const details = [entry.setCode?.toUpperCase(), entry.finish !== 'nonfoil' && entry.finish, entry.condition]
+      .filter(Boolean)
+      .join(' · ');
+    return `${entry.quantity}x ${entry.name}${details ? ` (${details})` : ''}`;
+  };
+
+  const renderPreview = () => {
+    const { cards, decks } = plan.changes;
+    const addedCopies = countCopies(cards.added) +
+      cards.updated.reduce((sum, { before, after }) => sum + Math.max(0, after.quantity - before.quantity), 0);
+    const removedCopies = countCopies(cards.removed) +
+      cards.updated.reduce((sum, { before, after }) => sum + Math.max(0, before.quantity - after.quantity), 0);
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Changements</Text>
+        <View style={styles.statsRow}>
+          <View style={[styles.stat, { backgroundColor: '#1B3D1B' }]}>
+            <Text style={styles.statValue}>+{addedCopies}</Text>
+            <Text style={styles.statLabel}>Cartes</Text>
+          </View>
+          <View style={[styles.stat, { backgroundColor: '#3D1B1B' }]}>
+            <Text style={styles.statValue}>-{removedCopies}</Text>
+            <Text style={styles.statLabel}>Cartes</Text>
+          </View>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>
+              +{decks.added.length} / ~{decks.updated.length} / -{decks.removed.length}
+            </Text>
+            <Text style={styles.statLabel}>Decks</Text>
+          </View>
+        </View>
+
+        {!hasRestoreChanges(plan) && (
+          <Text style={styles.emptyText}>Rien à changer : vos données contiennent déjà cette sauvegarde.</Text>
+        )}
+
+        {renderChangeGroup('Piles ajoutées', cards.added, '#4CAF50', describeEntry)}
+        {renderChangeGroup('Piles modifiées', cards.updated, '#FFC107', ({ before, after }) =>
+          `${after.name} : ${before.quantity} → ${after.quantity}`
+        )}
+        {renderChangeGroup('Piles supprimées', cards.removed, '#F44336', describeEntry)}
+        {renderChangeGroup('Decks ajoutés', decks.added, '#4CAF50', deck => deck.name)}
+        {renderChangeGroup('Decks modifiés', decks.updated, '#FFC107', ({ after }) => after.name)}
+        {renderChangeGroup('Decks supprimés', decks.removed, '#F44336', deck => deck.name)}
+
+        <TouchableOpacity
+          style={[styles.primaryButton, (loading || !hasRestoreChanges(plan)) && styles.disabled]}
+          onPress={handleRestore}
+          disabled={loading || !hasRestoreChanges(plan)}
+        >
+          {loading ? <ActivityIndicator color="#FFF" size="small" /> : (
+            <>
+              <Ionicons name="cloud-download" size={20} color="#FFF" />
+              <Text style={styles.primaryButtonText}>Restaurer</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderBackup = () => {
+    if (!backup.valid) {
+      return (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Fichier invalide · {fileName}</Text>
+          {backup.errors.map((error, index) => (
+            <Text key={index} style={styles.errorText}>{error}</Text>
+          ))}
+        </View>
+      );
+    }
+
+    return (
+      <>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{fileName}</Text>
+          <Text style={styles.hint}>
+            Sauvegarde du {formatDate(backup.exportDate)} ·{' '}
+            {backup.collection ? `${countCopies(backup.collection)} cartes` : 'sans collection'} ·{' '}
+            {backup.decks ? `${backup.decks.length} decks` : 'sans decks'}
+          </Text>
+
+          <View style={styles.modes}>
+            {Object.values(RESTORE_MODES).map(option => (
+              <TouchableOpacity
+                key={option.code}
+                style={[styles.chip, styles.modeChip, mode === option.code && styles.chipActive]}
+                onPress={() => setMode(option.code)}
+              >
+                <Text style={[styles.chipText, mode === option.code && styles.chipTextActive]}>
+                  {option.name}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.modeDescription}>{RESTORE_MODES[mode].description}</Text>
+        </View>
+
+        {plan ? renderPreview() : (
+          <View style={[styles.section, styles.centered]}>
+            <ActivityIndicator color="#6B4FA2" />
+          </View>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top, paddingBottom: insets.bottom }]}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#FFF" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Restaurer</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.scroll}>
+        {snapshot && renderSnapshot()}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Sauvegarde JSON</Text>
+          <Text style={styles.hint}>
+            Choisissez un fichier créé par « JSON (Backup) ». Vos données actuelles sont mises de côté
+            avant la restauration.
+          </Text>
+          <TouchableOpacity style={styles.primaryButton} onPress={handlePickFile} disabled={loading}>
+            <Ionicons name="document-attach" size={20} color="#FFF" />
+            <Text style={styles.primaryButtonText}>Choisir un fichier</Text>
+          </TouchableOpacity>
+        </View>
+
+        {backup && renderBackup()}
+
+        {renderBackups()}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#121212',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 16,
+    paddingBottom: 8,
+  },
+  backButton: {
+    padding: 4,
+    marginRight: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#FFF',
+  },
+  scroll: {
+    paddingTop: 8,
+    paddingBottom: 40,
+  },
+  section: {
+    backgroundColor: '#1E1E1E',
+    borderRadius: 16,
+    padding: 16,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  centered: {
+    alignItems: 'center',
+    paddingVertical: 24,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFF',
+    marginBottom: 8,
+  },
+  hint: {
+    color: '#888',
+    fontSize: 13,
+    marginBottom: 16,
+  },
+  errorText: {
+    color: '#F44336',
+    fontSize: 13,
+    marginBottom: 4,
+  },
+  modes: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  modeChip: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  modeDescription: {
+    color: '#AAA',
+    fontSize: 13,
+  },
+  chip: {
+    backgroundColor: '#2A2A2A',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginRight: 6,
+  },
+  chipActive: {
+    backgroundColor: '#6B4FA2',
+  },
+  chipText: {
+    color: '#888',
+    fontSize: 13,
+  },
+  chipTextActive: {
+    color: '#FFF',
+    fontWeight: '600',
+  },
+  statsRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: '#252525',
+    borderRadius: 10,
+    paddingVertical: 10,
+    marginHorizontal: 4,
+  },
+  statValue: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  statLabel: {
+    color: '#AAA',
+    fontSize: 12,
+  },
+  backupRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#2A2A2A',
+  },
+  backupInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  backupTitle: {
+    color: '#FFF',
+    fontSize: 14,
+  },
+  backupMeta: {
+    color: '#888',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  backupNow: {
+    marginTop: 12,
+  },
+  changeGroup: {
+    marginBottom: 12,
+  },
+  changeTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  changeLine: {
+    color: '#CCC',
+    fontSize: 13,
+    paddingVertical: 2,
+  },
+  changeMore: {
+    color: '#666',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  emptyText: {
+    color: '#666',
+    fontSize: 13,
+    textAlign: 'center',
+    marginVertical: 12,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#6B4FA2',
+    borderRadius: 12,
+    padding: 14,
+  },
+  primaryButtonText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#252525',
+    borderRadius: 12,
+    padding: 12,
+  },
+  secondaryButtonText: {
+    color: '#6B4FA2',
+    fontSize: 14,
+    marginLeft: 6,
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
+
+export default RestoreScreen;
@@ -26,8 +26,11 @@ import {
   getAutocomplete,
 } from '../services/scryfallApi';
 import { loadSettings } from '../services/storageService';
+import { isAbortError } from '../services/requestQueue';
 import { useCollection } from '../context/CollectionContext';
+import { LEDGER_SOURCES } from '../services/ledgerService';
 import TesseractOCR from '../components/TesseractOCR';
+import AddCardOptionsModal from '../components/AddCardOptionsModal';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
@@ -37,6 +40,7 @@ const ScannerScreen = ({ navigation }) => {
   const [scanning, setScanning] = useState(false);
   const [foundCard, setFoundCard] = useState(null);
   const [showCardModal, setShowCardModal] = useState(false);
+  const [showAddOptions, setShowAddOptions] = useState(false);
   const [manualName, setManualName] = useState('');
   const [showInputModal, setShowInputModal] = useState(false);
   const [suggestions, setSuggestions] = useState([]);
@@ -54,7 +58,7 @@ const ScannerScreen = ({ navigation }) => {
   const inputRef = useRef(null);
   const debounceRef = useRef(null);
   
-  const { addCardToCollection } = useCollection();
+  const { addCardToCollection, undo, formatCardPrice } = useCollection();
 
   useEffect(() => {
     if (!permission?.granted) {
@@ -91,9 +95,10 @@ const ScannerScreen = ({ navigation }) => {
     if (text.length >= 2) {
       debounceRef.current = setTimeout(async () => {
         try {
-          const result = await getAutocomplete(text);
+          const result = await getAutocomplete(text, { supersede: 'autocomplete' });
           setAutocompleteSuggestions(result.data?.slice(0, 5) || []);
         } catch (e) {
+          if (isAbortError(e)) return;
           setAutocompleteSuggestions([]);
         }
       }, 250);
@@ -230,18 +235,34 @@ const ScannerScreen = ({ navigation }) => {
   };
 
   // Add card to collection
-  const handleAddCard = async () => {
+  // Finish, condition and language are picked before adding
+  const handleAddCard = () => {
     if (!foundCard) return;
-    
-    const success = await addCardToCollection(foundCard, 1);
+    setShowCardModal(false);
+    setShowAddOptions(true);
+  };
+
+  const handleConfirmAdd = async (quantity, options) => {
+    const success = await addCardToCollection(foundCard, quantity, { source: LEDGER_SOURCES.scanner.code, ...options });
+    setShowAddOptions(false);
     if (success) {
       const displayName = foundCard.printed_name || foundCard.name;
-      Alert.alert('Ajouté !', `${displayName} ajouté à la collection.`);
-      setShowCardModal(false);
+      // A mis-scan can be taken back right away
+      Alert.alert('Ajouté !', `${quantity}x ${displayName} ajouté à la collection.`, [
+        { text: 'Annuler l\'ajout', style: 'destructive', onPress: undo },
+        { text: 'OK' },
+      ]);
       setFoundCard(null);
+    } else {
+      setShowCardModal(true);
     }
   };
 
+  const handleCancelAdd = () => {
+    setShowAddOptions(false);
+    setShowCardModal(true);
+  };
+
   // Selection handlers
   const selectSuggestion = (card) => {
     setFoundCard(card);
@@ -596,8 +617,8 @@ const ScannerScreen = ({ navigation }) => {
                 )}
                 <Text style={styles.cardType}>{foundCard.type_line}</Text>
                 <Text style={styles.cardSet}>{foundCard.set_name}</Text>
-                {foundCard.prices?.usd && (
-                  <Text style={styles.cardPrice}>${foundCard.prices.usd}</Text>
+                {formatCardPrice(foundCard) && (
+                  <Text style={styles.cardPrice}>{formatCardPrice(foundCard)}</Text>
                 )}
 
                 <TouchableOpacity style={styles.addButton} onPress={handleAddCard}>
@@ -616,6 +637,13 @@ const ScannerScreen = ({ navigation }) => {
           </View>
         </View>
       </Modal>
+
+      <AddCardOptionsModal
+        visible={showAddOptions}
+        card={foundCard}
+        onConfirm={handleConfirmAdd}
+        onClose={handleCancelAdd}
+      />
     </View>
   );
 };
@@ -18,9 +18,12 @@ import {
   LANGUAGES 
 } from '../services/scryfallApi';
 import { loadSettings, saveSettings } from '../services/storageService';
+import { isAbortError } from '../services/requestQueue';
 import { useCollection } from '../context/CollectionContext';
+import { LEDGER_SOURCES } from '../services/ledgerService';
 import CardItem from '../components/CardItem';
 import SearchBar from '../components/SearchBar';
+import AddCardOptionsModal from '../components/AddCardOptionsModal';
 
 const SearchScreen = ({ navigation }) => {
   const insets = useSafeAreaInsets();
@@ -32,6 +35,7 @@ const SearchScreen = ({ navigation }) => {
   const [currentQuery, setCurrentQuery] = useState('');
   const [searchLanguage, setSearchLanguage] = useState('fr'); // Default French
   const [showLanguageModal, setShowLanguageModal] = useState(false);
+  const [cardToAdd, setCardToAdd] = useState(null);
   
   const { addCardToCollection, isCardInCollection, getCardQuantity } = useCollection();
 
@@ -66,34 +70,46 @@ const SearchScreen = ({ navigation }) => {
     setCurrentQuery(query);
     setCurrentPage(1);
     
+    // A newer search aborts this one; its results must not overwrite the new ones
+    const requestOptions = { supersede: 'search' };
+    let superseded = false;
+    
     try {
       let data;
       
       if (lang === 'any') {
         // Search in all languages
-        data = await searchCardsByNameAnyLang(query);
+        data = await searchCardsByNameAnyLang(query, 1, requestOptions);
       } else if (lang === 'en') {
         // Standard English search
-        data = await searchCardsByName(query);
+        data = await searchCardsByName(query, 1, null, requestOptions);
       } else {
         // Search in specific language (French, German, etc.)
-        data = await searchCardsByName(query, 1, lang);
+        data = await searchCardsByName(query, 1, lang, requestOptions);
       }
       
       setResults(data.data || []);
       setHasMore(data.has_more || false);
     } catch (err) {
+      if (isAbortError(err)) {
+        superseded = true;
+        return;
+      }
       // If language-specific search fails, try any language as fallback
       try {
-        const fallbackData = await searchCardsByNameAnyLang(query);
+        const fallbackData = await searchCardsByNameAnyLang(query, 1, requestOptions);
         setResults(fallbackData.data || []);
         setHasMore(fallbackData.has_more || false);
       } catch (fallbackErr) {
+        if (isAbortError(fallbackErr)) {
+          superseded = true;
+          return;
+        }
         setError(err.message || 'Failed to search cards');
         setResults([]);
       }
     } finally {
-      setLoading(false);
+      if (!superseded) setLoading(false);
     }
   }, [searchLanguage]);
 
@@ -122,12 +138,19 @@ const SearchScreen = ({ navigation }) => {
     }
   }, [currentQuery, currentPage, hasMore, loading, searchLanguage]);
 
-  const handleAddToCollection = useCallback(async (card) => {
-    const success = await addCardToCollection(card, 1);
+  // Finish, condition and language are picked before adding
+  const handleAddToCollection = useCallback((card) => {
+    setCardToAdd(card);
+  }, []);
+
+  const handleConfirmAdd = useCallback(async (quantity, options) => {
+    const card = cardToAdd;
+    setCardToAdd(null);
+    const success = await addCardToCollection(card, quantity, { source: LEDGER_SOURCES.search.code, ...options });
     if (success) {
-      Alert.alert('Ajouté !', `${card.printed_name || card.name} ajouté à la collection.`);
+      Alert.alert('Ajouté !', `${quantity}x ${card.printed_name || card.name} ajouté à la collection.`);
     }
-  }, [addCardToCollection]);
+  }, [addCardToCollection, cardToAdd]);
 
   const getCurrentLanguage = () => {
     if (searchLanguage === 'any') {
@@ -351,6 +374,13 @@ const SearchScreen = ({ navigation }) => {
           </View>
         </View>
       </Modal>
+
+      <AddCardOptionsModal
+        visible={!!cardToAdd}
+        card={cardToAdd}
+        onConfirm={handleConfirmAdd}
+        onClose={() => setCardToAdd(null)}
+      />
     </View>
   );
 };
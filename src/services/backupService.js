@@ -0,0 +1,337 @@
+// Backup Restore
+// Reads a JSON backup, previews what restoring it would change, then applies
+// it in one of three modes. The data in place before a restore is saved as a
+// local backup first, so the restore can be rolled back.
+// Also schedules the automatic local backups.
+import * as FileSystem from 'expo-file-system/legacy';
+import {
+  SCHEMA_VERSION,
+  migrateData,
+  loadCollection,
+  loadDecks,
+  saveCollection,
+  saveDecks,
+} from './storageService';
+import { BACKUP_REASONS, writeBackup, listBackups, readBackupFile } from './backupStore';
+
+// Points at the backup taken before the last restore: { file, mode }
+const RESTORE_POINTER_FILE = `${FileSystem.documentDirectory}restore-snapshot.json`;
+
+// Edits are backed up once they settle, and at most once per interval
+const AUTO_BACKUP_DELAY = 30 * 1000;
+const AUTO_BACKUP_INTERVAL = 60 * 60 * 1000;
+
+export const RESTORE_MODES = {
+  replace: {
+    code: 'replace',
+    name: 'Remplacer',
+    description: 'La sauvegarde remplace la collection et les decks actuels.',
+  },
+  merge: {
+    code: 'merge',
+    name: 'Fusionner',
+    description: 'Les quantités s\'additionnent par pile ; un deck de même id ou de même nom garde la version la plus récente.',
+  },
+  addOnly: {
+    code: 'addOnly',
+    name: 'Ajouter',
+    description: 'Seules les piles et les decks absents sont ajoutés, rien n\'est modifié.',
+  },
+};
+
+// Only the first few problems are reported
+const MAX_ERRORS = 5;
+
+// Backups stamped '1.0' (or not at all) predate schema versioning
+const getBackupVersion = (data) => {
+  return typeof data.version === 'number' ? data.version : 0;
+};
+
+// Structural problems in a parsed backup, empty when it can be restored
+export const validateBackup = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Not a backup file'];
+  }
+  if (!('collection' in data) && !('decks' in data)) {
+    return ['No collection or decks in this file'];
+  }
+  if (getBackupVersion(data) > SCHEMA_VERSION) {
+    return ['Backup created by a newer version of the app'];
+  }
+
+  const errors = [];
+  if ('collection' in data && !Array.isArray(data.collection)) {
+    errors.push('collection is not a list');
+  }
+  if ('decks' in data && !Array.isArray(data.decks)) {
+    errors.push('decks is not a list');
+  }
+
+  (Array.isArray(data.collection) ? data.collection : []).forEach((entry, i) => {
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`Collection entry ${i + 1}: not an object`);
+    } else if (!entry.id && !entry.scryfallId) {
+      errors.push(`Collection entry ${i + 1}: missing id`);
+    } else if (typeof entry.name !== 'string' || !entry.name) {
+      errors.push(`Collection entry ${i + 1}: missing name`);
+    } else if (entry.quantity != null && !(Number(entry.quantity) > 0)) {
+      errors.push(`Collection entry ${i + 1} (${entry.name}): invalid quantity`);
+    }
+  });
+
+  (Array.isArray(data.decks) ? data.decks : []).forEach((deck, i) => {
+    if (!deck || typeof deck !== 'object') {
+      errors.push(`Deck ${i + 1}: not an object`);
+    } else if (!deck.id || !deck.name) {
+      errors.push(`Deck ${i + 1}: missing id or name`);
+    } else if (deck.cards != null && !Array.isArray(deck.cards)) {
+      errors.push(`Deck ${i + 1} (${deck.name}): cards is not a list`);
+    }
+  });
+
+  return errors.length > MAX_ERRORS
+    ? [...errors.slice(0, MAX_ERRORS), `... and ${errors.length - MAX_ERRORS} more`]
+    : errors;
+};
+
+// Parse and validate a backup, upgraded to the current schema.
+// Returns { valid, errors, exportDate, collection, decks }; collection or
+// decks is null when the backup does not include it.
+export const readBackup = (jsonString) => {
+  let data;
+  try {
+    data = JSON.parse(jsonString);
+  } catch (error) {
+    return { valid: false, errors: ['Invalid JSON'] };
+  }
+
+  const errors = validateBackup(data);
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const migrated = migrateData({
+    collection: data.collection || [],
+    decks: data.decks || [],
+  }, getBackupVersion(data));
+
+  return {
+    valid: true,
+    errors: [],
+    exportDate: data.exportDate || null,
+    collection: Array.isArray(data.collection) ? migrated.collection : null,
+    decks: Array.isArray(data.decks) ? migrated.decks : null,
+  };
+};
+
+// { added, updated: [{ before, after }], removed } between two lists keyed by id
+const diffById = (before, after) => {
+  const previous = new Map(before.map(item => [item.id, item]));
+  const next = new Map(after.map(item => [item.id, item]));
+  return {
+    added: after.filter(item => !previous.has(item.id)),
+    updated: after
+      .filter(item => previous.has(item.id) && JSON.stringify(previous.get(item.id)) !== JSON.stringify(item))
+      .map(item => ({ before: previous.get(item.id), after: item })),
+    removed: before.filter(item => !next.has(item.id)),
+  };
+};
+
+const deckKey = (deck) => (deck.name || '').trim().toLowerCase();
+
+const isNewer = (deck, than) => {
+  return (Date.parse(deck.updatedAt) || 0) > (Date.parse(than.updatedAt) || 0);
+};
+
+const mergeEntries = (current, incoming, addOnly) => {
+  const merged = new Map(current.map(entry => [entry.id, entry]));
+  for (const entry of incoming) {
+    const existing = merged.get(entry.id);
+    if (!existing) {
+      merged.set(entry.id, entry);
+    } else if (!addOnly) {
+      merged.set(entry.id, { ...existing, quantity: (existing.quantity || 0) + (entry.quantity || 0) });
+    }
+  }
+  return [...merged.values()];
+};
+
+// A backup deck matches a current one by id, or failing that by name.
+// Matching decks keep the current id so nothing pointing at it breaks.
+const mergeDecks = (current, incoming, addOnly) => {
+  const merged = [...current];
+  for (const deck of incoming) {
+    const byId = merged.findIndex(d => d.id === deck.id);
+    const index = byId >= 0 ? byId : merged.findIndex(d => deckKey(d) === deckKey(deck));
+    if (index < 0) {
+      merged.push(deck);
+    } else if (!addOnly && isNewer(deck, merged[index])) {
+      merged[index] = { ...deck, id: merged[index].id };
+    }
+  }
+  return merged;
+};
+
+// What restoring `backup` over `current` ({ collection, decks }) would give.
+// Returns { mode, collection, decks, changes: { cards, decks } } where each
+// change list comes from diffById. Parts missing from the backup are left alone.
+export const planRestore = (current, backup, mode = RESTORE_MODES.replace.code) => {
+  let collection = current.collection;
+  let decks = current.decks;
+
+  if (backup.collection) {
+    collection = mode === RESTORE_MODES.replace.code
+      ? backup.collection
+      : mergeEntries(current.collection, backup.collection, mode === RESTORE_MODES.addOnly.code);
+  }
+  if (backup.decks) {
+    decks = mode === RESTORE_MODES.replace.code
+      ? backup.decks
+      : mergeDecks(current.decks, backup.decks, mode === RESTORE_MODES.addOnly.code);
+  }
+
+  return {
+    mode,
+    collection,
+    decks,
+    changes: {
+      cards: diffById(current.collection, collection),
+      decks: diffById(current.decks, decks),
+    },
+  };
+};
+
+export const hasRestoreChanges = (plan) => {
+  return ['cards', 'decks'].some(kind =>
+    ['added', 'updated', 'removed'].some(type => plan.changes[kind][type].length > 0)
+  );
+};
+
+// Plan a restore against the data currently stored
+export const previewRestore = async (backup, mode) => {
+  const [collection, decks] = await Promise.all([loadCollection(), loadDecks()]);
+  return planRestore({ collection, decks }, backup, mode);
+};
+
+// Save the stored collection and decks as a local backup
+export const createBackup = async (reason = BACKUP_REASONS.manual.code) => {
+  const [collection, decks] = await Promise.all([loadCollection(), loadDecks()]);
+  return writeBackup(reason, { version: SCHEMA_VERSION, collection, decks });
+};
+
+let autoBackupScheduled = false;
+let lastAutoBackupAt = null;
+
+// Call after every change to the collection or decks; the backup is written
+// AUTO_BACKUP_DELAY later, or once AUTO_BACKUP_INTERVAL has passed since the last one
+export const scheduleAutoBackup = async () => {
+  if (autoBackupScheduled) return;
+  autoBackupScheduled = true;
+
+  if (lastAutoBackupAt === null) {
+    const latest = (await listBackups()).find(backup => backup.reason === BACKUP_REASONS.auto.code);
+    lastAutoBackupAt = latest ? Date.parse(latest.createdAt) : 0;
+  }
+
+  const delay = Math.max(AUTO_BACKUP_DELAY, lastAutoBackupAt + AUTO_BACKUP_INTERVAL - Date.now());
+  setTimeout(async () => {
+    try {
+      const [collection, decks] = await Promise.all([loadCollection(), loadDecks()]);
+      // An empty backup would rotate out the day's real one
+      if (collection.length > 0 || decks.length > 0) {
+        await writeBackup(BACKUP_REASONS.auto.code, { version: SCHEMA_VERSION, collection, decks });
+        lastAutoBackupAt = Date.now();
+      }
+    } catch (error) {
+      console.error('Error writing automatic backup:', error);
+    } finally {
+      autoBackupScheduled = false;
+    }
+  }, delay);
+};
+
+// Back up the current data, then write the planned collection and decks
+export const applyRestore = async (plan) => {
+  try {
+    const snapshot = await createBackup(BACKUP_REASONS.restore.code);
+    await FileSystem.writeAsStringAsync(
+      RESTORE_POINTER_FILE,
+      JSON.stringify({ file: snapshot.file, mode: plan.mode })
+    );
+    const savedCollection = await saveCollection(plan.collection);
+    const savedDecks = await saveDecks(plan.decks);
+    if (!savedCollection || !savedDecks) {
+      return { success: false, error: 'Could not save the restored data' };
+    }
+    return {
+      success: true,
+      cardsImported: plan.collection.length,
+      decksImported: plan.decks.length,
+    };
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Parse, plan and apply in one go
+export const importCollectionFromJSON = async (jsonString, mode = RESTORE_MODES.replace.code) => {
+  const backup = readBackup(jsonString);
+  if (!backup.valid) {
+    return { success: false, error: backup.errors.join('\n') };
+  }
+  const plan = await previewRestore(backup, mode);
+  return applyRestore(plan);
+};
+
+const loadRestorePointer = async () => {
+  const info = await FileSystem.getInfoAsync(RESTORE_POINTER_FILE);
+  if (!info.exists) return null;
+  return JSON.parse(await FileSystem.readAsStringAsync(RESTORE_POINTER_FILE));
+};
+
+// { createdAt, mode, cards, decks } of the backup taken before the last
+// restore, or null when there is nothing to roll back to
+export const getRestoreSnapshot = async () => {
+  try {
+    const pointer = await loadRestorePointer();
+    if (!pointer) return null;
+    const backup = (await listBackups()).find(b => b.file === pointer.file);
+    return backup ? { ...backup, mode: pointer.mode } : null;
+  } catch (error) {
+    console.error('Error reading restore snapshot:', error);
+    return null;
+  }
+};
+
+// Put back the data from before the last restore. The backup stays in the list.
+export const rollbackRestore = async () => {
+  try {
+    const pointer = await loadRestorePointer();
+    const snapshot = JSON.parse(await readBackupFile(pointer.file));
+    const { collection, decks } = migrateData(snapshot, getBackupVersion(snapshot));
+    const savedCollection = await saveCollection(collection);
+    const savedDecks = await saveDecks(decks);
+    if (!savedCollection || !savedDecks) return false;
+    await FileSystem.deleteAsync(RESTORE_POINTER_FILE, { idempotent: true });
+    return true;
+  } catch (error) {
+    console.error('Error rolling back restore:', error);
+    return false;
+  }
+};
+
+export default {
+  RESTORE_MODES,
+  validateBackup,
+  readBackup,
+  planRestore,
+  hasRestoreChanges,
+  previewRestore,
+  applyRestore,
+  importCollectionFromJSON,
+  createBackup,
+  scheduleAutoBackup,
+  getRestoreSnapshot,
+  rollbackRestore,
+};
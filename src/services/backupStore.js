@@ -0,0 +1,143 @@
+// Local Backups
+// JSON backups written to the app's document directory, with an index of
+// their counts so the restore screen can list them without reading each file.
+// Automatic backups are rotated: the newest one of each of the last days and
+// weeks is kept. Snapshots taken before a destructive action are kept apart.
+import * as FileSystem from 'expo-file-system/legacy';
+
+const BACKUP_DIR = `${FileSystem.documentDirectory}backups/`;
+const INDEX_FILE = `${BACKUP_DIR}index.json`;
+
+// Automatic backups kept: one per day for this many days, one per week for this many weeks
+const KEEP_DAILY = 7;
+const KEEP_WEEKLY = 4;
+// Backups of the other kinds kept, newest first
+const KEEP_SNAPSHOTS = 5;
+
+export const BACKUP_REASONS = {
+  auto: { code: 'auto', name: 'Automatique' },
+  manual: { code: 'manual', name: 'Manuelle' },
+  restore: { code: 'restore', name: 'Avant restauration' },
+  clear: { code: 'clear', name: 'Avant effacement' },
+};
+
+// Index writes are chained so two backups never overwrite each other's entry
+let writeQueue = Promise.resolve();
+
+const serialize = (task) => {
+  const run = writeQueue.catch(() => {}).then(task);
+  writeQueue = run;
+  return run;
+};
+
+const loadIndex = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(INDEX_FILE);
+    if (!info.exists) return [];
+    return JSON.parse(await FileSystem.readAsStringAsync(INDEX_FILE));
+  } catch (error) {
+    console.warn('Backup index unreadable, starting a new one:', error.message);
+    return [];
+  }
+};
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Monday of the (UTC) week
+const weekKey = (date) => {
+  const monday = new Date(date);
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return dayKey(monday);
+};
+
+// Backups surviving rotation, from an index sorted newest first
+export const selectBackupsToKeep = (backups) => {
+  const days = new Set();
+  const weeks = new Set();
+  let snapshots = 0;
+
+  return backups.filter(backup => {
+    if (backup.reason !== BACKUP_REASONS.auto.code) {
+      snapshots++;
+      return snapshots <= KEEP_SNAPSHOTS;
+    }
+    const date = new Date(backup.createdAt);
+    let keep = false;
+    if (!days.has(dayKey(date)) && days.size < KEEP_DAILY) {
+      days.add(dayKey(date));
+      keep = true;
+    }
+    if (!weeks.has(weekKey(date)) && weeks.size < KEEP_WEEKLY) {
+      weeks.add(weekKey(date));
+      keep = true;
+    }
+    return keep;
+  });
+};
+
+const pruneBackups = async (backups) => {
+  const kept = selectBackupsToKeep(backups);
+  const keptFiles = new Set(kept.map(backup => backup.file));
+  for (const backup of backups) {
+    if (!keptFiles.has(backup.file)) {
+      await FileSystem.deleteAsync(`${BACKUP_DIR}${backup.file}`, { idempotent: true }).catch(() => {});
+    }
+  }
+  await FileSystem.writeAsStringAsync(INDEX_FILE, JSON.stringify(kept));
+  return kept;
+};
+
+// Write { version, collection, decks } as a new backup, then rotate.
+// Resolves with the backup's index entry.
+export const writeBackup = (reason, { version, collection, decks }) => serialize(async () => {
+  const createdAt = new Date().toISOString();
+  const file = `${reason}-${createdAt.replace(/[:.]/g, '-')}.json`;
+
+  await FileSystem.makeDirectoryAsync(BACKUP_DIR, { intermediates: true }).catch(() => {});
+  await FileSystem.writeAsStringAsync(`${BACKUP_DIR}${file}`, JSON.stringify({
+    version,
+    exportDate: createdAt,
+    reason,
+    collection,
+    decks,
+  }));
+
+  const backup = {
+    file,
+    reason,
+    createdAt,
+    cards: collection.reduce((sum, entry) => sum + (entry.quantity || 0), 0),
+    entries: collection.length,
+    decks: decks.length,
+  };
+  await pruneBackups([backup, ...(await loadIndex())]);
+  return backup;
+});
+
+// Index entries of the backups on disk, newest first:
+// [{ file, reason, createdAt, cards, entries, decks }]
+export const listBackups = async () => {
+  try {
+    const index = await loadIndex();
+    const files = new Set(await FileSystem.readDirectoryAsync(BACKUP_DIR).catch(() => []));
+    return index
+      .filter(backup => files.has(backup.file))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    return [];
+  }
+};
+
+// Raw JSON of a backup, as produced by the JSON export
+export const readBackupFile = async (file) => {
+  return FileSystem.readAsStringAsync(`${BACKUP_DIR}${file}`);
+};
+
+export default {
+  BACKUP_REASONS,
+  selectBackupsToKeep,
+  writeBackup,
+  listBackups,
+  readBackupFile,
+};
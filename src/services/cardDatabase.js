@@ -0,0 +1,624 @@
+// Local Card Database
+// Built from Scryfall bulk data files so lookups keep working without a network.
+// Bulk files run to hundreds of MB: they are read a chunk at a time and the
+// compacted cards stored in SQLite, so no lookup holds the whole file in memory.
+// Documentation: https://scryfall.com/docs/api/bulk-data
+import * as FileSystem from 'expo-file-system/legacy';
+import { File } from 'expo-file-system';
+import * as SQLite from 'expo-sqlite';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { parseQuery, matchesQuery } from './cardQuery';
+
+const BULK_DATA_URL = 'https://api.scryfall.com/bulk-data';
+// Downloads land here before being imported
+const DOWNLOAD_DIR = `${FileSystem.documentDirectory}carddb/`;
+const DATABASE_NAME = 'cards.db';
+const META_KEY = '@mtg_carddb_meta';
+// Bytes of the bulk file read and imported at a time
+const IMPORT_CHUNK_SIZE = 1024 * 1024;
+
+// Bulk files we know how to import
+export const BULK_TYPES = {
+  oracle_cards: {
+    type: 'oracle_cards',
+    name: 'Oracle Cards',
+    description: 'Une impression par carte (~30k cartes)',
+  },
+  default_cards: {
+    type: 'default_cards',
+    name: 'Default Cards',
+    description: 'Toutes les impressions en anglais (volumineux)',
+  },
+};
+
+// Scryfall returns at most 175 cards per search page
+const PAGE_SIZE = 175;
+
+// One row per card and bulk file. Cards of earlier BULK_TYPES come first in
+// lookups (priority), so names resolve to the oracle printing when there is one.
+// The compacted card is kept as JSON in `data`.
+const SCHEMA = `
+  PRAGMA journal_mode = WAL;
+  CREATE TABLE IF NOT EXISTS cards (
+    id TEXT NOT NULL,
+    bulk_type TEXT NOT NULL,
+    priority INTEGER NOT NULL,
+    oracle_id TEXT,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL,
+    front_key TEXT,
+    set_number TEXT,
+    mtgo_id INTEGER,
+    mtgo_foil_id INTEGER,
+    data TEXT NOT NULL,
+    PRIMARY KEY (id, bulk_type)
+  );
+  CREATE INDEX IF NOT EXISTS idx_cards_id ON cards (id);
+  CREATE INDEX IF NOT EXISTS idx_cards_priority ON cards (priority);
+  CREATE INDEX IF NOT EXISTS idx_cards_oracle_id ON cards (oracle_id);
+  CREATE INDEX IF NOT EXISTS idx_cards_name_key ON cards (name_key);
+  CREATE INDEX IF NOT EXISTS idx_cards_front_key ON cards (front_key);
+  CREATE INDEX IF NOT EXISTS idx_cards_set_number ON cards (set_number);
+  CREATE INDEX IF NOT EXISTS idx_cards_mtgo_id ON cards (mtgo_id);
+  CREATE INDEX IF NOT EXISTS idx_cards_mtgo_foil_id ON cards (mtgo_foil_id);
+`;
+
+const INSERT_SQL = `
+  INSERT OR REPLACE INTO cards
+    (id, bulk_type, priority, oracle_id, name, name_key, front_key, set_number, mtgo_id, mtgo_foil_id, data)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+
+// Lookups return the first printing in this order
+const PRINTING_ORDER = 'ORDER BY priority, rowid';
+
+let databasePromise = null;
+// Whether any card is stored, checked once per session
+let hasCards = null;
+// Every lookup name (full and front face), loaded for fuzzy matching
+let nameKeys = null;
+
+// Normalize a name for lookups: lowercase, no accents, no punctuation
+export const normalizeName = (name) => {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s/]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const pickImages = (imageUris) => {
+  if (!imageUris) return undefined;
+  return {
+    small: imageUris.small,
+    normal: imageUris.normal,
+    large: imageUris.large,
+  };
+};
+
+// Keep only the fields the app uses, in Scryfall's own shape
+const compactCard = (card) => ({
+  object: 'card',
+  id: card.id,
+  oracle_id: card.oracle_id || card.card_faces?.[0]?.oracle_id,
+  name: card.name,
+  printed_name: card.printed_name,
+  lang: card.lang,
+  layout: card.layout,
+  released_at: card.released_at,
+  set: card.set,
+  set_name: card.set_name,
+  collector_number: card.collector_number,
+  mtgo_id: card.mtgo_id,
+  mtgo_foil_id: card.mtgo_foil_id,
+  rarity: card.rarity,
+  mana_cost: card.mana_cost,
+  cmc: card.cmc,
+  type_line: card.type_line,
+  oracle_text: card.oracle_text,
+  power: card.power,
+  toughness: card.toughness,
+  loyalty: card.loyalty,
+  colors: card.colors,
+  color_identity: card.color_identity,
+  keywords: card.keywords,
+  finishes: card.finishes,
+  reserved: card.reserved,
+  image_uris: pickImages(card.image_uris),
+  card_faces: card.card_faces?.map(face => ({
+    name: face.name,
+    printed_name: face.printed_name,
+    mana_cost: face.mana_cost,
+    type_line: face.type_line,
+    oracle_text: face.oracle_text,
+    colors: face.colors,
+    power: face.power,
+    toughness: face.toughness,
+    loyalty: face.loyalty,
+    image_uris: pickImages(face.image_uris),
+  })),
+  prices: card.prices,
+  legalities: card.legalities,
+});
+
+// Card from a stored row
+const fromRow = (row) => (row ? JSON.parse(row.data) : null);
+
+// Name lookups also find double-faced cards by their front face
+const getFrontKey = (card) => (
+  card.card_faces && card.name.includes('//') ? normalizeName(card.card_faces[0].name) : null
+);
+
+const toParams = (card, type) => [
+  card.id,
+  type,
+  Object.keys(BULK_TYPES).indexOf(type),
+  card.oracle_id || null,
+  card.name,
+  normalizeName(card.name),
+  getFrontKey(card),
+  `${card.set}:${card.collector_number}`,
+  card.mtgo_id || null,
+  card.mtgo_foil_id || null,
+  JSON.stringify(card),
+];
+
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+const OPEN_BRACES = [0x5b, 0x7b];
+const CLOSE_BRACES = [0x5d, 0x7d];
+
+// Splits a JSON array of objects read in byte chunks into its objects.
+// push(chunk) returns the objects the chunk completes; the bytes of an
+// unfinished object wait for the next chunk. isComplete() once the array
+// has been closed. JSON punctuation is ASCII, so scanning bytes never cuts
+// a multi-byte character, and only whole objects are decoded.
+const createObjectSplitter = () => {
+  const decoder = new TextDecoder();
+  let pending = new Uint8Array(0);
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  const push = (chunk) => {
+    const bytes = new Uint8Array(pending.length + chunk.length);
+    bytes.set(pending);
+    bytes.set(chunk, pending.length);
+
+    // Depth 1 is the array itself, 2 an object of it
+    let objectStart = depth > 1 ? 0 : -1;
+    let firstStart = objectStart;
+    let lastEnd = -1;
+    for (let i = pending.length; i < bytes.length; i++) {
+      const byte = bytes[i];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (byte === BACKSLASH) {
+          escaped = true;
+        } else if (byte === QUOTE) {
+          inString = false;
+        }
+      } else if (byte === QUOTE) {
+        inString = true;
+      } else if (OPEN_BRACES.includes(byte)) {
+        depth++;
+        if (depth === 2) {
+          objectStart = i;
+          if (firstStart < 0) firstStart = i;
+        }
+      } else if (CLOSE_BRACES.includes(byte)) {
+        depth--;
+        if (depth === 1) {
+          lastEnd = i + 1;
+          objectStart = -1;
+        }
+      }
+    }
+
+    pending = objectStart >= 0 ? bytes.slice(objectStart) : new Uint8Array(0);
+    if (lastEnd < 0) return [];
+    // The bytes between the objects are commas and whitespace
+    return JSON.parse(`[${decoder.decode(bytes.subarray(firstStart, lastEnd))}]`);
+  };
+
+  return { push, isComplete: () => depth === 0 && pending.length === 0 };
+};
+
+// Metadata about downloaded bulk files
+export const getLocalDatabaseInfo = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(META_KEY);
+    return jsonValue != null ? JSON.parse(jsonValue) : {};
+  } catch (error) {
+    console.error('Error loading card database info:', error);
+    return {};
+  }
+};
+
+const saveLocalDatabaseInfo = async (info) => {
+  await AsyncStorage.setItem(META_KEY, JSON.stringify(info));
+};
+
+const openDatabase = async () => {
+  const db = await SQLite.openDatabaseAsync(DATABASE_NAME);
+  await db.execAsync(SCHEMA);
+  return db;
+};
+
+const getConnection = () => {
+  if (!databasePromise) {
+    databasePromise = openDatabase().catch(error => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+};
+
+// Open the local database; null if no bulk file was imported
+export const loadLocalDatabase = async () => {
+  try {
+    if (hasCards === false) return null;
+    const db = await getConnection();
+    if (hasCards === null) {
+      hasCards = !!(await db.getFirstAsync('SELECT 1 AS found FROM cards LIMIT 1'));
+    }
+    return hasCards ? db : null;
+  } catch (error) {
+    console.error('Error loading card database:', error);
+    return null;
+  }
+};
+
+// Returns the database, or null if nothing was downloaded
+const getDatabase = loadLocalDatabase;
+
+export const isLocalDatabaseAvailable = async () => {
+  return !!(await getDatabase());
+};
+
+// Forget what this session cached about the stored cards
+const resetCaches = () => {
+  hasCards = null;
+  nameKeys = null;
+};
+
+// Replace the cards of a bulk type with those of a downloaded file, reading
+// it a chunk at a time. One transaction: a failed import keeps the old cards.
+const importBulkFile = async (uri, type, onProgress) => {
+  const db = await getConnection();
+  const handle = new File(uri).open();
+  const splitter = createObjectSplitter();
+  let cardCount = 0;
+
+  try {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      await txn.runAsync('DELETE FROM cards WHERE bulk_type = ?', [type]);
+      const statement = await txn.prepareAsync(INSERT_SQL);
+      try {
+        const size = handle.size || 0;
+        while ((handle.offset || 0) < size) {
+          const cards = splitter.push(handle.readBytes(Math.min(IMPORT_CHUNK_SIZE, size - (handle.offset || 0))))
+            .filter(card => card.object === 'card' && card.layout !== 'art_series')
+            .map(compactCard);
+          for (const card of cards) {
+            await statement.executeAsync(toParams(card, type));
+          }
+          cardCount += cards.length;
+          onProgress(60 + Math.round(((handle.offset || 0) / size) * 39));
+        }
+        if (!splitter.isComplete()) {
+          throw new Error('Bulk data file is incomplete');
+        }
+      } finally {
+        await statement.finalizeAsync();
+      }
+    });
+  } finally {
+    handle.close();
+  }
+  return cardCount;
+};
+
+// Download a bulk data file and store its compacted cards on the device
+export const refreshLocalDatabase = async (type = 'oracle_cards', onProgress = () => {}) => {
+  if (!BULK_TYPES[type]) {
+    throw new Error(`Unknown bulk data type: ${type}`);
+  }
+
+  const response = await fetch(BULK_DATA_URL, {
+    headers: { 'Accept': 'application/json' },
+  });
+  if (!response.ok) {
+    throw new Error(`API Error: ${response.status}`);
+  }
+  const bulkList = await response.json();
+  const bulk = bulkList.data?.find(b => b.type === type);
+  if (!bulk) {
+    throw new Error('Bulk data file not found');
+  }
+
+  await FileSystem.makeDirectoryAsync(DOWNLOAD_DIR, { intermediates: true }).catch(() => {});
+  const tempFile = `${DOWNLOAD_DIR}${type}.download.json`;
+
+  try {
+    const download = FileSystem.createDownloadResumable(
+      bulk.download_uri,
+      tempFile,
+      {},
+      ({ totalBytesWritten, totalBytesExpectedToWrite }) => {
+        const total = totalBytesExpectedToWrite > 0 ? totalBytesExpectedToWrite : bulk.size;
+        if (total) {
+          onProgress(Math.round((totalBytesWritten / total) * 60));
+        }
+      }
+    );
+    await download.downloadAsync();
+
+    onProgress(60);
+    const cardCount = await importBulkFile(tempFile, type, onProgress);
+
+    const info = await getLocalDatabaseInfo();
+    info[type] = {
+      type,
+      updatedAt: bulk.updated_at,
+      refreshedAt: new Date().toISOString(),
+      cardCount,
+    };
+    await saveLocalDatabaseInfo(info);
+
+    resetCaches();
+    onProgress(100);
+    return info[type];
+  } finally {
+    await FileSystem.deleteAsync(tempFile, { idempotent: true });
+  }
+};
+
+// Remove every downloaded bulk file
+export const deleteLocalDatabase = async () => {
+  try {
+    const db = await getConnection();
+    await db.runAsync('DELETE FROM cards');
+    await FileSystem.deleteAsync(DOWNLOAD_DIR, { idempotent: true });
+    await AsyncStorage.removeItem(META_KEY);
+    resetCaches();
+    return true;
+  } catch (error) {
+    console.error('Error deleting card database:', error);
+    return false;
+  }
+};
+
+// First printing (oracle cards before other printings) whose full or front
+// face name has this lookup key
+const findByNameKey = async (db, key) => {
+  return fromRow(await db.getFirstAsync(
+    `SELECT data FROM cards WHERE name_key = ? OR front_key = ? ${PRINTING_ORDER} LIMIT 1`,
+    [key, key]
+  ));
+};
+
+// Lookup names of every stored card, cached until the next import
+const getNameKeys = async (db) => {
+  if (!nameKeys) {
+    const rows = await db.getAllAsync(
+      'SELECT name_key AS key FROM cards UNION SELECT front_key FROM cards WHERE front_key IS NOT NULL'
+    );
+    nameKeys = rows.map(row => row.key);
+  }
+  return nameKeys;
+};
+
+// Levenshtein distance, bailing out once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Exact name lookup (case and accent insensitive)
+export const findLocalCardByName = async (name) => {
+  const db = await getDatabase();
+  if (!db) return null;
+  return findByNameKey(db, normalizeName(name));
+};
+
+// Fuzzy name lookup, mirroring Scryfall's /cards/named?fuzzy behaviour
+export const findLocalCardByFuzzyName = async (name) => {
+  const db = await getDatabase();
+  if (!db) return null;
+
+  const normalized = normalizeName(name);
+  if (!normalized) return null;
+
+  const exact = await findByNameKey(db, normalized);
+  if (exact) return exact;
+
+  // Unique prefix or substring match
+  const keys = await getNameKeys(db);
+  const prefixMatches = keys.filter(key => key.startsWith(normalized));
+  if (prefixMatches.length === 1) return findByNameKey(db, prefixMatches[0]);
+  const partialMatches = keys.filter(key => key.includes(normalized));
+  if (partialMatches.length === 1) return findByNameKey(db, partialMatches[0]);
+
+  // Closest name within a few typos
+  const maxDistance = Math.max(1, Math.floor(normalized.length / 5));
+  let best = null;
+  let bestDistance = maxDistance + 1;
+  for (const key of keys) {
+    const distance = editDistance(normalized, key, maxDistance);
+    if (distance < bestDistance) {
+      best = key;
+      bestDistance = distance;
+    }
+  }
+  return best ? findByNameKey(db, best) : null;
+};
+
+export const findLocalCardById = async (id) => {
+  const db = await getDatabase();
+  if (!db) return null;
+  return fromRow(await db.getFirstAsync(`SELECT data FROM cards WHERE id = ? ${PRINTING_ORDER} LIMIT 1`, [id]));
+};
+
+// Every local printing sharing an oracle id
+export const findLocalPrintings = async (oracleId) => {
+  const db = await getDatabase();
+  if (!db) return [];
+  const rows = await db.getAllAsync(
+    `SELECT data FROM cards WHERE oracle_id = ? ${PRINTING_ORDER}`,
+    [oracleId]
+  );
+  // A printing stored by several bulk files is listed once
+  const seen = new Set();
+  return rows.map(fromRow).filter(card => !seen.has(card.id) && seen.add(card.id));
+};
+
+// Name suggestions, prefix matches first
+export const getLocalAutocomplete = async (query, limit = 20) => {
+  const db = await getDatabase();
+  if (!db) return null;
+
+  const normalized = normalizeName(query);
+  if (!normalized) return [];
+
+  // Lookup keys hold no LIKE wildcards: normalizeName drops % and _
+  const findNames = async (where, params) => {
+    const rows = await db.getAllAsync(
+      `SELECT DISTINCT name FROM cards WHERE ${where} ORDER BY name LIMIT ?`,
+      [...params, limit]
+    );
+    return rows.map(row => row.name);
+  };
+  const prefix = await findNames('name_key LIKE ?', [`${normalized}%`]);
+  if (prefix.length >= limit) return prefix;
+  const partial = await findNames('name_key LIKE ? AND name_key NOT LIKE ?', [`%${normalized}%`, `${normalized}%`]);
+  return [...prefix, ...partial].slice(0, limit);
+};
+
+// Lookup keys of the words every match has in its name: the query's
+// top-level bare words and name: terms
+const getRequiredNameKeys = (ast) => {
+  const nodes = ast?.type === 'and' ? ast.children : [ast];
+  return nodes
+    .filter(node => node?.type === 'word' || (node?.type === 'term' && node.key === 'name' && node.op !== '!='))
+    .map(node => normalizeName(node.value))
+    .filter(Boolean);
+};
+
+// Search with Scryfall syntax and return a Scryfall-shaped list response.
+// The name words narrow the rows in SQL; only those rows are parsed and
+// checked against the whole query, one at a time.
+export const searchLocalCards = async (query, page = 1) => {
+  const db = await getDatabase();
+  if (!db) return null;
+
+  const ast = parseQuery(query);
+  const wordKeys = getRequiredNameKeys(ast);
+  const where = wordKeys.length > 0
+    ? `WHERE ${wordKeys.map(() => 'name_key LIKE ?').join(' AND ')}`
+    : '';
+  const seen = new Set();
+  const matches = [];
+  const rows = db.getEachAsync(
+    `SELECT oracle_id, data FROM cards ${where} ${PRINTING_ORDER}`,
+    wordKeys.map(key => `%${key}%`)
+  );
+  for await (const row of rows) {
+    if (seen.has(row.oracle_id)) continue;
+    const card = fromRow(row);
+    if (matchesQuery(ast, card)) {
+      seen.add(row.oracle_id);
+      matches.push(card);
+    }
+  }
+  matches.sort((a, b) => a.name.localeCompare(b.name));
+
+  const start = (page - 1) * PAGE_SIZE;
+  return {
+    object: 'list',
+    total_cards: matches.length,
+    has_more: start + PAGE_SIZE < matches.length,
+    data: matches.slice(start, start + PAGE_SIZE),
+  };
+};
+
+// Resolve a single /cards/collection identifier locally
+const resolveIdentifier = async (db, identifier) => {
+  const findFirst = async (where, params) => fromRow(await db.getFirstAsync(
+    `SELECT data FROM cards WHERE ${where} ${PRINTING_ORDER} LIMIT 1`,
+    params
+  ));
+
+  if (identifier.id) return findFirst('id = ?', [identifier.id]);
+  if (identifier.mtgo_id) {
+    return findFirst('mtgo_id = ? OR mtgo_foil_id = ?', [identifier.mtgo_id, identifier.mtgo_id]);
+  }
+  if (identifier.set && identifier.collector_number) {
+    return findFirst('set_number = ?', [`${identifier.set.toLowerCase()}:${identifier.collector_number}`]);
+  }
+  if (identifier.oracle_id) return findFirst('oracle_id = ?', [identifier.oracle_id]);
+  if (identifier.name) {
+    const key = normalizeName(identifier.name);
+    if (identifier.set) {
+      // The set is inside the card data; set_number starts with it
+      return findFirst('(name_key = ? OR front_key = ?) AND set_number LIKE ?', [
+        key,
+        key,
+        `${identifier.set.toLowerCase()}:%`,
+      ]);
+    }
+    return findByNameKey(db, key);
+  }
+  return null;
+};
+
+// Resolve identifiers locally; returns found cards and the ones left over
+export const getLocalCardCollection = async (identifiers) => {
+  const db = await getDatabase();
+  if (!db) return { data: [], notFound: identifiers };
+
+  const data = [];
+  const notFound = [];
+  for (const identifier of identifiers) {
+    const card = await resolveIdentifier(db, identifier);
+    if (card) {
+      data.push(card);
+    } else {
+      notFound.push(identifier);
+    }
+  }
+  return { data, notFound };
+};
+
+export default {
+  BULK_TYPES,
+  normalizeName,
+  getLocalDatabaseInfo,
+  loadLocalDatabase,
+  isLocalDatabaseAvailable,
+  refreshLocalDatabase,
+  deleteLocalDatabase,
+  findLocalCardByName,
+  findLocalCardByFuzzyName,
+  findLocalCardById,
+  findLocalPrintings,
+  getLocalAutocomplete,
+  searchLocalCards,
+  getLocalCardCollection,
+};
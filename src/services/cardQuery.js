@@ -0,0 +1,388 @@
+// Card Query Service
+// Local implementation of the Scryfall search syntax, so the same queries work
+// against the collection and the offline database.
+// Syntax reference: https://scryfall.com/docs/syntax
+//
+// Supported: bare words (name), "quoted phrases", !"exact name", t:, o:, c:, id:,
+// cmc:/mv:, r:, s:/e:, usd:/eur:/tix:, f:/legal:, is:, name:, boolean OR,
+// negation with "-" and parentheses. Implicit AND between terms.
+
+const COLOR_ORDER = ['W', 'U', 'B', 'R', 'G'];
+
+const COLOR_NAMES = {
+  white: 'W', blue: 'U', black: 'B', red: 'R', green: 'G',
+  azorius: 'WU', dimir: 'UB', rakdos: 'BR', gruul: 'RG', selesnya: 'GW',
+  orzhov: 'WB', izzet: 'UR', golgari: 'BG', boros: 'RW', simic: 'GU',
+  bant: 'GWU', esper: 'WUB', grixis: 'UBR', jund: 'BRG', naya: 'RGW',
+  abzan: 'WBG', jeskai: 'URW', sultai: 'BGU', mardu: 'RWB', temur: 'GUR',
+};
+
+const RARITY_ORDER = { common: 0, uncommon: 1, rare: 2, special: 3, mythic: 4, bonus: 5 };
+const RARITY_ALIASES = { c: 'common', u: 'uncommon', r: 'rare', m: 'mythic', s: 'special' };
+
+// Canonical key for every alias we accept
+const KEYS = {
+  t: 'type', type: 'type',
+  o: 'oracle', oracle: 'oracle',
+  c: 'color', color: 'color', colors: 'color',
+  id: 'identity', identity: 'identity', ci: 'identity',
+  cmc: 'cmc', mv: 'cmc', manavalue: 'cmc',
+  r: 'rarity', rarity: 'rarity',
+  s: 'set', set: 'set', e: 'set', edition: 'set',
+  usd: 'usd', eur: 'eur', tix: 'tix',
+  f: 'format', format: 'format', legal: 'format',
+  is: 'is',
+  n: 'name', name: 'name',
+};
+
+// Card field access for both collection entries (camelCase) and Scryfall cards (snake_case)
+const getName = (card) => card.name || '';
+const getPrintedName = (card) => card.printed_name || card.printedName || '';
+const getTypeLine = (card) => card.typeLine || card.type_line ||
+  (card.card_faces || []).map(f => f.type_line).join(' // ');
+const getOracleText = (card) => card.oracleText || card.oracle_text ||
+  (card.card_faces || []).map(f => f.oracle_text).join('\n');
+const getColors = (card) => card.colors ||
+  [...new Set((card.card_faces || []).flatMap(f => f.colors || []))];
+const getIdentity = (card) => card.colorIdentity || card.color_identity || [];
+const getCmc = (card) => card.cmc || 0;
+const getSetCode = (card) => (card.setCode || card.set || '').toLowerCase();
+const getSetName = (card) => (card.setName || card.set_name || '').toLowerCase();
+
+// Tokenizer
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    // Assumes input[i] is the opening quote
+    i++;
+    let value = '';
+    while (i < input.length && input[i] !== '"') {
+      value += input[i];
+      i++;
+    }
+    i++; // closing quote (or end of input)
+    return value;
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+      continue;
+    }
+
+    if (char === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      tokens.push({ type: 'NOT' });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      tokens.push({ type: 'WORD', value: readQuoted() });
+      continue;
+    }
+
+    if (char === '!' && input[i + 1] === '"') {
+      i++;
+      tokens.push({ type: 'WORD', value: readQuoted(), exact: true });
+      continue;
+    }
+
+    // Plain word or key/operator/value term
+    let word = '';
+    while (i < input.length && !/[\s()"]/.test(input[i])) {
+      word += input[i];
+      i++;
+    }
+
+    const termMatch = word.match(/^([a-z]+)(!=|<=|>=|:|=|<|>)(.*)$/i);
+    if (termMatch && KEYS[termMatch[1].toLowerCase()]) {
+      let value = termMatch[3];
+      if (value === '' && input[i] === '"') {
+        value = readQuoted();
+      }
+      tokens.push({
+        type: 'TERM',
+        key: KEYS[termMatch[1].toLowerCase()],
+        op: termMatch[2],
+        value,
+      });
+    } else if (word === 'OR' || word === 'or') {
+      tokens.push({ type: 'OR' });
+    } else if (word === 'AND' || word === 'and') {
+      // Implicit anyway
+    } else if (word) {
+      tokens.push({ type: 'WORD', value: word });
+    }
+  }
+
+  return tokens;
+};
+
+// Recursive descent parser producing a small AST:
+// { type: 'and' | 'or', children } | { type: 'not', child } | { type: 'term', ... } | { type: 'word', ... }
+export const parseQuery = (input) => {
+  const tokens = tokenize(input || '');
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      position++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (position < tokens.length && peek().type !== 'OR' && peek().type !== ')') {
+      const node = parseUnary();
+      if (node) children.push(node);
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token.type === 'NOT') {
+      position++;
+      if (position >= tokens.length) return null;
+      const child = parseUnary();
+      return child ? { type: 'not', child } : null;
+    }
+    if (token.type === '(') {
+      position++;
+      const node = parseOr();
+      // Unbalanced parentheses are tolerated while the user is typing
+      if (peek()?.type === ')') position++;
+      return node;
+    }
+    position++;
+    if (token.type === 'TERM') {
+      return { type: 'term', key: token.key, op: token.op, value: token.value };
+    }
+    if (token.type === 'WORD') {
+      return { type: 'word', value: token.value, exact: !!token.exact };
+    }
+    // Stray closing parenthesis
+    return null;
+  };
+
+  let ast = parseOr();
+  // Anything after a stray ")" is still part of the query
+  while (position < tokens.length) {
+    if (peek().type === ')') {
+      position++;
+      continue;
+    }
+    ast = { type: 'and', children: [ast, parseOr()] };
+  }
+  return ast;
+};
+
+// True when every term of the query can be evaluated locally
+export const isQuerySupported = (input) => {
+  const words = (input || '').match(/(^|\s|\(|-)([a-z]+)(!=|<=|>=|:|=|<|>)/gi) || [];
+  return words.every(word => {
+    const key = word.replace(/^[\s(-]+/, '').match(/^[a-z]+/i)[0].toLowerCase();
+    return !!KEYS[key];
+  });
+};
+
+// Parse a color value like "wu", "azorius", "c" or "m" into a set of colors
+const parseColors = (value) => {
+  const lower = value.toLowerCase();
+  if (lower === 'c' || lower === 'colorless') return { colors: [], colorless: true };
+  if (lower === 'm' || lower === 'multicolor') return { multicolor: true };
+  if (COLOR_NAMES[lower]) return { colors: COLOR_NAMES[lower].split('') };
+  const colors = lower.toUpperCase().split('').filter(c => COLOR_ORDER.includes(c));
+  return { colors: [...new Set(colors)] };
+};
+
+const compareColorSets = (cardColors, op, parsed, defaultOp) => {
+  if (parsed.multicolor) {
+    const isMulti = cardColors.length > 1;
+    return op === '!=' ? !isMulti : isMulti;
+  }
+
+  const wanted = parsed.colors;
+  const hasAll = wanted.every(c => cardColors.includes(c));
+  const withinWanted = cardColors.every(c => wanted.includes(c));
+  const sameSize = cardColors.length === wanted.length;
+
+  switch (op === ':' ? defaultOp : op) {
+    case '=':
+      return hasAll && sameSize;
+    case '!=':
+      return !(hasAll && sameSize);
+    case '>=':
+      return parsed.colorless ? cardColors.length === 0 : hasAll;
+    case '>':
+      return hasAll && cardColors.length > wanted.length;
+    case '<=':
+      return withinWanted;
+    case '<':
+      return withinWanted && cardColors.length < wanted.length;
+    default:
+      return false;
+  }
+};
+
+const compareNumbers = (actual, op, expected) => {
+  if (actual === null || actual === undefined || Number.isNaN(actual)) return false;
+  switch (op) {
+    case ':':
+    case '=':
+      return actual === expected;
+    case '!=':
+      return actual !== expected;
+    case '<':
+      return actual < expected;
+    case '<=':
+      return actual <= expected;
+    case '>':
+      return actual > expected;
+    case '>=':
+      return actual >= expected;
+    default:
+      return false;
+  }
+};
+
+const getPrice = (card, currency) => {
+  const value = card.prices?.[currency];
+  return value != null && value !== '' ? parseFloat(value) : null;
+};
+
+const isCommanderCard = (card) => {
+  const typeLine = getTypeLine(card).toLowerCase();
+  const oracleText = getOracleText(card).toLowerCase();
+  return (typeLine.includes('legendary') && typeLine.includes('creature')) ||
+    oracleText.includes('can be your commander');
+};
+
+const IS_CHECKS = {
+  foil: (card) => (typeof card.foil === 'boolean'
+    ? card.foil
+    : (card.finishes || []).includes('foil')),
+  nonfoil: (card) => (typeof card.foil === 'boolean'
+    ? !card.foil
+    : (card.finishes || ['nonfoil']).includes('nonfoil')),
+  commander: isCommanderCard,
+  legendary: (card) => getTypeLine(card).toLowerCase().includes('legendary'),
+  permanent: (card) => !/\b(instant|sorcery)\b/i.test(getTypeLine(card)),
+  spell: (card) => !/\bland\b/i.test(getTypeLine(card)),
+  historic: (card) => /\b(legendary|artifact|saga)\b/i.test(getTypeLine(card)),
+  multicolor: (card) => getColors(card).length > 1,
+  colorless: (card) => getColors(card).length === 0,
+  dfc: (card) => (card.card_faces || []).length > 1,
+  reserved: (card) => !!card.reserved,
+};
+
+const includesText = (haystack, needle) => haystack.toLowerCase().includes(needle.toLowerCase());
+
+const evaluateTerm = (node, card) => {
+  const { key, op, value } = node;
+  const negate = op === '!=';
+
+  switch (key) {
+    case 'name': {
+      const result = includesText(getName(card), value) || includesText(getPrintedName(card), value);
+      return negate ? !result : result;
+    }
+    case 'type': {
+      const result = includesText(getTypeLine(card), value);
+      return negate ? !result : result;
+    }
+    case 'oracle': {
+      // "~" stands for the card's own name, as on Scryfall
+      const needle = value.replace(/~/g, getName(card));
+      const result = includesText(getOracleText(card), needle);
+      return negate ? !result : result;
+    }
+    case 'color':
+      return compareColorSets(getColors(card), op, parseColors(value), '>=');
+    case 'identity':
+      // id: means "fits in a deck of this identity"
+      return compareColorSets(getIdentity(card), op, parseColors(value), '<=');
+    case 'cmc':
+      return compareNumbers(getCmc(card), op, parseFloat(value));
+    case 'rarity': {
+      const rarity = RARITY_ALIASES[value.toLowerCase()] || value.toLowerCase();
+      const actual = RARITY_ORDER[card.rarity];
+      const expected = RARITY_ORDER[rarity];
+      if (actual === undefined || expected === undefined) return negate;
+      return compareNumbers(actual, op, expected);
+    }
+    case 'set': {
+      const code = value.toLowerCase();
+      const result = getSetCode(card) === code || getSetName(card) === code;
+      return negate ? !result : result;
+    }
+    case 'usd':
+    case 'eur':
+    case 'tix':
+      return compareNumbers(getPrice(card, key), op, parseFloat(value));
+    case 'format': {
+      const status = card.legalities?.[value.toLowerCase()];
+      const result = status === 'legal' || status === 'restricted';
+      return negate ? !result : result;
+    }
+    case 'is': {
+      const check = IS_CHECKS[value.toLowerCase()];
+      const result = check ? check(card) : false;
+      return negate ? !result : result;
+    }
+    default:
+      return false;
+  }
+};
+
+// Evaluate a parsed query against a card
+export const matchesQuery = (node, card) => {
+  if (!node) return true;
+
+  switch (node.type) {
+    case 'and':
+      return node.children.every(child => matchesQuery(child, card));
+    case 'or':
+      return node.children.some(child => matchesQuery(child, card));
+    case 'not':
+      return !matchesQuery(node.child, card);
+    case 'term':
+      return evaluateTerm(node, card);
+    case 'word':
+      if (node.exact) {
+        return getName(card).toLowerCase() === node.value.toLowerCase();
+      }
+      return includesText(getName(card), node.value) || includesText(getPrintedName(card), node.value);
+    default:
+      return true;
+  }
+};
+
+// Filter a list of cards with a query string
+export const filterCards = (cards, query) => {
+  if (!query || !query.trim()) return cards;
+  const ast = parseQuery(query);
+  return cards.filter(card => matchesQuery(ast, card));
+};
+
+export default {
+  parseQuery,
+  isQuerySupported,
+  matchesQuery,
+  filterCards,
+};
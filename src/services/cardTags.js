@@ -0,0 +1,165 @@
+// Card Tags
+// User tags on deck cards and collection entries (`tags`, an array of
+// strings), an automatic tagger that suggests functional tags from the
+// oracle text, and per-deck tag groups and target counts.
+// Automatic tags are stored by code ('ramp'); user tags as typed, lowercased.
+import { getMainDeckCards } from './deckCards';
+import { getDeckFormat } from './deckValidator';
+import { getCardType } from './deckStats';
+
+const LAND_WORDS = /\b(lands?|plains|island|swamp|mountain|forest)\b/i;
+
+// Library searches, one clause each: "search your library for a basic land card"
+const searchClauses = (text) => [...text.matchAll(/search your library for [^.]*/gi)].map(([clause]) => clause);
+
+// In suggestion order. target: cards a 100-card commander deck should run,
+// scaled to smaller commander formats; tags without one are never flagged.
+export const AUTO_TAGS = [
+  {
+    code: 'ramp',
+    name: 'Accélération',
+    target: 10,
+    matches: (text) => /\badd (\{[WUBRGC]\}|one mana|two mana|three mana|\w+ mana of any)/i.test(text) ||
+      /put (a|an|up to \w+) (basic )?lands? cards? from your hand onto the battlefield/i.test(text) ||
+      searchClauses(text).some(clause => LAND_WORDS.test(clause) && /onto the battlefield/i.test(clause)),
+  },
+  {
+    code: 'draw',
+    name: 'Pioche',
+    target: 10,
+    matches: (text) => /\bdraws? (a|an|one|two|three|four|five|six|seven|x|that many) (additional )?cards?/i.test(text) ||
+      /you may (play|cast) (that card|those cards|it|them) (this turn|until)/i.test(text),
+  },
+  {
+    code: 'removal',
+    name: 'Gestion ciblée',
+    target: 8,
+    matches: (text) => /\b(destroy|exile) target (?!card)/i.test(text) ||
+      /deals? (\d+|x|damage equal to [^.]*?) (damage )?to (any target|target creature|target planeswalker)/i.test(text) ||
+      /target (creature|permanent)[^.]* gets -(\d+|x)\/-(\d+|x)/i.test(text) ||
+      /return target (nonland )?(creature|permanent)[^.]* to its owner's hand/i.test(text) ||
+      /target (player|opponent) sacrifices/i.test(text),
+  },
+  {
+    code: 'wipe',
+    name: 'Destruction de masse',
+    target: 2,
+    matches: (text) => /\b(destroy|exile) all (?!cards)/i.test(text) ||
+      /\ball creatures get -/i.test(text) ||
+      /deals? (\d+|x) damage to each creature/i.test(text) ||
+      /return all (nonland )?(creatures|permanents)[^.]* to their owners'? hands?/i.test(text) ||
+      /each (player|opponent) sacrifices (all|each)/i.test(text),
+  },
+  {
+    code: 'counterspell',
+    name: 'Contresort',
+    matches: (text) => /\bcounter target\b/i.test(text),
+  },
+  {
+    code: 'tutor',
+    name: 'Tuteur',
+    matches: (text) => searchClauses(text).some(clause => /\bcards?\b/i.test(clause) && !LAND_WORDS.test(clause)),
+  },
+  {
+    code: 'protection',
+    name: 'Protection',
+    matches: (text) => /\b(gains?|have|has) (hexproof|indestructible|shroud|protection from)/i.test(text) ||
+      /\bphases? out\b/i.test(text) ||
+      (/can't be countered/i.test(text) && /spells? you control/i.test(text)),
+  },
+];
+
+// Group key of cards without tags; normalizeTag never returns it
+const UNTAGGED = '';
+
+export const normalizeTag = (tag) => (tag || '').trim().replace(/^#/, '').trim().toLowerCase();
+
+export const getTagLabel = (tag) => {
+  if (tag === UNTAGGED) return 'Sans tag';
+  return AUTO_TAGS.find(auto => auto.code === tag)?.name || tag;
+};
+
+// Automatic tags for a card, from its oracle text. Lands get none: their
+// mana and fetch abilities are not what these tags are about.
+export const suggestTags = (card) => {
+  const text = card.oracleText || card.oracle_text || '';
+  if (!text || getCardType(card) === 'land') return [];
+  return AUTO_TAGS.filter(auto => auto.matches(text)).map(auto => auto.code);
+};
+
+// Tags ordered for display: automatic ones first, then user tags by name
+const compareTags = (a, b) => {
+  const indexA = AUTO_TAGS.findIndex(auto => auto.code === a);
+  const indexB = AUTO_TAGS.findIndex(auto => auto.code === b);
+  if (indexA >= 0 || indexB >= 0) {
+    if (indexA < 0) return 1;
+    if (indexB < 0) return -1;
+    return indexA - indexB;
+  }
+  return a.localeCompare(b);
+};
+
+const copies = (card) => card.quantity || 1;
+
+// Cards grouped by tag, a card showing under each of its tags, untagged
+// cards last: [{ tag, label, count, cards }]
+export const groupCardsByTag = (cards) => {
+  const groups = new Map();
+  for (const card of cards) {
+    const tags = card.tags?.length ? card.tags : [UNTAGGED];
+    for (const tag of tags) {
+      const group = groups.get(tag) || { tag, label: getTagLabel(tag), count: 0, cards: [] };
+      group.count += copies(card);
+      group.cards.push(card);
+      groups.set(tag, group);
+    }
+  }
+  return [...groups.values()].sort((a, b) => {
+    if (a.tag === UNTAGGED) return 1;
+    if (b.tag === UNTAGGED) return -1;
+    return compareTags(a.tag, b.tag);
+  });
+};
+
+// Every tag used in a list of cards, in display order
+export const getUsedTags = (cards) => [...new Set(cards.flatMap(card => card.tags || []))].sort(compareTags);
+
+// Tags below their target in a commander deck: [{ tag, label, count, target }]
+export const getTagShortfalls = (deck) => {
+  const format = getDeckFormat(deck.format);
+  if (!format.commander) return [];
+  const scale = (format.minCards || 100) / 100;
+  const cards = getMainDeckCards(deck);
+  return AUTO_TAGS
+    .filter(auto => auto.target)
+    .map(auto => ({
+      tag: auto.code,
+      label: auto.name,
+      count: cards.filter(card => (card.tags || []).includes(auto.code)).reduce((sum, card) => sum + copies(card), 0),
+      target: Math.round(auto.target * scale),
+    }))
+    .filter(({ count, target }) => count < target);
+};
+
+// Suggested tags for the untagged cards of a list: { cardId: [tags] }.
+// Cards that already have tags are left as the user set them.
+export const getAutoTagUpdates = (cards) => {
+  const updates = {};
+  for (const card of cards) {
+    if (card.tags?.length) continue;
+    const suggested = suggestTags(card);
+    if (suggested.length > 0) updates[card.id] = suggested;
+  }
+  return updates;
+};
+
+export default {
+  AUTO_TAGS,
+  normalizeTag,
+  getTagLabel,
+  suggestTags,
+  groupCardsByTag,
+  getUsedTags,
+  getTagShortfalls,
+  getAutoTagUpdates,
+};
@@ -0,0 +1,360 @@
+// Collection Database
+// SQLite store with one row per collection entry (stack), so adding a card
+// touches a single row instead of rewriting the whole collection.
+// Documentation: https://docs.expo.dev/versions/latest/sdk/sqlite/
+import * as SQLite from 'expo-sqlite';
+
+const DATABASE_NAME = 'collection.db';
+
+// Columns are what we filter on; the full entry is kept as JSON in `data`.
+// Quantity has its own column and wins over the copy in `data`.
+const SCHEMA = `
+  PRAGMA journal_mode = WAL;
+  CREATE TABLE IF NOT EXISTS collection_entries (
+    id TEXT PRIMARY KEY NOT NULL,
+    scryfall_id TEXT NOT NULL,
+    oracle_id TEXT,
+    name TEXT NOT NULL,
+    set_code TEXT,
+    type_line TEXT,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_entries_scryfall_id ON collection_entries (scryfall_id);
+  CREATE INDEX IF NOT EXISTS idx_entries_oracle_id ON collection_entries (oracle_id);
+  CREATE INDEX IF NOT EXISTS idx_entries_name ON collection_entries (name COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_entries_set_code ON collection_entries (set_code);
+  CREATE INDEX IF NOT EXISTS idx_entries_type_line ON collection_entries (type_line);
+  CREATE TABLE IF NOT EXISTS collection_ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    entry_id TEXT NOT NULL,
+    scryfall_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    delta INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    source TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_ledger_created_at ON collection_ledger (created_at);
+  CREATE INDEX IF NOT EXISTS idx_ledger_source ON collection_ledger (source);
+  CREATE INDEX IF NOT EXISTS idx_ledger_entry_id ON collection_ledger (entry_id);
+`;
+
+// Update in place rather than INSERT OR REPLACE, which would move the row to
+// the end and lose the collection order
+const UPSERT_SQL = `
+  INSERT INTO collection_entries (id, scryfall_id, oracle_id, name, set_code, type_line, quantity, data)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(id) DO UPDATE SET
+    scryfall_id = excluded.scryfall_id,
+    oracle_id = excluded.oracle_id,
+    name = excluded.name,
+    set_code = excluded.set_code,
+    type_line = excluded.type_line,
+    quantity = excluded.quantity,
+    data = excluded.data
+`;
+
+// Ledger rows are only ever appended: one per stack a write touched
+const LEDGER_INSERT_SQL = `
+  INSERT INTO collection_ledger (created_at, entry_id, scryfall_id, name, delta, quantity, action, source, data)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+
+let databasePromise = null;
+
+const openDatabase = async () => {
+  const db = await SQLite.openDatabaseAsync(DATABASE_NAME);
+  await db.execAsync(SCHEMA);
+  return db;
+};
+
+const getDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = openDatabase().catch(error => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+};
+
+const toParams = (entry) => [
+  entry.id,
+  entry.scryfallId || entry.id,
+  entry.oracleId || null,
+  entry.name || '',
+  entry.setCode || null,
+  entry.typeLine || null,
+  entry.quantity || 0,
+  JSON.stringify(entry),
+];
+
+const fromRow = (row) => ({
+  ...JSON.parse(row.data),
+  quantity: row.quantity,
+});
+
+const fromLedgerRow = (row) => ({
+  id: row.id,
+  createdAt: row.created_at,
+  entryId: row.entry_id,
+  scryfallId: row.scryfall_id,
+  name: row.name,
+  delta: row.delta,
+  quantity: row.quantity,
+  action: row.action,
+  source: row.source,
+  entry: JSON.parse(row.data),
+});
+
+// Filters use the indexed columns: { scryfallId, oracleId, name, setCode, typeLine }.
+// name matches case-insensitively, typeLine matches a substring.
+const buildWhere = (filters = {}) => {
+  const clauses = [];
+  const params = [];
+  if (filters.scryfallId) {
+    clauses.push('scryfall_id = ?');
+    params.push(filters.scryfallId);
+  }
+  if (filters.oracleId) {
+    clauses.push('oracle_id = ?');
+    params.push(filters.oracleId);
+  }
+  if (filters.name) {
+    clauses.push('name = ? COLLATE NOCASE');
+    params.push(filters.name);
+  }
+  if (filters.setCode) {
+    clauses.push('set_code = ?');
+    params.push(filters.setCode.toLowerCase());
+  }
+  if (filters.typeLine) {
+    clauses.push('type_line LIKE ?');
+    params.push(`%${filters.typeLine}%`);
+  }
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params,
+  };
+};
+
+// Queries and writes against a connection or an open transaction
+const createStore = (db) => ({
+  getAllEntries: async () => {
+    const rows = await db.getAllAsync(
+      'SELECT data, quantity FROM collection_entries ORDER BY rowid'
+    );
+    return rows.map(fromRow);
+  },
+
+  getEntry: async (id) => {
+    const row = await db.getFirstAsync(
+      'SELECT data, quantity FROM collection_entries WHERE id = ?',
+      [id]
+    );
+    return row ? fromRow(row) : null;
+  },
+
+  findEntries: async (filters) => {
+    const { where, params } = buildWhere(filters);
+    const rows = await db.getAllAsync(
+      `SELECT data, quantity FROM collection_entries ${where} ORDER BY rowid`,
+      params
+    );
+    return rows.map(fromRow);
+  },
+
+  putEntries: async (entries) => {
+    if (entries.length === 0) return;
+    const statement = await db.prepareAsync(UPSERT_SQL);
+    try {
+      for (const entry of entries) {
+        await statement.executeAsync(toParams(entry));
+      }
+    } finally {
+      await statement.finalizeAsync();
+    }
+  },
+
+  deleteEntries: async (ids) => {
+    if (ids.length === 0) return;
+    const statement = await db.prepareAsync('DELETE FROM collection_entries WHERE id = ?');
+    try {
+      for (const id of ids) {
+        await statement.executeAsync([id]);
+      }
+    } finally {
+      await statement.finalizeAsync();
+    }
+  },
+
+  // { scryfallId: prices } onto every stack of those printings. Only the
+  // price fields of `data` are written: quantity and the rest stay as stored.
+  setPrices: async (pricesById, updatedAt) => {
+    const statement = await db.prepareAsync(`
+      UPDATE collection_entries
+      SET data = json_set(data, '$.prices', json(?), '$.pricesUpdatedAt', ?)
+      WHERE scryfall_id = ?
+    `);
+    try {
+      for (const [scryfallId, prices] of Object.entries(pricesById)) {
+        await statement.executeAsync([JSON.stringify(prices), updatedAt, scryfallId]);
+      }
+    } finally {
+      await statement.finalizeAsync();
+    }
+  },
+
+  clearEntries: async () => {
+    await db.runAsync('DELETE FROM collection_entries');
+  },
+
+  // rows: [{ createdAt, entryId, scryfallId, name, delta, quantity, action, source, entry }]
+  appendLedger: async (rows) => {
+    if (rows.length === 0) return;
+    const statement = await db.prepareAsync(LEDGER_INSERT_SQL);
+    try {
+      for (const row of rows) {
+        await statement.executeAsync([
+          row.createdAt,
+          row.entryId,
+          row.scryfallId || row.entryId,
+          row.name || '',
+          row.delta,
+          row.quantity,
+          row.action,
+          row.source,
+          JSON.stringify(row.entry),
+        ]);
+      }
+    } finally {
+      await statement.finalizeAsync();
+    }
+  },
+
+  countLedger: async () => {
+    const row = await db.getFirstAsync('SELECT COUNT(*) AS rows FROM collection_ledger');
+    return row?.rows || 0;
+  },
+
+  countEntries: async () => {
+    const row = await db.getFirstAsync(
+      'SELECT COUNT(*) AS entries, COALESCE(SUM(quantity), 0) AS cards FROM collection_entries'
+    );
+    return { entries: row?.entries || 0, cards: row?.cards || 0 };
+  },
+});
+
+export const loadEntries = async () => {
+  const db = await getDatabase();
+  return createStore(db).getAllEntries();
+};
+
+export const findEntries = async (filters) => {
+  const db = await getDatabase();
+  return createStore(db).findEntries(filters);
+};
+
+export const countEntries = async () => {
+  const db = await getDatabase();
+  return createStore(db).countEntries();
+};
+
+// Ledger rows, newest first. filters: { from, to (ISO dates, inclusive), source, entryId, limit }
+export const findLedgerRows = async (filters = {}) => {
+  const db = await getDatabase();
+  const clauses = [];
+  const params = [];
+  if (filters.from) {
+    clauses.push('created_at >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    clauses.push('created_at <= ?');
+    params.push(filters.to);
+  }
+  if (filters.source) {
+    clauses.push('source = ?');
+    params.push(filters.source);
+  }
+  if (filters.entryId) {
+    clauses.push('entry_id = ?');
+    params.push(filters.entryId);
+  }
+  const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+  const rows = await db.getAllAsync(
+    `SELECT * FROM collection_ledger ${where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+    [...params, filters.limit || 500]
+  );
+  return rows.map(fromLedgerRow);
+};
+
+// Stacks as they stood at `date`: quantities summed from the ledger, each
+// stack with its last recorded state, in the order they first appeared
+export const getEntriesAt = async (date) => {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync(`
+    SELECT
+      l.entry_id,
+      SUM(l.delta) AS quantity,
+      (
+        SELECT data FROM collection_ledger latest
+        WHERE latest.entry_id = l.entry_id AND latest.created_at <= ?
+        ORDER BY latest.created_at DESC, latest.id DESC LIMIT 1
+      ) AS data
+    FROM collection_ledger l
+    WHERE l.created_at <= ?
+    GROUP BY l.entry_id
+    HAVING SUM(l.delta) > 0
+    ORDER BY MIN(l.id)
+  `, [date, date]);
+  return rows.map(fromRow);
+};
+
+// Run task(store) in one exclusive transaction: every write lands or none does.
+// Resolves with whatever the task returns.
+export const runInTransaction = async (task) => {
+  const db = await getDatabase();
+  let result;
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    result = await task(createStore(txn));
+  });
+  return result;
+};
+
+// Replace every row, e.g. when restoring a backup
+export const replaceAllEntries = async (entries) => {
+  return runInTransaction(async (store) => {
+    await store.clearEntries();
+    await store.putEntries(entries);
+  });
+};
+
+// Start the ledger from the given rows, unless it already has some
+export const seedLedger = async (rows) => {
+  return runInTransaction(async (store) => {
+    if (await store.countLedger() > 0) return false;
+    await store.appendLedger(rows);
+    return true;
+  });
+};
+
+export const clearEntries = async () => {
+  const db = await getDatabase();
+  await createStore(db).clearEntries();
+};
+
+export default {
+  loadEntries,
+  findEntries,
+  countEntries,
+  runInTransaction,
+  replaceAllEntries,
+  clearEntries,
+  findLedgerRows,
+  getEntriesAt,
+  seedLedger,
+};
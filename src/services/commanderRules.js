@@ -0,0 +1,125 @@
+// Commander Rules
+// Who can lead a deck, which cards can share the command zone (Partner,
+// Partner with, Friends forever, Choose a Background, Doctor's companion)
+// and the color identity a commander pair allows.
+// Works on deck cards and collection entries (typeLine, oracleText, colorIdentity).
+
+export const PAIRING_TYPES = {
+  partner: { code: 'partner', name: 'Partenaire' },
+  partnerWith: { code: 'partnerWith', name: 'Partenaire de' },
+  friendsForever: { code: 'friendsForever', name: 'Amis pour toujours' },
+  chooseBackground: { code: 'chooseBackground', name: 'Choisissez un historique' },
+  background: { code: 'background', name: 'Historique' },
+  doctorsCompanion: { code: 'doctorsCompanion', name: 'Compagnon du Docteur' },
+  doctor: { code: 'doctor', name: 'Docteur' },
+};
+
+// WUBRG order for displaying identities
+const COLOR_ORDER = ['W', 'U', 'B', 'R', 'G'];
+
+// Keyword abilities sit on their own line, before any reminder text
+const keywordLine = (card, pattern) => (card.oracleText || '').match(pattern);
+
+// How this card pairs with a second commander: { type, partnerName, group }, or null
+export const getPairing = (card) => {
+  const typeLine = card.typeLine || '';
+  if (/\bbackground\b/i.test(typeLine) && /\benchantment\b/i.test(typeLine)) {
+    return { type: PAIRING_TYPES.background.code };
+  }
+  const partnerWith = keywordLine(card, /^partner with ([^(\n]+)/im);
+  if (partnerWith) {
+    return { type: PAIRING_TYPES.partnerWith.code, partnerName: partnerWith[1].trim() };
+  }
+  // "Partner—Survivors" only pairs within its group
+  const partnerGroup = keywordLine(card, /^partner\s*[—-]\s*([^(\n]+)/im);
+  if (partnerGroup) {
+    return { type: PAIRING_TYPES.partner.code, group: partnerGroup[1].trim().toLowerCase() };
+  }
+  if (keywordLine(card, /^partner\b/im)) return { type: PAIRING_TYPES.partner.code };
+  if (keywordLine(card, /^friends forever\b/im)) return { type: PAIRING_TYPES.friendsForever.code };
+  if (keywordLine(card, /^choose a background\b/im)) return { type: PAIRING_TYPES.chooseBackground.code };
+  if (keywordLine(card, /^doctor['’]s companion\b/im)) return { type: PAIRING_TYPES.doctorsCompanion.code };
+  if (/\btime lord doctor\b/i.test(typeLine)) return { type: PAIRING_TYPES.doctor.code };
+  return null;
+};
+
+// Pairings that go both ways: [one side, other side]
+const COMPLEMENTS = [
+  [PAIRING_TYPES.chooseBackground.code, PAIRING_TYPES.background.code],
+  [PAIRING_TYPES.doctorsCompanion.code, PAIRING_TYPES.doctor.code],
+];
+
+const sameName = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+// Whether two cards can be commanders of the same deck
+export const canPair = (first, second) => {
+  if (!first || !second || sameName(first.name, second.name)) return false;
+  const a = getPairing(first);
+  const b = getPairing(second);
+  if (!a || !b) return false;
+
+  if (a.type === PAIRING_TYPES.partnerWith.code || b.type === PAIRING_TYPES.partnerWith.code) {
+    return sameName(a.partnerName, second.name) || sameName(b.partnerName, first.name);
+  }
+  if (a.type === PAIRING_TYPES.partner.code && b.type === PAIRING_TYPES.partner.code) {
+    return a.group === b.group;
+  }
+  if (a.type === PAIRING_TYPES.friendsForever.code && b.type === PAIRING_TYPES.friendsForever.code) {
+    return true;
+  }
+  return COMPLEMENTS.some(([one, other]) =>
+    (a.type === one && b.type === other) || (a.type === other && b.type === one)
+  );
+};
+
+// Whether a card can lead a deck on its own. Brawl accepts any legendary
+// planeswalker; elsewhere a planeswalker needs "can be your commander".
+export const canBeCommander = (card, { anyPlaneswalkerCommander = false } = {}) => {
+  const typeLine = (card.typeLine || '').toLowerCase();
+  if (!typeLine.includes('legendary')) return false;
+  if (typeLine.includes('creature')) return true;
+  if (typeLine.includes('planeswalker') && anyPlaneswalkerCommander) return true;
+  return /can be your commander/i.test(card.oracleText || '');
+};
+
+// The commander and its partner, when it has one
+export const getDeckCommanders = (deck) => [deck.commander, deck.partner].filter(Boolean);
+
+// Commander or partner reference stored on a deck, from a collection entry
+export const toCommanderReference = (card) => ({
+  id: card.scryfallId || card.id,
+  name: card.name,
+  imageUrl: card.imageUrl || card.imageUrlSmall,
+  colorIdentity: card.colorIdentity,
+  typeLine: card.typeLine,
+  oracleText: card.oracleText,
+  legalities: card.legalities,
+});
+
+// Colors the deck may use, the union of both commanders; null without a commander
+export const getCommanderIdentity = (deck) => {
+  const commanders = getDeckCommanders(deck);
+  if (commanders.length === 0) return null;
+  const colors = new Set(commanders.flatMap(card => card.colorIdentity || []));
+  return COLOR_ORDER.filter(color => colors.has(color));
+};
+
+// Colors of `card` outside the deck's commander identity, empty when it fits
+// (or when the deck has no commander)
+export const getOffIdentityColors = (deck, card) => {
+  const identity = getCommanderIdentity(deck);
+  if (!identity) return [];
+  const colors = card.colorIdentity || card.color_identity || [];
+  return colors.filter(color => !identity.includes(color));
+};
+
+export default {
+  PAIRING_TYPES,
+  getPairing,
+  canPair,
+  canBeCommander,
+  getDeckCommanders,
+  toCommanderReference,
+  getCommanderIdentity,
+  getOffIdentityColors,
+};
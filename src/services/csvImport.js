@@ -0,0 +1,348 @@
+// CSV Collection Import
+// Reads collection exports from other apps (Moxfield, Archidekt, Deckbox,
+// ManaBox, TCGplayer) or any CSV with a manual column mapping, and resolves
+// each row to an exact Scryfall printing.
+import { getCardCollection, getAllSets } from './scryfallApi';
+import { normalizeName } from './cardDatabase';
+
+// Collection fields a CSV column can map to
+export const CSV_FIELDS = [
+  { key: 'name', name: 'Nom', required: true },
+  { key: 'quantity', name: 'Quantité' },
+  { key: 'setCode', name: 'Code d\'édition' },
+  { key: 'setName', name: 'Nom d\'édition' },
+  { key: 'collectorNumber', name: 'Numéro de collection' },
+  { key: 'finish', name: 'Finition / Foil' },
+  { key: 'condition', name: 'État' },
+  { key: 'lang', name: 'Langue' },
+  { key: 'scryfallId', name: 'Scryfall ID' },
+];
+
+// Known export layouts. A format matches when all its `detect` headers are present;
+// more specific formats come first (Deckbox and Moxfield share most headers).
+export const CSV_FORMATS = [
+  {
+    id: 'manabox',
+    name: 'ManaBox',
+    detect: ['ManaBox ID'],
+    mapping: {
+      name: 'Name',
+      quantity: 'Quantity',
+      setCode: 'Set code',
+      setName: 'Set name',
+      collectorNumber: 'Collector number',
+      finish: 'Foil',
+      condition: 'Condition',
+      lang: 'Language',
+      scryfallId: 'Scryfall ID',
+    },
+  },
+  {
+    id: 'archidekt',
+    name: 'Archidekt',
+    detect: ['Edition Code', 'Finish'],
+    mapping: {
+      name: 'Name',
+      quantity: 'Quantity',
+      setCode: 'Edition Code',
+      setName: 'Edition Name',
+      collectorNumber: 'Collector Number',
+      finish: 'Finish',
+      condition: 'Condition',
+      lang: 'Language',
+      scryfallId: 'Scryfall ID',
+    },
+  },
+  {
+    id: 'moxfield',
+    name: 'Moxfield',
+    detect: ['Tradelist Count', 'Collector Number', 'Last Modified'],
+    mapping: {
+      name: 'Name',
+      quantity: 'Count',
+      setCode: 'Edition',
+      collectorNumber: 'Collector Number',
+      finish: 'Foil',
+      condition: 'Condition',
+      lang: 'Language',
+    },
+  },
+  {
+    id: 'deckbox',
+    name: 'Deckbox',
+    detect: ['Tradelist Count', 'Card Number'],
+    mapping: {
+      name: 'Name',
+      quantity: 'Count',
+      setName: 'Edition',
+      collectorNumber: 'Card Number',
+      finish: 'Foil',
+      condition: 'Condition',
+      lang: 'Language',
+    },
+  },
+  {
+    id: 'tcgplayer',
+    name: 'TCGplayer',
+    detect: ['Simple Name', 'Printing'],
+    mapping: {
+      name: 'Simple Name',
+      quantity: 'Quantity',
+      setCode: 'Set Code',
+      setName: 'Set',
+      collectorNumber: 'Card Number',
+      finish: 'Printing',
+      condition: 'Condition',
+      lang: 'Language',
+    },
+  },
+];
+
+// Header aliases used to pre-fill the mapping of an unknown layout
+const FIELD_ALIASES = {
+  name: ['name', 'card name', 'card', 'simple name'],
+  quantity: ['quantity', 'count', 'qty', 'amount', 'copies'],
+  setCode: ['set code', 'set', 'edition code', 'edition', 'setcode'],
+  setName: ['set name', 'edition name', 'expansion'],
+  collectorNumber: ['collector number', 'card number', 'number', 'collector #', 'cn'],
+  finish: ['finish', 'foil', 'printing', 'foil/etched'],
+  condition: ['condition', 'cond'],
+  lang: ['language', 'lang'],
+  scryfallId: ['scryfall id', 'scryfall_id', 'scryfallid'],
+};
+
+const CONDITION_ALIASES = {
+  m: 'M', mint: 'M',
+  nm: 'NM', 'near mint': 'NM', near_mint: 'NM',
+  lp: 'LP', 'lightly played': 'LP', lightly_played: 'LP', 'good (lightly played)': 'LP', excellent: 'LP', ex: 'LP',
+  mp: 'MP', 'moderately played': 'MP', moderately_played: 'MP', played: 'MP', good: 'MP', gd: 'MP',
+  hp: 'HP', 'heavily played': 'HP', heavily_played: 'HP',
+  dmg: 'DMG', damaged: 'DMG', poor: 'DMG',
+};
+
+const LANGUAGE_ALIASES = {
+  english: 'en', french: 'fr', german: 'de', spanish: 'es', italian: 'it',
+  portuguese: 'pt', japanese: 'ja', korean: 'ko', russian: 'ru',
+  'chinese simplified': 'zhs', 'simplified chinese': 'zhs', 'chinese traditional': 'zht',
+  'traditional chinese': 'zht', zh: 'zhs', cs: 'zhs', ct: 'zht', jp: 'ja', kr: 'ko',
+};
+
+// Split CSV text into rows of cells: quoted fields, doubled quotes, CRLF.
+// The delimiter (comma, semicolon or tab) is guessed from the first line.
+export const parseCsv = (text) => {
+  const source = (text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  , ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+};
+
+const headerIndex = (headers, name) => {
+  const wanted = name.toLowerCase();
+  return headers.findIndex(header => header.trim().toLowerCase() === wanted);
+};
+
+// First known format whose signature headers are all present, or null
+export const detectCsvFormat = (headers) => {
+  return CSV_FORMATS.find(format =>
+    format.detect.every(name => headerIndex(headers, name) >= 0)
+  ) || null;
+};
+
+// Column index per field, from a known format or from header aliases
+export const getColumnMapping = (headers, format = null) => {
+  const mapping = {};
+  for (const field of CSV_FIELDS) {
+    const candidates = format
+      ? [format.mapping[field.key]].filter(Boolean)
+      : FIELD_ALIASES[field.key];
+    const index = candidates
+      .map(name => headerIndex(headers, name))
+      .find(i => i >= 0);
+    mapping[field.key] = index ?? -1;
+  }
+  return mapping;
+};
+
+// Unknown or empty conditions count as Near Mint
+export const normalizeCondition = (value) => {
+  const key = (value || '').trim().toLowerCase().replace(/\s+foil$/, '');
+  return CONDITION_ALIASES[key] || 'NM';
+};
+
+// "foil", "Foil", "true", "etched", "Normal", "" ...
+export const normalizeFinish = (value) => {
+  const key = (value || '').trim().toLowerCase();
+  if (key.includes('etched')) return 'etched';
+  if (['true', 'yes', '1', 'premium'].includes(key) || (key.includes('foil') && !key.includes('non'))) {
+    return 'foil';
+  }
+  return 'nonfoil';
+};
+
+export const normalizeLanguage = (value) => {
+  const key = (value || '').trim().toLowerCase();
+  if (!key) return 'en';
+  return LANGUAGE_ALIASES[key] || key;
+};
+
+// CSV rows (header first) to import rows. `row` is the 1-based data row, for the preview.
+export const mapCsvRows = (rows, mapping) => {
+  const get = (cells, key) => {
+    const index = mapping[key];
+    return index >= 0 ? (cells[index] || '').trim() : '';
+  };
+
+  const items = [];
+  rows.slice(1).forEach((cells, i) => {
+    const name = get(cells, 'name');
+    if (!name) return;
+
+    // An empty quantity is one copy. Rows without a positive count are skipped:
+    // Moxfield and Deckbox export wishlist and tradelist rows with 0
+    const quantityValue = get(cells, 'quantity');
+    const quantity = quantityValue ? parseInt(quantityValue, 10) : 1;
+    if (!(quantity > 0)) return;
+
+    // TCGplayer puts the finish in the condition: "Near Mint Foil"
+    const condition = get(cells, 'condition');
+    const finishValue = get(cells, 'finish') || (/\bfoil\b/i.test(condition) ? 'foil' : '');
+
+    items.push({
+      row: i + 1,
+      name,
+      quantity,
+      setCode: get(cells, 'setCode').toLowerCase() || null,
+      setName: get(cells, 'setName') || null,
+      collectorNumber: get(cells, 'collectorNumber') || null,
+      scryfallId: get(cells, 'scryfallId') || null,
+      finish: normalizeFinish(finishValue),
+      condition: normalizeCondition(condition),
+      lang: normalizeLanguage(get(cells, 'lang')),
+    });
+  });
+  return items;
+};
+
+// Deckbox only gives set names; Scryfall identifiers need codes
+const fillSetCodes = async (items) => {
+  if (!items.some(item => !item.setCode && item.setName)) return;
+  try {
+    const sets = await getAllSets();
+    const codes = new Map(sets.map(set => [normalizeName(set.name), set.code]));
+    for (const item of items) {
+      if (!item.setCode && item.setName) {
+        item.setCode = codes.get(normalizeName(item.setName)) || null;
+      }
+    }
+  } catch (error) {
+    console.warn('Set list unavailable, matching by name only:', error.message);
+  }
+};
+
+const getIdentifier = (item) => {
+  if (item.scryfallId) return { id: item.scryfallId };
+  if (item.setCode && item.collectorNumber) {
+    return { set: item.setCode, collector_number: item.collectorNumber };
+  }
+  if (item.setCode) return { name: item.name, set: item.setCode };
+  return { name: item.name };
+};
+
+const matchesName = (card, name) => {
+  const wanted = normalizeName(name);
+  return normalizeName(card.name) === wanted ||
+    normalizeName(card.card_faces?.[0]?.name) === wanted;
+};
+
+const matchesItem = (card, item) => {
+  if (item.scryfallId) return card.id === item.scryfallId;
+  if (item.setCode && card.set !== item.setCode) return false;
+  if (item.collectorNumber && card.collector_number !== item.collectorNumber) return false;
+  return matchesName(card, item.name);
+};
+
+const BATCH_SIZE = 75;
+
+const resolveBatches = async (items, getItemIdentifier, matches, onProgress) => {
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    const batch = items.slice(i, i + BATCH_SIZE);
+    const cards = await getCardCollection(batch.map(getItemIdentifier));
+    for (const item of batch) {
+      const card = cards.find(c => matches(c, item));
+      if (card) item.cardData = card;
+    }
+    onProgress(Math.min(i + BATCH_SIZE, items.length));
+  }
+};
+
+// Resolve rows to Scryfall cards: exact printing first, then any printing of
+// the name so a wrong set or number does not lose the row.
+// Returns { matched, unmatched }; onProgress receives (done, total).
+export const resolveCsvRows = async (items, onProgress = () => {}) => {
+  const rows = items.map(item => ({ ...item, cardData: null }));
+  await fillSetCodes(rows);
+
+  await resolveBatches(rows, getIdentifier, matchesItem, done => onProgress(done, rows.length));
+
+  const fallback = rows.filter(row => !row.cardData);
+  if (fallback.length > 0) {
+    await resolveBatches(fallback, row => ({ name: row.name }), (card, row) => matchesName(card, row.name), () => {});
+  }
+
+  return {
+    matched: rows.filter(row => row.cardData),
+    unmatched: rows.filter(row => !row.cardData),
+  };
+};
+
+export default {
+  CSV_FIELDS,
+  CSV_FORMATS,
+  parseCsv,
+  detectCsvFormat,
+  getColumnMapping,
+  normalizeCondition,
+  normalizeFinish,
+  normalizeLanguage,
+  mapCsvRows,
+  resolveCsvRows,
+};
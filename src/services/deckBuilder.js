@@ -0,0 +1,216 @@
+// Deck Builder
+// Builds a commander deck from EDHREC recommendations, taking cards the user
+// owns before cards to buy. Slots are filled by role (ramp, draw, removal,
+// wipes, then any spell, then lands) in synergy + inclusion order, within the
+// commanders' color identity; basic lands make up the rest. What is not owned
+// becomes a buy list, most needed first, with prices.
+import { generateDeckSuggestions, getCommanderPageName } from './edhrecApi';
+import { getCardCollection } from './scryfallApi';
+import { createDeckCard } from './deckCards';
+import { getCommanderIdentity } from './commanderRules';
+import { AUTO_TAGS, suggestTags } from './cardTags';
+import { getCardType, getDeckStats } from './deckStats';
+import { getCardPriceValue } from './priceService';
+
+export const DECK_SIZE = 100;
+export const LAND_TARGET = 36;
+// Nonbasic lands stop here so the mana base keeps basics to fetch and count on
+const MIN_BASIC_LANDS = 12;
+
+// Roles filled first, with the targets the tag shortfalls use
+export const BUILD_ROLES = AUTO_TAGS.filter(auto => auto.target);
+
+export const BUY_GROUPS = {
+  ...Object.fromEntries(BUILD_ROLES.map(role => [role.code, { code: role.code, name: role.name }])),
+  land: { code: 'land', name: 'Terrains' },
+  other: { code: 'other', name: 'Autres sorts' },
+};
+
+const BASIC_LANDS = { W: 'Plains', U: 'Island', B: 'Swamp', R: 'Mountain', G: 'Forest' };
+const COLORLESS_BASIC = 'Wastes';
+
+const lower = (name) => (name || '').toLowerCase();
+
+const isBasicLand = (card) => /\bbasic\b/i.test(card.typeLine || card.type_line || '');
+
+// Group a card counts under on the buy list: its first role, land or other
+const getGroup = (card, tags) => {
+  if (getCardType(card) === 'land') return BUY_GROUPS.land.code;
+  return BUILD_ROLES.find(role => tags.includes(role.code))?.code || BUY_GROUPS.other.code;
+};
+
+// Basic land counts for `count` lands, split by the colored pips of the spells
+const splitBasics = (spells, identity, count) => {
+  if (count <= 0) return [];
+  if (identity.length === 0) return [{ name: COLORLESS_BASIC, quantity: count }];
+  const { pips } = getDeckStats({ cards: spells });
+  const weights = identity.map(color => Math.max(1, pips[color] || 0));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const counts = weights.map(w => Math.floor((count * w) / totalWeight));
+  // Rounding leftovers go to the most used colors
+  let left = count - counts.reduce((sum, c) => sum + c, 0);
+  const order = identity.map((_, i) => i).sort((a, b) => weights[b] - weights[a]);
+  for (let i = 0; left > 0; i = (i + 1) % order.length, left--) counts[order[i]]++;
+  return identity
+    .map((color, i) => ({ name: BASIC_LANDS[color], quantity: counts[i] }))
+    .filter(basic => basic.quantity > 0);
+};
+
+// The deck plan from suggestions already fetched:
+//   commanders: collection entries; suggestions: generateDeckSuggestions output
+//   collection: owned entries; scryfallCards: Scryfall data of cards not owned
+//   and of basic lands
+// Returns { cards, owned, toBuy, balance, buyList, buyTotal, buyTotals, basics,
+// basicCards, missing }; missing counts spell slots basics had to fill
+export const planDeck = (commanders, suggestions, collection, scryfallCards, options = {}) => {
+  const { currency = 'usd', rates } = options;
+  const identity = getCommanderIdentity({ commander: commanders[0], partner: commanders[1] }) || [];
+  const commanderNames = new Set(commanders.map(c => lower(c.name)));
+
+  const ownedByName = new Map();
+  for (const entry of collection) {
+    if (!ownedByName.has(lower(entry.name))) ownedByName.set(lower(entry.name), entry);
+  }
+  const scryfallByName = new Map(scryfallCards.map(card => [lower(card.name), card]));
+
+  // Recommendations with their card data, best ranked first
+  const candidates = [
+    ...suggestions.fromCollection.map(rec => ({ rec, source: ownedByName.get(lower(rec.name)), owned: true })),
+    ...suggestions.toAcquire.map(rec => ({ rec, source: scryfallByName.get(lower(rec.name)), owned: false })),
+  ]
+    .filter(({ rec, source }) => source && !commanderNames.has(lower(rec.name)) && !isBasicLand(source))
+    .map(candidate => {
+      const card = createDeckCard(candidate.source, 1);
+      const tags = suggestTags(card);
+      return { ...candidate, card: { ...card, tags }, tags, group: getGroup(card, tags) };
+    })
+    .filter(({ card }) => {
+      const legality = card.legalities?.commander;
+      if (legality === 'banned' || legality === 'not_legal') return false;
+      return (card.colorIdentity || []).every(color => identity.includes(color));
+    })
+    .sort((a, b) => (b.owned - a.owned) || (b.rec.score - a.rec.score));
+
+  const mainSize = DECK_SIZE - commanders.length;
+  const spellSlots = mainSize - LAND_TARGET;
+  const picked = [];
+  const pickedNames = new Set();
+  const pick = (candidate) => {
+    picked.push(candidate);
+    pickedNames.add(lower(candidate.rec.name));
+  };
+  const available = (test) => candidates.filter(c => !pickedNames.has(lower(c.rec.name)) && test(c));
+  const spells = () => picked.filter(c => c.group !== BUY_GROUPS.land.code);
+
+  // Roles first, owned cards before cards to buy (candidates are sorted that way)
+  for (const role of BUILD_ROLES) {
+    const count = () => picked.filter(c => c.tags.includes(role.code)).length;
+    for (const candidate of available(c => c.group !== BUY_GROUPS.land.code && c.tags.includes(role.code))) {
+      if (count() >= role.target || spells().length >= spellSlots) break;
+      pick(candidate);
+    }
+  }
+  for (const candidate of available(c => c.group !== BUY_GROUPS.land.code)) {
+    if (spells().length >= spellSlots) break;
+    pick(candidate);
+  }
+  const nonbasicMax = LAND_TARGET - MIN_BASIC_LANDS;
+  for (const candidate of available(c => c.group === BUY_GROUPS.land.code)) {
+    if (picked.length - spells().length >= nonbasicMax) break;
+    pick(candidate);
+  }
+
+  // Basics fill every slot left, so a short recommendation list still gives a full deck
+  const missing = Math.max(0, spellSlots - spells().length);
+  const basicCount = mainSize - picked.length;
+  const basics = splitBasics(spells().map(c => c.card), identity, basicCount);
+  const basicCards = basics.map(({ name, quantity }) => {
+    const source = ownedByName.get(lower(name)) || scryfallByName.get(lower(name)) ||
+      { name, typeLine: `Basic Land — ${name}` };
+    return createDeckCard(source, quantity);
+  });
+
+  const buyList = picked
+    .filter(c => !c.owned)
+    .map(c => ({
+      name: c.rec.name,
+      group: c.group,
+      score: c.rec.score,
+      synergy: c.rec.synergy,
+      price: getCardPriceValue(c.source, currency, rates),
+      card: c.card,
+    }))
+    .sort((a, b) => {
+      const groups = Object.keys(BUY_GROUPS);
+      return (groups.indexOf(a.group) - groups.indexOf(b.group)) || (b.score - a.score);
+    });
+  const buyTotals = {};
+  for (const item of buyList) {
+    buyTotals[item.group] = (buyTotals[item.group] || 0) + item.price;
+  }
+
+  const landCount = picked.filter(c => c.group === BUY_GROUPS.land.code).length + basicCount;
+  return {
+    cards: [
+      ...commanders.map(commander => createDeckCard(commander, 1)),
+      ...picked.map(c => c.card),
+      ...basicCards,
+    ],
+    owned: picked.filter(c => c.owned).length,
+    toBuy: buyList.length,
+    balance: [
+      { code: BUY_GROUPS.land.code, name: BUY_GROUPS.land.name, count: landCount, target: LAND_TARGET },
+      ...BUILD_ROLES.map(role => ({
+        code: role.code,
+        name: role.name,
+        count: picked.filter(c => c.tags.includes(role.code)).length,
+        target: role.target,
+      })),
+    ],
+    buyList,
+    buyTotal: buyList.reduce((sum, item) => sum + item.price, 0),
+    buyTotals,
+    basics,
+    basicCards,
+    missing,
+  };
+};
+
+// Fetches the recommendations for the commanders (one or a pair) and plans
+// the deck; null when EDHREC has no page for them
+export const buildDeckFromCollection = async (commanders, collection, options = {}) => {
+  try {
+    const suggestions = await generateDeckSuggestions(
+      getCommanderPageName(commanders.map(c => c.name)),
+      collection,
+      { maxFromCollection: Infinity, maxToAcquire: Infinity }
+    );
+    if (!suggestions) return null;
+
+    const identifiers = [
+      ...suggestions.toAcquire.map(rec => ({ name: rec.name })),
+      ...[...Object.values(BASIC_LANDS), COLORLESS_BASIC].map(name => ({ name })),
+    ];
+    let scryfallCards = [];
+    try {
+      scryfallCards = await getCardCollection(identifiers);
+    } catch (error) {
+      // Offline: the plan falls back to owned cards
+      console.warn('Could not look up cards to buy:', error.message);
+    }
+
+    return planDeck(commanders, suggestions, collection, scryfallCards, options);
+  } catch (error) {
+    console.error('Error building deck:', error);
+    return null;
+  }
+};
+
+export default {
+  DECK_SIZE,
+  LAND_TARGET,
+  BUILD_ROLES,
+  BUY_GROUPS,
+  planDeck,
+  buildDeckFromCollection,
+};
@@ -0,0 +1,64 @@
+// Deck Cards
+// Deck card records, their format legality and the parts of a deck they
+// make up. No storage or network here: simulation, statistics, tagging and
+// validation modules import this rather than storageService or scryfallApi.
+import { getDeckCommanders } from './commanderRules';
+
+// Mana value from a mana cost string, for cards saved without cmc
+const getManaValue = (manaCost) => {
+  const symbols = (manaCost || '').match(/\{[^}]+\}/g) || [];
+  return symbols.reduce((total, symbol) => {
+    const inner = symbol.slice(1, -1).toUpperCase();
+    if (/^\d+$/.test(inner)) return total + parseInt(inner, 10);
+    if (['X', 'Y', 'Z'].includes(inner)) return total;
+    if (inner.startsWith('H')) return total + 0.5;
+    const generic = inner.match(/^(\d+)\//);
+    return total + (generic ? parseInt(generic[1], 10) : 1);
+  }, 0);
+};
+
+// Deck card from a Scryfall card, a collection entry or another deck card.
+// The printing fields (set, collector number, MTGO ids, finish) feed the Arena and MTGO exports.
+export const createDeckCard = (card, quantity = 1, options = {}) => {
+  const scryfallId = card.scryfallId || card.id;
+  const manaCost = card.manaCost ?? card.mana_cost;
+  return {
+    id: scryfallId,
+    scryfallId,
+    name: card.name,
+    imageUrl: card.imageUrl || card.image_uris?.small || card.card_faces?.[0]?.image_uris?.small,
+    manaCost,
+    typeLine: card.typeLine || card.type_line,
+    cmc: card.cmc ?? getManaValue(manaCost),
+    colorIdentity: card.colorIdentity || card.color_identity || [],
+    setCode: card.setCode || card.set,
+    collectorNumber: card.collectorNumber || card.collector_number,
+    mtgoId: card.mtgoId ?? card.mtgo_id,
+    mtgoFoilId: card.mtgoFoilId ?? card.mtgo_foil_id,
+    rarity: card.rarity,
+    // Read by the deck validator: format legality and "any number" rules
+    legalities: card.legalities,
+    oracleText: card.oracleText ?? card.oracle_text,
+    finish: options.finish || card.finish || 'nonfoil',
+    // User and automatic tags (cardTags); a collection entry passes its own on
+    tags: card.tags || [],
+    quantity,
+  };
+};
+
+// Check if a card is legal in a format (a Scryfall legalities key)
+export const isLegalInFormat = (card, format) => {
+  return card.legalities?.[format] === 'legal' || card.legalities?.[format] === 'restricted';
+};
+
+export const isCommanderCard = (deck, card) => getDeckCommanders(deck).some(c => c.name === card.name);
+
+// Cards of the main deck, without the commanders: the library a game starts from
+export const getMainDeckCards = (deck) => (deck.cards || []).filter(card => !isCommanderCard(deck, card));
+
+export default {
+  createDeckCard,
+  isLegalInFormat,
+  isCommanderCard,
+  getMainDeckCards,
+};
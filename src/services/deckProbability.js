@@ -0,0 +1,219 @@
+// Deck Probability
+// Exact draw odds (hypergeometric) for a deck's library, as stored by
+// storageService: "at least 2 lands and 1 one-drop in the opening hand",
+// "one of my 6 removal spells by turn 4 on the draw".
+// Categories may overlap (an artifact creature is both); the odds account
+// for cards that count toward several categories.
+import { getMainDeckCards } from './deckCards';
+import { getCardType } from './deckStats';
+import { cardsSeenBy } from './deckSimulator';
+import { getTagLabel, getUsedTags } from './cardTags';
+
+// Where a category's cards come from
+export const CATEGORY_KINDS = {
+  type: { code: 'type', name: 'Type' },
+  manaValue: { code: 'manaValue', name: 'Coût' },
+  tag: { code: 'tag', name: 'Tag' },
+  cards: { code: 'cards', name: 'Cartes' },
+};
+
+export const COMPARISONS = {
+  atLeast: { code: 'atLeast', name: 'Au moins', symbol: '≥' },
+  exactly: { code: 'exactly', name: 'Exactement', symbol: '=' },
+  atMost: { code: 'atMost', name: 'Au plus', symbol: '≤' },
+};
+
+// Mana value categories stop here: the last one is "this much or more"
+export const MANA_VALUE_MAX = 7;
+
+// Type line words a type category can look for
+const TYPE_NAMES = {
+  land: 'Terrain',
+  creature: 'Créature',
+  planeswalker: 'Planeswalker',
+  battle: 'Bataille',
+  instant: 'Éphémère',
+  sorcery: 'Rituel',
+  artifact: 'Artefact',
+  enchantment: 'Enchantement',
+  legendary: 'Légendaire',
+};
+export const TYPE_CATEGORIES = Object.entries(TYPE_NAMES).map(([code, name]) => ({ code, name }));
+
+// Categories:
+//   { kind: 'type', code }        type line of the front face contains the word
+//   { kind: 'manaValue', value }  nonland cards of that mana value (or more at MANA_VALUE_MAX)
+//   { kind: 'tag', tag }          cards whose `tags` include it
+//   { kind: 'cards', names }      hand-picked cards
+export const getCategoryMatcher = (category) => {
+  switch (category.kind) {
+    case CATEGORY_KINDS.type.code: {
+      const pattern = new RegExp(`\\b${category.code}\\b`, 'i');
+      return card => pattern.test((card.typeLine || '').split('//')[0]);
+    }
+    case CATEGORY_KINDS.manaValue.code:
+      return card => {
+        if (getCardType(card) === 'land') return false;
+        const value = Math.floor(card.cmc || 0);
+        return category.value === MANA_VALUE_MAX ? value >= MANA_VALUE_MAX : value === category.value;
+      };
+    case CATEGORY_KINDS.tag.code:
+      return card => (card.tags || []).includes(category.tag);
+    case CATEGORY_KINDS.cards.code:
+      return card => category.names.includes(card.name);
+    default:
+      return () => false;
+  }
+};
+
+export const getCategoryLabel = (category) => {
+  switch (category.kind) {
+    case CATEGORY_KINDS.type.code:
+      return TYPE_NAMES[category.code] || category.code;
+    case CATEGORY_KINDS.manaValue.code:
+      return category.value === MANA_VALUE_MAX ? `Coût ${MANA_VALUE_MAX}+` : `Coût ${category.value}`;
+    case CATEGORY_KINDS.tag.code:
+      return getTagLabel(category.tag);
+    case CATEGORY_KINDS.cards.code:
+      return category.names.length === 1 ? category.names[0] : `${category.names.length} cartes choisies`;
+    default:
+      return '';
+  }
+};
+
+// Tags found on the deck's cards, for building tag categories
+export const getDeckTags = (deck) => getUsedTags(getMainDeckCards(deck));
+
+const copies = (card) => card.quantity || 1;
+
+// Copies in the library matching a category
+export const countCategory = (deck, category) => {
+  const matches = getCategoryMatcher(category);
+  return getMainDeckCards(deck).filter(matches).reduce((sum, card) => sum + copies(card), 0);
+};
+
+// Binomial coefficient as a float: precise enough for decks of a few
+// hundred cards
+const choose = (n, k) => {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 0; i < Math.min(k, n - k); i++) {
+    result = (result * (n - i)) / (i + 1);
+  }
+  return result;
+};
+
+// P(X = k) when drawing `draws` cards from `population` holding `successes`
+export const hypergeometric = (population, successes, draws, k) => {
+  const total = choose(population, draws);
+  if (total === 0) return 0;
+  return (choose(successes, k) * choose(population - successes, draws - k)) / total;
+};
+
+// P(X >= k)
+export const hypergeometricAtLeast = (population, successes, draws, k) => {
+  let probability = 0;
+  for (let i = Math.max(0, k); i <= Math.min(successes, draws); i++) {
+    probability += hypergeometric(population, successes, draws, i);
+  }
+  return Math.min(1, probability);
+};
+
+// Range of matching cards a condition { category, comparison, count } allows
+const getBounds = (condition) => {
+  switch (condition.comparison) {
+    case COMPARISONS.exactly.code:
+      return { min: condition.count, max: condition.count };
+    case COMPARISONS.atMost.code:
+      return { min: 0, max: condition.count };
+    default:
+      return { min: condition.count, max: Infinity };
+  }
+};
+
+// Library split into groups of cards matching the same set of categories
+const groupByCategories = (cards, matchers) => {
+  const groups = new Map();
+  for (const card of cards) {
+    const signature = matchers.map(matches => matches(card));
+    const key = signature.map(Number).join('');
+    const group = groups.get(key) || { signature, size: 0 };
+    group.size += copies(card);
+    groups.set(key, group);
+  }
+  return [...groups.values()];
+};
+
+// Chance that `draws` cards from the library meet every condition at once.
+// Multivariate hypergeometric over the groups of the library, counting per
+// category only up to what the conditions need to tell apart.
+const probabilityForDraws = (groups, bounds, population, draws) => {
+  const total = choose(population, draws);
+  if (total === 0 || draws > population) return 0;
+  // Counts above cap[i] all behave the same for condition i
+  const caps = bounds.map(({ min, max }) => (max === Infinity ? min : max + 1));
+
+  // State: cards drawn so far + capped count per category -> number of ways
+  let states = new Map([[JSON.stringify([0, ...caps.map(() => 0)]), 1]]);
+  for (const group of groups) {
+    const next = new Map();
+    for (const [key, ways] of states) {
+      const [drawn, ...counts] = JSON.parse(key);
+      for (let taken = 0; taken <= Math.min(group.size, draws - drawn); taken++) {
+        const nextCounts = counts.map((count, i) =>
+          group.signature[i] ? Math.min(caps[i], count + taken) : count
+        );
+        const nextKey = JSON.stringify([drawn + taken, ...nextCounts]);
+        next.set(nextKey, (next.get(nextKey) || 0) + ways * choose(group.size, taken));
+      }
+    }
+    states = next;
+  }
+
+  let favourable = 0;
+  for (const [key, ways] of states) {
+    const [drawn, ...counts] = JSON.parse(key);
+    if (drawn !== draws) continue;
+    if (counts.every((count, i) => count >= bounds[i].min && count <= bounds[i].max)) {
+      favourable += ways;
+    }
+  }
+  return Math.min(1, favourable / total);
+};
+
+// Odds of every condition alone and of all of them together, for the opening
+// hand (turn 0) and each turn up to `turns`:
+// [{ turn, cards, conditions: [p, ...], all: p }]
+export const getProbabilityTable = (deck, conditions, { turns = 4, onThePlay = true } = {}) => {
+  const library = getMainDeckCards(deck);
+  const population = library.reduce((sum, card) => sum + copies(card), 0);
+  const matchers = conditions.map(condition => getCategoryMatcher(condition.category));
+  const bounds = conditions.map(getBounds);
+  const groups = groupByCategories(library, matchers);
+
+  return Array.from({ length: turns + 1 }, (_, turn) => {
+    const draws = Math.min(cardsSeenBy(turn, onThePlay), population);
+    return {
+      turn,
+      cards: draws,
+      conditions: conditions.map((_, i) => probabilityForDraws(
+        groupByCategories(library, [matchers[i]]), [bounds[i]], population, draws
+      )),
+      all: probabilityForDraws(groups, bounds, population, draws),
+    };
+  });
+};
+
+export default {
+  CATEGORY_KINDS,
+  COMPARISONS,
+  MANA_VALUE_MAX,
+  TYPE_CATEGORIES,
+  getCategoryMatcher,
+  getCategoryLabel,
+  getDeckTags,
+  countCategory,
+  hypergeometric,
+  hypergeometricAtLeast,
+  getProbabilityTable,
+};
@@ -0,0 +1,196 @@
+// Deck Simulator
+// Goldfish games (shuffle, 7-card opening hand, London mulligan, one draw per
+// turn, commanders in the command zone) and Monte Carlo odds over many
+// shuffles: chance to see a card or a category by a given turn, and the
+// number of lands in the opening hand.
+// Games are plain objects; every step returns a new game.
+import { getMainDeckCards } from './deckCards';
+import { getDeckCommanders } from './commanderRules';
+import { getCardType, CARD_TYPES } from './deckStats';
+import { getDeckFormat } from './deckValidator';
+
+export const OPENING_HAND_SIZE = 7;
+export const SIMULATION_ITERATIONS = 10000;
+
+// One entry per copy, each with its own key
+export const buildLibrary = (deck) => getMainDeckCards(deck).flatMap(card =>
+  Array.from({ length: card.quantity || 1 }, (_, copy) => ({ ...card, quantity: 1, key: `${card.id}-${copy}` }))
+);
+
+// Fisher-Yates, on a copy
+export const shuffle = (cards, random = Math.random) => {
+  const result = [...cards];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const deal = (cards, random) => {
+  const library = shuffle(cards, random);
+  return { hand: library.slice(0, OPENING_HAND_SIZE), library: library.slice(OPENING_HAND_SIZE) };
+};
+
+// A new game with a fresh opening hand. Commander formats get their first
+// mulligan for free, as in multiplayer Commander.
+export const startGame = (deck, { onThePlay = true, random = Math.random } = {}) => ({
+  ...deal(buildLibrary(deck), random),
+  commandZone: getDeckCommanders(deck),
+  freeMulligan: !!getDeckFormat(deck.format).commander,
+  mulligans: 0,
+  kept: false,
+  turn: 0,
+  onThePlay,
+});
+
+// Cards to put on the bottom when keeping the current hand
+export const getBottomCount = (game) => Math.max(0, game.mulligans - (game.freeMulligan ? 1 : 0));
+
+// London mulligan: shuffle the hand back, draw seven again
+export const canMulligan = (game) => !game.kept && getBottomCount({ ...game, mulligans: game.mulligans + 1 }) < OPENING_HAND_SIZE;
+
+export const mulligan = (game, random = Math.random) => {
+  if (!canMulligan(game)) return game;
+  return {
+    ...game,
+    ...deal([...game.hand, ...game.library], random),
+    mulligans: game.mulligans + 1,
+  };
+};
+
+// Keeps the hand, putting the chosen cards (by key) on the bottom of the
+// library. Starts turn 1, which has no draw on the play.
+export const keepHand = (game, bottomKeys = []) => {
+  if (game.kept || bottomKeys.length !== getBottomCount(game)) return game;
+  const bottom = game.hand.filter(card => bottomKeys.includes(card.key));
+  const kept = {
+    ...game,
+    hand: game.hand.filter(card => !bottomKeys.includes(card.key)),
+    library: [...game.library, ...bottom],
+    kept: true,
+    turn: 1,
+  };
+  return game.onThePlay ? kept : drawCards(kept);
+};
+
+export const drawCards = (game, count = 1) => ({
+  ...game,
+  hand: [...game.hand, ...game.library.slice(0, count)],
+  library: game.library.slice(count),
+});
+
+export const nextTurn = (game) => {
+  if (!game.kept) return game;
+  return drawCards({ ...game, turn: game.turn + 1 });
+};
+
+// Cards seen by the end of the draw step of `turn` (0: opening hand)
+export const cardsSeenBy = (turn, onThePlay) => {
+  if (turn === 0) return OPENING_HAND_SIZE;
+  return OPENING_HAND_SIZE + turn - (onThePlay ? 1 : 0);
+};
+
+// What to look for: { type: 'card', name } or { type: 'category', code }
+// with a CARD_TYPES code
+export const getTargetMatcher = (target) => {
+  if (target.type === 'card') return card => card.name === target.name;
+  return card => getCardType(card) === target.code;
+};
+
+export const getTargetLabel = (target) => {
+  if (target.type === 'card') return target.name;
+  return CARD_TYPES.find(type => type.code === target.code)?.name || target.code;
+};
+
+// Shuffles only the first `count` positions: enough to know the top cards
+const shuffleTop = (cards, count, random) => {
+  const top = Math.min(count, cards.length);
+  for (let i = 0; i < top; i++) {
+    const j = i + Math.floor(random() * (cards.length - i));
+    [cards[i], cards[j]] = [cards[j], cards[i]];
+  }
+};
+
+// Chance to have seen at least `atLeast` matching cards by each turn, without
+// mulligans. Returns [{ turn, cards, probability }] from the opening hand
+// (turn 0) to `turns`.
+export const simulateDraws = (deck, target, {
+  turns = 5,
+  atLeast = 1,
+  onThePlay = true,
+  iterations = SIMULATION_ITERATIONS,
+  random = Math.random,
+} = {}) => {
+  const library = buildLibrary(deck);
+  const matches = getTargetMatcher(target);
+  const flags = library.map(matches);
+  const indexes = library.map((_, index) => index);
+  const seen = Array.from({ length: turns + 1 }, (_, turn) => Math.min(cardsSeenBy(turn, onThePlay), library.length));
+  const hits = new Array(turns + 1).fill(0);
+
+  for (let i = 0; i < iterations; i++) {
+    shuffleTop(indexes, seen[turns], random);
+    let found = 0;
+    let turn = 0;
+    for (let position = 0; position < seen[turns] && turn <= turns; position++) {
+      if (flags[indexes[position]]) found++;
+      // Every turn whose last seen card is this one
+      while (turn <= turns && seen[turn] === position + 1) {
+        if (found >= atLeast) hits[turn]++;
+        turn++;
+      }
+    }
+  }
+
+  return seen.map((cards, turn) => ({
+    turn,
+    cards,
+    probability: iterations > 0 ? hits[turn] / iterations : 0,
+  }));
+};
+
+// Share of opening hands with 0 to 7 lands: [{ lands, probability }]
+export const simulateOpeningLands = (deck, {
+  iterations = SIMULATION_ITERATIONS,
+  random = Math.random,
+} = {}) => {
+  const library = buildLibrary(deck);
+  const lands = library.map(card => getCardType(card) === 'land');
+  const indexes = library.map((_, index) => index);
+  const handSize = Math.min(OPENING_HAND_SIZE, library.length);
+  const counts = new Array(OPENING_HAND_SIZE + 1).fill(0);
+
+  for (let i = 0; i < iterations; i++) {
+    shuffleTop(indexes, handSize, random);
+    let count = 0;
+    for (let position = 0; position < handSize; position++) {
+      if (lands[indexes[position]]) count++;
+    }
+    counts[count]++;
+  }
+
+  return counts.map((count, landCount) => ({
+    lands: landCount,
+    probability: iterations > 0 ? count / iterations : 0,
+  }));
+};
+
+export default {
+  OPENING_HAND_SIZE,
+  SIMULATION_ITERATIONS,
+  buildLibrary,
+  shuffle,
+  startGame,
+  getBottomCount,
+  canMulligan,
+  mulligan,
+  keepHand,
+  drawCards,
+  nextTurn,
+  cardsSeenBy,
+  getTargetMatcher,
+  getTargetLabel,
+  simulateDraws,
+  simulateOpeningLands,
+};
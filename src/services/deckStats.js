@@ -0,0 +1,172 @@
+// Deck Statistics
+// Mana curve, colored pips against land color sources, card type split,
+// average mana value and a recommended land count, computed from the deck
+// cards (manaCost, cmc, typeLine, oracleText). Counts are per copy.
+
+export const MANA_COLORS = [
+  { code: 'W', name: 'Blanc', color: '#F8F6D8' },
+  { code: 'U', name: 'Bleu', color: '#0E68AB' },
+  { code: 'B', name: 'Noir', color: '#A69F9D' },
+  { code: 'R', name: 'Rouge', color: '#D3202A' },
+  { code: 'G', name: 'Vert', color: '#00733E' },
+];
+
+// In priority order: a card counts once, under the first type it has
+export const CARD_TYPES = [
+  { code: 'land', name: 'Terrains' },
+  { code: 'creature', name: 'Créatures' },
+  { code: 'planeswalker', name: 'Planeswalkers' },
+  { code: 'battle', name: 'Batailles' },
+  { code: 'instant', name: 'Éphémères' },
+  { code: 'sorcery', name: 'Rituels' },
+  { code: 'artifact', name: 'Artefacts' },
+  { code: 'enchantment', name: 'Enchantements' },
+  { code: 'other', name: 'Autres' },
+];
+
+// The last curve bucket holds everything from this mana value up
+const CURVE_MAX = 7;
+
+const BASIC_LAND_COLORS = { plains: 'W', island: 'U', swamp: 'B', mountain: 'R', forest: 'G' };
+
+const COLOR_CODES = MANA_COLORS.map(c => c.code);
+
+const copies = (card) => card.quantity || 1;
+
+// Type of the front face, for modal double-faced cards ("Instant // Land")
+export const getCardType = (card) => {
+  const front = (card.typeLine || '').split('//')[0].toLowerCase();
+  const type = CARD_TYPES.find(t => t.code !== 'other' && new RegExp(`\\b${t.code}\\b`).test(front));
+  return type ? type.code : 'other';
+};
+
+const isLand = (card) => getCardType(card) === 'land';
+
+// Colored pips of a mana cost: hybrid symbols count for both colors,
+// Phyrexian and {2/W} symbols for their color
+const countPips = (manaCost) => {
+  const pips = {};
+  for (const symbol of (manaCost || '').match(/\{[^}]+\}/g) || []) {
+    for (const part of symbol.slice(1, -1).toUpperCase().split('/')) {
+      if (COLOR_CODES.includes(part)) pips[part] = (pips[part] || 0) + 1;
+    }
+  }
+  return pips;
+};
+
+// Colors a land can tap for: basic land types, "Add {X}" and "any color" in
+// its text, and the basic land types a fetch land can find
+export const getLandColors = (card) => {
+  const colors = new Set();
+  const typeLine = (card.typeLine || '').toLowerCase();
+  Object.entries(BASIC_LAND_COLORS).forEach(([type, color]) => {
+    if (typeLine.includes(type)) colors.add(color);
+  });
+  const text = card.oracleText || '';
+  if (/mana of any (one )?(color|type)/i.test(text)) {
+    return COLOR_CODES;
+  }
+  for (const [clause] of text.matchAll(/add [^.]*/gi)) {
+    for (const [, color] of clause.matchAll(/\{([WUBRG])\}/g)) colors.add(color);
+  }
+  for (const [clause] of text.matchAll(/search your library for [^.]*/gi)) {
+    Object.entries(BASIC_LAND_COLORS).forEach(([type, color]) => {
+      if (clause.toLowerCase().includes(type)) colors.add(color);
+    });
+  }
+  return COLOR_CODES.filter(color => colors.has(color));
+};
+
+// Cheap card draw and mana acceleration lower the land count a deck needs
+const isCheapAcceleration = (card) => {
+  if (isLand(card) || (card.cmc || 0) > 2) return false;
+  return /add \{|search your library for (a|an|up to \w+) [^.]*land|draw (a|two) cards?/i.test(card.oracleText || '');
+};
+
+// Frank Karsten's regression (2022), average over nonland cards:
+// 60 cards: 19.59 + 1.90 × average mana value − 0.28 × cheap draw/ramp spells,
+// 99+ cards: 31.42 + 3.13 × average − 0.28 × cheap draw/ramp spells.
+// Other sizes scale the 60-card figure.
+const recommendLands = (deckSize, averageNonLand, cheapAcceleration) => {
+  if (deckSize === 0) return null;
+  const lands = deckSize >= 99
+    ? 31.42 + 3.13 * averageNonLand - 0.28 * cheapAcceleration
+    : (19.59 + 1.90 * averageNonLand - 0.28 * cheapAcceleration) * deckSize / 60;
+  return Math.max(0, Math.round(lands));
+};
+
+const average = (cards) => {
+  const count = cards.reduce((sum, card) => sum + copies(card), 0);
+  if (count === 0) return 0;
+  return cards.reduce((sum, card) => sum + (card.cmc || 0) * copies(card), 0) / count;
+};
+
+// Statistics of the main deck (commanders included):
+// { totalCards, curve: [{ label, count }], pips: { W: n }, sources: { W: n },
+//   types: [{ code, name, count }], landCount, averageCmc, averageCmcNonLand,
+//   recommendedLands }
+export const getDeckStats = (deck) => {
+  const cards = deck.cards || [];
+  const lands = cards.filter(isLand);
+  const spells = cards.filter(card => !isLand(card));
+
+  const curve = Array.from({ length: CURVE_MAX + 1 }, (_, cmc) => ({
+    label: cmc === CURVE_MAX ? `${cmc}+` : String(cmc),
+    count: 0,
+  }));
+  spells.forEach(card => {
+    curve[Math.min(CURVE_MAX, Math.floor(card.cmc || 0))].count += copies(card);
+  });
+
+  const pips = {};
+  const sources = {};
+  COLOR_CODES.forEach(color => {
+    pips[color] = 0;
+    sources[color] = 0;
+  });
+  spells.forEach(card => {
+    Object.entries(countPips(card.manaCost)).forEach(([color, count]) => {
+      pips[color] += count * copies(card);
+    });
+  });
+  lands.forEach(card => {
+    getLandColors(card).forEach(color => {
+      sources[color] += copies(card);
+    });
+  });
+
+  const typeCounts = {};
+  cards.forEach(card => {
+    const type = getCardType(card);
+    typeCounts[type] = (typeCounts[type] || 0) + copies(card);
+  });
+
+  const totalCards = cards.reduce((sum, card) => sum + copies(card), 0);
+  const landCount = lands.reduce((sum, card) => sum + copies(card), 0);
+  const averageCmcNonLand = average(spells);
+  const cheapAcceleration = spells
+    .filter(isCheapAcceleration)
+    .reduce((sum, card) => sum + copies(card), 0);
+
+  return {
+    totalCards,
+    curve,
+    pips,
+    sources,
+    types: CARD_TYPES
+      .map(type => ({ ...type, count: typeCounts[type.code] || 0 }))
+      .filter(type => type.count > 0),
+    landCount,
+    averageCmc: average(cards),
+    averageCmcNonLand,
+    recommendedLands: recommendLands(totalCards, averageCmcNonLand, cheapAcceleration),
+  };
+};
+
+export default {
+  MANA_COLORS,
+  CARD_TYPES,
+  getCardType,
+  getLandColors,
+  getDeckStats,
+};
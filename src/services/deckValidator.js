@@ -0,0 +1,213 @@
+// Deck Validation
+// Checks a deck against the rules of its format: deck and sideboard size,
+// copy limits, banned / restricted / not legal cards, and for commander
+// formats the commander (or commander pair) and the deck's color identity.
+// Legality comes from the `legalities` Scryfall stores on each deck card.
+import { canBeCommander, canPair, getCommanderIdentity } from './commanderRules';
+import { isLegalInFormat } from './deckCards';
+
+// minCards / maxCards: main deck size (commander included); copyLimit: copies
+// per card name across main deck and sideboard; sideboardMax: null when the
+// format has no sideboard. legality is the Scryfall legalities key.
+export const DECK_FORMATS = [
+  {
+    id: 'commander', name: 'Commander / EDH', legality: 'commander',
+    minCards: 100, maxCards: 100, singleton: true, copyLimit: 1, sideboardMax: null, commander: true,
+  },
+  {
+    id: 'standard', name: 'Standard', legality: 'standard',
+    minCards: 60, maxCards: null, singleton: false, copyLimit: 4, sideboardMax: 15,
+  },
+  {
+    id: 'modern', name: 'Modern', legality: 'modern',
+    minCards: 60, maxCards: null, singleton: false, copyLimit: 4, sideboardMax: 15,
+  },
+  {
+    id: 'legacy', name: 'Legacy', legality: 'legacy',
+    minCards: 60, maxCards: null, singleton: false, copyLimit: 4, sideboardMax: 15,
+  },
+  {
+    id: 'pioneer', name: 'Pioneer', legality: 'pioneer',
+    minCards: 60, maxCards: null, singleton: false, copyLimit: 4, sideboardMax: 15,
+  },
+  {
+    id: 'pauper', name: 'Pauper', legality: 'pauper',
+    minCards: 60, maxCards: null, singleton: false, copyLimit: 4, sideboardMax: 15, commonsOnly: true,
+  },
+  {
+    id: 'vintage', name: 'Vintage', legality: 'vintage',
+    minCards: 60, maxCards: null, singleton: false, copyLimit: 4, sideboardMax: 15,
+  },
+  {
+    id: 'brawl', name: 'Brawl', legality: 'brawl',
+    minCards: 60, maxCards: 60, singleton: true, copyLimit: 1, sideboardMax: null, commander: true,
+    anyPlaneswalkerCommander: true,
+  },
+  { id: 'other', name: 'Autre', legality: null, minCards: null, maxCards: null, singleton: false },
+];
+
+export const ISSUE_LEVELS = {
+  error: { code: 'error', name: 'Erreur', color: '#F44336' },
+  warning: { code: 'warning', name: 'Avertissement', color: '#FF9800' },
+};
+
+const NUMBER_WORDS = {
+  two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+};
+
+export const getDeckFormat = (formatId) => {
+  return DECK_FORMATS.find(format => format.id === formatId) || DECK_FORMATS[0];
+};
+
+const countCards = (cards = []) => cards.reduce((sum, card) => sum + (card.quantity || 1), 0);
+
+const isBasicLand = (card) => /\bbasic\b/i.test(card.typeLine || '') && /\bland\b/i.test(card.typeLine || '');
+
+// Copies of this card a deck may hold: basic lands and "A deck can have any
+// number of cards named ..." have no limit, a few cards set their own
+// ("up to seven", "up to nine"), restricted cards are limited to one
+const getCopyLimit = (card, format) => {
+  if (isBasicLand(card)) return Infinity;
+  const text = card.oracleText || '';
+  if (/a deck can have any number of cards named/i.test(text)) return Infinity;
+  const upTo = text.match(/a deck can have up to (\w+) cards named/i);
+  if (upTo) return NUMBER_WORDS[upTo[1].toLowerCase()] || parseInt(upTo[1], 10) || format.copyLimit;
+  if (card.legalities?.[format.legality] === 'restricted') return 1;
+  return format.copyLimit;
+};
+
+const issue = (level, message, cards = []) => ({ level, message, cards });
+
+// Names of cards matching a test, each listed once
+const namesWhere = (cards, test) => [...new Set(cards.filter(test).map(card => card.name))];
+
+// Returns { format, issues: [{ level, message, cards }], errors, warnings,
+// valid }. valid is false as soon as one error is found; a format without
+// rules ('other') always validates.
+export const validateDeck = (deck) => {
+  const format = getDeckFormat(deck.format);
+  const cards = deck.cards || [];
+  const sideboard = deck.sideboard || [];
+  const issues = [];
+
+  if (!format.legality) {
+    return { format, issues, errors: 0, warnings: 0, valid: true };
+  }
+
+  // Deck size
+  const total = countCards(cards);
+  if (format.minCards && format.minCards === format.maxCards && total !== format.minCards) {
+    issues.push(issue(ISSUE_LEVELS.error.code, `Le deck doit contenir exactement ${format.minCards} cartes (${total} actuellement)`));
+  } else if (format.minCards && total < format.minCards) {
+    issues.push(issue(ISSUE_LEVELS.error.code, `Le deck doit contenir au moins ${format.minCards} cartes (${total} actuellement)`));
+  } else if (format.maxCards && total > format.maxCards) {
+    issues.push(issue(ISSUE_LEVELS.error.code, `Le deck ne peut pas dépasser ${format.maxCards} cartes (${total} actuellement)`));
+  }
+
+  // Sideboard size
+  const sideboardTotal = countCards(sideboard);
+  if (format.sideboardMax === null && sideboardTotal > 0) {
+    issues.push(issue(ISSUE_LEVELS.warning.code, `${format.name} n'a pas de réserve : ${sideboardTotal} carte(s) ignorée(s)`));
+  } else if (format.sideboardMax != null && sideboardTotal > format.sideboardMax) {
+    issues.push(issue(ISSUE_LEVELS.error.code, `La réserve ne peut pas dépasser ${format.sideboardMax} cartes (${sideboardTotal} actuellement)`));
+  }
+
+  // Cards that count: the main deck, and the sideboard where the format has one
+  const counted = format.sideboardMax != null ? [...cards, ...sideboard] : cards;
+
+  // Copy limits, by name
+  const copies = new Map();
+  for (const card of counted) {
+    const current = copies.get(card.name) || { card, quantity: 0 };
+    copies.set(card.name, { card: current.card, quantity: current.quantity + (card.quantity || 1) });
+  }
+  const overLimit = [...copies.values()].filter(({ card, quantity }) => quantity > getCopyLimit(card, format));
+  if (overLimit.length > 0) {
+    issues.push(issue(
+      ISSUE_LEVELS.error.code,
+      format.singleton
+        ? 'Format singleton : un seul exemplaire par carte hors terrains de base'
+        : `Trop d'exemplaires (${format.copyLimit} maximum, 1 pour les cartes restreintes)`,
+      overLimit.map(({ card, quantity }) => `${card.name} (${quantity})`)
+    ));
+  }
+
+  // Legality, from the Scryfall legalities of each card
+  const banned = namesWhere(counted, card => card.legalities?.[format.legality] === 'banned');
+  if (banned.length > 0) {
+    issues.push(issue(ISSUE_LEVELS.error.code, `Cartes bannies en ${format.name}`, banned));
+  }
+  const notLegal = namesWhere(counted, card =>
+    card.legalities && card.legalities[format.legality] !== 'banned' && !isLegalInFormat(card, format.legality)
+  );
+  if (notLegal.length > 0) {
+    issues.push(issue(
+      ISSUE_LEVELS.error.code,
+      format.commonsOnly ? 'Cartes jamais imprimées en commune' : `Cartes non légales en ${format.name}`,
+      notLegal
+    ));
+  }
+  // Without legalities a printing's rarity is the best Pauper hint there is
+  if (format.commonsOnly) {
+    const uncommon = namesWhere(counted, card => !card.legalities && card.rarity && card.rarity !== 'common');
+    if (uncommon.length > 0) {
+      issues.push(issue(ISSUE_LEVELS.warning.code, 'Impressions non communes : vérifiez qu\'une version commune existe', uncommon));
+    }
+  }
+  const unknown = namesWhere(counted, card => !card.legalities);
+  if (unknown.length > 0) {
+    issues.push(issue(ISSUE_LEVELS.warning.code, 'Légalité inconnue : ces cartes n\'ont pas de données de légalité', unknown));
+  }
+
+  if (format.commander) {
+    if (!deck.commander) {
+      issues.push(issue(ISSUE_LEVELS.error.code, 'Aucun commandant choisi'));
+    } else {
+      if (!canBeCommander(deck.commander, format)) {
+        issues.push(issue(
+          ISSUE_LEVELS.error.code,
+          format.anyPlaneswalkerCommander
+            ? 'Le commandant doit être une créature ou un planeswalker légendaire'
+            : 'Le commandant doit être une créature légendaire',
+          [deck.commander.name]
+        ));
+      }
+      if (deck.partner && !canPair(deck.commander, deck.partner)) {
+        issues.push(issue(
+          ISSUE_LEVELS.error.code,
+          'Ces deux cartes ne peuvent pas être commandants ensemble',
+          [deck.commander.name, deck.partner.name]
+        ));
+      }
+      const identity = getCommanderIdentity(deck);
+      const offIdentity = namesWhere(cards, card =>
+        (card.colorIdentity || []).some(color => !identity.includes(color))
+      );
+      if (offIdentity.length > 0) {
+        issues.push(issue(
+          ISSUE_LEVELS.error.code,
+          deck.partner
+            ? 'Cartes hors de l\'identité couleur des commandants'
+            : 'Cartes hors de l\'identité couleur du commandant',
+          offIdentity
+        ));
+      }
+    }
+  }
+
+  const errors = issues.filter(i => i.level === ISSUE_LEVELS.error.code).length;
+  return {
+    format,
+    issues,
+    errors,
+    warnings: issues.length - errors,
+    valid: errors === 0,
+  };
+};
+
+export default {
+  DECK_FORMATS,
+  ISSUE_LEVELS,
+  getDeckFormat,
+  validateDeck,
+};
@@ -0,0 +1,207 @@
+// Decklist Parser
+// Turns pasted decklist text into { name, quantity, section } lines, plus
+// { setCode, collectorNumber, finish } for Arena lines and { mtgoId } for MTGO .dek files.
+// Understands the section headers used by MTGO, Arena, Moxfield, Archidekt
+// and our own export: "// Sideboard", "Sideboard:", "SIDEBOARD", "Sideboard (15)"...
+
+export const SECTIONS = {
+  commander: { code: 'commander', name: 'Commandant' },
+  companion: { code: 'companion', name: 'Compagnon' },
+  mainboard: { code: 'mainboard', name: 'Deck' },
+  sideboard: { code: 'sideboard', name: 'Réserve' },
+  maybeboard: { code: 'maybeboard', name: 'Peut-être' },
+};
+
+const SECTION_HEADERS = {
+  commander: 'commander',
+  commanders: 'commander',
+  'command zone': 'commander',
+  companion: 'companion',
+  companions: 'companion',
+  deck: 'mainboard',
+  main: 'mainboard',
+  maindeck: 'mainboard',
+  'main deck': 'mainboard',
+  mainboard: 'mainboard',
+  sideboard: 'sideboard',
+  side: 'sideboard',
+  sb: 'sideboard',
+  maybeboard: 'maybeboard',
+  maybe: 'maybeboard',
+  considering: 'maybeboard',
+};
+
+// A sideboard split off by a blank line is at most this many cards
+const MAX_SIDEBOARD_SIZE = 15;
+
+// Arena exports open with a block of deck metadata ("Name My deck") that
+// runs to the first section header
+const ABOUT_HEADER = /^about$/i;
+const NAME_LINE = /^name\s+/i;
+
+// "4 Lightning Bolt", "4x Lightning Bolt", "Lightning Bolt"
+const CARD_LINE = /^(?:(\d+)\s*x?\s+)?(.+)$/i;
+
+// Arena printing suffix: "Lightning Bolt (STA) 42", optionally followed by a
+// finish marker: *F* foil, *E* etched
+const PRINTING_SUFFIX = /\s+\(([A-Za-z0-9]{2,6})\)(?:\s+([^\s*]+))?\s*$/;
+const FINISH_MARKER = /\s+\*([FE])\*\s*$/i;
+const FINISH_MARKERS = { F: 'foil', E: 'etched' };
+
+// Section for a header line, or null when the line is not a header
+const getSectionHeader = (line) => {
+  const label = line
+    .replace(/^(\/\/|#)\s*/, '')
+    .replace(/\s*\(\d+\)\s*$/, '')
+    .replace(/\s*:\s*\d*\s*$/, '')
+    .trim()
+    .toLowerCase();
+  return SECTION_HEADERS[label] || null;
+};
+
+const parseCardLine = (line) => {
+  const match = line.match(CARD_LINE);
+  if (!match) return null;
+
+  let name = match[2].trim();
+  const card = { quantity: parseInt(match[1], 10) || 1 };
+
+  const finish = name.match(FINISH_MARKER);
+  if (finish) {
+    card.finish = FINISH_MARKERS[finish[1].toUpperCase()];
+    name = name.slice(0, finish.index);
+  }
+
+  const printing = name.match(PRINTING_SUFFIX);
+  if (printing) {
+    card.setCode = printing[1].toLowerCase();
+    if (printing[2]) card.collectorNumber = printing[2];
+    name = name.slice(0, printing.index);
+  }
+
+  name = name.trim();
+  if (!name) return null;
+  return { name, ...card };
+};
+
+const decodeXml = (value) => value
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+export const isDekXml = (text) => /^\s*(<\?xml[^>]*>\s*)?<Deck[\s>]/i.test(text || '');
+
+// MTGO .dek: <Cards CatID="..." Quantity="4" Sideboard="false" Name="..." />.
+// CatID is the MTGO id; foil copies have their own CatID, so the finish is
+// only known once the card is resolved.
+export const parseDekXml = (text) => {
+  const cards = [];
+  const tags = text.match(/<Cards\b[^>]*>/gi) || [];
+  for (const tag of tags) {
+    const attributes = {};
+    for (const [, key, value] of tag.matchAll(/(\w+)\s*=\s*"([^"]*)"/g)) {
+      attributes[key.toLowerCase()] = decodeXml(value);
+    }
+    if (!attributes.name) continue;
+    const mtgoId = parseInt(attributes.catid, 10);
+    cards.push({
+      name: attributes.name,
+      quantity: parseInt(attributes.quantity, 10) || 1,
+      section: attributes.sideboard === 'true' ? 'sideboard' : 'mainboard',
+      ...(mtgoId > 0 && { mtgoId }),
+    });
+  }
+  return cards;
+};
+
+// Lines are grouped in blocks separated by blank lines; without any header, a
+// short last block after the main deck is the sideboard (MTGO/Moxfield export).
+// A bare name is one copy of the card.
+export const parseDecklistText = (text) => {
+  if (isDekXml(text)) return parseDekXml(text);
+
+  const lines = (text || '').split(/\r?\n/);
+  const cards = [];
+  let section = null;
+  let hasHeaders = false;
+  let block = 0;
+  let previousBlank = false;
+  let inAbout = false;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) {
+      previousBlank = cards.length > 0;
+      continue;
+    }
+    if (previousBlank) {
+      block++;
+      previousBlank = false;
+    }
+
+    const header = getSectionHeader(line);
+    if (header) {
+      section = header;
+      hasHeaders = true;
+      inAbout = false;
+      continue;
+    }
+    if (ABOUT_HEADER.test(line)) {
+      inAbout = true;
+      continue;
+    }
+    if (inAbout) continue;
+
+    // Comments and deck name lines
+    if (line.startsWith('//') || line.startsWith('#') || NAME_LINE.test(line)) continue;
+
+    // MTGO marks sideboard cards inline: "SB: 2 Duress"
+    const inlineSideboard = line.match(/^SB:\s*(.+)$/i);
+    const card = parseCardLine(inlineSideboard ? inlineSideboard[1] : line);
+    if (!card) continue;
+
+    cards.push({
+      ...card,
+      section: inlineSideboard ? 'sideboard' : section,
+      block,
+    });
+  }
+
+  if (!hasHeaders && block === 1) {
+    const lastBlock = cards.filter(card => card.block === 1);
+    const lastBlockSize = lastBlock.reduce((sum, card) => sum + card.quantity, 0);
+    const firstBlockSize = cards.reduce((sum, card) => sum + card.quantity, 0) - lastBlockSize;
+    if (lastBlockSize <= MAX_SIDEBOARD_SIZE && lastBlockSize < firstBlockSize) {
+      lastBlock.forEach(card => {
+        card.section = card.section || 'sideboard';
+      });
+    }
+  }
+
+  return cards.map(({ block: _block, ...card }) => ({
+    ...card,
+    section: card.section || 'mainboard',
+  }));
+};
+
+// Parsed lines grouped by section: { commander: [...], mainboard: [...], ... }
+export const groupBySection = (cards) => {
+  const groups = {};
+  for (const code of Object.keys(SECTIONS)) {
+    groups[code] = [];
+  }
+  for (const card of cards) {
+    (groups[card.section] || groups.mainboard).push(card);
+  }
+  return groups;
+};
+
+export default {
+  SECTIONS,
+  parseDecklistText,
+  parseDekXml,
+  isDekXml,
+  groupBySection,
+};
@@ -1,8 +1,24 @@
 // EDHREC Service
 // EDHREC doesn't have a public API, so we'll use their JSON endpoints that power their website
+import { cachedFetchJson, getTtlForUrl } from './httpCache';
+import { createRequestQueue } from './requestQueue';
 
 const BASE_URL = 'https://json.edhrec.com';
 
+const edhrecQueue = createRequestQueue({ minInterval: 0, maxConcurrent: 2 });
+
+// Fetch an EDHREC page through the response cache
+const fetchPage = (path, errorMessage) => {
+  const url = `${BASE_URL}${path}`;
+  return cachedFetchJson(url, async (signal) => {
+    try {
+      return await edhrecQueue.fetchJson(url, { signal });
+    } catch (error) {
+      throw new Error(errorMessage);
+    }
+  }, { ttl: getTtlForUrl(url) });
+};
+
 // Format card name for EDHREC URL
 const formatCardName = (name) => {
   return name
@@ -12,19 +28,33 @@ const formatCardName = (name) => {
     .trim();
 };
 
-// Get commander recommendations
-export const getCommanderRecommendations = async (commanderName) => {
+// EDHREC page name of a commander or a pair: the two names in alphabetical order
+export const getCommanderPageName = (commanderNames) => {
+  return [...commanderNames].sort((a, b) => a.localeCompare(b)).join(' ');
+};
+
+// Price variants of a commander page
+export const BUDGET_VARIANTS = {
+  all: { code: 'all', name: 'Tous' },
+  budget: { code: 'budget', name: 'Budget' },
+  expensive: { code: 'expensive', name: 'Cher' },
+};
+
+// Get commander recommendations, for the whole page or one of its themes
+// (a slug from getCommanderThemes) and budget variants
+export const getCommanderRecommendations = async (commanderName, options = {}) => {
+  const { theme = null, budget = BUDGET_VARIANTS.all.code } = options;
   try {
     const formattedName = formatCardName(commanderName);
-    const response = await fetch(
-      `${BASE_URL}/pages/commanders/${formattedName}.json`
+    const path = [
+      formattedName,
+      theme,
+      budget !== BUDGET_VARIANTS.all.code ? budget : null,
+    ].filter(Boolean).join('/');
+    const data = await fetchPage(
+      `/pages/commanders/${path}.json`,
+      'Commander not found on EDHREC'
     );
-    
-    if (!response.ok) {
-      throw new Error('Commander not found on EDHREC');
-    }
-    
-    const data = await response.json();
     return data;
   } catch (error) {
     console.error('EDHREC API Error:', error);
@@ -35,13 +65,10 @@ export const getCommanderRecommendations = async (commanderName) => {
 // Get top commanders
 export const getTopCommanders = async () => {
   try {
-    const response = await fetch(`${BASE_URL}/pages/commanders/year.json`);
-    
-    if (!response.ok) {
-      throw new Error('Failed to fetch top commanders');
-    }
-    
-    const data = await response.json();
+    const data = await fetchPage(
+      '/pages/commanders/year.json',
+      'Failed to fetch top commanders'
+    );
     return data;
   } catch (error) {
     console.error('EDHREC API Error:', error);
@@ -53,15 +80,10 @@ export const getTopCommanders = async () => {
 export const getThemeRecommendations = async (theme) => {
   try {
     const formattedTheme = formatCardName(theme);
-    const response = await fetch(
-      `${BASE_URL}/pages/themes/${formattedTheme}.json`
+    const data = await fetchPage(
+      `/pages/themes/${formattedTheme}.json`,
+      'Theme not found'
     );
-    
-    if (!response.ok) {
-      throw new Error('Theme not found');
-    }
-    
-    const data = await response.json();
     return data;
   } catch (error) {
     console.error('EDHREC API Error:', error);
@@ -73,15 +95,10 @@ export const getThemeRecommendations = async (theme) => {
 export const getAverageDeck = async (commanderName) => {
   try {
     const formattedName = formatCardName(commanderName);
-    const response = await fetch(
-      `${BASE_URL}/pages/average-decks/${formattedName}.json`
+    const data = await fetchPage(
+      `/pages/average-decks/${formattedName}.json`,
+      'Average deck not found'
     );
-    
-    if (!response.ok) {
-      throw new Error('Average deck not found');
-    }
-    
-    const data = await response.json();
     return data;
   } catch (error) {
     console.error('EDHREC API Error:', error);
@@ -123,6 +140,7 @@ export const parseRecommendations = (edhrecData) => {
       synergy: cv.synergy,
       inclusion: cv.inclusion,
       numDecks: cv.num_decks,
+      potentialDecks: cv.potential_decks,
       label: cv.label,
       sanitized: cv.sanitized,
     })) || [];
@@ -161,8 +179,30 @@ export const parseRecommendations = (edhrecData) => {
   return result;
 };
 
-// Generate deck suggestions based on owned cards and commander
-export const generateDeckSuggestions = async (commanderName, ownedCards) => {
+// Share of the commander's decks running the card (0-1), null when unknown
+export const getInclusionRate = (card) => {
+  if (!card.potentialDecks) return null;
+  return card.inclusion / card.potentialDecks;
+};
+
+// Ranking of a recommendation: synergy (-1 to 1) plus inclusion rate (0 to 1)
+export const getRecommendationScore = (card) => {
+  return (card.synergy || 0) + (getInclusionRate(card) ?? 0);
+};
+
+// Themes listed on a commander page: [{ name, slug, count }], most played first
+export const getCommanderThemes = (edhrecData) => {
+  return (edhrecData?.panels?.taglinks || []).map(tag => ({
+    name: tag.value,
+    slug: tag.slug,
+    count: tag.count,
+  }));
+};
+
+// Generate deck suggestions based on owned cards and commander, best
+// ranked first. options.maxFromCollection / maxToAcquire cap each list.
+export const generateDeckSuggestions = async (commanderName, ownedCards, options = {}) => {
+  const { maxFromCollection = 50, maxToAcquire = 30 } = options;
   const recommendations = await getCommanderRecommendations(commanderName);
   
   if (!recommendations) {
@@ -187,7 +227,9 @@ export const generateDeckSuggestions = async (commanderName, ownedCards) => {
     ...parsed.artifacts,
     ...parsed.enchantments,
     ...parsed.lands,
-  ];
+  ]
+    .map(card => ({ ...card, score: getRecommendationScore(card) }))
+    .sort((a, b) => b.score - a.score);
   
   const seenCards = new Set();
   
@@ -204,17 +246,22 @@ export const generateDeckSuggestions = async (commanderName, ownedCards) => {
   
   return {
     commander: recommendations.container?.json_dict?.card,
-    fromCollection: suggestedFromCollection.slice(0, 50),
-    toAcquire: cardsToAcquire.slice(0, 30),
+    fromCollection: suggestedFromCollection.slice(0, maxFromCollection),
+    toAcquire: cardsToAcquire.slice(0, maxToAcquire),
     recommendations: parsed,
   };
 };
 
 export default {
+  BUDGET_VARIANTS,
   getCommanderRecommendations,
   getTopCommanders,
   getThemeRecommendations,
   getAverageDeck,
   parseRecommendations,
+  getCommanderThemes,
+  getCommanderPageName,
+  getInclusionRate,
+  getRecommendationScore,
   generateDeckSuggestions,
 };
@@ -0,0 +1,248 @@
+// HTTP Response Cache
+// Persists JSON responses from Scryfall and EDHREC on the device, with a TTL per
+// endpoint, LRU eviction once the size cap is reached, and stale-while-revalidate.
+// Bodies live in the file system, the index in AsyncStorage.
+import * as FileSystem from 'expo-file-system/legacy';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { isAbortError } from './requestQueue';
+
+const CACHE_DIR = `${FileSystem.cacheDirectory}http/`;
+const INDEX_KEY = '@mtg_http_cache_index';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Total size of cached bodies before least recently used entries are evicted
+export const MAX_CACHE_BYTES = 25 * 1024 * 1024;
+
+// TTL per endpoint, first match wins. A TTL of 0 disables caching.
+const TTL_RULES = [
+  { pattern: /api\.scryfall\.com\/cards\/random/, ttl: 0 },
+  { pattern: /api\.scryfall\.com\/bulk-data/, ttl: 0 },
+  { pattern: /api\.scryfall\.com\/cards\/autocomplete/, ttl: 7 * DAY },
+  { pattern: /api\.scryfall\.com\/cards\/search/, ttl: 12 * HOUR },
+  { pattern: /api\.scryfall\.com\/cards\/named/, ttl: DAY },
+  { pattern: /api\.scryfall\.com\/cards\/collection/, ttl: DAY },
+  { pattern: /api\.scryfall\.com\/cards\/[^/?]+\/rulings/, ttl: 7 * DAY },
+  { pattern: /api\.scryfall\.com\/cards\//, ttl: DAY },
+  { pattern: /api\.scryfall\.com\/sets/, ttl: 7 * DAY },
+  { pattern: /json\.edhrec\.com\/pages\/commanders\/year/, ttl: DAY },
+  { pattern: /json\.edhrec\.com\//, ttl: 3 * DAY },
+];
+
+const DEFAULT_TTL = HOUR;
+
+export const getTtlForUrl = (url) => {
+  const rule = TTL_RULES.find(r => r.pattern.test(url));
+  return rule ? rule.ttl : DEFAULT_TTL;
+};
+
+// In-memory copy of the index: { [key]: { file, storedAt, expiresAt, lastAccess, size } }
+let index = null;
+let indexPromise = null;
+let saveTimeout = null;
+
+// Background refreshes in flight, so a key is only revalidated once at a time
+const revalidating = new Map();
+
+// Small string hash for file names (djb2)
+const hashKey = (key) => {
+  let hash = 5381;
+  for (let i = 0; i < key.length; i++) {
+    hash = ((hash << 5) + hash + key.charCodeAt(i)) | 0;
+  }
+  return `${(hash >>> 0).toString(16)}-${key.length}`;
+};
+
+export const buildCacheKey = (url, options = {}) => {
+  const method = (options.method || 'GET').toUpperCase();
+  return method === 'GET' ? url : `${method} ${url} ${options.body || ''}`;
+};
+
+const loadIndex = async () => {
+  if (index) return index;
+  if (indexPromise) return indexPromise;
+
+  indexPromise = (async () => {
+    try {
+      const jsonValue = await AsyncStorage.getItem(INDEX_KEY);
+      index = jsonValue != null ? JSON.parse(jsonValue) : {};
+    } catch (error) {
+      console.error('Error loading HTTP cache index:', error);
+      index = {};
+    }
+    await FileSystem.makeDirectoryAsync(CACHE_DIR, { intermediates: true }).catch(() => {});
+    indexPromise = null;
+    return index;
+  })();
+
+  return indexPromise;
+};
+
+// Index writes are batched: lastAccess changes on every read
+const scheduleIndexSave = () => {
+  if (saveTimeout) return;
+  saveTimeout = setTimeout(async () => {
+    saveTimeout = null;
+    try {
+      await AsyncStorage.setItem(INDEX_KEY, JSON.stringify(index));
+    } catch (error) {
+      console.error('Error saving HTTP cache index:', error);
+    }
+  }, 1000);
+};
+
+const removeEntry = async (key) => {
+  const entry = index[key];
+  if (!entry) return;
+  delete index[key];
+  await FileSystem.deleteAsync(`${CACHE_DIR}${entry.file}`, { idempotent: true }).catch(() => {});
+};
+
+// Evict least recently used entries until the cache fits under the cap
+const enforceSizeCap = async () => {
+  let total = Object.values(index).reduce((sum, e) => sum + (e.size || 0), 0);
+  if (total <= MAX_CACHE_BYTES) return;
+
+  const byAge = Object.entries(index).sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+  for (const [key, entry] of byAge) {
+    if (total <= MAX_CACHE_BYTES) break;
+    total -= entry.size || 0;
+    await removeEntry(key);
+  }
+};
+
+// Read a cached entry; returns { data, isStale } or null
+export const getCachedResponse = async (key) => {
+  await loadIndex();
+  const entry = index[key];
+  if (!entry) return null;
+
+  try {
+    const content = await FileSystem.readAsStringAsync(`${CACHE_DIR}${entry.file}`);
+    const stored = JSON.parse(content);
+    // Hash collision: the file belongs to another key
+    if (stored.key !== key) return null;
+
+    entry.lastAccess = Date.now();
+    scheduleIndexSave();
+    return { data: stored.data, isStale: Date.now() > entry.expiresAt, storedAt: entry.storedAt };
+  } catch (error) {
+    // File evicted by the OS or corrupted
+    delete index[key];
+    scheduleIndexSave();
+    return null;
+  }
+};
+
+export const setCachedResponse = async (key, data, ttl) => {
+  await loadIndex();
+  try {
+    const file = `${hashKey(key)}.json`;
+    const content = JSON.stringify({ key, data });
+    await FileSystem.writeAsStringAsync(`${CACHE_DIR}${file}`, content);
+
+    const now = Date.now();
+    index[key] = {
+      file,
+      storedAt: now,
+      expiresAt: now + ttl,
+      lastAccess: now,
+      size: content.length,
+    };
+    await enforceSizeCap();
+    scheduleIndexSave();
+  } catch (error) {
+    console.error('Error writing HTTP cache entry:', error);
+  }
+};
+
+// Background refresh: never tied to a caller's AbortSignal, and flagged so
+// the fetcher leaves out caller options such as supersede
+const revalidate = (key, fetcher, ttl) => {
+  if (revalidating.has(key)) return revalidating.get(key);
+
+  const promise = fetcher(undefined, { background: true })
+    .then(async (data) => {
+      await setCachedResponse(key, data, ttl);
+      return data;
+    })
+    .finally(() => revalidating.delete(key));
+
+  revalidating.set(key, promise);
+  return promise;
+};
+
+// Fetch JSON through the cache. fetcher(signal, { background }) performs the
+// network request; background is true for stale-while-revalidate refreshes.
+// - fresh entry: returned without touching the network
+// - stale entry: returned immediately while a refresh runs in the background
+// - network failure: the stale entry is used whatever its age (offline mode)
+// - forceRefresh: the cached entry is ignored, the response still replaces it
+export const cachedFetchJson = async (key, fetcher, options = {}) => {
+  const ttl = options.ttl ?? DEFAULT_TTL;
+  const staleWhileRevalidate = options.staleWhileRevalidate ?? true;
+  const { signal, forceRefresh = false } = options;
+
+  if (ttl <= 0) {
+    return fetcher(signal);
+  }
+
+  const cached = forceRefresh ? null : await getCachedResponse(key);
+
+  if (cached && !cached.isStale) {
+    return cached.data;
+  }
+
+  if (cached && staleWhileRevalidate) {
+    revalidate(key, fetcher, ttl).catch(error => {
+      console.warn('Background refresh failed:', error.message);
+    });
+    return cached.data;
+  }
+
+  try {
+    const data = await fetcher(signal);
+    await setCachedResponse(key, data, ttl);
+    return data;
+  } catch (error) {
+    if (cached && !isAbortError(error)) return cached.data;
+    throw error;
+  }
+};
+
+// Size and entry count, for display in settings
+export const getHttpCacheStats = async () => {
+  await loadIndex();
+  const entries = Object.values(index);
+  return {
+    entries: entries.length,
+    bytes: entries.reduce((sum, e) => sum + (e.size || 0), 0),
+    maxBytes: MAX_CACHE_BYTES,
+  };
+};
+
+export const clearHttpCache = async () => {
+  try {
+    await FileSystem.deleteAsync(CACHE_DIR, { idempotent: true });
+    await AsyncStorage.removeItem(INDEX_KEY);
+    index = {};
+    await FileSystem.makeDirectoryAsync(CACHE_DIR, { intermediates: true }).catch(() => {});
+    return true;
+  } catch (error) {
+    console.error('Error clearing HTTP cache:', error);
+    return false;
+  }
+};
+
+export default {
+  MAX_CACHE_BYTES,
+  getTtlForUrl,
+  buildCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  cachedFetchJson,
+  getHttpCacheStats,
+  clearHttpCache,
+};
@@ -0,0 +1,103 @@
+// Collection Ledger
+// Append-only record of every quantity change: which stack, by how much,
+// why (action), from where (source) and when. Rows are written in the same
+// transaction as the change, so the ledger always matches the collection.
+import { findLedgerRows, getEntriesAt } from './collectionDatabase';
+
+export const LEDGER_ACTIONS = {
+  add: { code: 'add', name: 'Ajout' },
+  remove: { code: 'remove', name: 'Retrait' },
+  update: { code: 'update', name: 'Modification' },
+  split: { code: 'split', name: 'Séparation' },
+  merge: { code: 'merge', name: 'Fusion' },
+  undo: { code: 'undo', name: 'Annuler / rétablir' },
+  restore: { code: 'restore', name: 'Restauration' },
+  initial: { code: 'initial', name: 'État initial' },
+};
+
+export const LEDGER_SOURCES = {
+  manual: { code: 'manual', name: 'Collection' },
+  scanner: { code: 'scanner', name: 'Scanner' },
+  search: { code: 'search', name: 'Recherche' },
+  import: { code: 'import', name: 'Import' },
+  deck: { code: 'deck', name: 'Construction de deck' },
+  trade: { code: 'trade', name: 'Échange' },
+  backup: { code: 'backup', name: 'Sauvegarde' },
+  initial: { code: 'initial', name: 'Avant le journal' },
+};
+
+// One row per touched stack, from its state before (null when new) and
+// after (null when removed) a write. Stacks left as they were are skipped.
+export const buildLedgerRows = (changes, { action, source }) => {
+  const createdAt = new Date().toISOString();
+  return changes
+    .filter(({ before, after }) => JSON.stringify(before) !== JSON.stringify(after))
+    .map(({ id, before, after }) => {
+      const entry = after || before;
+      return {
+        createdAt,
+        entryId: id,
+        scryfallId: entry.scryfallId,
+        name: entry.name,
+        delta: (after?.quantity || 0) - (before?.quantity || 0),
+        quantity: after?.quantity || 0,
+        action,
+        source,
+        entry,
+      };
+    });
+};
+
+// Rows giving the quantities the ledger starts from, dated when each stack was added.
+// Dates are compared as strings, so they are all stored in toISOString() form.
+export const getBaselineRows = (collection) => {
+  const now = new Date().toISOString();
+  return collection.map(entry => ({
+    createdAt: Date.parse(entry.addedAt) ? new Date(entry.addedAt).toISOString() : now,
+    entryId: entry.id,
+    scryfallId: entry.scryfallId,
+    name: entry.name,
+    delta: entry.quantity || 0,
+    quantity: entry.quantity || 0,
+    action: LEDGER_ACTIONS.initial.code,
+    source: LEDGER_SOURCES.initial.code,
+    entry,
+  }));
+};
+
+// Ledger rows, newest first. filters: { from, to (Date or ISO string), source, entryId, limit }
+export const loadLedger = async (filters = {}) => {
+  try {
+    return await findLedgerRows({
+      ...filters,
+      from: filters.from && new Date(filters.from).toISOString(),
+      to: filters.to && new Date(filters.to).toISOString(),
+    });
+  } catch (error) {
+    console.error('Error loading ledger:', error);
+    return [];
+  }
+};
+
+// The collection as it was at the end of `date` (a day, a Date or an ISO string)
+export const getCollectionAt = async (date) => {
+  try {
+    // A bare day is read in local time, up to its last millisecond
+    const end = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+      ? new Date(`${date}T23:59:59.999`)
+      : new Date(date);
+    return await getEntriesAt(end.toISOString());
+  } catch (error) {
+    console.error('Error rebuilding collection:', error);
+    return [];
+  }
+};
+
+export default {
+  LEDGER_ACTIONS,
+  LEDGER_SOURCES,
+  buildLedgerRows,
+  getBaselineRows,
+  loadLedger,
+  getCollectionAt,
+};
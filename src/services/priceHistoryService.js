@@ -0,0 +1,202 @@
+// Price History Service
+// Re-fetches prices for every owned printing and keeps dated snapshots per card
+// and for the whole collection, to chart its value over time.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getCardCollection } from './scryfallApi';
+import { loadCollection, updateCollectionPrices, loadSettings } from './storageService';
+import { CURRENCIES, getCardPrice, getTotalValue } from './priceService';
+
+const PRICE_HISTORY_KEY = '@mtg_price_history';
+
+// Scryfall accepts 75 identifiers per /cards/collection request
+const BATCH_SIZE = 75;
+
+// Snapshots kept per card and for the totals (about a year of daily refreshes)
+const MAX_SNAPSHOTS = 365;
+
+// Prices are refreshed automatically once they are older than this
+export const PRICE_REFRESH_INTERVAL = 24 * 60 * 60 * 1000;
+
+const PRICE_FIELDS = ['usd', 'usd_foil', 'usd_etched', 'eur', 'eur_foil', 'tix'];
+
+const emptyHistory = () => ({
+  cards: {},
+  totals: [],
+  lastRefresh: null,
+});
+
+// Snapshots are daily: a second refresh on the same day replaces the first
+const today = () => new Date().toISOString().slice(0, 10);
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+const pushSnapshot = (snapshots, snapshot) => {
+  const list = snapshots.filter(s => s.date !== snapshot.date);
+  list.push(snapshot);
+  return list.slice(-MAX_SNAPSHOTS);
+};
+
+export const loadPriceHistory = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(PRICE_HISTORY_KEY);
+    return jsonValue != null ? { ...emptyHistory(), ...JSON.parse(jsonValue) } : emptyHistory();
+  } catch (error) {
+    console.error('Error loading price history:', error);
+    return emptyHistory();
+  }
+};
+
+export const savePriceHistory = async (history) => {
+  try {
+    await AsyncStorage.setItem(PRICE_HISTORY_KEY, JSON.stringify(history));
+    return true;
+  } catch (error) {
+    console.error('Error saving price history:', error);
+    return false;
+  }
+};
+
+export const clearPriceHistory = async () => {
+  try {
+    await AsyncStorage.removeItem(PRICE_HISTORY_KEY);
+    return true;
+  } catch (error) {
+    console.error('Error clearing price history:', error);
+    return false;
+  }
+};
+
+export const isPriceRefreshDue = (history) => {
+  if (!history?.lastRefresh) return true;
+  return Date.now() - new Date(history.lastRefresh).getTime() > PRICE_REFRESH_INTERVAL;
+};
+
+// Fetch current prices for every printing in the collection, store them on the
+// entries and record today's snapshot. onProgress receives (done, total).
+export const refreshCollectionPrices = async (onProgress = () => {}) => {
+  const collection = await loadCollection();
+  const ids = [...new Set(collection.map(c => c.scryfallId || c.id).filter(Boolean))];
+
+  const pricesById = {};
+  let failedBatches = 0;
+
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const batch = ids.slice(i, i + BATCH_SIZE);
+    try {
+      const cards = await getCardCollection(batch.map(id => ({ id })), { fresh: true });
+      for (const card of cards) {
+        pricesById[card.id] = card.prices;
+      }
+    } catch (error) {
+      console.error('Error refreshing prices:', error);
+      failedBatches++;
+    }
+    onProgress(Math.min(i + BATCH_SIZE, ids.length), ids.length);
+  }
+
+  if (ids.length > 0 && Object.keys(pricesById).length === 0) {
+    throw new Error('Unable to fetch prices');
+  }
+
+  // Only the prices are written: cards added or removed while prices were
+  // loading keep their quantities. The totals come from the collection as saved.
+  const now = new Date().toISOString();
+  if (!(await updateCollectionPrices(pricesById, now))) {
+    throw new Error('Unable to save prices');
+  }
+  const updatedCollection = await loadCollection();
+
+  const history = await loadPriceHistory();
+  const { exchangeRates } = await loadSettings();
+  const date = today();
+
+  for (const [id, prices] of Object.entries(pricesById)) {
+    const snapshot = { date };
+    for (const field of PRICE_FIELDS) {
+      snapshot[field] = toNumber(prices?.[field]);
+    }
+    history.cards[id] = pushSnapshot(history.cards[id] || [], snapshot);
+  }
+
+  const totals = { date };
+  for (const currency of Object.keys(CURRENCIES)) {
+    totals[currency] = getTotalValue(updatedCollection, currency, exchangeRates);
+  }
+  totals.cards = updatedCollection.reduce((sum, c) => sum + (c.quantity || 0), 0);
+  history.totals = pushSnapshot(history.totals, totals);
+  history.lastRefresh = now;
+  await savePriceHistory(history);
+
+  return {
+    collection: updatedCollection,
+    prices: pricesById,
+    pricesUpdatedAt: now,
+    history,
+    updated: Object.keys(pricesById).length,
+    missing: ids.length - Object.keys(pricesById).length,
+    failedBatches,
+  };
+};
+
+// Total value over time: [{ date, value }]
+export const getValueSeries = (history, currency = 'usd') => {
+  return (history?.totals || [])
+    .filter(t => t[currency] != null)
+    .map(t => ({ date: t.date, value: t[currency] }));
+};
+
+// Cards whose price moved the most over the last `days` days, weighted by
+// the quantity owned. Compares today's snapshot with the latest one at least
+// `days` old (or the oldest one available).
+export const getBiggestMovers = (history, collection, options = {}) => {
+  const { days = 7, currency = 'usd', exchangeRates, limit = 5 } = options;
+  const movers = [];
+
+  for (const card of collection) {
+    // Snapshots have the shape of Scryfall's prices object
+    const snapshots = (history?.cards?.[card.scryfallId || card.id] || [])
+      .map(s => ({
+        date: s.date,
+        price: getCardPrice({ prices: s, foil: card.foil, finish: card.finish }, currency, exchangeRates)?.value,
+      }))
+      .filter(s => s.price != null);
+    if (snapshots.length < 2) continue;
+
+    const latest = snapshots[snapshots.length - 1];
+    const cutoff = new Date(latest.date);
+    cutoff.setDate(cutoff.getDate() - days);
+    const cutoffDate = cutoff.toISOString().slice(0, 10);
+    const previous = [...snapshots].reverse().find(s => s.date <= cutoffDate) || snapshots[0];
+    if (previous === latest) continue;
+
+    const change = latest.price - previous.price;
+    if (change === 0) continue;
+
+    movers.push({
+      card,
+      from: previous.price,
+      to: latest.price,
+      since: previous.date,
+      change,
+      percent: previous.price > 0 ? (change / previous.price) * 100 : null,
+      valueChange: change * (card.quantity || 1),
+    });
+  }
+
+  movers.sort((a, b) => Math.abs(b.valueChange) - Math.abs(a.valueChange));
+  return movers.slice(0, limit);
+};
+
+export default {
+  PRICE_REFRESH_INTERVAL,
+  loadPriceHistory,
+  savePriceHistory,
+  clearPriceHistory,
+  isPriceRefreshDue,
+  refreshCollectionPrices,
+  getValueSeries,
+  getBiggestMovers,
+};
@@ -0,0 +1,119 @@
+// Price Service
+// Picks the right Scryfall price for a card or collection entry in the currency
+// chosen in the settings, using foil/etched prices for foil entries and falling
+// back to other currencies through the exchange-rate table.
+
+export const CURRENCIES = {
+  usd: { code: 'usd', name: 'Dollar US', symbol: '$' },
+  eur: { code: 'eur', name: 'Euro', symbol: '€' },
+  tix: { code: 'tix', name: 'MTGO Tix', symbol: 'tix' },
+};
+
+// Value of one US dollar in each currency. Tix are an MTGO price, not a paper
+// one: a null rate means the currency is never converted to or from.
+export const DEFAULT_EXCHANGE_RATES = {
+  usd: 1,
+  eur: 0.92,
+  tix: null,
+};
+
+// Scryfall only publishes foil/etched prices for some currencies
+const FINISH_FIELDS = {
+  nonfoil: (currency) => [currency],
+  foil: (currency) => [`${currency}_foil`, `${currency}_etched`],
+  etched: (currency) => [`${currency}_etched`, `${currency}_foil`],
+};
+
+// Collection entries store `foil`, Scryfall cards have no finish (nonfoil)
+export const getCardFinish = (card) => {
+  if (card?.finish) return card.finish;
+  return card?.foil ? 'foil' : 'nonfoil';
+};
+
+const readPrice = (prices, fields) => {
+  for (const field of fields) {
+    const value = parseFloat(prices?.[field]);
+    if (!Number.isNaN(value)) return value;
+  }
+  return null;
+};
+
+export const convertPrice = (value, from, to, rates = DEFAULT_EXCHANGE_RATES) => {
+  if (from === to) return value;
+  const fromRate = rates?.[from];
+  const toRate = rates?.[to];
+  if (!fromRate || !toRate) return null;
+  return (value / fromRate) * toRate;
+};
+
+// Price of one copy in `currency`: { value, source, converted } or null.
+// Order: the currency's price for the entry's finish, then the same finish in
+// another currency (converted), then the other finishes.
+export const getCardPrice = (card, currency = 'usd', rates = DEFAULT_EXCHANGE_RATES) => {
+  const prices = card?.prices;
+  if (!prices) return null;
+
+  const finish = getCardFinish(card);
+  const finishes = [finish, ...Object.keys(FINISH_FIELDS).filter(f => f !== finish)];
+  const others = Object.keys(CURRENCIES).filter(c => c !== currency);
+
+  for (const f of finishes) {
+    const fieldsFor = FINISH_FIELDS[f] || FINISH_FIELDS.nonfoil;
+
+    const direct = readPrice(prices, fieldsFor(currency));
+    if (direct != null) return { value: direct, source: currency, converted: false };
+
+    for (const other of others) {
+      const value = readPrice(prices, fieldsFor(other));
+      if (value == null) continue;
+      const converted = convertPrice(value, other, currency, rates);
+      if (converted != null) return { value: converted, source: other, converted: true };
+    }
+  }
+
+  return null;
+};
+
+export const getCardPriceValue = (card, currency = 'usd', rates = DEFAULT_EXCHANGE_RATES) => {
+  return getCardPrice(card, currency, rates)?.value ?? 0;
+};
+
+export const formatPrice = (value, currency = 'usd') => {
+  if (value == null || Number.isNaN(value)) return '';
+  const amount = Number(value).toFixed(2);
+  switch (currency) {
+    case 'eur':
+      return `${amount.replace('.', ',')} €`;
+    case 'tix':
+      return `${amount} tix`;
+    default:
+      return `$${amount}`;
+  }
+};
+
+// Price of one copy ready for display, "~" marks a converted price
+export const formatCardPrice = (card, currency = 'usd', rates = DEFAULT_EXCHANGE_RATES) => {
+  const price = getCardPrice(card, currency, rates);
+  if (!price) return null;
+  return `${price.converted ? '~' : ''}${formatPrice(price.value, currency)}`;
+};
+
+// Total value of a list of collection entries
+export const getTotalValue = (cards, currency = 'usd', rates = DEFAULT_EXCHANGE_RATES) => {
+  return cards.reduce(
+    (sum, card) => sum + getCardPriceValue(card, currency, rates) * (card.quantity || 0),
+    0
+  );
+};
+
+export default {
+  CURRENCIES,
+  DEFAULT_EXCHANGE_RATES,
+  getCardFinish,
+  convertPrice,
+  getCardPrice,
+  getCardPriceValue,
+  formatPrice,
+  formatCardPrice,
+  getTotalValue,
+};
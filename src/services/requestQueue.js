@@ -0,0 +1,254 @@
+// Request Queue
+// Schedules HTTP requests for an API: spacing between requests, a concurrency cap,
+// retries with exponential backoff (honouring Retry-After), cancellation through
+// AbortController and de-duplication of identical requests in flight.
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+export const createAbortError = () => {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// Sleep that wakes up early (and rejects) when the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const timeout = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timeout);
+    reject(createAbortError());
+  };
+  signal?.addEventListener('abort', onAbort);
+});
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+export const createRequestQueue = ({
+  minInterval = 100,
+  maxConcurrent = 2,
+  maxRetries = 3,
+  baseDelay = 500,
+  maxDelay = 10000,
+} = {}) => {
+  const waiters = [];
+  let active = 0;
+  let nextStartTime = 0;
+  let pumpTimeout = null;
+
+  // Identical requests in flight share one network call
+  const inFlight = new Map();
+  // Latest request per supersede key, aborted when a newer one arrives
+  const latestBySupersedeKey = new Map();
+
+  const pump = () => {
+    if (pumpTimeout) return;
+
+    while (active < maxConcurrent && waiters.length > 0) {
+      const wait = nextStartTime - Date.now();
+      if (wait > 0) {
+        pumpTimeout = setTimeout(() => {
+          pumpTimeout = null;
+          pump();
+        }, wait);
+        return;
+      }
+
+      const waiter = waiters.shift();
+      active++;
+      nextStartTime = Date.now() + minInterval;
+      waiter.resolve();
+    }
+  };
+
+  // Wait for a free slot, respecting spacing and any 429 cooldown
+  const acquireSlot = (signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const waiter = {
+      resolve: () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      },
+    };
+    const onAbort = () => {
+      const index = waiters.indexOf(waiter);
+      if (index >= 0) waiters.splice(index, 1);
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort);
+    waiters.push(waiter);
+    pump();
+  });
+
+  const releaseSlot = () => {
+    active--;
+    pump();
+  };
+
+  // Pause the whole queue, e.g. after a 429
+  const cooldown = (ms) => {
+    nextStartTime = Math.max(nextStartTime, Date.now() + ms);
+  };
+
+  const getBackoff = (attempt) => {
+    const jitter = Math.random() * 250;
+    return Math.min(maxDelay, baseDelay * Math.pow(2, attempt) + jitter);
+  };
+
+  const execute = async (url, options, signal) => {
+    for (let attempt = 0; ; attempt++) {
+      await acquireSlot(signal);
+      if (signal.aborted) {
+        releaseSlot();
+        throw createAbortError();
+      }
+
+      let response;
+      try {
+        response = await fetch(url, { ...options, signal });
+      } catch (error) {
+        releaseSlot();
+        if (signal.aborted || isAbortError(error)) throw createAbortError();
+        // Network error: retry, the connection may come back
+        if (attempt >= maxRetries) throw error;
+        await sleep(getBackoff(attempt), signal);
+        continue;
+      }
+      releaseSlot();
+
+      if (response.ok) {
+        return response.json();
+      }
+
+      if (RETRYABLE_STATUSES.has(response.status) && attempt < maxRetries) {
+        const retryAfter = parseRetryAfter(response.headers?.get('Retry-After'));
+        const wait = retryAfter ?? getBackoff(attempt);
+        if (response.status === 429) cooldown(wait);
+        await sleep(wait, signal);
+        continue;
+      }
+
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.details || `API Error: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+  };
+
+  // Each caller gets its own promise; the shared request is only aborted
+  // once every caller waiting on it has gone away.
+  const subscribe = (shared, signal) => new Promise((resolve, reject) => {
+    let settled = false;
+    shared.subscribers++;
+
+    const onAbort = () => {
+      if (settled) return;
+      settled = true;
+      reject(createAbortError());
+      shared.subscribers--;
+      if (shared.subscribers === 0) shared.controller.abort();
+    };
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort);
+
+    shared.promise.then(
+      (data) => {
+        if (settled) return;
+        settled = true;
+        signal?.removeEventListener('abort', onAbort);
+        resolve(data);
+      },
+      (error) => {
+        if (settled) return;
+        settled = true;
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+
+  // Queue a JSON request.
+  // options.signal    - AbortSignal from the caller
+  // options.supersede - key shared by requests where only the latest matters
+  //                     (autocomplete, search as you type): older ones are aborted
+  const fetchJson = (url, options = {}) => {
+    const { signal, supersede, ...fetchOptions } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const dedupeKey = supersede ? null : `${method} ${url} ${fetchOptions.body || ''}`;
+
+    if (dedupeKey && inFlight.has(dedupeKey)) {
+      return subscribe(inFlight.get(dedupeKey), signal);
+    }
+
+    const controller = new AbortController();
+    if (supersede) {
+      latestBySupersedeKey.get(supersede)?.abort();
+      latestBySupersedeKey.set(supersede, controller);
+    }
+
+    const shared = { controller, subscribers: 0 };
+    shared.promise = execute(url, fetchOptions, controller.signal).finally(() => {
+      if (dedupeKey) inFlight.delete(dedupeKey);
+      if (supersede && latestBySupersedeKey.get(supersede) === controller) {
+        latestBySupersedeKey.delete(supersede);
+      }
+    });
+    // Rejections are delivered to subscribers
+    shared.promise.catch(() => {});
+
+    if (dedupeKey) inFlight.set(dedupeKey, shared);
+    return subscribe(shared, signal);
+  };
+
+  return {
+    fetchJson,
+    cooldown,
+  };
+};
+
+// Run an async function over items with at most `limit` calls at a time.
+// Results keep the order of the input.
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+};
+
+export default {
+  createRequestQueue,
+  createAbortError,
+  isAbortError,
+  mapWithConcurrency,
+};
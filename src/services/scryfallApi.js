@@ -1,5 +1,20 @@
 // Scryfall API Service
 // Documentation: https://scryfall.com/docs/api
+import {
+  normalizeName,
+  findLocalCardByName,
+  findLocalCardByFuzzyName,
+  findLocalCardById,
+  findLocalPrintings,
+  getLocalAutocomplete,
+  searchLocalCards,
+  getLocalCardCollection,
+} from './cardDatabase';
+import { isQuerySupported } from './cardQuery';
+import { cachedFetchJson, buildCacheKey, getTtlForUrl } from './httpCache';
+import { createRequestQueue, mapWithConcurrency } from './requestQueue';
+import { parseDecklistText } from './decklistParser';
+import { isLegalInFormat } from './deckCards';
 
 const BASE_URL = 'https://api.scryfall.com';
 
@@ -14,20 +29,14 @@ export const LANGUAGES = {
   ja: { code: 'ja', name: '日本語', flag: '🇯🇵' },
 };
 
-// Rate limiting: 50-100ms between requests
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Rate limiting: 100ms between requests, retries on 429/5xx
+const scryfallQueue = createRequestQueue({ minInterval: 100, maxConcurrent: 2 });
 
-let lastRequestTime = 0;
+// Parallel per-card lookups when parsing decklists
+const DECKLIST_LOOKUP_CONCURRENCY = 4;
 
-const rateLimitedFetch = async (url, options = {}) => {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  if (timeSinceLastRequest < 100) {
-    await delay(100 - timeSinceLastRequest);
-  }
-  lastRequestTime = Date.now();
-  
-  const response = await fetch(url, {
+const fetchFromNetwork = (url, options = {}) => {
+  return scryfallQueue.fetchJson(url, {
     ...options,
     headers: {
       'User-Agent': 'MTGCollectionApp/1.0',
@@ -35,17 +44,42 @@ const rateLimitedFetch = async (url, options = {}) => {
       ...options.headers,
     },
   });
-  
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    throw new Error(error.details || `API Error: ${response.status}`);
-  }
-  
-  return response.json();
+};
+
+// Responses are cached on the device; see httpCache.js for the TTL per endpoint.
+// options.signal cancels the call, options.supersede aborts older calls sharing the key,
+// options.fresh skips the cached copy (the new response is still stored).
+// A background refresh runs without signal or supersede: it must not abort
+// a newer call sharing the key.
+const rateLimitedFetch = (url, options = {}) => {
+  const { fresh, ...fetchOptions } = options;
+  const { signal: _signal, supersede: _supersede, ...backgroundOptions } = fetchOptions;
+  return cachedFetchJson(
+    buildCacheKey(url, fetchOptions),
+    (signal, { background = false } = {}) => fetchFromNetwork(
+      url,
+      background ? backgroundOptions : { ...fetchOptions, signal }
+    ),
+    { ttl: getTtlForUrl(url), signal: fetchOptions.signal, forceRefresh: fresh }
+  );
+};
+
+// The local database only knows English names and a subset of the query syntax
+const canSearchLocally = (query, lang) => {
+  if (lang && lang !== 'en') return false;
+  return isQuerySupported(query);
 };
 
 // Search cards by name with language support
-export const searchCardsByName = async (query, page = 1, lang = null) => {
+// options: { signal, supersede } - see rateLimitedFetch
+export const searchCardsByName = async (query, page = 1, lang = null, options = {}) => {
+  if (canSearchLocally(query, lang)) {
+    const localData = await searchLocalCards(query, page);
+    if (localData && localData.data.length > 0) {
+      return localData;
+    }
+  }
+
   const encodedQuery = encodeURIComponent(query);
   let url = `${BASE_URL}/cards/search?q=${encodedQuery}&page=${page}`;
   
@@ -54,22 +88,27 @@ export const searchCardsByName = async (query, page = 1, lang = null) => {
     url = `${BASE_URL}/cards/search?q=${encodedQuery}+lang:${lang}&page=${page}`;
   }
   
-  const data = await rateLimitedFetch(url);
+  const data = await rateLimitedFetch(url, options);
   return data;
 };
 
 // Search cards in any language (useful for French card names)
-export const searchCardsByNameAnyLang = async (query, page = 1) => {
+export const searchCardsByNameAnyLang = async (query, page = 1, options = {}) => {
   const encodedQuery = encodeURIComponent(query);
   // lang:any searches in all languages
   const url = `${BASE_URL}/cards/search?q=${encodedQuery}+lang:any&page=${page}&unique=prints`;
   
-  const data = await rateLimitedFetch(url);
+  const data = await rateLimitedFetch(url, options);
   return data;
 };
 
 // Get card by exact name
 export const getCardByExactName = async (name, lang = null) => {
+  if (!lang || lang === 'en') {
+    const localCard = await findLocalCardByName(name);
+    if (localCard) return localCard;
+  }
+
   const encodedName = encodeURIComponent(name);
   let url = `${BASE_URL}/cards/named?exact=${encodedName}`;
   
@@ -89,6 +128,13 @@ export const getCardByExactName = async (name, lang = null) => {
 
 // Get card by fuzzy name (for scanner results) with language support
 export const getCardByFuzzyName = async (name, lang = null) => {
+  // Local names are English only: fuzzy matching a foreign name could pick the wrong card
+  const isForeign = lang && lang !== 'en';
+  const localCard = isForeign
+    ? await findLocalCardByName(name)
+    : await findLocalCardByFuzzyName(name);
+  if (localCard) return localCard;
+
   const encodedName = encodeURIComponent(name);
   
   // First try the standard fuzzy search
@@ -97,12 +143,19 @@ export const getCardByFuzzyName = async (name, lang = null) => {
     const data = await rateLimitedFetch(url);
     return data;
   } catch (error) {
-    // If standard search fails and we have a language, try searching in that language
-    if (lang && lang !== 'en') {
-      return searchCardInLanguage(name, lang);
+    try {
+      // If standard search fails and we have a language, try searching in that language
+      if (isForeign) {
+        return await searchCardInLanguage(name, lang);
+      }
+      // Try searching in any language as fallback
+      return await searchCardInAnyLanguage(name);
+    } catch (fallbackError) {
+      // Offline: best local guess is better than nothing
+      const offlineCard = isForeign ? await findLocalCardByFuzzyName(name) : null;
+      if (offlineCard) return offlineCard;
+      throw fallbackError;
     }
-    // Try searching in any language as fallback
-    return searchCardInAnyLanguage(name);
   }
 };
 
@@ -163,39 +216,89 @@ export const getCardInLanguage = async (cardNameOrId, lang) => {
 };
 
 // Get autocomplete suggestions
-export const getAutocomplete = async (query) => {
+export const getAutocomplete = async (query, options = {}) => {
   if (!query || query.length < 2) return { data: [] };
+
+  const localNames = await getLocalAutocomplete(query);
+  if (localNames && localNames.length > 0) {
+    return { object: 'catalog', total_values: localNames.length, data: localNames };
+  }
+
   const encodedQuery = encodeURIComponent(query);
   const data = await rateLimitedFetch(
-    `${BASE_URL}/cards/autocomplete?q=${encodedQuery}`
+    `${BASE_URL}/cards/autocomplete?q=${encodedQuery}`,
+    options
   );
   return data;
 };
 
 // Get card by ID
 export const getCardById = async (id) => {
+  const localCard = await findLocalCardById(id);
+  if (localCard) return localCard;
+
   const data = await rateLimitedFetch(`${BASE_URL}/cards/${id}`);
   return data;
 };
 
+// Get the rulings for a card
+export const getCardRulings = async (id) => {
+  const data = await rateLimitedFetch(`${BASE_URL}/cards/${id}/rulings`);
+  return data.data || [];
+};
+
+// Get every printing of a card, oldest first
+export const getCardPrintings = async (oracleId) => {
+  // Only the default_cards bulk file has one entry per printing
+  const localPrintings = await findLocalPrintings(oracleId);
+  if (localPrintings.length > 1) {
+    return [...localPrintings].sort((a, b) => (a.released_at || '').localeCompare(b.released_at || ''));
+  }
+
+  const printings = [];
+  let url = `${BASE_URL}/cards/search?q=${encodeURIComponent(`oracleid:${oracleId}`)}&unique=prints&order=released&dir=asc`;
+  while (url) {
+    const data = await rateLimitedFetch(url);
+    printings.push(...(data.data || []));
+    url = data.has_more ? data.next_page : null;
+  }
+  return printings;
+};
+
 // Get multiple cards by identifiers
-export const getCardCollection = async (identifiers) => {
+// options.fresh bypasses the local database and the HTTP cache, for up-to-date prices
+export const getCardCollection = async (identifiers, options = {}) => {
+  const { fresh = false } = options;
+
+  // Resolve what we can from the local database first
+  const local = fresh
+    ? { data: [], notFound: identifiers }
+    : await getLocalCardCollection(identifiers);
+  const remaining = local.notFound;
+
   // Maximum 75 cards per request
   const chunks = [];
-  for (let i = 0; i < identifiers.length; i += 75) {
-    chunks.push(identifiers.slice(i, i + 75));
+  for (let i = 0; i < remaining.length; i += 75) {
+    chunks.push(remaining.slice(i, i + 75));
   }
   
-  const results = [];
-  for (const chunk of chunks) {
-    const data = await rateLimitedFetch(`${BASE_URL}/cards/collection`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ identifiers: chunk }),
-    });
-    results.push(...(data.data || []));
+  const results = [...local.data];
+  try {
+    for (const chunk of chunks) {
+      const data = await rateLimitedFetch(`${BASE_URL}/cards/collection`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ identifiers: chunk }),
+        fresh,
+      });
+      results.push(...(data.data || []));
+    }
+  } catch (error) {
+    // Offline: keep whatever the local database resolved
+    if (local.data.length === 0) throw error;
+    console.warn('Card collection lookup failed, using local results only:', error.message);
   }
   
   return results;
@@ -221,41 +324,45 @@ export const getRandomCard = async () => {
   return data;
 };
 
+// Most precise /cards/collection identifier for a parsed decklist line
+const getDecklistIdentifier = (card) => {
+  if (card.mtgoId) return { mtgo_id: card.mtgoId };
+  if (card.setCode && card.collectorNumber) {
+    return { set: card.setCode, collector_number: card.collectorNumber };
+  }
+  if (card.setCode) return { name: card.name, set: card.setCode };
+  return { name: card.name };
+};
+
+const matchesCardName = (data, name) => {
+  const wanted = normalizeName(name);
+  return normalizeName(data.name) === wanted ||
+    normalizeName(data.card_faces?.[0]?.name) === wanted;
+};
+
+// The name is checked too: Arena collector numbers do not always match Scryfall's
+const matchesDecklistLine = (data, card) => {
+  if (card.mtgoId) {
+    return data.mtgo_id === card.mtgoId || data.mtgo_foil_id === card.mtgoId;
+  }
+  if (card.setCode && data.set !== card.setCode) return false;
+  if (card.collectorNumber && data.collector_number !== card.collectorNumber) return false;
+  return matchesCardName(data, card.name);
+};
+
 // Parse a decklist text and return card information
+// Each result keeps the section its line was in (commander, mainboard, sideboard...).
+// Arena "(SET) 123" lines and MTGO .dek CatIDs resolve to that exact printing,
+// falling back to the card name when the printing is unknown.
 export const parseDeckList = async (decklistText, lang = null) => {
-  const lines = decklistText.split('\n').filter(line => line.trim());
-  const cards = [];
-  
-  for (const line of lines) {
-    // Parse formats like "4 Lightning Bolt" or "4x Lightning Bolt" or just "Lightning Bolt"
-    const match = line.match(/^(\d+)?x?\s*(.+)$/i);
-    if (match) {
-      const quantity = parseInt(match[1]) || 1;
-      const cardName = match[2].trim();
-      
-      // Skip empty names or section headers
-      if (!cardName || cardName.startsWith('//') || cardName.startsWith('#')) {
-        continue;
-      }
-      
-      cards.push({
-        name: cardName,
-        quantity,
-      });
-    }
-  }
-  
-  // Fetch card data from Scryfall
-  const identifiers = cards.map(c => ({ name: c.name }));
+  const cards = parseDecklistText(decklistText);
   
   try {
-    const cardData = await getCardCollection(identifiers);
+    const cardData = await getCardCollection(cards.map(getDecklistIdentifier));
     
     // Match fetched data with quantities
     const results = cards.map(card => {
-      const data = cardData.find(
-        d => d.name.toLowerCase() === card.name.toLowerCase()
-      );
+      const data = cardData.find(d => matchesDecklistLine(d, card));
       return {
         ...card,
         cardData: data || null,
@@ -263,25 +370,48 @@ export const parseDeckList = async (decklistText, lang = null) => {
       };
     });
     
-    // For cards not found, try searching in specified language or any language
-    for (let i = 0; i < results.length; i++) {
-      if (!results[i].found) {
-        try {
-          const searchLang = lang || 'any';
-          const foundCard = searchLang === 'any' 
-            ? await searchCardInAnyLanguage(results[i].name)
-            : await searchCardInLanguage(results[i].name, searchLang);
-          
-          if (foundCard) {
-            results[i].cardData = foundCard;
-            results[i].found = true;
-          }
-        } catch {
-          // Card still not found
+    // Printings Scryfall does not know (Arena-only set codes...): any printing will do
+    const unknownPrintings = results.filter(
+      result => !result.found && (result.mtgoId || result.setCode)
+    );
+    if (unknownPrintings.length > 0) {
+      const byName = await getCardCollection(
+        unknownPrintings.map(result => ({ name: result.name }))
+      );
+      for (const result of unknownPrintings) {
+        const data = byName.find(d => matchesCardName(d, result.name));
+        if (data) {
+          result.cardData = data;
+          result.found = true;
         }
       }
     }
     
+    // MTGO foils have their own CatID
+    for (const result of results) {
+      if (result.mtgoId && result.cardData?.mtgo_foil_id === result.mtgoId) {
+        result.finish = 'foil';
+      }
+    }
+    
+    // For cards not found, try searching in specified language or any language
+    const missing = results.filter(result => !result.found);
+    await mapWithConcurrency(missing, DECKLIST_LOOKUP_CONCURRENCY, async (result) => {
+      try {
+        const searchLang = lang || 'any';
+        const foundCard = searchLang === 'any' 
+          ? await searchCardInAnyLanguage(result.name)
+          : await searchCardInLanguage(result.name, searchLang);
+        
+        if (foundCard) {
+          result.cardData = foundCard;
+          result.found = true;
+        }
+      } catch {
+        // Card still not found
+      }
+    });
+    
     return results;
   } catch (error) {
     console.error('Error fetching card collection:', error);
@@ -310,10 +440,8 @@ export const getColorIdentity = (card) => {
   return card.color_identity || [];
 };
 
-// Check if a card is legal in a format
-export const isLegalInFormat = (card, format) => {
-  return card.legalities?.[format] === 'legal' || card.legalities?.[format] === 'restricted';
-};
+// Legality check moved to deckCards; still exported here for existing callers
+export { isLegalInFormat };
 
 // Get the printed name (in the card's language)
 export const getPrintedName = (card) => {
@@ -341,6 +469,8 @@ export default {
   getCardInLanguage,
   getAutocomplete,
   getCardById,
+  getCardRulings,
+  getCardPrintings,
   getCardCollection,
   getAllSets,
   getCardsFromSet,
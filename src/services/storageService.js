@@ -1,15 +1,76 @@
 // Storage Service using AsyncStorage
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { CURRENCIES, DEFAULT_EXCHANGE_RATES, getCardPrice } from './priceService';
+import {
+  loadEntries,
+  findEntries,
+  runInTransaction,
+  replaceAllEntries,
+  seedLedger,
+} from './collectionDatabase';
+import { LEDGER_ACTIONS, LEDGER_SOURCES, buildLedgerRows, getBaselineRows } from './ledgerService';
+import { BACKUP_REASONS, writeBackup } from './backupStore';
+import { getPairing, getDeckCommanders } from './commanderRules';
+import { createDeckCard, getMainDeckCards, isCommanderCard } from './deckCards';
 
+// Deck card helpers moved to deckCards; still exported here for existing callers
+export { createDeckCard, getMainDeckCards };
+
+// The collection lived in this key until schema version 3; it is now in SQLite
 const COLLECTION_KEY = '@mtg_collection';
 const DECKS_KEY = '@mtg_decks';
 const SETTINGS_KEY = '@mtg_settings';
+const SCHEMA_VERSION_KEY = '@mtg_schema_version';
+
+// Version of the stored collection/decks shape. Bump it and append a
+// migration to MIGRATIONS whenever that shape changes.
+export const SCHEMA_VERSION = 6;
+const SQLITE_COLLECTION_VERSION = 3;
+const LEDGER_VERSION = 4;
+
+// Card conditions, best first
+export const CONDITIONS = [
+  { code: 'M', name: 'Mint' },
+  { code: 'NM', name: 'Near Mint' },
+  { code: 'LP', name: 'Lightly Played' },
+  { code: 'MP', name: 'Moderately Played' },
+  { code: 'HP', name: 'Heavily Played' },
+  { code: 'DMG', name: 'Damaged' },
+];
+
+export const FINISHES = [
+  { code: 'nonfoil', name: 'Normal' },
+  { code: 'foil', name: 'Foil' },
+  { code: 'etched', name: 'Etched' },
+];
+
+export const DEFAULT_SETTINGS = {
+  currency: 'usd',
+  exchangeRates: DEFAULT_EXCHANGE_RATES,
+  showPrices: true,
+  defaultFormat: 'commander',
+  theme: 'dark',
+  searchLanguage: 'fr', // Default to French
+};
 
 // Collection Storage
-export const saveCollection = async (collection) => {
+// Writes return what changed, { upserted: [entries], removed: [ids] },
+// so callers can patch their copy instead of reloading the collection.
+// Every quantity change is also recorded in the ledger, tagged with a
+// source from LEDGER_SOURCES.
+
+// Replace the whole collection (backup restore)
+export const saveCollection = async (collection, source = LEDGER_SOURCES.backup.code) => {
   try {
-    const jsonValue = JSON.stringify(collection);
-    await AsyncStorage.setItem(COLLECTION_KEY, jsonValue);
+    await updateCollection(async (store) => {
+      const kept = new Set(collection.map(entry => entry.id));
+      const removed = (await store.getAllEntries())
+        .filter(entry => !kept.has(entry.id))
+        .map(entry => entry.id);
+      await store.deleteEntries(removed);
+      await store.putEntries(collection);
+      return { upserted: collection, removed };
+    }, { action: LEDGER_ACTIONS.restore.code, source });
     return true;
   } catch (error) {
     console.error('Error saving collection:', error);
@@ -17,110 +78,492 @@ export const saveCollection = async (collection) => {
   }
 };
 
+// Store refreshed prices ({ scryfallId: prices }) on every stack of those
+// printings. Only the prices change, so quantities updated while they were
+// loading are kept; no ledger row, the cards owned are the same.
+export const updateCollectionPrices = async (pricesById, updatedAt) => {
+  try {
+    await runMigrations();
+    await runInTransaction(store => store.setPrices(pricesById, updatedAt));
+    return true;
+  } catch (error) {
+    console.error('Error saving collection prices:', error);
+    return false;
+  }
+};
+
+// Collection entries are stacks: one per printing + finish + condition + language.
+// The entry id is built from these four attributes.
+export const buildEntryId = ({ scryfallId, finish = 'nonfoil', condition = 'NM', lang = 'en' }) => {
+  return `${scryfallId}:${finish}:${condition}:${lang}`;
+};
+
+// Stack attributes from options given when adding a card ({ finish, foil, condition, lang })
+const getStackAttributes = (card, options = {}) => {
+  const finish = options.finish || (options.foil ? 'foil' : 'nonfoil');
+  return {
+    finish,
+    foil: finish !== 'nonfoil',
+    condition: options.condition || 'NM',
+    lang: options.lang || card.lang || 'en',
+  };
+};
+
+// Build a collection entry from a Scryfall card
+export const createCollectionEntry = (card, quantity = 1, options = {}) => {
+  const attributes = getStackAttributes(card, options);
+  return {
+    id: buildEntryId({ scryfallId: card.id, ...attributes }),
+    scryfallId: card.id,
+    oracleId: card.oracle_id,
+    name: card.name,
+    setCode: card.set,
+    setName: card.set_name,
+    collectorNumber: card.collector_number,
+    rarity: card.rarity,
+    colors: card.colors || [],
+    colorIdentity: card.color_identity || [],
+    manaCost: card.mana_cost,
+    cmc: card.cmc,
+    typeLine: card.type_line,
+    oracleText: card.oracle_text,
+    imageUrl: card.image_uris?.normal || card.card_faces?.[0]?.image_uris?.normal,
+    imageUrlSmall: card.image_uris?.small || card.card_faces?.[0]?.image_uris?.small,
+    prices: card.prices,
+    legalities: card.legalities,
+    quantity: quantity,
+    addedAt: new Date().toISOString(),
+    ...attributes,
+    notes: options.notes || '',
+    tags: options.tags || [],
+  };
+};
+
+// Add copies to the matching stack, or create it; resolves with the saved stack
+const addToStack = async (store, card, quantity, options = {}) => {
+  const entry = createCollectionEntry(card, quantity, options);
+  const existing = await store.getEntry(entry.id);
+  const saved = existing ? { ...existing, quantity: existing.quantity + quantity } : entry;
+  await store.putEntries([saved]);
+  return saved;
+};
+
+// Entry ids are stack ids; a bare Scryfall id matches the first stack of that printing
+const findStack = async (store, cardId) => {
+  const entry = await store.getEntry(cardId);
+  if (entry) return entry;
+  const [first] = await store.findEntries({ scryfallId: cardId });
+  return first || null;
+};
+
+// Store that remembers each entry as it was before its first write, so the
+// write can be undone and logged: previous maps id -> entry (null for a new
+// stack), current maps id -> entry after the last write (null once deleted)
+const trackChanges = (store) => {
+  const previous = new Map();
+  const current = new Map();
+  const remember = async (ids) => {
+    for (const id of ids) {
+      if (!previous.has(id)) previous.set(id, await store.getEntry(id));
+    }
+  };
+  return {
+    ...store,
+    previous,
+    current,
+    putEntries: async (entries) => {
+      await remember(entries.map(entry => entry.id));
+      await store.putEntries(entries);
+      entries.forEach(entry => current.set(entry.id, entry));
+    },
+    deleteEntries: async (ids) => {
+      await remember(ids);
+      await store.deleteEntries(ids);
+      ids.forEach(id => current.set(id, null));
+    },
+  };
+};
+
+// Run a collection write in one transaction, after any pending migration,
+// and append its ledger rows ({ action, source }) in that same transaction.
+// The { upserted, removed } result gains previous: [{ id, entry }], the
+// touched stacks as they were before (entry null when the stack is new).
+const updateCollection = async (task, { action, source = LEDGER_SOURCES.manual.code }) => {
+  await runMigrations();
+  return runInTransaction(async (store) => {
+    const tracked = trackChanges(store);
+    const changes = await task(tracked);
+    if (!changes) return changes;
+
+    const touched = [...tracked.previous].map(([id, before]) => ({
+      id,
+      before,
+      after: tracked.current.get(id),
+    }));
+    await store.appendLedger(buildLedgerRows(touched, { action, source }));
+    return {
+      ...changes,
+      previous: touched.map(({ id, before }) => ({ id, entry: before })),
+    };
+  });
+};
+
+// Entries saved before stacks existed were keyed by Scryfall id alone
+const upgradeLegacyEntries = (collection) => {
+  if (collection.every(c => c.id === buildEntryId(c))) return collection;
+
+  const upgraded = [];
+  for (const entry of collection) {
+    const finish = entry.finish || (entry.foil ? 'foil' : 'nonfoil');
+    const stack = {
+      ...entry,
+      scryfallId: entry.scryfallId || entry.id,
+      finish,
+      foil: finish !== 'nonfoil',
+      condition: entry.condition || 'NM',
+      lang: entry.lang || 'en',
+    };
+    stack.id = buildEntryId(stack);
+
+    const existing = upgraded.find(c => c.id === stack.id);
+    if (existing) {
+      existing.quantity += stack.quantity || 0;
+    } else {
+      upgraded.push(stack);
+    }
+  }
+  return upgraded;
+};
+
+// Deck cards saved by older versions lack fields createDeckCard now sets
+// (cmc, colorIdentity, then legalities and oracle text); the owned printing
+// fills them in when there is one.
+const upgradeDeckCards = (decks, collection) => {
+  const owned = new Map();
+  for (const entry of collection) {
+    if (!owned.has(entry.scryfallId)) owned.set(entry.scryfallId, entry);
+  }
+  const upgrade = (card) => {
+    const entry = owned.get(card.scryfallId || card.id);
+    const source = entry ? { ...entry, ...card, id: card.scryfallId || card.id } : card;
+    return { ...card, ...createDeckCard(source, card.quantity || 1) };
+  };
+  const upgradeReference = (card) => {
+    if (!card) return card;
+    const { quantity, ...reference } = upgrade(card);
+    return reference;
+  };
+  return decks.map(deck => ({
+    ...deck,
+    format: deck.format || 'commander',
+    description: deck.description || '',
+    commander: upgradeReference(deck.commander),
+    partner: upgradeReference(deck.partner) || null,
+    companion: upgradeReference(deck.companion),
+    cards: (deck.cards || []).map(upgrade),
+    sideboard: (deck.sideboard || []).map(upgrade),
+    maybeboard: (deck.maybeboard || []).map(upgrade),
+  }));
+};
+
+// Ordered migrations; each one brings { collection, decks } from version - 1 to version.
+// Version 0 is everything saved before the schema was versioned.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'One collection stack per printing, finish, condition and language',
+    migrate: ({ collection, decks }) => ({
+      collection: upgradeLegacyEntries(collection),
+      decks,
+    }),
+  },
+  {
+    version: 2,
+    description: 'Same card shape for every collection entry and deck card',
+    migrate: ({ collection, decks }) => ({
+      collection: collection.map(entry => ({
+        ...entry,
+        colors: entry.colors || [],
+        colorIdentity: entry.colorIdentity || [],
+        quantity: entry.quantity || 1,
+        addedAt: entry.addedAt || new Date().toISOString(),
+        notes: entry.notes || '',
+      })),
+      decks: upgradeDeckCards(decks, collection),
+    }),
+  },
+  {
+    // Storage move only: applyMigrations writes the collection to SQLite
+    version: SQLITE_COLLECTION_VERSION,
+    description: 'Collection entries stored in SQLite instead of an AsyncStorage blob',
+    migrate: data => data,
+  },
+  {
+    // Storage only: applyMigrations starts the ledger from the current stacks
+    version: LEDGER_VERSION,
+    description: 'Ledger of collection changes',
+    migrate: data => data,
+  },
+  {
+    version: 5,
+    description: 'Deck cards carry legalities, rarity and oracle text for validation',
+    migrate: ({ collection, decks }) => ({
+      collection,
+      decks: upgradeDeckCards(decks, collection),
+    }),
+  },
+  {
+    version: 6,
+    description: 'Collection entries and deck cards carry tags',
+    migrate: ({ collection, decks }) => ({
+      collection: collection.map(entry => ({ ...entry, tags: entry.tags || [] })),
+      decks: upgradeDeckCards(decks, collection),
+    }),
+  },
+];
+
+// Run { collection, decks } through every migration newer than fromVersion
+export const migrateData = ({ collection = [], decks = [] }, fromVersion = 0) => {
+  return MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((data, migration) => migration.migrate(data), { collection, decks });
+};
+
+const applyMigrations = async () => {
+  const [[, storedVersion], [, collectionJson], [, decksJson]] = await AsyncStorage.multiGet([
+    SCHEMA_VERSION_KEY,
+    COLLECTION_KEY,
+    DECKS_KEY,
+  ]);
+  const version = storedVersion != null ? parseInt(storedVersion, 10) : 0;
+  if (version >= SCHEMA_VERSION) return true;
+
+  const legacyCollection = version < SQLITE_COLLECTION_VERSION;
+  const stored = {
+    collection: legacyCollection
+      ? (collectionJson != null ? JSON.parse(collectionJson) : [])
+      : await loadEntries(),
+    decks: decksJson != null ? JSON.parse(decksJson) : [],
+  };
+  const { collection, decks } = migrateData(stored, version);
+
+  // The old blob goes only once everything else is written, so an
+  // interrupted migration starts over from it on the next launch
+  await replaceAllEntries(collection);
+  if (version < LEDGER_VERSION) {
+    await seedLedger(getBaselineRows(collection));
+  }
+  await AsyncStorage.setItem(DECKS_KEY, JSON.stringify(decks));
+  await AsyncStorage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
+  if (legacyCollection) {
+    await AsyncStorage.removeItem(COLLECTION_KEY);
+  }
+  return true;
+};
+
+let migrationPromise = null;
+
+// Bring stored data up to SCHEMA_VERSION. Runs once per launch; loaders wait for it.
+// A failed migration rejects, so loaders and writes fail rather than work on
+// half-migrated tables; the next call tries again.
+export const runMigrations = () => {
+  if (!migrationPromise) {
+    migrationPromise = applyMigrations().catch(error => {
+      console.error('Error migrating stored data:', error);
+      migrationPromise = null;
+      throw error;
+    });
+  }
+  return migrationPromise;
+};
+
+// Put stacks back as recorded, [{ id, entry }] with entry null to delete
+// the stack; used to undo and redo collection writes
+export const restoreCollectionEntries = async (states) => {
+  try {
+    return await updateCollection(async (store) => {
+      const upserted = states.filter(state => state.entry).map(state => state.entry);
+      const removed = states.filter(state => !state.entry).map(state => state.id);
+      await store.deleteEntries(removed);
+      await store.putEntries(upserted);
+      return { upserted, removed };
+    }, { action: LEDGER_ACTIONS.undo.code });
+  } catch (error) {
+    console.error('Error restoring collection entries:', error);
+    return null;
+  }
+};
+
+// Throws when stored data could not be migrated, rather than return an empty collection
 export const loadCollection = async () => {
+  await runMigrations();
   try {
-    const jsonValue = await AsyncStorage.getItem(COLLECTION_KEY);
-    return jsonValue != null ? JSON.parse(jsonValue) : [];
+    return await loadEntries();
   } catch (error) {
     console.error('Error loading collection:', error);
     return [];
   }
 };
 
-export const addCardToCollection = async (card, quantity = 1) => {
+// Indexed lookup: { scryfallId, oracleId, name, setCode, typeLine }
+export const findCollectionEntries = async (filters) => {
+  await runMigrations();
   try {
-    const collection = await loadCollection();
-    
-    // Check if card already exists
-    const existingIndex = collection.findIndex(
-      c => c.id === card.id || c.scryfallId === card.id
-    );
-    
-    if (existingIndex >= 0) {
-      collection[existingIndex].quantity += quantity;
-    } else {
-      collection.push({
-        id: card.id,
-        scryfallId: card.id,
-        name: card.name,
-        setCode: card.set,
-        setName: card.set_name,
-        collectorNumber: card.collector_number,
-        rarity: card.rarity,
-        colors: card.colors || [],
-        colorIdentity: card.color_identity || [],
-        manaCost: card.mana_cost,
-        cmc: card.cmc,
-        typeLine: card.type_line,
-        oracleText: card.oracle_text,
-        imageUrl: card.image_uris?.normal || card.card_faces?.[0]?.image_uris?.normal,
-        imageUrlSmall: card.image_uris?.small || card.card_faces?.[0]?.image_uris?.small,
-        prices: card.prices,
-        legalities: card.legalities,
-        quantity: quantity,
-        addedAt: new Date().toISOString(),
-        foil: false,
-        condition: 'NM',
-        notes: '',
-      });
-    }
-    
-    await saveCollection(collection);
-    return collection;
+    return await findEntries(filters);
+  } catch (error) {
+    console.error('Error searching collection:', error);
+    return [];
+  }
+};
+
+// options: { finish: 'nonfoil' | 'foil' | 'etched', condition, lang, notes, source }
+export const addCardToCollection = async (card, quantity = 1, options = {}) => {
+  try {
+    return await updateCollection(async (store) => {
+      const saved = await addToStack(store, card, quantity, options);
+      return { upserted: [saved], removed: [] };
+    }, { action: LEDGER_ACTIONS.add.code, source: options.source });
   } catch (error) {
     console.error('Error adding card to collection:', error);
     return null;
   }
 };
 
-export const removeCardFromCollection = async (cardId, quantity = 1) => {
+// items: [{ card, quantity, options }], written in a single transaction
+export const addCardsToCollection = async (items, source = LEDGER_SOURCES.import.code) => {
   try {
-    const collection = await loadCollection();
-    const existingIndex = collection.findIndex(
-      c => c.id === cardId || c.scryfallId === cardId
-    );
-    
-    if (existingIndex >= 0) {
-      collection[existingIndex].quantity -= quantity;
+    return await updateCollection(async (store) => {
+      const saved = new Map();
+      for (const { card, quantity = 1, options } of items) {
+        const entry = await addToStack(store, card, quantity, options);
+        saved.set(entry.id, entry);
+      }
+      return { upserted: [...saved.values()], removed: [] };
+    }, { action: LEDGER_ACTIONS.add.code, source });
+  } catch (error) {
+    console.error('Error adding cards to collection:', error);
+    return null;
+  }
+};
+
+export const removeCardFromCollection = async (cardId, quantity = 1, source = LEDGER_SOURCES.manual.code) => {
+  try {
+    return await updateCollection(async (store) => {
+      const existing = await findStack(store, cardId);
+      if (!existing) return { upserted: [], removed: [] };
       
-      if (collection[existingIndex].quantity <= 0) {
-        collection.splice(existingIndex, 1);
+      const remaining = existing.quantity - quantity;
+      if (remaining <= 0) {
+        await store.deleteEntries([existing.id]);
+        return { upserted: [], removed: [existing.id] };
       }
-    }
-    
-    await saveCollection(collection);
-    return collection;
+      
+      const updated = { ...existing, quantity: remaining };
+      await store.putEntries([updated]);
+      return { upserted: [updated], removed: [] };
+    }, { action: LEDGER_ACTIONS.remove.code, source });
   } catch (error) {
     console.error('Error removing card from collection:', error);
     return null;
   }
 };
 
-export const updateCardInCollection = async (cardId, updates) => {
+// Changing finish, condition or language moves the entry to another stack,
+// merging it into that stack when it already exists.
+export const updateCardInCollection = async (cardId, updates, source = LEDGER_SOURCES.manual.code) => {
   try {
-    const collection = await loadCollection();
-    const existingIndex = collection.findIndex(
-      c => c.id === cardId || c.scryfallId === cardId
-    );
-    
-    if (existingIndex >= 0) {
-      collection[existingIndex] = {
-        ...collection[existingIndex],
+    return await updateCollection(async (store) => {
+      const existing = await findStack(store, cardId);
+      if (!existing) return { upserted: [], removed: [] };
+      
+      const updated = {
+        ...existing,
         ...updates,
       };
-    }
-    
-    await saveCollection(collection);
-    return collection;
+      if (updates.foil !== undefined && updates.finish === undefined) {
+        updated.finish = updates.foil ? 'foil' : 'nonfoil';
+      }
+      updated.foil = updated.finish !== 'nonfoil';
+      updated.id = buildEntryId(updated);
+
+      if (updated.id === existing.id) {
+        await store.putEntries([updated]);
+        return { upserted: [updated], removed: [] };
+      }
+
+      const target = await store.getEntry(updated.id);
+      const saved = target
+        ? { ...target, quantity: target.quantity + updated.quantity }
+        : updated;
+      await store.deleteEntries([existing.id]);
+      await store.putEntries([saved]);
+      return { upserted: [saved], removed: [existing.id] };
+    }, { action: LEDGER_ACTIONS.update.code, source });
   } catch (error) {
     console.error('Error updating card in collection:', error);
     return null;
   }
 };
 
+// Move `quantity` copies of a stack to a stack with other attributes
+// ({ finish, condition, lang }), e.g. two of four copies are actually LP.
+export const splitCollectionEntry = async (entryId, quantity, attributes) => {
+  try {
+    return await updateCollection(async (store) => {
+      const source = await store.getEntry(entryId);
+      if (!source) return null;
+
+      const moved = Math.min(quantity, source.quantity);
+      const target = { ...source, ...attributes, quantity: moved };
+      target.foil = target.finish !== 'nonfoil';
+      target.id = buildEntryId(target);
+      if (target.id === source.id) return { upserted: [], removed: [] };
+
+      const existing = await store.getEntry(target.id);
+      const saved = existing ? { ...existing, quantity: existing.quantity + moved } : target;
+      const remaining = { ...source, quantity: source.quantity - moved };
+
+      await store.putEntries([saved]);
+      if (remaining.quantity <= 0) {
+        await store.deleteEntries([source.id]);
+        return { upserted: [saved], removed: [source.id] };
+      }
+      await store.putEntries([remaining]);
+      return { upserted: [remaining, saved], removed: [] };
+    }, { action: LEDGER_ACTIONS.split.code });
+  } catch (error) {
+    console.error('Error splitting collection entry:', error);
+    return null;
+  }
+};
+
+// Merge one stack into another; the target keeps its attributes
+export const mergeCollectionEntries = async (sourceId, targetId) => {
+  try {
+    return await updateCollection(async (store) => {
+      const source = await store.getEntry(sourceId);
+      const target = await store.getEntry(targetId);
+      if (!source || !target || sourceId === targetId) return null;
+
+      const merged = {
+        ...target,
+        quantity: target.quantity + source.quantity,
+        notes: target.notes || source.notes || '',
+      };
+      await store.deleteEntries([source.id]);
+      await store.putEntries([merged]);
+      return { upserted: [merged], removed: [source.id] };
+    }, { action: LEDGER_ACTIONS.merge.code });
+  } catch (error) {
+    console.error('Error merging collection entries:', error);
+    return null;
+  }
+};
+
 // Decks Storage
 export const saveDecks = async (decks) => {
   try {
+    await runMigrations();
     const jsonValue = JSON.stringify(decks);
     await AsyncStorage.setItem(DECKS_KEY, jsonValue);
     return true;
@@ -130,7 +573,9 @@ export const saveDecks = async (decks) => {
   }
 };
 
+// Throws when stored data could not be migrated, like loadCollection
 export const loadDecks = async () => {
+  await runMigrations();
   try {
     const jsonValue = await AsyncStorage.getItem(DECKS_KEY);
     return jsonValue != null ? JSON.parse(jsonValue) : [];
@@ -148,7 +593,12 @@ export const createDeck = async (deckData) => {
       name: deckData.name || 'New Deck',
       format: deckData.format || 'commander',
       commander: deckData.commander || null,
+      // Second commander of a pair (Partner, Background...), see commanderRules
+      partner: deckData.partner || null,
+      companion: deckData.companion || null,
       cards: deckData.cards || [],
+      sideboard: deckData.sideboard || [],
+      maybeboard: deckData.maybeboard || [],
       description: deckData.description || '',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
@@ -185,6 +635,31 @@ export const updateDeck = async (deckId, updates) => {
   }
 };
 
+// Replace the tags of deck cards, { cardId: [tags] }, in every section
+export const setDeckCardTags = async (deckId, tagsByCardId) => {
+  try {
+    const decks = await loadDecks();
+    const index = decks.findIndex(d => d.id === deckId);
+    if (index < 0) return null;
+
+    const retag = (cards = []) => cards.map(card => (
+      tagsByCardId[card.id] ? { ...card, tags: tagsByCardId[card.id] } : card
+    ));
+    decks[index] = {
+      ...decks[index],
+      cards: retag(decks[index].cards),
+      sideboard: retag(decks[index].sideboard),
+      maybeboard: retag(decks[index].maybeboard),
+      updatedAt: new Date().toISOString(),
+    };
+    await saveDecks(decks);
+    return decks[index];
+  } catch (error) {
+    console.error('Error tagging deck cards:', error);
+    return null;
+  }
+};
+
 export const deleteDeck = async (deckId) => {
   try {
     const decks = await loadDecks();
@@ -204,22 +679,15 @@ export const addCardToDeck = async (deckId, card, quantity = 1) => {
     
     if (deckIndex < 0) return null;
     
+    const deckCard = createDeckCard(card, quantity);
     const existingCardIndex = decks[deckIndex].cards.findIndex(
-      c => c.id === card.id || c.scryfallId === card.id || c.name === card.name
+      c => c.scryfallId === deckCard.scryfallId || c.name === deckCard.name
     );
     
     if (existingCardIndex >= 0) {
       decks[deckIndex].cards[existingCardIndex].quantity += quantity;
     } else {
-      decks[deckIndex].cards.push({
-        id: card.id || card.scryfallId,
-        scryfallId: card.id || card.scryfallId,
-        name: card.name,
-        imageUrl: card.imageUrl || card.image_uris?.small,
-        manaCost: card.manaCost || card.mana_cost,
-        typeLine: card.typeLine || card.type_line,
-        quantity: quantity,
-      });
+      decks[deckIndex].cards.push(deckCard);
     }
     
     decks[deckIndex].updatedAt = new Date().toISOString();
@@ -246,22 +714,16 @@ export const saveSettings = async (settings) => {
 export const loadSettings = async () => {
   try {
     const jsonValue = await AsyncStorage.getItem(SETTINGS_KEY);
-    return jsonValue != null ? JSON.parse(jsonValue) : {
-      currency: 'usd',
-      showPrices: true,
-      defaultFormat: 'commander',
-      theme: 'dark',
-      searchLanguage: 'fr', // Default to French
+    const saved = jsonValue != null ? JSON.parse(jsonValue) : {};
+    // Settings saved by older versions lack the newer keys
+    return {
+      ...DEFAULT_SETTINGS,
+      ...saved,
+      exchangeRates: { ...DEFAULT_EXCHANGE_RATES, ...saved.exchangeRates },
     };
   } catch (error) {
     console.error('Error loading settings:', error);
-    return {
-      currency: 'usd',
-      showPrices: true,
-      defaultFormat: 'commander',
-      theme: 'dark',
-      searchLanguage: 'fr',
-    };
+    return { ...DEFAULT_SETTINGS };
   }
 };
 
@@ -272,7 +734,7 @@ export const exportCollectionToJSON = async () => {
     const decks = await loadDecks();
     
     const exportData = {
-      version: '1.0',
+      version: SCHEMA_VERSION,
       exportDate: new Date().toISOString(),
       collection,
       decks,
@@ -288,6 +750,8 @@ export const exportCollectionToJSON = async () => {
 export const exportCollectionToCSV = async () => {
   try {
     const collection = await loadCollection();
+    const { currency, exchangeRates } = await loadSettings();
+    const currencyCode = CURRENCIES[currency] ? currency : 'usd';
     
     const headers = [
       'Card Name',
@@ -298,22 +762,25 @@ export const exportCollectionToCSV = async () => {
       'Rarity',
       'Condition',
       'Foil',
-      'Price USD',
+      `Price ${currencyCode.toUpperCase()}`,
       'Notes',
     ];
     
-    const rows = collection.map(card => [
-      `"${card.name || ''}"`,
-      card.quantity || 1,
-      `"${card.setName || ''}"`,
-      card.setCode || '',
-      card.collectorNumber || '',
-      card.rarity || '',
-      card.condition || 'NM',
-      card.foil ? 'Yes' : 'No',
-      card.prices?.usd || '',
-      `"${card.notes || ''}"`,
-    ]);
+    const rows = collection.map(card => {
+      const price = getCardPrice(card, currencyCode, exchangeRates);
+      return [
+        `"${card.name || ''}"`,
+        card.quantity || 1,
+        `"${card.setName || ''}"`,
+        card.setCode || '',
+        card.collectorNumber || '',
+        card.rarity || '',
+        card.condition || 'NM',
+        card.foil ? 'Yes' : 'No',
+        price ? price.value.toFixed(2) : '',
+        `"${card.notes || ''}"`,
+      ];
+    });
     
     const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
     return csv;
@@ -344,96 +811,184 @@ export const exportCollectionToDecklist = async () => {
   }
 };
 
-// Export a specific deck to decklist format
-export const exportDeckToDecklist = async (deckId) => {
-  try {
-    const decks = await loadDecks();
-    const deck = decks.find(d => d.id === deckId);
-    
-    if (!deck) return null;
-    
-    const lines = [];
-    
-    // Add deck name as comment
-    lines.push(`// ${deck.name}`);
-    if (deck.format) {
-      lines.push(`// Format: ${deck.format}`);
-    }
+export const DECK_EXPORT_FORMATS = {
+  text: { code: 'text', name: 'Texte' },
+  arena: { code: 'arena', name: 'MTG Arena' },
+  mtgo: { code: 'mtgo', name: 'MTGO (.dek)' },
+};
+
+const FINISH_MARKERS = { foil: '*F*', etched: '*E*' };
+
+// Sideboard cards, without the companion listed in its own section
+const getSideboardCards = (deck) => (deck.sideboard || []).filter(
+  card => !deck.companion || card.name !== deck.companion.name
+);
+
+// Our own text format, with // section comments
+const formatDeckAsText = (deck) => {
+  const lines = [];
+  
+  // Add deck name as comment
+  lines.push(`// ${deck.name}`);
+  if (deck.format) {
+    lines.push(`// Format: ${deck.format}`);
+  }
+  lines.push('');
+  
+  // Commander section
+  if (deck.commander) {
+    lines.push('// Commander');
+    getDeckCommanders(deck).forEach(commander => lines.push(`1 ${commander.name}`));
     lines.push('');
+  }
+  
+  if (deck.companion) {
+    lines.push('// Companion');
+    lines.push(`1 ${deck.companion.name}`);
+    lines.push('');
+  }
+  
+  // Main deck
+  if (deck.cards && deck.cards.length > 0) {
+    lines.push('// Deck');
+    const sortedCards = [...deck.cards].sort((a, b) => 
+      (a.name || '').localeCompare(b.name || '')
+    );
     
-    // Commander section
-    if (deck.commander) {
-      lines.push('// Commander');
-      lines.push(`1 ${deck.commander.name}`);
-      lines.push('');
+    for (const card of sortedCards) {
+      // Skip commanders in main list
+      if (isCommanderCard(deck, card)) continue;
+      lines.push(`${card.quantity || 1} ${card.name}`);
     }
-    
-    // Main deck
-    if (deck.cards && deck.cards.length > 0) {
-      lines.push('// Deck');
-      const sortedCards = [...deck.cards].sort((a, b) => 
-        (a.name || '').localeCompare(b.name || '')
-      );
-      
-      for (const card of sortedCards) {
-        // Skip commander in main list
-        if (deck.commander && card.name === deck.commander.name) continue;
-        lines.push(`${card.quantity || 1} ${card.name}`);
-      }
+  }
+  
+  // Sideboard if exists (the companion has its own section)
+  const sideboard = getSideboardCards(deck);
+  if (sideboard.length > 0) {
+    lines.push('');
+    lines.push('// Sideboard');
+    for (const card of sideboard) {
+      lines.push(`${card.quantity || 1} ${card.name}`);
     }
-    
-    // Sideboard if exists
-    if (deck.sideboard && deck.sideboard.length > 0) {
-      lines.push('');
-      lines.push('// Sideboard');
-      for (const card of deck.sideboard) {
-        lines.push(`${card.quantity || 1} ${card.name}`);
-      }
+  }
+  
+  if (deck.maybeboard && deck.maybeboard.length > 0) {
+    lines.push('');
+    lines.push('// Maybeboard');
+    for (const card of deck.maybeboard) {
+      lines.push(`${card.quantity || 1} ${card.name}`);
     }
-    
-    return lines.join('\n');
-  } catch (error) {
-    console.error('Error exporting deck to decklist:', error);
-    return null;
   }
+  
+  return lines.join('\n');
+};
+
+// "4 Lightning Bolt (STA) 42 *F*"
+const formatArenaLine = (card) => {
+  const parts = [`${card.quantity || 1} ${card.name}`];
+  if (card.setCode) {
+    parts.push(`(${card.setCode.toUpperCase()})`);
+    if (card.collectorNumber) parts.push(card.collectorNumber);
+  }
+  if (FINISH_MARKERS[card.finish]) parts.push(FINISH_MARKERS[card.finish]);
+  return parts.join(' ');
+};
+
+// MTG Arena: Commander / Companion / Deck / Sideboard blocks, one printing per line
+const formatDeckForArena = (deck) => {
+  const blocks = [];
+  const findPrinting = (reference) => ({
+    ...reference,
+    ...(deck.cards || []).concat(deck.sideboard || []).find(c => c.name === reference.name),
+    quantity: 1,
+  });
+  
+  if (deck.commander) {
+    blocks.push(['Commander', ...getDeckCommanders(deck).map(c => formatArenaLine(findPrinting(c)))]);
+  }
+  if (deck.companion) {
+    blocks.push(['Companion', formatArenaLine(findPrinting(deck.companion))]);
+  }
+  blocks.push(['Deck', ...getMainDeckCards(deck).map(formatArenaLine)]);
+  
+  const sideboard = deck.sideboard || [];
+  if (sideboard.length > 0) {
+    blocks.push(['Sideboard', ...sideboard.map(formatArenaLine)]);
+  }
+  
+  return blocks.map(block => block.join('\n')).join('\n\n');
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const formatDekCard = (card, sideboard) => {
+  const catId = card.finish === 'foil' && card.mtgoFoilId ? card.mtgoFoilId : card.mtgoId;
+  const attributes = [
+    catId ? `CatID="${catId}"` : null,
+    `Quantity="${card.quantity || 1}"`,
+    `Sideboard="${sideboard}"`,
+    `Name="${escapeXml(card.name)}"`,
+    'Annotation="0"',
+  ].filter(Boolean);
+  return `  <Cards ${attributes.join(' ')} />`;
+};
+
+// MTGO .dek XML. MTGO keeps the commander in the sideboard; foil copies use
+// their own CatID.
+const formatDeckAsDek = (deck) => {
+  const commanders = getDeckCommanders(deck).map(commander =>
+    (deck.cards || []).find(c => c.name === commander.name) || commander
+  );
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+    '  <NetDeckID>0</NetDeckID>',
+    '  <PreconstructedDeckID>0</PreconstructedDeckID>',
+    ...getMainDeckCards(deck).map(card => formatDekCard(card, false)),
+    ...commanders.map(commander => formatDekCard({ ...commander, quantity: 1 }, true)),
+    ...(deck.sideboard || []).map(card => formatDekCard(card, true)),
+    '</Deck>',
+  ];
+  return lines.join('\n');
 };
 
-export const importCollectionFromJSON = async (jsonString) => {
+// Export a specific deck to decklist format: 'text', 'arena' or 'mtgo' (see DECK_EXPORT_FORMATS)
+export const exportDeckToDecklist = async (deckId, format = 'text') => {
   try {
-    const data = JSON.parse(jsonString);
-    
-    if (data.collection) {
-      await saveCollection(data.collection);
-    }
+    const decks = await loadDecks();
+    const deck = decks.find(d => d.id === deckId);
     
-    if (data.decks) {
-      await saveDecks(data.decks);
-    }
+    if (!deck) return null;
     
-    return {
-      success: true,
-      cardsImported: data.collection?.length || 0,
-      decksImported: data.decks?.length || 0,
-    };
+    if (format === 'arena') return formatDeckForArena(deck);
+    if (format === 'mtgo') return formatDeckAsDek(deck);
+    return formatDeckAsText(deck);
   } catch (error) {
-    console.error('Error importing collection:', error);
-    return { success: false, error: error.message };
+    console.error('Error exporting deck to decklist:', error);
+    return null;
   }
 };
 
-// Get potential commanders from collection (legendary creatures)
+// Get potential commanders from collection: legendary creatures and planeswalkers,
+// plus Backgrounds, which only join a "Choose a Background" commander.
+// Each card carries its pairing (see commanderRules.getPairing), null when it has none.
 export const getCommandersFromCollection = async () => {
   try {
     const collection = await loadCollection();
     
-    const commanders = collection.filter(card => {
-      const typeLine = (card.typeLine || '').toLowerCase();
-      // Legendary Creature or Legendary Planeswalker that can be commander
-      return typeLine.includes('legendary') && 
-             (typeLine.includes('creature') || 
-              (typeLine.includes('planeswalker') && 
-               (card.oracleText || '').toLowerCase().includes('can be your commander')));
-    });
+    const commanders = collection
+      .filter(card => {
+        const typeLine = (card.typeLine || '').toLowerCase();
+        return typeLine.includes('legendary') &&
+               (typeLine.includes('creature') ||
+                typeLine.includes('planeswalker') ||
+                typeLine.includes('background'));
+      })
+      .map(card => ({ ...card, pairing: getPairing(card) }));
     
     // Sort by name
     commanders.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
@@ -446,78 +1001,59 @@ export const getCommandersFromCollection = async () => {
 };
 
 // Add cards from decklist to collection
-export const addDecklistToCollection = async (parsedCards) => {
-  try {
-    const collection = await loadCollection();
-    
-    for (const item of parsedCards) {
-      if (!item.found || !item.cardData) continue;
-      
-      const card = item.cardData;
-      const existingIndex = collection.findIndex(
-        c => c.id === card.id || c.scryfallId === card.id || c.name === card.name
-      );
-      
-      if (existingIndex >= 0) {
-        collection[existingIndex].quantity += item.quantity;
-      } else {
-        collection.push({
-          id: card.id,
-          scryfallId: card.id,
-          name: card.name,
-          setCode: card.set,
-          setName: card.set_name,
-          collectorNumber: card.collector_number,
-          rarity: card.rarity,
-          colors: card.colors || [],
-          colorIdentity: card.color_identity || [],
-          manaCost: card.mana_cost,
-          cmc: card.cmc,
-          typeLine: card.type_line,
-          oracleText: card.oracle_text,
-          imageUrl: card.image_uris?.normal || card.card_faces?.[0]?.image_uris?.normal,
-          imageUrlSmall: card.image_uris?.small || card.card_faces?.[0]?.image_uris?.small,
-          prices: card.prices,
-          legalities: card.legalities,
-          quantity: item.quantity,
-          addedAt: new Date().toISOString(),
-          foil: false,
-          condition: 'NM',
-          notes: '',
-        });
-      }
-    }
-    
-    await saveCollection(collection);
-    return collection;
-  } catch (error) {
-    console.error('Error adding decklist to collection:', error);
-    return null;
-  }
+// Maybeboard cards are only being considered, so they are not added.
+// Arena lists the companion in the sideboard too; count it once.
+export const addDecklistToCollection = async (parsedCards, source = LEDGER_SOURCES.import.code) => {
+  const sideboardNames = parsedCards
+    .filter(item => item.section === 'sideboard')
+    .map(item => item.name);
+  const items = parsedCards
+    .filter(item => item.found && item.cardData && item.section !== 'maybeboard')
+    .filter(item => item.section !== 'companion' || !sideboardNames.includes(item.name))
+    .map(item => ({
+      card: item.cardData,
+      quantity: item.quantity,
+      options: {
+        finish: item.finish,
+        condition: item.condition,
+        lang: item.lang,
+      },
+    }));
+  return addCardsToCollection(items, source);
 };
 
-// Create deck from parsed decklist
+// Commander or companion reference stored on the deck
+const toDeckReference = (card) => {
+  const { quantity, ...reference } = createDeckCard(card, 1);
+  return reference;
+};
+
+// Create deck from parsed decklist, using the sections found by the parser.
+// Commanders (a second one makes a pair) also stay in `cards`, as when a deck is
+// created from the app; the companion lives in the sideboard.
 export const createDeckFromDecklist = async (deckName, format, parsedCards, commander = null) => {
   try {
-    const cards = parsedCards
-      .filter(item => item.found && item.cardData)
-      .map(item => ({
-        id: item.cardData.id,
-        scryfallId: item.cardData.id,
-        name: item.cardData.name,
-        imageUrl: item.cardData.image_uris?.small || item.cardData.card_faces?.[0]?.image_uris?.small,
-        manaCost: item.cardData.mana_cost,
-        typeLine: item.cardData.type_line,
-        cmc: item.cardData.cmc,
-        colorIdentity: item.cardData.color_identity || [],
-        quantity: item.quantity,
-      }));
+    const found = parsedCards.filter(item => item.found && item.cardData);
+    const inSection = (...sections) => found
+      .filter(item => sections.includes(item.section || 'mainboard'))
+      .map(item => createDeckCard(item.cardData, item.quantity, { finish: item.finish }));
+    
+    const commanderCards = inSection('commander');
+    const companionCards = inSection('companion');
     
     const newDeck = await createDeck({
       name: deckName,
       format: format,
-      commander: commander,
-      cards: cards,
+      commander: commander || (commanderCards[0] ? toDeckReference(commanderCards[0]) : null),
+      partner: !commander && commanderCards[1] ? toDeckReference(commanderCards[1]) : null,
+      companion: companionCards[0] ? toDeckReference(companionCards[0]) : null,
+      cards: [...commanderCards, ...inSection('mainboard')],
+      // Arena lists the companion in both sections
+      sideboard: [
+        ...companionCards,
+        ...inSection('sideboard').filter(card => !companionCards.some(c => c.name === card.name)),
+      ],
+      maybeboard: inSection('maybeboard'),
     });
     
     return newDeck;
@@ -527,6 +1063,29 @@ export const createDeckFromDecklist = async (deckName, format, parsedCards, comm
   }
 };
 
+// Put decks back as recorded, [{ id, deck }] with deck null to delete it;
+// used to undo and redo deck changes. Resolves with every deck.
+export const restoreDecks = async (states) => {
+  try {
+    let decks = await loadDecks();
+    for (const { id, deck } of states) {
+      const index = decks.findIndex(d => d.id === id);
+      if (!deck) {
+        decks = decks.filter(d => d.id !== id);
+      } else if (index >= 0) {
+        decks[index] = deck;
+      } else {
+        decks.push(deck);
+      }
+    }
+    await saveDecks(decks);
+    return decks;
+  } catch (error) {
+    console.error('Error restoring decks:', error);
+    return null;
+  }
+};
+
 // Remove card from deck
 export const removeCardFromDeck = async (deckId, cardId, quantity = 1) => {
   try {
@@ -585,10 +1144,21 @@ export const updateCardInDeck = async (deckId, cardId, quantity) => {
   }
 };
 
-// Clear all data
+// Clear all data. The current collection and decks are backed up locally
+// first; nothing is cleared if that backup fails.
 export const clearAllData = async () => {
   try {
+    const [collection, decks] = await Promise.all([loadCollection(), loadDecks()]);
+    if (collection.length > 0 || decks.length > 0) {
+      await writeBackup(BACKUP_REASONS.clear.code, { version: SCHEMA_VERSION, collection, decks });
+    }
     await AsyncStorage.multiRemove([COLLECTION_KEY, DECKS_KEY, SETTINGS_KEY]);
+    // Stacks are removed one by one so the ledger keeps a trace of them
+    await updateCollection(async (store) => {
+      const ids = (await store.getAllEntries()).map(entry => entry.id);
+      await store.deleteEntries(ids);
+      return { upserted: [], removed: ids };
+    }, { action: LEDGER_ACTIONS.remove.code });
     return true;
   } catch (error) {
     console.error('Error clearing data:', error);
@@ -597,11 +1167,25 @@ export const clearAllData = async () => {
 };
 
 export default {
+  SCHEMA_VERSION,
+  migrateData,
+  runMigrations,
+  CONDITIONS,
+  FINISHES,
+  buildEntryId,
+  createCollectionEntry,
+  createDeckCard,
   saveCollection,
+  updateCollectionPrices,
   loadCollection,
+  findCollectionEntries,
   addCardToCollection,
+  addCardsToCollection,
   removeCardFromCollection,
   updateCardInCollection,
+  splitCollectionEntry,
+  mergeCollectionEntries,
+  restoreCollectionEntries,
   saveDecks,
   loadDecks,
   createDeck,
@@ -610,13 +1194,17 @@ export default {
   addCardToDeck,
   removeCardFromDeck,
   updateCardInDeck,
+  setDeckCardTags,
+  restoreDecks,
+  DEFAULT_SETTINGS,
   saveSettings,
   loadSettings,
   exportCollectionToJSON,
   exportCollectionToCSV,
   exportCollectionToDecklist,
+  DECK_EXPORT_FORMATS,
   exportDeckToDecklist,
-  importCollectionFromJSON,
+  getMainDeckCards,
   getCommandersFromCollection,
   addDecklistToCollection,
   createDeckFromDecklist,